@@ -0,0 +1,200 @@
+// Summary: abortSignal.test.js validates cancellation through opts.signal and per-call timeouts
+const { initSearchTest, resetMocks, createClientWithMock } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const Bottleneck = require('bottleneck'); //mocked constructor, swapped for the real one per test
+const qserp = require('../lib/qserp'); //module under test
+const { AbortError, InvalidQueryError, QserpError } = require('../lib/errors'); //typed abort error
+
+describe('abort signals', () => { //group cancellation tests
+  beforeEach(() => { //reset mocks and the pass-through limiter
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    scheduleMock.mockImplementation((options, fn) => Promise.resolve(fn()));
+  });
+
+  function holdQueue() { //limiter that runs jobs only when released
+    const queue = [];
+    scheduleMock.mockImplementation((options, fn) => new Promise(resolve => queue.push(() => resolve(Promise.resolve().then(fn)))));
+    return queue;
+  }
+
+  function hangingReply() { //request that never answers, exposing its config
+    const sent = [];
+    return { sent, reply: config => { sent.push(config); return new Promise(() => {}); } };
+  }
+
+  test('an aborted signal rejects before any work', async () => { //pre-aborted
+    const { client, clientMock } = createClientWithMock();
+    const controller = new AbortController();
+    controller.abort();
+    const err = await client.googleSearch('late', { signal: controller.signal }).catch(e => e);
+    expect(err).toBeInstanceOf(AbortError);
+    expect(err).toBeInstanceOf(QserpError);
+    expect(err).toMatchObject({ name: 'AbortError', code: 'ABORT_ERR' });
+    expect(scheduleMock).not.toHaveBeenCalled();
+    expect(clientMock.history.get).toHaveLength(0);
+  });
+
+  test('aborting a queued search rejects at once and never sends it', async () => { //limiter queue
+    const queue = holdQueue();
+    const { client, clientMock } = createClientWithMock({ circuitBreaker: {} }); //breaker on to show aborts leave it alone
+    clientMock.onGet(/customsearch/).reply(200, { items: [{ link: 'l' }] });
+    const controller = new AbortController();
+    const search = client.fetchSearchItems('queued', { signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve)); //let it reach the limiter
+    expect(queue).toHaveLength(1);
+    controller.abort();
+    await expect(search).rejects.toBeInstanceOf(AbortError);
+    queue.shift()(); //limiter reaches the abandoned job
+    await new Promise(resolve => setImmediate(resolve));
+    expect(clientMock.history.get).toHaveLength(0);
+    expect(client.getCircuitStatus()).toMatchObject({ state: 'closed', failures: 0 });
+    expect(qerrorsMock).not.toHaveBeenCalled(); //aborts are not failures
+  });
+
+  test('searches aborted while queued spend no reservoir unit', async () => { //real limiter queue
+    const RealBottleneck = jest.requireActual('bottleneck');
+    let limiter;
+    Bottleneck.mockImplementationOnce(opts => { limiter = new RealBottleneck(opts); return limiter; });
+    const { client, clientMock } = createClientWithMock({ rateLimit: { reservoir: 5, maxConcurrent: 1, minTime: 0 } });
+    let answer = null; //answers the running request
+    clientMock.onGet(/customsearch/).reply(() => new Promise(resolve => { answer = () => resolve([200, { items: [{ link: 'l' }] }]); }));
+    const first = client.fetchSearchItems('first');
+    for (let i = 0; i < 1000 && !answer; i++) { await new Promise(resolve => setTimeout(resolve, 1)); }
+    const controllers = [1, 2, 3].map(() => new AbortController());
+    const queued = controllers.map((controller, i) => client.fetchSearchItems(`queued ${i}`, { signal: controller.signal }));
+    await new Promise(resolve => setTimeout(resolve, 20)); //behind the running request
+    expect((await client.getRateLimitStatus()).lanes.normal.queued).toBe(3);
+    controllers.forEach(controller => controller.abort());
+    for (const search of queued) { await expect(search).rejects.toBeInstanceOf(AbortError); }
+    expect((await client.getRateLimitStatus()).lanes.normal.queued).toBe(0); //left the queue at once
+    answer();
+    await first;
+    await new Promise(resolve => setTimeout(resolve, 20)); //the pending slot starts with nothing to run
+    expect(clientMock.history.get).toHaveLength(1);
+    expect(await limiter.currentReservoir()).toBe(4); //only the sent request was spent
+  });
+
+  test('a search aborted while queued uses no quota and no pooled key', async () => { //billed inside the limiter job
+    const queue = holdQueue();
+    const { client, clientMock } = createClientWithMock({ dailyQuota: 5, apiKeys: ['firstKey', 'secondKey'] });
+    clientMock.onGet(/customsearch/).reply(200, { items: [{ link: 'l' }] });
+    const controller = new AbortController();
+    const search = client.fetchSearchItems('queued', { signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve)); //let it reach the limiter
+    controller.abort();
+    await expect(search).rejects.toBeInstanceOf(AbortError);
+    queue.shift()(); //limiter reaches the abandoned job
+    await new Promise(resolve => setImmediate(resolve));
+    expect(client.getQuotaStatus().used).toBe(0);
+    expect(client.getKeyPoolStatus().keys.map(key => key.used)).toEqual([0, 0]);
+    expect(clientMock.history.get).toHaveLength(0);
+  });
+
+  test('aborting a queue-mode quota wait rejects and frees the limiter slot', async () => { //spent budget
+    const { client, clientMock } = createClientWithMock({ dailyQuota: 1, quotaMode: 'queue' });
+    clientMock.onGet(/customsearch/).reply(200, { items: [{ link: 'l' }] });
+    await client.fetchSearchItems('first');
+    const controller = new AbortController();
+    const search = client.fetchSearchItems('second', { signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve)); //waiting for the next day
+    controller.abort();
+    await expect(search).rejects.toBeInstanceOf(AbortError);
+    expect(client.getQuotaStatus().used).toBe(1); //the aborted search was never counted
+    expect((await client.getRateLimitStatus()).lanes.normal).toMatchObject({ queued: 0, running: 0 });
+    expect(clientMock.history.get).toHaveLength(1);
+  });
+
+  test('aborting a sent request cancels it', async () => { //axios cancellation
+    const { client, clientMock } = createClientWithMock();
+    const hanging = hangingReply();
+    clientMock.onGet(/customsearch/).reply(hanging.reply);
+    const controller = new AbortController();
+    const search = client.googleSearch('slow', { signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(hanging.sent).toHaveLength(1);
+    controller.abort();
+    await expect(search).rejects.toBeInstanceOf(AbortError);
+    expect(hanging.sent[0].signal.aborted).toBe(true);
+  });
+
+  test('coalesced callers keep the request until all have aborted', async () => { //shared flight
+    const { client, clientMock } = createClientWithMock();
+    let answer;
+    clientMock.onGet(/customsearch/).reply(config => new Promise(resolve => { answer = () => resolve([200, { items: [{ link: 'l' }] }]); }));
+    const first = new AbortController();
+    const second = new AbortController();
+    const a = client.fetchSearchItems('shared', { signal: first.signal });
+    const b = client.fetchSearchItems('shared', { signal: second.signal });
+    const c = client.fetchSearchItems('shared'); //no signal
+    await new Promise(resolve => setImmediate(resolve));
+    first.abort();
+    await expect(a).rejects.toBeInstanceOf(AbortError);
+    second.abort();
+    await expect(b).rejects.toBeInstanceOf(AbortError);
+    expect(clientMock.history.get[0].signal.aborted).toBe(false); //c still waits
+    answer();
+    expect(await c).toEqual([{ link: 'l' }]);
+    expect(clientMock.history.get).toHaveLength(1);
+  });
+
+  test('the shared request is cancelled once every waiter aborted', async () => { //abandoned flight
+    const { client, clientMock } = createClientWithMock();
+    const hanging = hangingReply();
+    clientMock.onGet(/customsearch/).reply(hanging.reply);
+    const first = new AbortController();
+    const second = new AbortController();
+    const a = client.fetchSearchItems('gone', { signal: first.signal });
+    const b = client.fetchSearchItems('gone', { signal: second.signal });
+    await new Promise(resolve => setImmediate(resolve));
+    first.abort();
+    await expect(a).rejects.toBeInstanceOf(AbortError);
+    expect(hanging.sent[0].signal.aborted).toBe(false);
+    second.abort();
+    await expect(b).rejects.toBeInstanceOf(AbortError);
+    expect(hanging.sent[0].signal.aborted).toBe(true);
+    expect(client.getCoalescingStats().inFlight).toBe(0); //next call starts a fresh request
+  });
+
+  test('aborting during a retry backoff stops further attempts', async () => { //backoff
+    const { client, clientMock } = createClientWithMock({ retry: { baseDelay: 60000, jitter: false } });
+    clientMock.onGet(/customsearch/).reply(503);
+    const controller = new AbortController();
+    const search = client.fetchSearchItems('flaky', { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 20)); //first attempt failed, backoff running
+    controller.abort();
+    await expect(search).rejects.toMatchObject({ name: 'AbortError' });
+    expect(clientMock.history.get).toHaveLength(1);
+    expect(qerrorsMock).not.toHaveBeenCalled();
+  });
+
+  test('timeoutMs overrides the client timeout per call', async () => { //per-call timeout
+    const { client, clientMock } = createClientWithMock({ timeout: 5000 });
+    clientMock.onGet(/Stuck/).timeoutOnce();
+    clientMock.onGet(/customsearch/).reply(200, { items: [] });
+    await client.googleSearch('fast', { timeoutMs: 1500 });
+    await client.fetchSearchItems('slow', { timeoutMs: 999999 });
+    await client.fetchSearchItems('plain');
+    expect(clientMock.history.get.map(config => config.timeout)).toEqual([1500, 120000, 5000]);
+    await expect(client.googleSearch('Stuck', { timeoutMs: 10, throwOnError: true })).rejects.toMatchObject({ name: 'TimeoutError' });
+  });
+
+  test('getTopSearchResults passes signal and timeout to every search', async () => { //batch
+    const { client, clientMock } = createClientWithMock();
+    const hanging = hangingReply();
+    clientMock.onGet(/customsearch/).reply(hanging.reply);
+    const controller = new AbortController();
+    const batch = client.getTopSearchResults(['one', 'two'], { signal: controller.signal, timeoutMs: 2000 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(hanging.sent.map(config => config.timeout)).toEqual([2000, 2000]);
+    controller.abort();
+    await expect(batch).rejects.toBeInstanceOf(AbortError);
+    expect(hanging.sent.every(config => config.signal.aborted)).toBe(true);
+  });
+
+  test('invalid signals are rejected and axios cancellations map to AbortError', async () => { //validation and mapping
+    await expect(qserp.googleSearch('x', { signal: 'stop' })).rejects.toBeInstanceOf(InvalidQueryError);
+    expect(qserp.toQserpError({ code: 'ERR_CANCELED', message: 'canceled', request: {} })).toBeInstanceOf(AbortError);
+    expect(qserp.AbortError).toBe(AbortError);
+  });
+});
@@ -0,0 +1,204 @@
+// Summary: cacheAdapters.test.js validates bundled cache adapters and client backend selection
+const fs = require('fs'); //inspect file adapter snapshots
+const os = require('os'); //temp directory for snapshots
+const path = require('path'); //build snapshot paths
+const { initSearchTest, resetMocks, createAxiosMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //silence and capture warnings
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //client factory under test
+const { createCache, createMemoryCache, createFileCache, createRedisCache, createNoopCache, validateCacheAdapter } = require('../lib/cacheAdapters'); //adapters under test
+
+function createFakeRedis() { //in-memory stand-in speaking raw Redis commands
+  const store = new Map(); //key -> { value, expires }
+  const run = ([cmd, ...args]) => { //subset of commands the adapter uses
+    const now = Date.now();
+    for (const [key, entry] of store) { if (entry.expires <= now) { store.delete(key); } } //emulate server expiry
+    if (cmd === 'GET') { return store.has(args[0]) ? store.get(args[0]).value : null; }
+    if (cmd === 'SET') { store.set(args[0], { value: args[1], expires: now + Number(args[3]) }); return 'OK'; }
+    if (cmd === 'DEL') { return args.filter(key => store.delete(key)).length; }
+    if (cmd === 'PTTL') { return store.has(args[0]) ? store.get(args[0]).expires - now : -2; }
+    if (cmd === 'SCAN') { //single page scan with prefix glob
+      const prefix = args[2].slice(0, -1).replace(/\\(.)/g, '$1'); //strip trailing * and escapes
+      return ['0', [...store.keys()].filter(key => key.startsWith(prefix))];
+    }
+    throw new Error(`unsupported ${cmd}`);
+  };
+  return { store, sendCommand: jest.fn(async args => run(args)) };
+}
+
+describe('cache adapters', () => { //group adapter tests
+  let dir; //temp directory per test
+
+  beforeEach(() => { //reset mocks and temp directory
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    qserp.clearCache();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qserp-cache-'));
+  });
+
+  afterEach(() => { //remove snapshot files and backend env
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.QSERP_CACHE_BACKEND;
+    delete process.env.QSERP_CACHE_FILE;
+  });
+
+  test('memory adapter implements the interface synchronously', () => { //default backend
+    const cache = createMemoryCache({ max: 2, ttl: 1000 });
+    cache.set('a', [1]);
+    cache.set('b', [2]);
+    cache.set('c', [3]); //evicts a
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('c')).toEqual([3]);
+    expect(cache.size()).toBe(2);
+    expect(cache.delete('b')).toBe(true);
+    cache.clear();
+    expect(cache.size()).toBe(0);
+    expect(cache.purgeStale()).toBe(false);
+  });
+
+  test('file adapter persists entries across instances', async () => { //restart survival
+    const file = path.join(dir, 'cache.json');
+    const first = createFileCache({ file, max: 10, ttl: 60000 });
+    await first.set('q:10', [{ link: 'a' }]);
+    await first.set('gone', [1], 1); //expires almost immediately
+    await new Promise(resolve => setTimeout(resolve, 5)); //let the short entry expire
+    const second = createFileCache({ file, max: 10, ttl: 60000 }); //simulated restart
+    expect(second.get('q:10')).toEqual([{ link: 'a' }]);
+    expect(second.get('gone')).toBeUndefined(); //expired entries dropped on load
+    expect(second.size()).toBe(1);
+    expect(await second.delete('q:10')).toBe(true);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).entries).toEqual({}); //delete written through
+  });
+
+  test('file adapter evicts least recently used and coalesces writes', async () => { //LRU and write batching
+    const file = path.join(dir, 'lru.json');
+    const cache = createFileCache({ file, max: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a'); //a becomes most recent
+    cache.set('c', 3); //evicts b
+    await cache.flush();
+    expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).entries)).toEqual(['a', 'c']);
+  });
+
+  test('file adapter ignores a corrupt snapshot', () => { //graceful load
+    const file = path.join(dir, 'bad.json');
+    fs.writeFileSync(file, '{not json');
+    const warnSpy = mockConsole('warn');
+    const cache = createFileCache({ file });
+    expect(cache.size()).toBe(0);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('File cache ignoring unreadable'));
+    warnSpy.mockRestore();
+  });
+
+  test('redis adapter stores JSON under a prefix with expiry', async () => { //redis protocol
+    const redis = createFakeRedis();
+    const cache = createRedisCache({ client: redis, prefix: 'test:', ttl: 5000 });
+    redis.store.set('other', { value: 'keep', expires: Infinity }); //foreign key must survive clear
+    await cache.set('q:10', [{ link: 'r' }]);
+    expect(redis.sendCommand).toHaveBeenCalledWith(['SET', 'test:q:10', '[{"link":"r"}]', 'PX', '5000']); //string args only
+    expect(await cache.get('q:10')).toEqual([{ link: 'r' }]);
+    expect(await cache.get('missing')).toBeUndefined();
+    expect(await cache.size()).toBe(1);
+    await cache.clear();
+    expect(await cache.size()).toBe(0);
+    expect(redis.store.has('other')).toBe(true); //only prefixed keys removed
+    expect(cache.purgeStale()).toBe(false); //redis expires on its own
+  });
+
+  test('counter stores stay out of entries, size and clear', async () => { //quota counter namespace
+    const redis = createFakeRedis();
+    for (const prefix of ['test:', 'test']) { //a prefix without ':' also globs the sibling namespace
+      const cache = createRedisCache({ client: redis, prefix });
+      const counters = cache.counterStore();
+      await counters.set('quota:2026-03-07', 3, 60000);
+      await cache.set('q:10', [1]);
+      expect(redis.store.has('test-counters:quota:2026-03-07')).toBe(true);
+      expect(await cache.size()).toBe(1);
+      expect((await cache.entries()).map(entry => entry.key)).toEqual(['q:10']);
+      await cache.clear();
+      expect(await counters.get('quota:2026-03-07')).toBe(3);
+    }
+    const file = path.join(dir, 'cache.json');
+    const fileCache = createFileCache({ file });
+    expect(fileCache.counterStore()).toBe(fileCache.counterStore()); //one store per adapter
+    await fileCache.counterStore().set('quota:2026-03-07', 2);
+    await fileCache.clear();
+    expect(fileCache.size()).toBe(0);
+    expect(createFileCache({ file }).counterStore().get('quota:2026-03-07')).toBe(2); //read back from <file>.counters
+    expect(createMemoryCache().counterStore).toBeUndefined(); //memory counters live in the tracker
+  });
+
+  test('redis adapter supports ioredis call and callback clients', async () => { //client detection
+    const ioredis = { call: jest.fn(async () => null) };
+    await createRedisCache({ client: ioredis }).get('x');
+    expect(ioredis.call).toHaveBeenCalledWith('GET', 'qserp:x');
+    const legacy = { send_command: jest.fn((cmd, args, cb) => cb(null, '"v"')) };
+    expect(await createRedisCache({ client: legacy }).get('y')).toBe('v');
+    expect(() => createRedisCache({ client: {} })).toThrow('Redis client must provide call, sendCommand or send_command');
+  });
+
+  test('createCache selects backends and validates settings', () => { //backend factory
+    expect(createCache({ backend: 'MEMORY', max: 5 }).size()).toBe(0);
+    expect(createCache({ backend: 'file', max: 0 }).get('x')).toBeUndefined(); //size 0 short-circuits to noop
+    expect(() => createCache({ backend: 'file' })).toThrow('File cache requires a file path');
+    expect(() => createCache({ backend: 'redis' })).toThrow('Redis cache requires redisClient or redisUrl');
+    expect(() => createCache({ backend: 'disk' })).toThrow('Unknown cache backend disk');
+    expect(() => validateCacheAdapter({ get() {}, set() {} })).toThrow('Cache adapter is missing delete, clear, purgeStale, size');
+    expect(validateCacheAdapter(createNoopCache()).purgeStale()).toBe(false);
+  });
+
+  test('client uses a custom async adapter', async () => { //pluggable interface
+    const store = new Map();
+    const adapter = { //promise based adapter like a remote store
+      get: jest.fn(async key => store.get(key)),
+      set: jest.fn(async (key, value) => { store.set(key, value); }),
+      delete: async key => store.delete(key),
+      clear: jest.fn(async () => store.clear()),
+      purgeStale: async () => false,
+      size: async () => store.size
+    };
+    const client = qserp.createClient({ cache: adapter });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/Async/).reply(200, { items: [{ link: 'a' }] });
+    await client.fetchSearchItems('Async');
+    expect(adapter.set).toHaveBeenCalledWith('async:10', [{ link: 'a' }], 300000); //ttl passed through
+    clientMock.onGet(/Async/).reply(200, { items: [{ link: 'b' }] });
+    expect(await client.fetchSearchItems('Async')).toEqual([{ link: 'a' }]); //served from adapter
+    expect(await client.clearCache()).toBe(true); //async clear resolves true
+    expect(adapter.clear).toHaveBeenCalled();
+  });
+
+  test('adapter failures degrade to uncached searches', async () => { //outage tolerance
+    const failing = { get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); }, delete() {}, clear() {}, purgeStale: () => false, size: () => 0 };
+    const warnSpy = mockConsole('warn');
+    const client = qserp.createClient({ cache: failing });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/Outage/).reply(200, { items: [{ link: 'ok' }] });
+    expect(await client.fetchSearchItems('Outage')).toEqual([{ link: 'ok' }]); //search still succeeds
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Cache read failed: down'));
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Cache write failed: down'));
+    warnSpy.mockRestore();
+  });
+
+  test('client selects file backend from env and falls back to memory', async () => { //env selection
+    const file = path.join(dir, 'env.json');
+    process.env.QSERP_CACHE_BACKEND = 'file';
+    process.env.QSERP_CACHE_FILE = file;
+    const client = qserp.createClient();
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/Persist/).reply(200, { items: [{ link: 'p' }] });
+    await client.fetchSearchItems('Persist');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).entries['persist:10'].value).toEqual([{ link: 'p' }]); //written to disk
+    delete process.env.QSERP_CACHE_FILE;
+    const warnSpy = mockConsole('warn');
+    const fallback = qserp.createClient(); //file backend without a path
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Cache backend file unavailable, using memory'));
+    expect(fallback.performCacheCleanup()).toBe(false); //memory adapter in place
+    warnSpy.mockRestore();
+  });
+
+  test('invalid custom adapter throws from createClient', () => { //fail fast
+    expect(() => qserp.createClient({ cache: { get() {} } })).toThrow('Cache adapter is missing');
+  });
+});
@@ -0,0 +1,171 @@
+// Summary: cacheSnapshot.test.js validates cache export, import and snapshot file warm starts
+const fs = require('fs'); //inspect snapshot files
+const os = require('os'); //temp directory for snapshots
+const path = require('path'); //build snapshot paths
+const { initSearchTest, resetMocks, createAxiosMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //capture warnings
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //client factory under test
+const { writeSnapshotFile, writeSnapshotFileSync } = require('../lib/cacheSnapshot'); //writers under test
+
+describe('cache snapshots', () => { //group persistence tests
+  let dir; //temp directory per test
+
+  beforeEach(() => { //reset mocks and temp directory
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    qserp.clearCache();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qserp-snapshot-'));
+  });
+
+  afterEach(() => { //remove snapshot files
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('exportCache serializes entries with remaining ttl', async () => { //snapshot shape
+    mock.onGet(/customsearch/).reply(200, { items: [{ link: 'a' }] });
+    await qserp.fetchSearchItems('First');
+    await qserp.fetchSearchItems('Second');
+    const snapshot = qserp.exportCache();
+    expect(snapshot.version).toBe(1);
+    expect(typeof snapshot.savedAt).toBe('number');
+    expect(snapshot.entries.map(entry => entry.key)).toEqual(['second:10', 'first:10']); //most recent first
+    expect(snapshot.entries[0].value).toEqual([{ link: 'a' }]);
+    expect(snapshot.entries[0].remainingTtl).toBeGreaterThan(0);
+    expect(snapshot.entries[0].remainingTtl).toBeLessThanOrEqual(300000);
+  });
+
+  test('importCache subtracts elapsed time and skips expired entries', async () => { //ttl carried across processes
+    const client = qserp.createClient();
+    const snapshot = {
+      version: 1,
+      savedAt: Date.now() - 5000, //saved five seconds ago
+      entries: [
+        { key: 'newer:10', value: [{ link: 'n' }], remainingTtl: 60000 },
+        { key: 'gone:10', value: [{ link: 'g' }], remainingTtl: 4000 }, //expired in between
+        { key: 'older:10', value: [{ link: 'o' }], remainingTtl: 60000 },
+        { value: 'no key' } //malformed
+      ]
+    };
+    expect(client.importCache(JSON.stringify(snapshot))).toBe(2); //JSON text accepted
+    const listed = await client.inspectCache();
+    expect(listed.map(entry => entry.key)).toEqual(['newer:10', 'older:10']); //LRU order preserved
+    expect(listed[0].remainingTtl).toBeLessThanOrEqual(55000);
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(200, { items: [] });
+    expect(await client.fetchSearchItems('Newer')).toEqual([{ link: 'n' }]); //served from imported entry
+    expect(scheduleMock).not.toHaveBeenCalled();
+  });
+
+  test('importCache validates the snapshot and ignores disabled caches', () => { //input checks
+    expect(() => qserp.importCache({})).toThrow('Cache snapshot must contain an entries array');
+    const disabled = qserp.createClient({ cacheSize: 0 });
+    expect(disabled.exportCache().entries).toEqual([]);
+    expect(disabled.importCache({ version: 1, savedAt: Date.now(), entries: [{ key: 'k', value: 1, remainingTtl: 1000 }] })).toBe(0);
+    const custom = qserp.createClient({ cache: { get() {}, set() {}, delete() {}, clear() {}, purgeStale: () => false, size: () => 0 } });
+    expect(() => custom.exportCache()).toThrow('Cache adapter cannot list entries for export');
+  });
+
+  test('snapshot path warms the cache on start and flushes on demand', async () => { //deploy survival
+    const file = path.join(dir, 'snap.json');
+    const first = qserp.createClient({ snapshotPath: file, snapshotInterval: 0 });
+    const firstMock = createAxiosMock(first.axiosInstance);
+    firstMock.onGet(/customsearch/).reply(200, { items: [{ link: 'warm' }] });
+    await first.fetchSearchItems('Popular');
+    expect(await first.flushCacheSnapshot()).toBe(true);
+    expect(first.stopCacheSnapshots()).toBe(true);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).entries[0].key).toBe('popular:10');
+    scheduleMock.mockClear();
+    const second = qserp.createClient({ snapshotPath: file, snapshotInterval: 0 }); //simulated restart
+    expect(await second.fetchSearchItems('popular')).toEqual([{ link: 'warm' }]);
+    expect(scheduleMock).not.toHaveBeenCalled(); //no quota spent after restart
+    second.stopCacheSnapshots();
+  });
+
+  test('periodic flush writes snapshots on the interval', async () => { //timer driven persistence
+    jest.useFakeTimers();
+    const writeSpy = jest.spyOn(fs.promises, 'writeFile'); //counts snapshot writes
+    const file = path.join(dir, 'timer.json');
+    const client = qserp.createClient({ snapshotPath: file, snapshotInterval: 1000 });
+    client.importCache({ version: 1, savedAt: Date.now(), entries: [{ key: 'tick:10', value: [], remainingTtl: 60000 }] });
+    jest.advanceTimersByTime(1000); //fires one flush
+    jest.useRealTimers();
+    await client.flushCacheSnapshot(); //waits behind the timer's write
+    expect(writeSpy).toHaveBeenCalledTimes(2); //timer write plus the explicit one
+    writeSpy.mockRestore();
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).entries.map(entry => entry.key)).toEqual(['tick:10']);
+    expect(client.stopCacheSnapshots()).toBe(true);
+    expect(client.stopCacheSnapshots()).toBe(false); //already stopped
+  });
+
+  test('unreadable snapshot starts with a cold cache', () => { //graceful load
+    const file = path.join(dir, 'bad.json');
+    fs.writeFileSync(file, '{broken');
+    const warnSpy = mockConsole('warn');
+    const client = qserp.createClient({ snapshotPath: file, snapshotInterval: 0 });
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Cache snapshot ignoring unreadable'));
+    expect(client.exportCache().entries).toEqual([]);
+    client.stopCacheSnapshots();
+    warnSpy.mockRestore();
+  });
+
+  test('importCache refuses snapshots of another version', () => { //format check
+    const entries = [{ key: 'k:10', value: [], remainingTtl: 60000 }];
+    expect(() => qserp.importCache({ version: 2, savedAt: Date.now(), entries })).toThrow('Unsupported cache snapshot version 2, expected 1');
+    expect(() => qserp.importCache({ savedAt: Date.now(), entries })).toThrow('Unsupported cache snapshot version undefined, expected 1');
+    const file = path.join(dir, 'future.json');
+    fs.writeFileSync(file, JSON.stringify({ version: 2, savedAt: Date.now(), entries }));
+    const warnSpy = mockConsole('warn');
+    const client = qserp.createClient({ snapshotPath: file, snapshotInterval: 0 });
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Unsupported cache snapshot version 2')); //starts cold
+    expect(client.exportCache().entries).toEqual([]);
+    client.stopCacheSnapshots();
+    warnSpy.mockRestore();
+  });
+
+  test('the exit writer never shares a temp file with a periodic write', async () => { //separate temp names
+    const file = path.join(dir, 'race.json');
+    const asyncSpy = jest.spyOn(fs.promises, 'writeFile');
+    const syncSpy = jest.spyOn(fs, 'writeFileSync');
+    const periodic = writeSnapshotFile(file, { version: 1, savedAt: 1, entries: [] }); //still in flight
+    expect(writeSnapshotFileSync(file, { version: 1, savedAt: 2, entries: [] })).toBe(true);
+    expect(await periodic).toBe(true);
+    expect(asyncSpy.mock.calls[0][0]).not.toBe(syncSpy.mock.calls[0][0]);
+    asyncSpy.mockRestore();
+    syncSpy.mockRestore();
+    expect(fs.readdirSync(dir)).toEqual(['race.json']); //both temp files renamed away
+  });
+
+  test('SIGTERM writes the final snapshot and still terminates', () => { //signals skip the exit event
+    const file = path.join(dir, 'signal.json');
+    const client = qserp.createClient({ snapshotPath: file, snapshotInterval: 0 });
+    client.importCache({ version: 1, savedAt: Date.now(), entries: [{ key: 'kept:10', value: [], remainingTtl: 60000 }] });
+    const handler = process.listeners('SIGTERM').find(listener => listener.name === 'handleExitSignal');
+    const others = process.listeners('SIGTERM').filter(listener => listener !== handler);
+    const killSpy = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    try {
+      const appHandler = () => {};
+      process.on('SIGTERM', appHandler);
+      handler('SIGTERM'); //the application's own handler decides when to exit
+      expect(killSpy).not.toHaveBeenCalled();
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).entries.map(entry => entry.key)).toEqual(['kept:10']);
+      process.removeListener('SIGTERM', appHandler);
+      others.forEach(listener => process.removeListener('SIGTERM', listener));
+      fs.rmSync(file);
+      handler('SIGTERM'); //alone, the default termination is restored and re-raised
+      expect(fs.existsSync(file)).toBe(true);
+      expect(killSpy).toHaveBeenCalledWith(process.pid, 'SIGTERM');
+      expect(process.listeners('SIGTERM')).not.toContain(handler);
+    } finally {
+      killSpy.mockRestore();
+      others.forEach(listener => process.on('SIGTERM', listener));
+      if (!process.listeners('SIGTERM').includes(handler)) { process.on('SIGTERM', handler); } //keep the shared hook for later clients
+      client.stopCacheSnapshots();
+    }
+  });
+
+  test('flushCacheSnapshot resolves false without a snapshot path', async () => { //not configured
+    expect(await qserp.flushCacheSnapshot()).toBe(false);
+    expect(qserp.stopCacheSnapshots()).toBe(false);
+  });
+});
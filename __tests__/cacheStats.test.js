@@ -0,0 +1,104 @@
+// Summary: cacheStats.test.js validates cache statistics, inspection and single entry invalidation
+const fs = require('fs'); //temp snapshot cleanup
+const os = require('os'); //temp directory for snapshots
+const path = require('path'); //build snapshot paths
+const { initSearchTest, resetMocks, createAxiosMock } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //client factory under test
+const { createMemoryCache, createFileCache } = require('../lib/cacheAdapters'); //adapter extensions under test
+
+describe('cache statistics', () => { //group stats and introspection tests
+  beforeEach(() => { //reset mocks and default cache
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    qserp.clearCache();
+  });
+
+  test('getCacheStats counts hits, misses and adapter figures', async () => { //core counters
+    const client = qserp.createClient({ cacheSize: 5, cacheTtl: 60000 });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(200, { items: [{ link: 'a' }] });
+    expect(await client.getCacheStats()).toEqual({ hits: 0, staleHits: 0, misses: 0, hitRatio: 0, evictions: 0, size: 0, maxSize: 5, ttl: 60000, staleTtl: 0, memoryBytes: 0 });
+    await client.fetchSearchItems('One'); //miss
+    await client.googleSearch('one'); //hit on the shared items key
+    await client.fetchSearchItems('One', { cache: false }); //bypass is not a lookup
+    const stats = await client.getCacheStats();
+    expect(stats).toMatchObject({ hits: 1, misses: 1, hitRatio: 0.5, size: 1 });
+    expect(stats.memoryBytes).toBe(('one:10'.length + '[{"link":"a"}]'.length) * 2); //serialized estimate
+  });
+
+  test('memory adapter counts capacity evictions only', () => { //dispose reasons
+    const cache = createMemoryCache({ max: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3); //evicts a
+    cache.delete('b'); //explicit delete is not an eviction
+    cache.set('c', 4); //overwrite is not an eviction
+    expect(cache.stats()).toMatchObject({ evictions: 1, maxSize: 2 });
+  });
+
+  test('inspectCache lists namespaced keys with remaining ttl', async () => { //introspection
+    const client = qserp.createClient({ cacheTtl: 60000 });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(200, { items: [] });
+    await client.fetchSearchItems('Web', { dateRestrict: 'd1' });
+    await client.imageSearch('Pic', { imgSize: 'icon' });
+    const listed = await client.inspectCache();
+    expect(listed.map(entry => entry.key)).toEqual(['image:pic:10:imgSize=icon', 'web:10:dateRestrict=d1']); //most recent first
+    expect(listed[0].remainingTtl).toBeGreaterThan(59000);
+    expect(listed[0].remainingTtl).toBeLessThanOrEqual(60000);
+    expect(listed[0].stale).toBe(false);
+  });
+
+  test('inspectCache reports the fresh deadline in stale mode', async () => { //wrapped entries
+    let now = 1000000;
+    const nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const store = new Map(); //custom adapter keeps entries past ttl
+    const adapter = {
+      get: key => store.get(key), set: (key, value) => { store.set(key, value); }, delete: key => store.delete(key),
+      clear: () => store.clear(), purgeStale: () => false, size: () => store.size,
+      entries: () => [...store].map(([key, value]) => ({ key, value, remainingTtl: 1 })) //adapter ttl ignored for wrapped entries
+    };
+    const client = qserp.createClient({ cache: adapter, cacheTtl: 10000, staleTtl: 5000 });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(200, { items: [] });
+    await client.fetchSearchItems('Old');
+    now += 4000;
+    expect(await client.inspectCache()).toEqual([{ key: 'old:10', remainingTtl: 6000, stale: false }]);
+    now += 8000; //inside grace window
+    expect(await client.inspectCache()).toEqual([{ key: 'old:10', remainingTtl: 0, stale: true }]);
+    now += 5000; //grace window over
+    expect(await client.inspectCache()).toEqual([]);
+    expect(await client.getCacheStats()).toMatchObject({ evictions: null, maxSize: null, memoryBytes: null, staleTtl: 5000 }); //no stats() extension
+    nowSpy.mockRestore();
+  });
+
+  test('deleteCacheEntry invalidates one query across namespaces', async () => { //targeted invalidation
+    mock.onGet(/customsearch/).reply(200, { items: [{ title: 't', snippet: 's', link: 'http://x' }] });
+    await qserp.googleSearch(' Topic ', { num: 5, safe: 'active' });
+    await qserp.searchDetailed('topic', { num: 5, safe: 'active' });
+    await qserp.googleSearch('Other');
+    expect(await qserp.deleteCacheEntry('TOPIC', { num: 5, safe: 'active' })).toBe(true); //normalized like createCacheKey
+    expect((await qserp.inspectCache()).map(entry => entry.key)).toEqual(['other:10']);
+    expect(await qserp.deleteCacheEntry('topic', { num: 5, safe: 'active' })).toBe(false); //already gone
+    scheduleMock.mockClear();
+    await qserp.googleSearch('Topic', { num: 5, safe: 'active' }); //refetched
+    expect(scheduleMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('deleteCacheEntry validates input before touching the cache', async () => { //fail fast
+    await expect(qserp.deleteCacheEntry('')).rejects.toThrow('Query must be a non-empty string');
+    await expect(qserp.deleteCacheEntry('x', { safe: 'maybe' })).rejects.toThrow('Invalid search option safe');
+  });
+
+  test('file adapter exposes stats and entries', async () => { //second bundled backend
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qserp-stats-'));
+    const cache = createFileCache({ file: path.join(dir, 'c.json'), max: 1, ttl: 60000 });
+    cache.set('a', 1);
+    cache.set('b', 2); //evicts a
+    await cache.flush();
+    expect(cache.stats()).toEqual({ evictions: 1, memoryBytes: 4, maxSize: 1 });
+    expect(cache.entries()).toEqual([{ key: 'b', value: 2, remainingTtl: expect.any(Number) }]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,101 @@
+// Summary: cacheTtl.test.js validates env and per-call cache lifespans plus bypass and refresh modes
+const { initSearchTest, resetMocks, createAxiosMock, saveEnv, restoreEnv, setTestEnv } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const fs = require('fs'); //temp dir for the file adapter
+const os = require('os'); //temp dir location
+const path = require('path'); //snapshot file path
+const qserp = require('../lib/qserp'); //module under test
+const { createMemoryCache, createFileCache } = require('../lib/cacheAdapters'); //adapters whose expiry is checked
+const { googleSearch, fetchSearchItems, searchDetailed, clearCache, normalizeCachePolicy } = qserp; //functions under test
+
+describe('cache ttl and per-call cache modes', () => { //group cache option tests
+  beforeEach(() => { //reset mocks and cache
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    clearCache();
+  });
+
+  test('normalizeCachePolicy resolves modes and clamps ttl', () => { //policy helper
+    expect(normalizeCachePolicy({}, 300000)).toEqual({ read: true, write: true, ttl: 300000 }); //default caching
+    expect(normalizeCachePolicy({ cache: false }, 300000)).toEqual({ read: false, write: false, ttl: 300000 }); //full bypass
+    expect(normalizeCachePolicy({ cache: 'refresh', cacheTtl: 60000 }, 300000)).toEqual({ read: false, write: true, ttl: 60000 }); //refresh with ttl
+    expect(normalizeCachePolicy({ cacheTtl: 5 }, 300000).ttl).toBe(1000); //floor of one second
+    expect(normalizeCachePolicy({ cacheTtl: '1x' }, 300000).ttl).toBe(300000); //junk falls back to client ttl
+    expect(() => normalizeCachePolicy({ cache: 'sometimes' })).toThrow("cache option must be true, false or 'refresh'");
+  });
+
+  test('cache false skips both read and write', async () => { //bypass
+    mock.onGet(/Bypass/).reply(200, { items: [{ link: 'a' }] });
+    await fetchSearchItems('Bypass'); //populate cache
+    mock.onGet(/Bypass/).reply(200, { items: [{ link: 'b' }] });
+    expect(await fetchSearchItems('Bypass', { cache: false })).toEqual([{ link: 'b' }]); //fresh data
+    expect(await fetchSearchItems('Bypass')).toEqual([{ link: 'a' }]); //cached entry untouched
+    expect(scheduleMock).toHaveBeenCalledTimes(2);
+  });
+
+  test('cache refresh fetches and replaces the entry', async () => { //force refresh
+    mock.onGet(/Refresh/).reply(200, { items: [{ title: 't', snippet: 's', link: 'old' }] });
+    await googleSearch('Refresh'); //populate cache
+    mock.onGet(/Refresh/).reply(200, { items: [{ title: 't', snippet: 's', link: 'new' }] });
+    expect((await googleSearch('Refresh', { cache: 'refresh' }))[0].link).toBe('new'); //network used
+    scheduleMock.mockClear();
+    expect((await googleSearch('Refresh'))[0].link).toBe('new'); //refreshed entry served
+    expect(scheduleMock).not.toHaveBeenCalled();
+  });
+
+  test('per-call cacheTtl is passed to the adapter', async () => { //ttl override
+    const store = new Map(); //records ttl per key
+    const adapter = { get: key => (store.get(key) || {}).value, set: (key, value, ttl) => { store.set(key, { value, ttl }); }, delete: key => store.delete(key), clear: () => store.clear(), purgeStale: () => false, size: () => store.size };
+    const client = qserp.createClient({ cache: adapter, cacheTtl: 120000 });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(200, { items: [] });
+    await client.googleSearch('news', { cacheTtl: 60000 }); //short lived
+    await client.searchDetailed('reference', { cacheTtl: 86400000 }); //long lived
+    await client.fetchSearchItems('plain'); //client default
+    expect(store.get('news:10').ttl).toBe(60000);
+    expect(store.get('detailed:reference:10').ttl).toBe(86400000);
+    expect(store.get('plain:10').ttl).toBe(120000);
+  });
+
+  test('invalid cache option rejects before any request', async () => { //fail fast
+    await expect(googleSearch('Bad', { cache: 'no' })).rejects.toThrow("cache option must be true, false or 'refresh'");
+    await expect(searchDetailed('Bad', { cache: 0 })).rejects.toThrow();
+    expect(scheduleMock).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['memory', () => createMemoryCache({ ttl: 60000 })],
+    ['file', dir => createFileCache({ file: path.join(dir, 'cache.json'), ttl: 60000 })]
+  ])('a %s entry read again and again still expires on time', async (name, create) => { //absolute lifespan
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qserp-ttl-'));
+    const cache = create(dir);
+    await cache.set('news:10', ['headline'], 300); //short per-call ttl
+    for (let i = 0; i < 4; i++) { //popular entry, read well inside its lifespan each time
+      expect(cache.get('news:10')).toEqual(['headline']);
+      await new Promise(resolve => setTimeout(resolve, 60));
+    }
+    await new Promise(resolve => setTimeout(resolve, 150)); //past the deadline set when stored
+    expect(cache.get('news:10')).toBeUndefined();
+    if (cache.flush) { await cache.flush(); }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('QSERP_CACHE_TTL_MS sets the default lifespan', () => { //env parsing
+    const savedEnv = saveEnv();
+    jest.isolateModules(() => { //fresh module reads env at load
+      setTestEnv();
+      process.env.QSERP_CACHE_TTL_MS = '60000';
+      const LRUCacheMock = jest.fn().mockImplementation(() => ({ get: jest.fn(), set: jest.fn(), clear: jest.fn(), purgeStale: jest.fn(() => false), size: 0 }));
+      jest.doMock('lru-cache', () => ({ LRUCache: LRUCacheMock }));
+      require('../lib/qserp');
+      expect(LRUCacheMock).toHaveBeenCalledWith(expect.objectContaining({ ttl: 60000 })); //env ttl applied
+      LRUCacheMock.mockClear();
+      process.env.QSERP_CACHE_TTL_MS = '10abc'; //invalid values use the default
+      jest.resetModules();
+      require('../lib/qserp');
+      expect(LRUCacheMock).toHaveBeenCalledWith(expect.objectContaining({ ttl: 300000 }));
+      jest.dontMock('lru-cache');
+    });
+    restoreEnv(savedEnv);
+  });
+});
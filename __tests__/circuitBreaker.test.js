@@ -0,0 +1,127 @@
+// Summary: circuitBreaker.test.js validates breaker state changes and short-circuited searches
+const { initSearchTest, resetMocks, createAxiosMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //capture state change warnings
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //client factory under test
+const { createCircuitBreaker } = require('../lib/circuitBreaker'); //breaker under test
+const { CircuitOpenError } = require('../lib/errors'); //typed short-circuit error
+
+describe('circuit breaker', () => { //group breaker tests
+  let now; //controlled clock
+  let nowSpy; //Date.now spy
+  let warnSpy; //captures state change warnings
+
+  beforeEach(() => { //reset mocks and clock
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    now = 1000000;
+    nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    warnSpy = mockConsole('warn');
+  });
+
+  afterEach(() => { //restore clock and console
+    nowSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  test('opens at the threshold and rejects until the cool-down ends', () => { //closed to open
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldown: 5000 });
+    breaker.acquire();
+    breaker.failure('status 503');
+    expect(breaker.status().state).toBe('closed');
+    breaker.acquire();
+    breaker.failure('status 503');
+    expect(breaker.status()).toMatchObject({ state: 'open', failures: 2, lastError: 'status 503', retryAt: new Date(now + 5000) });
+    const err = (() => { try { breaker.acquire(); } catch (e) { return e; } })();
+    expect(err).toBeInstanceOf(CircuitOpenError);
+    expect(err).toMatchObject({ name: 'CircuitOpenError', state: 'open', failures: 2, lastError: 'status 503' });
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Search circuit opened after 2 consecutive failure(s)'));
+  });
+
+  test('half-open admits one probe and closes or reopens on its outcome', () => { //probe handling
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldown: 5000 });
+    breaker.failure('ECONNRESET');
+    now += 5000;
+    expect(breaker.status().state).toBe('half-open');
+    breaker.acquire(); //probe admitted
+    expect(() => breaker.acquire()).toThrow(CircuitOpenError); //others wait for the probe
+    breaker.failure('ECONNRESET');
+    expect(breaker.status()).toMatchObject({ state: 'open', retryAt: new Date(now + 5000) }); //new cool-down
+    now += 5000;
+    breaker.acquire();
+    breaker.success();
+    expect(breaker.status()).toMatchObject({ state: 'closed', failures: 0, retryAt: null });
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Search circuit closed'));
+  });
+
+  test('release frees the probe without a verdict and threshold 0 disables', () => { //neutral outcomes
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldown: 1000 });
+    breaker.failure('status 500');
+    now += 1000;
+    breaker.acquire();
+    breaker.release(); //request never sent
+    expect(() => breaker.acquire()).not.toThrow(); //next caller becomes the probe
+    const disabled = createCircuitBreaker({ failureThreshold: 0 });
+    for (let i = 0; i < 10; i++) { disabled.failure('status 500'); }
+    expect(() => disabled.acquire()).not.toThrow();
+    expect(disabled.status().state).toBe('closed');
+  });
+
+  test('open circuit skips the network and throws without cached data', async () => { //client integration
+    const client = qserp.createClient({ circuitBreaker: { failureThreshold: 2, cooldown: 60000 }, retry: false });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/Down/).reply(503);
+    clientMock.onGet(/Typo/).reply(400);
+    expect(await client.fetchSearchItems('Down1')).toEqual([]);
+    expect(await client.fetchSearchItems('Typo')).toEqual([]); //answered 400 resets the count
+    expect(await client.fetchSearchItems('Down2')).toEqual([]);
+    expect(client.getCircuitStatus().state).toBe('closed');
+    expect(await client.fetchSearchItems('Down3')).toEqual([]);
+    expect(client.getCircuitStatus()).toMatchObject({ state: 'open', failures: 2, lastError: 'status 503' });
+    await expect(client.googleSearch('Down4')).rejects.toBeInstanceOf(CircuitOpenError);
+    await expect(client.searchDetailed('Down4')).rejects.toThrow('Search circuit is open');
+    expect(clientMock.history.get).toHaveLength(4); //no request while open
+    expect(qerrorsMock).toHaveBeenCalledTimes(4); //short-circuits are not reported as failures
+  });
+
+  test('open circuit serves stale entries and counts revoked keys', async () => { //stale fallback
+    const store = new Map();
+    const adapter = { get: key => store.get(key), set: (key, value) => { store.set(key, value); }, delete: key => store.delete(key), clear: () => store.clear(), purgeStale: () => false, size: () => store.size };
+    const client = qserp.createClient({ cache: adapter, cacheTtl: 60000, staleTtl: 300000, staleWhileRevalidate: false, circuitBreaker: { failureThreshold: 1, cooldown: 120000 }, retry: false });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/Cached/).replyOnce(200, { items: [{ link: 'kept' }] });
+    await client.fetchSearchItems('Cached');
+    clientMock.onGet(/Revoked/).reply(400, { error: { errors: [{ reason: 'keyInvalid' }] } });
+    await client.fetchSearchItems('Revoked');
+    expect(client.getCircuitStatus().state).toBe('open'); //invalid key counts as an endpoint failure
+    now += 61000; //entry expired, inside the stale window
+    const res = await client.fetchSearchItems('Cached');
+    expect(res).toEqual([{ link: 'kept' }]);
+    expect(res.stale).toBe(true);
+    expect(clientMock.history.get).toHaveLength(2); //still inside the cool-down, no request sent
+  });
+
+  test('spent quotas and rejected pooled keys never open the circuit', async () => { //not outages
+    const spent = [403, { error: { errors: [{ reason: 'dailyLimitExceeded' }] } }];
+    const client = qserp.createClient({ circuitBreaker: { failureThreshold: 1, cooldown: 60000 }, retry: false });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/Spent/).reply(() => spent);
+    expect(await client.fetchSearchItems('Spent1')).toEqual([]);
+    expect(await client.fetchSearchItems('Spent2')).toEqual([]);
+    expect(client.getCircuitStatus()).toMatchObject({ state: 'closed', failures: 0 });
+    expect(clientMock.history.get).toHaveLength(2); //both sent, no CircuitOpenError
+
+    const pooled = qserp.createClient({ apiKeys: ['revokedKey', 'spentKey'], circuitBreaker: { failureThreshold: 1, cooldown: 60000 }, retry: false });
+    const pooledMock = createAxiosMock(pooled.axiosInstance);
+    pooledMock.onGet(/revokedKey/).reply(400, { error: { errors: [{ reason: 'keyInvalid' }] } });
+    pooledMock.onGet(/spentKey/).reply(() => spent);
+    expect(await pooled.fetchSearchItems('Pooled')).toEqual([]);
+    expect(pooled.getKeyPoolStatus().active).toBe(0);
+    expect(pooled.getCircuitStatus().state).toBe('closed'); //the pool reports KeyPoolExhaustedError instead
+  });
+
+  test('module exports the error and breaker status', () => { //public surface
+    expect(qserp.CircuitOpenError).toBe(CircuitOpenError);
+    expect(qserp.getCircuitStatus()).toMatchObject({ state: 'closed', failureThreshold: 5, cooldown: 30000 });
+  });
+});
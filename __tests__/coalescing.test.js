@@ -0,0 +1,44 @@
+// Summary: coalescing.test.js validates single-flight deduplication of identical concurrent searches
+const { initSearchTest, resetMocks } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const { googleSearch, fetchSearchItems, searchDetailed, clearCache, getCoalescingStats } = require('../lib/qserp'); //functions under test
+
+describe('request coalescing', () => { //group single-flight tests
+  beforeEach(() => { //reset mocks and cache
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    clearCache();
+  });
+
+  test('concurrent identical searches share one request', async () => { //dedupe
+    mock.onGet(/streams/).reply(200, { items: [{ title: 't', snippet: 's', link: 'http://s' }] });
+    const before = getCoalescingStats().coalesced;
+    const results = await Promise.all(Array.from({ length: 10 }, () => googleSearch('node streams')));
+    expect(scheduleMock).toHaveBeenCalledTimes(1); //one quota unit
+    expect(mock.history.get.length).toBe(1);
+    results.forEach(res => expect(res[0].link).toBe('http://s')); //every caller gets the data
+    expect(getCoalescingStats().coalesced - before).toBe(9); //nine joined the first
+    expect(getCoalescingStats().inFlight).toBe(0); //flight cleared after settling
+  });
+
+  test('normalized variants coalesce but different keys do not', async () => { //keyed on createCacheKey
+    mock.onGet(/customsearch/).reply(200, { items: [] });
+    await Promise.all([fetchSearchItems('Same'), fetchSearchItems('  same '), fetchSearchItems('Same', 5), searchDetailed('Same')]);
+    expect(scheduleMock).toHaveBeenCalledTimes(3); //num 5 and detailed envelope use their own keys
+  });
+
+  test('failures are reported once and shared', async () => { //error path
+    mock.onGet(/Down/).reply(500);
+    const results = await Promise.all([fetchSearchItems('Down'), fetchSearchItems('Down'), fetchSearchItems('Down')]);
+    expect(results).toEqual([[], [], []]); //all degrade gracefully
+    expect(scheduleMock).toHaveBeenCalledTimes(3); //one request with its retries, shared by all callers
+    expect(qerrorsMock).toHaveBeenCalledTimes(1); //leader reports, joiners do not
+  });
+
+  test('later calls start a new request once the flight settles', async () => { //no stale promise reuse
+    mock.onGet(/Again/).reply(200, { items: [] });
+    await fetchSearchItems('Again', { cache: false });
+    await fetchSearchItems('Again', { cache: false });
+    expect(scheduleMock).toHaveBeenCalledTimes(2);
+  });
+});
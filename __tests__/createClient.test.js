@@ -0,0 +1,90 @@
+// Summary: createClient.test.js validates isolated client instances and default export delegation
+const { initSearchTest, resetMocks, createAxiosMock } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //default client mocks
+const qserp = require('../lib/qserp'); //module under test
+const Bottleneck = require('bottleneck'); //mocked constructor for option assertions
+
+describe('createClient', () => { //group factory tests
+  beforeEach(() => { //reset shared mocks
+    resetMocks(mock, scheduleMock, qerrorsMock); //clear call histories
+    qserp.clearCache(); //reset default client cache
+  });
+
+  test('clients use their own key and cx', async () => { //credentials isolated per client
+    const docs = qserp.createClient({ apiKey: 'docsKey', cx: 'docsCx' }); //first engine
+    const web = qserp.createClient({ apiKey: 'webKey', cx: 'webCx' }); //second engine
+    const docsMock = createAxiosMock(docs.axiosInstance); //adapter for first client
+    const webMock = createAxiosMock(web.axiosInstance); //adapter for second client
+    docsMock.onGet(/customsearch/).reply(200, { items: [{ title: 'd', snippet: 's', link: 'http://d' }] }); //docs reply
+    webMock.onGet(/customsearch/).reply(200, { items: [{ title: 'w', snippet: 's', link: 'http://w' }] }); //web reply
+    const docsRes = await docs.googleSearch('term'); //search docs engine
+    const webRes = await web.googleSearch('term'); //search web engine
+    expect(docsRes[0].link).toBe('http://d'); //each client sees its own response
+    expect(webRes[0].link).toBe('http://w');
+    expect(docsMock.history.get[0].url).toBe('https://customsearch.googleapis.com/customsearch/v1?q=term&key=docsKey&cx=docsCx&fields=items(title,snippet,link)'); //docs credentials used
+    expect(webMock.history.get[0].url).toBe('https://customsearch.googleapis.com/customsearch/v1?q=term&key=webKey&cx=webCx&fields=items(title,snippet,link)'); //web credentials used
+    expect(mock.history.get.length).toBe(0); //default client untouched
+  });
+
+  test('caches are isolated between clients', async () => { //no shared cache state
+    const first = qserp.createClient({ apiKey: 'a', cx: 'a' }); //client one
+    const second = qserp.createClient({ apiKey: 'b', cx: 'b' }); //client two
+    const firstMock = createAxiosMock(first.axiosInstance);
+    const secondMock = createAxiosMock(second.axiosInstance);
+    firstMock.onGet(/Shared/).reply(200, { items: [{ link: '1' }] });
+    secondMock.onGet(/Shared/).reply(200, { items: [{ link: '2' }] });
+    expect(await first.fetchSearchItems('Shared')).toEqual([{ link: '1' }]); //populate first cache
+    expect(await second.fetchSearchItems('Shared')).toEqual([{ link: '2' }]); //second client fetches its own data
+    first.clearCache(); //clear only the first client
+    firstMock.onGet(/Shared/).reply(200, { items: [{ link: '3' }] }); //new data for first client
+    secondMock.onGet(/Shared/).reply(200, { items: [{ link: '4' }] }); //would show if second cache were cleared
+    expect(await first.fetchSearchItems('Shared')).toEqual([{ link: '3' }]); //first refetched
+    expect(await second.fetchSearchItems('Shared')).toEqual([{ link: '2' }]); //second still cached
+  });
+
+  test('cacheSize 0 disables caching for that client only', async () => { //per-client cache size
+    const client = qserp.createClient({ cacheSize: 0 }); //cacheless client
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/NoCache/).reply(200, { items: [{ link: 'a' }] });
+    await client.fetchSearchItems('NoCache'); //first request
+    clientMock.onGet(/NoCache/).reply(200, { items: [{ link: 'b' }] });
+    expect(await client.fetchSearchItems('NoCache')).toEqual([{ link: 'b' }]); //second request not cached
+    expect(client.performCacheCleanup()).toBe(false); //noop cache purges nothing
+  });
+
+  test('timeout and referer options are applied to requests', async () => { //request config options
+    const client = qserp.createClient({ timeout: 2500, referer: 'http://client.example' }); //custom request settings
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/Opts/).reply(200, { items: [] });
+    await client.fetchSearchItems('Opts'); //trigger request
+    expect(clientMock.history.get[0].timeout).toBe(2500); //custom timeout used
+    expect(clientMock.history.get[0].headers.Referer).toBe('http://client.example'); //custom referer used
+  });
+
+  test('invalid numeric options fall back to defaults', async () => { //parseIntOption semantics
+    const client = qserp.createClient({ timeout: '10abc' }); //junk timeout
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/Junk/).reply(200, { items: [] });
+    await client.fetchSearchItems('Junk');
+    expect(clientMock.history.get[0].timeout).toBe(10000); //default timeout retained
+  });
+
+  test('rateLimit option is merged over limiter defaults', () => { //limiter configuration
+    Bottleneck.mockClear(); //ignore default client construction
+    qserp.createClient({ rateLimit: { reservoir: 500, maxConcurrent: 10 } }); //custom quota
+    expect(Bottleneck).toHaveBeenCalledWith({ reservoir: 500, reservoirRefreshAmount: 60, reservoirRefreshInterval: 60000, maxConcurrent: 10, minTime: 200 }); //defaults kept for omitted fields
+  });
+
+  test('sanitizeApiKey masks keys passed to createClient', () => { //client keys never logged
+    qserp.createClient({ apiKey: 'secretClientKey' }); //register explicit key
+    expect(qserp.sanitizeApiKey('url?key=secretClientKey')).toBe('url?key=[redacted]'); //key redacted
+  });
+
+  test('module exports delegate to a default env client', async () => { //backward compatibility
+    mock.onGet(/Default/).reply(200, { items: [{ title: 't', snippet: 's', link: 'l' }] }); //default adapter
+    const res = await qserp.googleSearch('Default'); //module-level search
+    expect(res).toEqual([{ title: 't', snippet: 's', link: 'l' }]);
+    expect(mock.history.get[0].url).toContain('key=key&cx=cx'); //env credentials used
+  });
+});
@@ -0,0 +1,93 @@
+// Summary: engines.test.js validates named engine profiles, their cache namespaces and per-engine stats
+const { initSearchTest, resetMocks, createClientWithMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //capture malformed env warnings
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //module under test
+const { InvalidQueryError } = require('../lib/errors'); //validation error
+
+describe('engine profiles', () => { //group engine tests
+  beforeEach(() => { //reset mocks
+    resetMocks(mock, scheduleMock, qerrorsMock);
+  });
+
+  const engines = { docs: 'cx-docs', web: 'cx-web' }; //profiles of every client below
+  const cxRoutes = [ //answers with the cx each request was sent
+    [/Broken/, [500]],
+    [/customsearch/, config => [200, { items: [{ link: new URL(config.url).searchParams.get('cx') }] }]]
+  ];
+
+  test('opts.engine sends the profile cx and no engine keeps the default', async () => { //cx routing
+    const { client } = createClientWithMock({ engines }, cxRoutes);
+    expect(await client.googleSearch('a', { engine: 'docs' })).toEqual([{ link: 'cx-docs', title: undefined, snippet: undefined }]);
+    expect(await client.fetchSearchItems('a', { engine: 'web' })).toEqual([{ link: 'cx-web' }]);
+    expect(await client.fetchSearchItems('a')).toEqual([{ link: 'cx' }]); //GOOGLE_CX
+    expect(await client.fetchSearchItems('b', { engine: 'default' })).toEqual([{ link: 'cx' }]);
+    const explicit = createClientWithMock({ engines, cx: 'cx-client' }, cxRoutes);
+    expect(await explicit.client.fetchSearchItems('a')).toEqual([{ link: 'cx-client' }]);
+  });
+
+  test('every search function and the batch helper honor the engine', async () => { //option plumbing
+    const { client, clientMock } = createClientWithMock({ engines }, cxRoutes);
+    await client.getTopSearchResults(['one', 'two'], { engine: 'docs' });
+    await client.searchDetailed('detail', { engine: 'web' });
+    await client.imageSearch('image', { engine: 'docs' });
+    await client.searchPages('pages', { engine: 'web' }).next();
+    expect(clientMock.history.get.map(config => new URL(config.url).searchParams.get('cx'))).toEqual(['cx-docs', 'cx-docs', 'cx-web', 'cx-docs', 'cx-web']);
+  });
+
+  test('each engine caches under its own namespace', async () => { //cache isolation
+    const { client, clientMock } = createClientWithMock({ engines }, cxRoutes);
+    await client.fetchSearchItems('Same');
+    await client.fetchSearchItems('same', { engine: 'docs' });
+    await client.searchDetailed('same', { engine: 'docs' });
+    expect(await client.fetchSearchItems('same', { engine: 'docs' })).toEqual([{ link: 'cx-docs' }]); //served from its own entry
+    expect(clientMock.history.get).toHaveLength(3);
+    expect((await client.inspectCache()).map(entry => entry.key).sort()).toEqual(['engine:docs:detailed:same:10', 'engine:docs:same:10', 'same:10']);
+    expect(await client.deleteCacheEntry('same', { engine: 'docs' })).toBe(true);
+    expect((await client.inspectCache()).map(entry => entry.key)).toEqual(['same:10']); //other engines untouched
+  });
+
+  test('getEngineStats counts lookups, requests and failures per engine', async () => { //per-engine stats
+    const { client } = createClientWithMock({ engines }, cxRoutes);
+    await client.fetchSearchItems('x', { engine: 'docs' });
+    await client.fetchSearchItems('x', { engine: 'docs' });
+    await client.fetchSearchItems('Broken', { engine: 'web' });
+    await client.fetchSearchItems('y');
+    expect(client.getEngineStats()).toEqual({
+      default: { cx: null, hits: 0, staleHits: 0, misses: 1, hitRatio: 0, requests: 1, failures: 0 },
+      docs: { cx: 'cx-docs', hits: 1, staleHits: 0, misses: 1, hitRatio: 0.5, requests: 1, failures: 0 },
+      web: { cx: 'cx-web', hits: 0, staleHits: 0, misses: 1, hitRatio: 0, requests: 1, failures: 1 }
+    });
+    expect(qerrorsMock).toHaveBeenCalledTimes(1);
+    expect((await client.getCacheStats()).misses).toBe(3); //client totals still cover every engine
+  });
+
+  test('unknown engines and malformed profiles are rejected', async () => { //validation
+    const { client } = createClientWithMock({ engines }, cxRoutes);
+    await expect(client.googleSearch('x', { engine: 'news' })).rejects.toBeInstanceOf(InvalidQueryError);
+    await expect(client.getTopSearchResults(['x'], { engine: 3 })).rejects.toThrow('Invalid search option engine');
+    await expect(client.imageSearch('x', { engine: 'news' })).rejects.toBeInstanceOf(InvalidQueryError);
+    await expect(client.deleteCacheEntry('x', { engine: 'news' })).rejects.toBeInstanceOf(InvalidQueryError);
+    expect(scheduleMock).not.toHaveBeenCalled();
+    expect(() => qserp.createClient({ engines: ['cx1'] })).toThrow('engines must map engine names to search engine ids');
+    expect(() => qserp.createClient({ engines: { default: 'cx1' } })).toThrow('Invalid engine name "default"');
+    expect(() => qserp.createClient({ engines: { 'bad name': 'cx1' } })).toThrow('Invalid engine name');
+    expect(() => qserp.createClient({ engines: { docs: '' } })).toThrow('Engine docs needs a search engine id');
+    expect(qserp.normalizeEngines({ docs: ' cx1 ' })).toEqual({ docs: 'cx1' });
+  });
+
+  test('QSERP_ENGINES configures the default client', () => { //env profiles
+    process.env.QSERP_ENGINES = 'docs=cx-docs, web = cx-web ,broken';
+    const warnSpy = mockConsole('warn');
+    jest.isolateModules(() => {
+      const fresh = require('../lib/qserp');
+      expect(Object.keys(fresh.getEngineStats())).toEqual(['default', 'docs', 'web']);
+      expect(fresh.getEngineStats().web.cx).toBe('cx-web');
+    });
+    expect(warnSpy.mock.calls.join(' ')).toContain('Ignoring malformed QSERP_ENGINES entry "broken"');
+    warnSpy.mockRestore();
+    delete process.env.QSERP_ENGINES;
+    expect(Object.keys(qserp.getEngineStats())).toEqual(['default']);
+  });
+});
@@ -0,0 +1,104 @@
+// Summary: fallbackProviders.test.js validates the provider fallback chain, its result tagging and sanitized fallback logs
+const { initSearchTest, resetMocks, createClientWithMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //silence error and quota logs
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //module under test
+const { QuotaError, InvalidQueryError } = require('../lib/errors'); //typed failures
+
+const spent = [403, { error: { code: 403, message: 'Daily Limit Exceeded', errors: [{ reason: 'dailyLimitExceeded' }] } }]; //Google quota answer
+const bingBody = { webPages: { value: [{ name: 'Bing hit', url: 'https://bing.example/a', snippet: 'from bing' }] } };
+const googleBody = { items: [{ title: 'Google hit', snippet: 'from google', link: 'https://google.example/a' }] };
+
+describe('provider fallback chain', () => { //group fallback tests
+  let errorSpy;
+  let warnSpy;
+  beforeEach(() => { //reset mocks and silence logs
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    errorSpy = mockConsole('error');
+    warnSpy = mockConsole('warn');
+  });
+
+  afterEach(() => { //restore console
+    errorSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  test('a quota-exhausted Google falls through to the next provider and logs the decision sanitized', async () => { //fallback path
+    const { client, clientMock } = createClientWithMock({ fallbacks: [{ provider: 'bing', apiKey: 'bingSecret' }] }, [[/customsearch/, () => spent], [/bing/, () => [200, bingBody]]]);
+    expect(await client.googleSearch('streams')).toEqual([{ title: 'Bing hit', snippet: 'from bing', link: 'https://bing.example/a', provider: 'bing' }]);
+    expect(clientMock.history.get.map(config => new URL(config.url).hostname)).toEqual(['customsearch.googleapis.com', 'api.bing.microsoft.com']);
+    expect(qerrorsMock).toHaveBeenCalledTimes(1); //the fallback decision only, the search itself succeeded
+    const [logged, context, info] = qerrorsMock.mock.calls[0];
+    expect(context).toBe('Provider google failed in fetchSearchItems for query: streams, falling back to bing');
+    expect(info).toMatchObject({ errorClass: 'QuotaError', status: 403, reason: 'dailyLimitExceeded' });
+    expect(logged.config.url).toContain('key=[redacted]');
+    expect(logged.request).toBeUndefined(); //sent request holds the raw url
+    expect(logged.response.responseURL).toContain('key=[redacted]');
+    expect(JSON.stringify(errorSpy.mock.calls)).not.toMatch(/key=key|bingSecret/);
+    await client.googleSearch('streams');
+    expect(clientMock.history.get).toHaveLength(2); //fallback answer cached under the client's key
+    expect(client.getProviderStatus().map(({ provider, served, failures, skipped }) => ({ provider, served, failures, skipped }))).toEqual([
+      { provider: 'google', served: 0, failures: 1, skipped: 0 },
+      { provider: 'bing', served: 1, failures: 0, skipped: 0 }
+    ]);
+  });
+
+  test('a spent local budget falls through and results name the provider that served them', async () => { //QuotaExceededError is not sent
+    const { client, clientMock } = createClientWithMock({ dailyQuota: 1, fallbacks: [{ provider: 'bing', apiKey: 'bingSecret', dailyQuota: 5 }] }, [[/customsearch/, () => [200, googleBody]], [/bing/, () => [200, bingBody]]]);
+    expect((await client.fetchSearchItems('one'))[0].provider).toBe('google');
+    expect((await client.fetchSearchItems('two'))[0].provider).toBe('bing');
+    expect(clientMock.history.get).toHaveLength(2); //budget checked before sending
+    expect(qerrorsMock.mock.calls[0][1]).toContain('falling back to bing');
+    const [google, bing] = client.getProviderStatus();
+    expect(google.quota).toMatchObject({ used: 1, limit: 1 });
+    expect(bing.quota).toMatchObject({ used: 1, limit: 5 });
+    expect(client.getQuotaStatus().used).toBe(1); //fallback requests keep their own count
+  });
+
+  test('fallbacks that cannot send the search are skipped', async () => { //lr is not a Brave parameter
+    const { client, clientMock } = createClientWithMock({ fallbacks: [{ provider: 'brave', apiKey: 'braveSecret' }, { provider: 'serpapi', apiKey: 'serpSecret' }] }, [
+      [/customsearch/, () => [500]],
+      [/serpapi/, () => [200, { organic_results: [{ title: 'Serp hit', link: 'https://serp.example/a' }] }]]
+    ]);
+    const envelope = await client.searchDetailed('streams', { lr: 'lang_de' });
+    expect(envelope.provider).toBe('serpapi');
+    expect(envelope.items[0].link).toBe('https://serp.example/a');
+    expect(clientMock.history.get.some(config => config.url.includes('brave'))).toBe(false);
+    expect(qerrorsMock.mock.calls[0][1]).toBe('Provider google failed in searchDetailed for query: streams, falling back to serpapi');
+    expect(client.getProviderStatus().map(status => status.skipped)).toEqual([0, 1, 0]);
+    await expect(client.imageSearch('cats', { throwOnError: true })).rejects.toThrow('Search request failed with status 500'); //no fallback searches images
+  });
+
+  test('when every provider fails the last error degrades or is thrown', async () => { //end of the chain
+    const { client } = createClientWithMock({ fallbacks: [{ provider: 'bing', apiKey: 'bingSecret' }] }, [[/customsearch/, () => [500]], [/bing/, () => [403, { error: { code: '403', message: 'Out of call volume quota' } }]]]);
+    expect(await client.googleSearch('x')).toEqual([]);
+    expect(qerrorsMock.mock.calls.map(call => call[1])).toEqual(['Provider google failed in fetchSearchItems for query: x, falling back to bing', 'Error in fetchSearchItems for query: x']);
+    await expect(client.googleSearch('y', { throwOnError: true })).rejects.toBeInstanceOf(QuotaError); //bing's answer, not google's 500
+  });
+
+  test('clients without fallbacks keep their result shape', async () => { //no provider field
+    const { client } = createClientWithMock({}, [[/customsearch/, () => [200, googleBody]]]);
+    expect(await client.googleSearch('x')).toEqual([{ title: 'Google hit', snippet: 'from google', link: 'https://google.example/a' }]);
+    expect((await client.searchDetailed('x')).provider).toBeUndefined();
+    expect(client.getProviderStatus()).toHaveLength(1);
+  });
+
+  test('the default client reports its single provider at module level', () => { //module export
+    expect(qserp.getProviderStatus()).toEqual([expect.objectContaining({ provider: 'google', served: 0, failures: 0, skipped: 0, keyPool: null })]);
+  });
+
+  test('malformed fallbacks are rejected when the client is created', () => { //fail fast
+    expect(() => qserp.createClient({ fallbacks: 'bing' })).toThrow('fallbacks must be an array of provider settings');
+    expect(() => qserp.createClient({ fallbacks: [null] })).toThrow('fallbacks must be an array of provider settings');
+    expect(() => qserp.createClient({ fallbacks: ['bing'] })).toThrow('Provider bing needs apiKey or apiKeys');
+    expect(() => qserp.createClient({ fallbacks: [{ provider: 'searxng' }] })).toThrow('Provider searxng needs providerUrl');
+    expect(() => qserp.createClient({ fallbacks: [{ provider: 'bing', apiKeys: [] }] })).toThrow('apiKeys must be a non-empty array');
+  });
+
+  test('invalid queries never fall through', async () => { //validation happens before the chain
+    const { client, clientMock } = createClientWithMock({ fallbacks: [{ provider: 'bing', apiKey: 'bingSecret' }] }, []);
+    await expect(client.googleSearch('x', { dateRestrict: 'soon' })).rejects.toBeInstanceOf(InvalidQueryError);
+    expect(clientMock.history.get).toHaveLength(0);
+  });
+});
@@ -0,0 +1,138 @@
+// Summary: federatedSearch.test.js validates fan-out over engine profiles, rank fusion and URL de-duplication
+const { initSearchTest, resetMocks, createAxiosMock, createClientWithMock } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //module under test
+const { mergeResults, normalizeResultUrl } = require('../lib/federation'); //pure merge helpers
+const { InvalidQueryError, QserpError } = require('../lib/errors'); //typed failures
+
+const item = (link, title = link) => ({ title, snippet: `about ${title}`, link }); //raw Google item
+
+describe('normalizeResultUrl', () => { //duplicate detection
+  test.each([
+    ['https://www.Example.com/docs/', 'example.com/docs'],
+    ['http://example.com/docs#intro', 'example.com/docs'],
+    ['https://example.com/a?b=2&a=1&utm_source=x', 'example.com/a?a=1&b=2'],
+    ['https://example.com:8080/', 'example.com:8080'],
+    [' Not A URL ', 'not a url']
+  ])('%s normalizes to %s', (link, expected) => {
+    expect(normalizeResultUrl(link)).toBe(expected);
+  });
+});
+
+describe('mergeResults', () => { //rank fusion
+  const lists = [
+    { engine: 'docs', items: [item('https://a.com'), item('https://b.com'), item('https://c.com')] },
+    { engine: 'web', items: [item('https://d.com'), item('https://www.b.com/'), item('https://a.com')] }
+  ];
+
+  test('rrf ranks pages several engines agree on first', () => { //score ordering
+    const merged = mergeResults(lists);
+    expect(merged.map(result => result.link)).toEqual(['https://a.com', 'https://b.com', 'https://d.com', 'https://c.com']);
+    expect(merged[0]).toMatchObject({ title: 'https://a.com', engines: ['docs', 'web'], ranks: { docs: 1, web: 3 } });
+    expect(merged[0].score).toBeCloseTo(1 / 61 + 1 / 63);
+    expect(merged[2]).toMatchObject({ engines: ['web'], ranks: { web: 1 }, score: 1 / 61 });
+  });
+
+  test('round-robin interleaves engines and folds duplicates in place', () => { //turn order
+    const merged = mergeResults(lists, { strategy: 'round-robin' });
+    expect(merged.map(result => result.link)).toEqual(['https://a.com', 'https://d.com', 'https://b.com', 'https://c.com']);
+    expect(merged[2]).toMatchObject({ engines: ['docs', 'web'], ranks: { docs: 2, web: 2 }, score: null });
+  });
+
+  test('an engine listing a page twice keeps its best rank', () => { //self duplicates
+    const merged = mergeResults([{ engine: 'docs', items: [item('https://a.com'), item('https://a.com/')] }]);
+    expect(merged).toHaveLength(1);
+    expect(merged[0].ranks).toEqual({ docs: 1 });
+    expect(() => mergeResults(lists, { strategy: 'best' })).toThrow("strategy must be 'rrf' or 'round-robin'");
+  });
+});
+
+describe('federatedSearch', () => { //client fan-out
+  beforeEach(() => { //reset mocks
+    resetMocks(mock, scheduleMock, qerrorsMock);
+  });
+
+  const engines = { docs: 'cx-docs', news: 'cx-news', broken: 'cx-broken' }; //profiles of every client below
+  const answers = { //cx -> items
+    cx: [item('https://web.dev/x')],
+    'cx-docs': [item('https://nodejs.org/api/stream.html', 'Stream docs'), item('https://example.com/guide')],
+    'cx-news': [item('http://nodejs.org/api/stream.html#readable', 'Stream news'), item('https://news.com/1')]
+  };
+  const engineRoutes = [ //engines answer from fixed lists
+    [/cx=cx-broken/, [500]],
+    [/customsearch/, config => [200, { items: answers[new URL(config.url).searchParams.get('cx')] }]]
+  ];
+
+  test('fans out to the chosen engines and records where each item came from', async () => { //merge through the client
+    const { client, clientMock } = createClientWithMock({ engines }, engineRoutes);
+    const results = await client.federatedSearch('streams', { engines: ['docs', 'news'] });
+    expect(results).toEqual([
+      { title: 'Stream docs', snippet: 'about Stream docs', link: 'https://nodejs.org/api/stream.html', engines: ['docs', 'news'], ranks: { docs: 1, news: 1 }, score: 2 / 61 },
+      { title: 'https://example.com/guide', snippet: 'about https://example.com/guide', link: 'https://example.com/guide', engines: ['docs'], ranks: { docs: 2 }, score: 1 / 62 },
+      { title: 'https://news.com/1', snippet: 'about https://news.com/1', link: 'https://news.com/1', engines: ['news'], ranks: { news: 2 }, score: 1 / 62 }
+    ]);
+    expect(scheduleMock).toHaveBeenCalledTimes(2); //each engine passes the shared limiter
+    await client.federatedSearch('streams', { engines: ['news', 'docs'], strategy: 'round-robin' });
+    expect(clientMock.history.get).toHaveLength(2); //second call served from each engine's cache
+    expect(client.getEngineStats().docs).toMatchObject({ hits: 1, misses: 1, requests: 1 });
+  });
+
+  test('defaults to every profile and includes the default engine on request', async () => { //engine selection
+    const { client, clientMock } = createClientWithMock({ engines }, engineRoutes);
+    const results = await client.federatedSearch('streams', { num: 2 }); //broken engine degrades to nothing
+    expect(clientMock.history.get.map(config => new URL(config.url).searchParams.get('cx')).sort()).toEqual(['cx-broken', 'cx-docs', 'cx-news']);
+    expect(clientMock.history.get.every(config => config.url.includes('num=2'))).toBe(true); //options reach every engine
+    expect(results).toHaveLength(3);
+    expect(qerrorsMock).toHaveBeenCalledTimes(1);
+    const withDefault = await client.federatedSearch('streams', { engines: ['default', 'docs', 'docs'] });
+    expect(withDefault.map(result => [result.link, result.engines])).toEqual([ //rank 1 ties keep engine order, duplicate names searched once
+      ['https://web.dev/x', ['default']],
+      ['https://nodejs.org/api/stream.html', ['docs']],
+      ['https://example.com/guide', ['docs']]
+    ]);
+  });
+
+  test('throwOnError rejects with the failed engine error', async () => { //strict mode
+    const { client } = createClientWithMock({ engines }, engineRoutes);
+    await expect(client.federatedSearch('streams', { throwOnError: true })).rejects.toBeInstanceOf(QserpError);
+  });
+
+  test('invalid engines and strategies are rejected before any request', async () => { //validation
+    const { client } = createClientWithMock({ engines }, engineRoutes);
+    await expect(client.federatedSearch('x', { engines: ['docs', 'sports'] })).rejects.toBeInstanceOf(InvalidQueryError);
+    await expect(client.federatedSearch('x', { engines: [] })).rejects.toThrow('Invalid search option engines');
+    await expect(client.federatedSearch('x', { strategy: 'best' })).rejects.toThrow('Invalid search option strategy');
+    await expect(client.federatedSearch('')).rejects.toBeInstanceOf(InvalidQueryError);
+    expect(scheduleMock).not.toHaveBeenCalled();
+  });
+
+  test('raw cx ids are searched as ad-hoc engines named by their cx', async () => { //no profile needed
+    const { client, clientMock } = createClientWithMock({ engines }, [
+      [/cx=cx-adhoc/, [200, { items: [item('https://nodejs.org/api/stream.html', 'Stream adhoc')] }]],
+      ...engineRoutes
+    ]);
+    const results = await client.federatedSearch('streams', { engines: ['docs', { cx: ' cx-adhoc ' }, { cx: 'cx-adhoc' }] });
+    expect(clientMock.history.get.map(config => new URL(config.url).searchParams.get('cx')).sort()).toEqual(['cx-adhoc', 'cx-docs']); //duplicate id searched once
+    expect(results[0]).toMatchObject({ link: 'https://nodejs.org/api/stream.html', engines: ['docs', 'cx-adhoc'], ranks: { docs: 1, 'cx-adhoc': 1 } });
+    await client.federatedSearch('streams', { engines: [{ cx: 'cx-adhoc' }] });
+    expect(clientMock.history.get).toHaveLength(2); //ad-hoc engine has its own cache namespace
+    expect(client.getEngineStats()['cx-adhoc']).toMatchObject({ cx: 'cx-adhoc', hits: 1, misses: 1, requests: 1 });
+  });
+
+  test('ad-hoc ids that are malformed or shadow a profile name are rejected', async () => { //validation
+    const { client } = createClientWithMock({ engines }, engineRoutes);
+    for (const entry of [{ cx: 'docs' }, { cx: 'default' }, { cx: '' }, { cx: 42 }, { cx: 'a b' }, {}]) {
+      await expect(client.federatedSearch('x', { engines: [entry] })).rejects.toThrow('Invalid search option engines');
+    }
+    const { client: bing } = createClientWithMock({ provider: 'bing', apiKey: 'bing-secret' });
+    await expect(bing.federatedSearch('x', { engines: [{ cx: 'cx-adhoc' }] })).rejects.toThrow('Provider bing does not support engines');
+    expect(scheduleMock).not.toHaveBeenCalled();
+  });
+
+  test('a client without profiles searches the default engine', async () => { //fallback
+    const client = qserp.createClient();
+    createAxiosMock(client.axiosInstance).onGet(/customsearch/).reply(200, { items: [item('https://a.com')] });
+    expect(await client.federatedSearch('x')).toEqual([expect.objectContaining({ link: 'https://a.com', engines: ['default'] })]);
+  });
+});
@@ -0,0 +1,70 @@
+// Summary: imageSearch.test.js validates image mode requests, result shape and cache namespace
+const { initSearchTest, resetMocks } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const { imageSearch, fetchSearchItems, clearCache, formatImageItem } = require('../lib/qserp'); //functions under test
+
+const imageBody = { //representative image search response
+  items: [
+    { link: 'http://img/cat.jpg', mime: 'image/jpeg', image: { contextLink: 'http://page/cat', thumbnailLink: 'http://thumb/cat', width: 800, height: 600 } },
+    { link: 'http://img/dog.png', mime: 'image/png', image: { contextLink: 'http://page/dog' } }
+  ]
+};
+
+describe('imageSearch', () => { //group image search tests
+  beforeEach(() => { //reset mocks and cache
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    clearCache();
+  });
+
+  test('returns flat image results', async () => { //result shape
+    mock.onGet(/searchType=image/).reply(200, imageBody);
+    const res = await imageSearch('cats');
+    expect(res).toEqual([
+      { link: 'http://img/cat.jpg', thumbnailLink: 'http://thumb/cat', width: 800, height: 600, contextLink: 'http://page/cat', mime: 'image/jpeg' },
+      { link: 'http://img/dog.png', thumbnailLink: null, width: null, height: null, contextLink: 'http://page/dog', mime: 'image/png' } //missing values normalized
+    ]);
+    expect(scheduleMock).toHaveBeenCalledTimes(1); //rate limiter used
+  });
+
+  test('sends searchType, image filters and minimal fields', async () => { //url composition
+    mock.onGet(/customsearch/).reply(200, { items: [] });
+    await imageSearch('logo', { num: 5, imgSize: 'large', imgType: 'clipart', imgColorType: 'trans', imgDominantColor: 'blue', safe: 'active' });
+    expect(mock.history.get[0].url).toBe(`https://customsearch.googleapis.com/customsearch/v1?q=logo&key=key&cx=cx&fields=${encodeURIComponent('items(link,mime,image(contextLink,thumbnailLink,width,height))')}&num=5&safe=active&searchType=image&imgColorType=trans&imgDominantColor=blue&imgSize=large&imgType=clipart`);
+  });
+
+  test('caches separately from web results and per image filter', async () => { //namespace isolation
+    mock.onGet(/searchType=image/).reply(200, imageBody);
+    mock.onGet(/customsearch/).reply(200, { items: [{ title: 't', snippet: 's', link: 'http://web' }] });
+    await fetchSearchItems('pets'); //populate web cache
+    const images = await imageSearch('pets'); //must not reuse web items
+    expect(images[0].link).toBe('http://img/cat.jpg');
+    await imageSearch('pets', { imgSize: 'icon' }); //different filter is a new request
+    expect(scheduleMock).toHaveBeenCalledTimes(3);
+    scheduleMock.mockClear();
+    await imageSearch('pets'); //repeat served from cache
+    expect(scheduleMock).not.toHaveBeenCalled();
+  });
+
+  test('rejects invalid input before any request', async () => { //validation
+    await expect(imageSearch('')).rejects.toThrow('Query must be a non-empty string');
+    await expect(imageSearch('x', { imgSize: 'giant' })).rejects.toThrow('Invalid search option imgSize');
+    await expect(imageSearch('x', { imgDominantColor: 'beige' })).rejects.toThrow('Invalid search option imgDominantColor');
+    await expect(imageSearch('x', { dateRestrict: 'soon' })).rejects.toThrow('Invalid search option dateRestrict');
+    expect(scheduleMock).not.toHaveBeenCalled();
+  });
+
+  test('returns empty array and reports sanitized error on failure', async () => { //graceful degradation
+    mock.onGet(/customsearch/).reply(500);
+    const res = await imageSearch('broken');
+    expect(res).toEqual([]);
+    expect(qerrorsMock).toHaveBeenCalled(); //error reported
+    const [err, ctx] = qerrorsMock.mock.calls[0];
+    expect(ctx).toBe('Error in imageSearch for query: broken');
+    expect(err.config.url).not.toContain('key=key'); //api key masked
+  });
+
+  test('formatImageItem tolerates missing image section', () => { //helper defaults
+    expect(formatImageItem({ link: 'l', image: { width: '120', height: 'x' } })).toEqual({ link: 'l', thumbnailLink: null, width: 120, height: null, contextLink: null, mime: null });
+  });
+});
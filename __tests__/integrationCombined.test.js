@@ -31,7 +31,7 @@ describe('integration googleSearch and getTopSearchResults', () => { //describe
     const urls = await getTopSearchResults(['Fail', 'Good']); //call multi search with one fail
     expect(searchRes).toEqual([]); //googleSearch should return empty array
     expect(urls).toEqual(['g']); //only successful url returned
-    expect(scheduleMock).toHaveBeenCalledTimes(3); //schedule called for each attempt
+    expect(scheduleMock).toHaveBeenCalledTimes(7); //schedule called for each attempt, 500s retried twice
     expect(qerrorsMock).toHaveBeenCalled(); //ensure qerrors invoked
   });
 
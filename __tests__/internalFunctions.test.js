@@ -16,7 +16,8 @@ test('rateLimitedRequest calls limiter and sets headers', async () => { // rateL
   const { rateLimitedRequest } = require('../lib/qserp');
   await rateLimitedRequest('http://test');
   expect(scheduleMock).toHaveBeenCalled();
-  expect(typeof scheduleMock.mock.calls[0][0]).toBe('function');
+  expect(scheduleMock.mock.calls[0][0]).toEqual({ priority: 5 }); //normal lane by default
+  expect(typeof scheduleMock.mock.calls[0][1]).toBe('function');
   const config = mock.history.get[0].headers; //fetch request headers
   expect(config['User-Agent']).toMatch(/Mozilla/);
 });
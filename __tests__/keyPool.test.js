@@ -0,0 +1,133 @@
+// Summary: keyPool.test.js validates API key pools, key selection, failover and key redaction
+const { initSearchTest, resetMocks, createClientWithMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //silence key state warnings
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //module under test
+const { createKeyPool, parseKeyList } = require('../lib/keyPool'); //pool factory and env parser
+const { KeyPoolExhaustedError, QuotaError, AuthError } = require('../lib/errors'); //typed failures
+
+const spent = [403, { error: { message: 'Daily Limit Exceeded', errors: [{ reason: 'dailyLimitExceeded' }] } }]; //Google's answer for a used up key
+const revoked = [400, { error: { message: 'API key not valid', errors: [{ reason: 'keyInvalid' }] } }]; //Google's answer for a bad key
+
+describe('API key pools', () => { //group pool tests
+  let warnSpy;
+  beforeEach(() => { //reset mocks and silence warnings
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    warnSpy = mockConsole('warn');
+  });
+
+  afterEach(() => { //restore console
+    warnSpy.mockRestore();
+  });
+
+  const keyOf = config => new URL(config.url).searchParams.get('key'); //key a request was sent with
+  const sentKeys = clientMock => clientMock.history.get.map(keyOf); //keys in send order
+  const answerPerKey = (answers = {}) => [[/customsearch/, config => answers[keyOf(config)] || [200, { items: [{ link: keyOf(config) }] }]]]; //routes for createClientWithMock
+
+  test('round-robin sends each request with the next key', async () => { //default strategy
+    const { client, clientMock } = createClientWithMock({ cacheSize: 0, apiKeys: ['alpha', 'beta', 'gamma'] }, answerPerKey());
+    for (const query of ['one', 'two', 'three', 'four']) { await client.fetchSearchItems(query); }
+    expect(sentKeys(clientMock)).toEqual(['alpha', 'beta', 'gamma', 'alpha']);
+    expect(clientMock.history.get[0].url.match(/key=/g)).toHaveLength(1); //replaces the env key instead of adding one
+    expect(client.getKeyPoolStatus()).toMatchObject({ strategy: 'round-robin', size: 3, active: 3 });
+    expect(client.getKeyPoolStatus().keys.map(key => key.used)).toEqual([2, 1, 1]);
+  });
+
+  test('least-used picks the key with the fewest requests today', () => { //strategy on the pool itself
+    const pool = createKeyPool({ keys: ['alpha', 'beta'], strategy: 'least-used' });
+    expect([pool.acquire(), pool.acquire(), pool.acquire()]).toEqual(['alpha', 'beta', 'alpha']);
+    pool.reject('alpha', 'exhausted');
+    expect([pool.acquire(), pool.acquire()]).toEqual(['beta', 'beta']);
+    expect(pool.status().keys.map(key => [key.state, key.used])).toEqual([['exhausted', 2], ['active', 3]]);
+  });
+
+  test('a spent key fails over to the next key without a retry', async () => { //dailyLimitExceeded
+    const { client, clientMock } = createClientWithMock({ cacheSize: 0, apiKeys: ['alpha', 'beta'] }, answerPerKey({ alpha: spent }));
+    expect(await client.searchSafe('first')).toMatchObject({ ok: true, items: [{ link: 'beta' }], attempts: 2, quotaUsed: 2 });
+    await client.fetchSearchItems('second');
+    expect(sentKeys(clientMock)).toEqual(['alpha', 'beta', 'beta']); //spent key skipped until the reset
+    const [alpha] = client.getKeyPoolStatus().keys;
+    expect(alpha).toMatchObject({ index: 1, state: 'exhausted', used: 1 });
+    expect(alpha.resetAt).toBeInstanceOf(Date);
+    expect(qerrorsMock).not.toHaveBeenCalled(); //the search succeeded
+  });
+
+  test('an invalid key leaves the pool for good', async () => { //keyInvalid
+    const { client, clientMock } = createClientWithMock({ cacheSize: 0, apiKeys: ['alpha', 'beta'] }, answerPerKey({ beta: revoked }));
+    await client.fetchSearchItems('one');
+    await client.fetchSearchItems('two');
+    await client.fetchSearchItems('three');
+    expect(sentKeys(clientMock)).toEqual(['alpha', 'beta', 'alpha', 'alpha']);
+    expect(client.getKeyPoolStatus().keys[1]).toMatchObject({ state: 'invalid', resetAt: null });
+  });
+
+  test('once every key is rejected the last error stands and later calls fail before sending', async () => { //empty pool
+    const { client, clientMock } = createClientWithMock({ cacheSize: 0, apiKeys: ['alpha', 'beta'] }, answerPerKey({ alpha: spent, beta: revoked }));
+    await expect(client.fetchSearchItems('q', { throwOnError: true })).rejects.toBeInstanceOf(AuthError);
+    const err = await client.googleSearch('again').catch(e => e);
+    expect(err).toBeInstanceOf(KeyPoolExhaustedError);
+    expect(err).toBeInstanceOf(QuotaError);
+    expect(err.keys).toBe(2);
+    expect(err.resetAt).toBeInstanceOf(Date); //alpha comes back after the reset
+    expect(clientMock.history.get).toHaveLength(2);
+    expect(client.getQuotaStatus().used).toBe(2); //rejected before the budget was touched
+  });
+
+  test('keyDailyQuota caps each key', async () => { //per-key counters
+    const { client, clientMock } = createClientWithMock({ cacheSize: 0, apiKeys: ['alpha', 'beta'], keyDailyQuota: 1 }, answerPerKey());
+    await client.fetchSearchItems('one');
+    await client.fetchSearchItems('two');
+    await expect(client.fetchSearchItems('three')).rejects.toBeInstanceOf(KeyPoolExhaustedError);
+    expect(sentKeys(clientMock)).toEqual(['alpha', 'beta']);
+    expect(client.getKeyPoolStatus().keys).toEqual([
+      expect.objectContaining({ state: 'exhausted', used: 1, limit: 1, remaining: 0 }),
+      expect.objectContaining({ state: 'exhausted', used: 1, limit: 1, remaining: 0 })
+    ]);
+  });
+
+  test('keys are counted only for requests the daily quota lets out', async () => { //quota before key
+    const { client, clientMock } = createClientWithMock({ cacheSize: 0, apiKeys: ['alpha', 'beta'], dailyQuota: 1 }, answerPerKey());
+    await client.fetchSearchItems('one');
+    for (const query of ['two', 'three', 'four']) { await expect(client.fetchSearchItems(query)).rejects.toMatchObject({ name: 'QuotaExceededError' }); }
+    expect(sentKeys(clientMock)).toEqual(['alpha']);
+    expect(client.getKeyPoolStatus().keys.map(key => key.used)).toEqual([1, 0]);
+  });
+
+  test('a call no pooled key can send is not billed to the daily quota', async () => { //key after quota
+    const { client } = createClientWithMock({ cacheSize: 0, apiKeys: ['alpha'], keyDailyQuota: 1, dailyQuota: 5 }, answerPerKey());
+    await client.fetchSearchItems('one');
+    await expect(client.fetchSearchItems('two')).rejects.toBeInstanceOf(KeyPoolExhaustedError);
+    expect(client.getQuotaStatus()).toMatchObject({ used: 1, remaining: 4 });
+  });
+
+  test('GOOGLE_API_KEYS builds the pool unless a single key is given', async () => { //env source
+    process.env.GOOGLE_API_KEYS = ' envOne, envTwo ,,envOne';
+    const pooled = createClientWithMock({ cacheSize: 0, keySelection: 'least-used' }, answerPerKey());
+    const single = createClientWithMock({ cacheSize: 0, apiKey: 'solo' }, answerPerKey());
+    delete process.env.GOOGLE_API_KEYS;
+    expect(pooled.client.getKeyPoolStatus()).toMatchObject({ strategy: 'least-used', size: 2 });
+    await pooled.client.fetchSearchItems('q');
+    expect(sentKeys(pooled.clientMock)).toEqual(['envOne']);
+    expect(single.client.getKeyPoolStatus()).toBeNull();
+    expect(qserp.getKeyPoolStatus()).toBeNull(); //default client was built with GOOGLE_API_KEY only
+    expect(parseKeyList(' a, b ,,a')).toEqual(['a', 'b']);
+  });
+
+  test('sanitizeApiKey masks every pooled key', () => { //redaction
+    qserp.createClient({ apiKeys: ['poolSecretOne', 'poolSecretTwo'] });
+    expect(qserp.sanitizeApiKey('https://x?q=a&key=poolSecretTwo failed for poolSecretOne')).toBe('https://x?q=a&key=[redacted] failed for [redacted]');
+    process.env.GOOGLE_API_KEYS = 'envSecret';
+    const { sanitizeApiKey: loaderSanitize } = require('../lib/qerrorsLoader');
+    expect(qserp.sanitizeApiKey('key=envSecret')).toBe('key=[redacted]');
+    expect(loaderSanitize('used envSecret')).toBe('used [redacted]');
+    delete process.env.GOOGLE_API_KEYS;
+  });
+
+  test('invalid pool options throw', () => { //fail fast
+    expect(() => qserp.createClient({ apiKeys: [] })).toThrow('apiKeys must be a non-empty array of non-empty strings');
+    expect(() => qserp.createClient({ apiKeys: ['a', 3] })).toThrow('apiKeys must be');
+    expect(() => qserp.createClient({ apiKeys: ['a'], keySelection: 'random' })).toThrow("keySelection must be 'round-robin' or 'least-used'");
+    expect(qserp.KeyPoolExhaustedError).toBe(KeyPoolExhaustedError);
+  });
+});
@@ -0,0 +1,95 @@
+// Summary: pagination.test.js validates start handling and the searchPages async iterator
+const { initSearchTest, resetMocks } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const { googleSearch, fetchSearchItems, searchPages, clearCache, getGoogleURL, createCacheKey, normalizeStart } = require('../lib/qserp'); //functions under test
+
+function pageBody(start, count, hasNext) { //builds a Custom Search page response
+  const items = Array.from({ length: count }, (_, i) => ({ title: `t${start + i}`, snippet: 's', link: `http://r/${start + i}` })); //sequential links
+  const queries = { request: [{ startIndex: start }] }; //current page descriptor
+  if (hasNext) { queries.nextPage = [{ startIndex: start + count }]; } //Google omits nextPage on the last page
+  return { items, queries };
+}
+
+describe('pagination', () => { //group pagination tests
+  beforeEach(() => { //reset mocks and cache
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    clearCache();
+  });
+
+  test('googleSearch passes start to the request and cache key', async () => { //start option
+    mock.onGet(/start=11/).reply(200, { items: [{ title: 'p2', snippet: 's', link: 'http://p2' }] }); //second page
+    mock.onGet(/customsearch/).reply(200, { items: [{ title: 'p1', snippet: 's', link: 'http://p1' }] }); //first page
+    const second = await googleSearch('Paged', { start: 11 }); //request page two
+    const first = await googleSearch('Paged'); //request page one
+    expect(second[0].link).toBe('http://p2'); //pages cached separately
+    expect(first[0].link).toBe('http://p1');
+    expect(mock.history.get[0].url).toBe('https://customsearch.googleapis.com/customsearch/v1?q=Paged&key=key&cx=cx&fields=items(title,snippet,link)&start=11'); //start appended
+  });
+
+  test('fetchSearchItems accepts an options object as second argument', async () => { //object form
+    mock.onGet(/customsearch/).reply(200, { items: [] });
+    await fetchSearchItems('Obj', { num: 5, start: 21 }); //options instead of positional num
+    expect(mock.history.get[0].url).toMatch(/&num=5&start=21$/); //both options applied
+  });
+
+  test('start of 1 keeps legacy url and cache key', () => { //first page unchanged
+    expect(getGoogleURL('x', 5, { start: 1 })).toBe('https://customsearch.googleapis.com/customsearch/v1?q=x&key=key&cx=cx&fields=items(title,snippet,link)&num=5');
+    expect(createCacheKey('X', 5, { start: 1 })).toBe('x:5');
+    expect(createCacheKey('X', 5, { start: 31 })).toBe('x:5:start=31');
+  });
+
+  test.each([['0', 1], [150, 99], ['abc', null], [-5, null], [11, 11]])('normalizeStart(%p) returns %p', (input, expected) => { //clamping rules
+    expect(normalizeStart(input)).toBe(expected);
+  });
+
+  test('searchPages walks pages until nextPage is absent', async () => { //early stop
+    mock.onGet(/start=11/).reply(200, pageBody(11, 10, true)); //page two links to three
+    mock.onGet(/start=21/).reply(200, pageBody(21, 4, false)); //final short page
+    mock.onGet(/customsearch/).reply(200, pageBody(1, 10, true)); //page one
+    const pages = []; //collected envelopes
+    for await (const page of searchPages('Walk')) { pages.push(page); } //consume iterator
+    expect(pages.map(p => p.items.length)).toEqual([10, 10, 4]); //three pages fetched
+    expect(pages[2].items[3].link).toBe('http://r/24'); //last item of final page
+    expect(scheduleMock).toHaveBeenCalledTimes(3); //each page through the limiter
+  });
+
+  test('searchPages respects maxResults and shrinks the last page', async () => { //budget handling
+    mock.onGet(/start=11/).reply(200, pageBody(11, 5, true));
+    mock.onGet(/customsearch/).reply(200, pageBody(1, 10, true));
+    const pages = [];
+    for await (const page of searchPages('Budget', { maxResults: 15 })) { pages.push(page); }
+    expect(pages.length).toBe(2); //stops once budget met
+    expect(mock.history.get[1].url).toMatch(/&num=5&start=11$/); //second page only requests remainder
+  });
+
+  test('searchPages stops at the 100 result ceiling', async () => { //API ceiling
+    mock.onGet(/customsearch/).reply(config => { //echo offsets from url
+      const start = Number((config.url.match(/start=(\d+)/) || [0, 1])[1]); //current page offset
+      const num = Number(config.url.match(/num=(\d+)/)[1]); //requested page size
+      return [200, pageBody(start, num, true)]; //always claims a next page
+    });
+    let total = 0; //items yielded
+    for await (const page of searchPages('Ceiling')) { total += page.items.length; }
+    expect(total).toBe(99); //start + num never exceeds 100
+    expect(mock.history.get[mock.history.get.length - 1].url).toMatch(/&num=9&start=91$/); //last page trimmed
+  });
+
+  test('searchPages uses cache for repeated pages and appends queries to custom fields', async () => { //cache and fields
+    mock.onGet(/customsearch/).reply(200, pageBody(1, 3, false));
+    for await (const page of searchPages('Cached', { fields: 'items(link)' })) { expect(page.items.length).toBe(3); }
+    expect(decodeURIComponent(mock.history.get[0].url)).toContain('fields=items(link),queries(nextPage)'); //nextPage kept visible
+    scheduleMock.mockClear();
+    for await (const page of searchPages('Cached', { fields: 'items(link)' })) { expect(page.items.length).toBe(3); }
+    expect(scheduleMock).not.toHaveBeenCalled(); //served from cache
+  });
+
+  test('searchPages stops after a failed page', async () => { //error path
+    mock.onGet(/customsearch/).reply(500);
+    const pages = [];
+    for await (const page of searchPages('Broken')) { pages.push(page); }
+    expect(pages.length).toBe(1); //single empty envelope yielded
+    expect(pages[0].items).toEqual([]);
+    expect(qerrorsMock).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+// Summary: priorityLanes.test.js validates the priority option and per-lane queue metrics
+const { initSearchTest, resetMocks, createAxiosMock } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const Bottleneck = require('bottleneck'); //mocked constructor, swapped for the real one per test
+const qserp = require('../lib/qserp'); //module under test
+const { InvalidQueryError } = require('../lib/errors'); //validation error
+
+describe('priority lanes', () => { //group lane tests
+  beforeEach(() => { //reset mocks
+    resetMocks(mock, scheduleMock, qerrorsMock);
+  });
+
+  function realClient(options = {}) { //one request at a time through a real Bottleneck queue
+    const RealBottleneck = jest.requireActual('bottleneck');
+    Bottleneck.mockImplementationOnce(opts => new RealBottleneck(opts));
+    const client = qserp.createClient({ rateLimit: { reservoir: null, maxConcurrent: 1, minTime: 0 }, retry: false, ...options });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    const sent = []; //queries in the order the limiter released them
+    const releases = []; //resolves pending replies in order
+    clientMock.onGet(/customsearch/).reply(config => {
+      sent.push(new URL(config.url).searchParams.get('q'));
+      return new Promise(resolve => releases.push(() => resolve([200, { items: [{ link: 'l' }] }])));
+    });
+    return { client, sent, releases };
+  }
+
+  async function until(condition) { //waits for the limiter to dispatch without fixed sleeps
+    for (let i = 0; i < 1000 && !(await condition()); i++) { await new Promise(resolve => setTimeout(resolve, 1)); }
+    expect(await condition()).toBe(true);
+  }
+
+  async function answerInOrder(sent, releases, count) { //answers each request once the limiter has released it
+    for (let i = 1; i <= count; i++) {
+      await until(() => sent.length === i && releases.length === 1);
+      releases.shift()();
+    }
+  }
+
+  test('interactive searches overtake queued background work', async () => { //queue order
+    const { client, sent, releases } = realClient();
+    const searches = [client.fetchSearchItems('first')];
+    await until(() => sent.length === 1); //limiter busy
+    searches.push(client.getTopSearchResults(['batch one', 'batch two'], { priority: 'background' }));
+    searches.push(client.googleSearch('user', { priority: 'interactive' }));
+    await until(async () => { //queued behind the first request
+      const { lanes } = await client.getRateLimitStatus();
+      return lanes.background.queued === 2 && lanes.interactive.queued === 1;
+    });
+    await new Promise(resolve => setTimeout(resolve, 20)); //Bottleneck files received jobs into its queues asynchronously
+    await answerInOrder(sent, releases, 4);
+    await Promise.all(searches);
+    expect(sent).toEqual(['first', 'user', 'batch one', 'batch two']);
+  });
+
+  test('a busy interactive lane still leaves background work its weighted share', async () => { //no starvation
+    const { client, sent, releases } = realClient({ laneWeights: { interactive: 2 } });
+    const searches = [client.fetchSearchItems('first')];
+    await until(() => sent.length === 1); //limiter busy
+    searches.push(client.fetchSearchItems('b1', { priority: 'background' }), client.fetchSearchItems('b2', { priority: 'background' }));
+    for (const query of ['i1', 'i2', 'i3', 'i4']) { searches.push(client.fetchSearchItems(query, { priority: 'interactive' })); }
+    await until(async () => (await client.getRateLimitStatus()).lanes.interactive.queued === 4);
+    await new Promise(resolve => setTimeout(resolve, 20)); //Bottleneck files received jobs into its queues asynchronously
+    await answerInOrder(sent, releases, 7);
+    await Promise.all(searches);
+    expect(sent).toEqual(['first', 'i1', 'b1', 'i2', 'i3', 'b2', 'i4']); //two interactive slots per background slot
+  });
+
+  test('laneWeights are merged over the defaults and validated', () => { //option handling
+    expect(qserp.normalizeLaneWeights(undefined)).toEqual({ interactive: 9, normal: 3, background: 1 });
+    expect(qserp.normalizeLaneWeights({ normal: '5', background: 0, interactive: 1000 })).toEqual({ interactive: 100, normal: 5, background: 1 });
+    expect(() => qserp.createClient({ laneWeights: { urgent: 3 } })).toThrow('laneWeights has unknown lane urgent');
+    expect(() => qserp.createClient({ laneWeights: 3 })).toThrow('laneWeights must be an object');
+  });
+
+  test('getRateLimitStatus reports queued and running requests per lane', async () => { //lane metrics
+    const { client, sent, releases } = realClient();
+    const searches = [client.fetchSearchItems('a', { priority: 'background' }), client.fetchSearchItems('b', { priority: 'background' })];
+    await until(() => sent.length === 1); //a running, b queued
+    searches.push(client.searchDetailed('c', { priority: 'interactive' }));
+    const lanes = async () => (await client.getRateLimitStatus()).lanes;
+    await until(async () => (await lanes()).interactive.queued === 1);
+    expect(await lanes()).toEqual({
+      interactive: { priority: 0, weight: 9, queued: 1, running: 0 },
+      normal: { priority: 5, weight: 3, queued: 0, running: 0 },
+      background: { priority: 9, weight: 1, queued: 1, running: 1 }
+    });
+    await answerInOrder(sent, releases, 3);
+    await Promise.all(searches);
+    expect((await lanes()).background).toEqual({ priority: 9, weight: 1, queued: 0, running: 0 });
+  });
+
+  test('every search function passes its lane to the limiter', async () => { //Bottleneck options
+    const client = qserp.createClient();
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(200, { items: [] });
+    await client.googleSearch('web', { priority: 'interactive' });
+    await client.searchDetailed('detail', { priority: 'background' });
+    await client.imageSearch('image', { priority: 'interactive' });
+    await client.searchPages('pages', { priority: 'background' }).next();
+    await client.fetchSearchItems('plain');
+    expect(scheduleMock.mock.calls.map(call => call[0])).toEqual([{ priority: 0 }, { priority: 9 }, { priority: 0 }, { priority: 9 }, { priority: 5 }]);
+  });
+
+  test('unknown lanes are rejected before any request', async () => { //validation
+    await expect(qserp.googleSearch('x', { priority: 'urgent' })).rejects.toBeInstanceOf(InvalidQueryError);
+    await expect(qserp.getTopSearchResults(['x'], { priority: 1 })).rejects.toThrow('Invalid search option priority');
+    await expect(qserp.imageSearch('x', { priority: 'high' })).rejects.toBeInstanceOf(InvalidQueryError);
+    expect(scheduleMock).not.toHaveBeenCalled();
+    expect(qserp.normalizePriority(undefined)).toBe('normal');
+    expect(qserp.PRIORITY_LANES).toEqual({ interactive: 0, normal: 5, background: 9 });
+  });
+});
@@ -0,0 +1,136 @@
+// Summary: providers.test.js validates the search provider interface, the bundled non-Google providers and their error mapping
+const { initSearchTest, resetMocks, createClientWithMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //silence error and key state logs
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //module under test
+const { createProvider, validateProvider } = require('../lib/providers'); //provider factories
+const { AuthError, QuotaError, RateLimitError, InvalidQueryError } = require('../lib/errors'); //typed failures
+
+const params = config => Object.fromEntries(new URL(config.url).searchParams); //query of a sent request
+
+describe('search providers', () => { //group provider tests
+  let errorSpy;
+  let warnSpy;
+  beforeEach(() => { //reset mocks and silence logs
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    errorSpy = mockConsole('error');
+    warnSpy = mockConsole('warn');
+  });
+
+  afterEach(() => { //restore console
+    errorSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  test('bing sends its key as a header and maps filters and paging', async () => { //request building and parsing
+    const { client, clientMock } = createClientWithMock({ provider: 'bing', apiKey: 'bingSecret' }, [[undefined, () => [200, { webPages: { totalEstimatedMatches: 50, value: [{ name: 'Streams', url: 'https://nodejs.org/api/stream.html', snippet: 'Node streams' }] } }]]]);
+    const envelope = await client.searchDetailed('streams', { num: 5, start: 11, safe: 'active', gl: 'us', siteSearch: 'nodejs.org' });
+    const [config] = clientMock.history.get;
+    expect(config.url.startsWith('https://api.bing.microsoft.com/v7.0/search?')).toBe(true);
+    expect(params(config)).toEqual({ q: 'site:nodejs.org streams', count: '5', offset: '10', responseFilter: 'Webpages', safeSearch: 'Strict', cc: 'US' });
+    expect(config.headers['Ocp-Apim-Subscription-Key']).toBe('bingSecret');
+    expect(config.url).not.toContain('bingSecret');
+    expect(config.headers.Referer).toBeUndefined(); //GOOGLE_REFERER stays with Google
+    expect(envelope.items[0]).toMatchObject({ title: 'Streams', link: 'https://nodejs.org/api/stream.html', snippet: 'Node streams', displayLink: 'nodejs.org' });
+    expect(envelope.searchInformation.totalResults).toBe(50);
+    expect(envelope.pagination).toEqual({ startIndex: 11, count: 1, nextStart: 12, previousStart: null });
+    expect(await client.googleSearch('streams')).toEqual([{ title: 'Streams', snippet: 'Node streams', link: 'https://nodejs.org/api/stream.html' }]);
+    expect((await client.inspectCache()).map(entry => entry.key).sort()).toEqual(['provider:bing:detailed:streams:5:start=11:gl=us:safe=active:siteSearch=nodejs.org', 'provider:bing:streams:10']);
+  });
+
+  test('brave pages by page index and serpapi passes Google parameters through', async () => { //offset mapping
+    const brave = createClientWithMock({ provider: 'brave', apiKey: 'braveSecret' }, [[undefined, () => [200, { query: { more_results_available: true }, web: { results: [{ title: 'A', url: 'https://a.com', description: 'about a' }] } }]]]);
+    expect(await brave.client.fetchSearchItems('x', { num: 5, start: 11, hl: 'en' })).toEqual([{ title: 'A', link: 'https://a.com', snippet: 'about a', displayLink: 'a.com' }]);
+    expect(params(brave.clientMock.history.get[0])).toEqual({ q: 'x', count: '5', offset: '2', search_lang: 'en' });
+    expect(brave.clientMock.history.get[0].headers['X-Subscription-Token']).toBe('braveSecret');
+
+    const serp = createClientWithMock({ provider: 'serpapi', apiKey: 'serpSecret' }, [[undefined, () => [200, { organic_results: [{ title: 'B', link: 'https://b.com', snippet: 'about b' }], search_information: { total_results: 7 } }]]]);
+    const envelope = await serp.client.searchDetailed('y', { start: 21, lr: 'lang_de', filter: false, siteSearch: 'b.com', siteSearchFilter: 'e' });
+    expect(params(serp.clientMock.history.get[0])).toEqual({ engine: 'google', q: '-site:b.com y', num: '10', start: '20', filter: '0', lr: 'lang_de', api_key: 'serpSecret' });
+    expect(envelope.pagination.nextStart).toBeNull(); //no serpapi_pagination.next
+  });
+
+  test('searxng needs an endpoint, sends no key and keeps num items of its page', async () => { //self-hosted
+    expect(() => qserp.createClient({ provider: 'searxng' })).toThrow('Provider searxng needs providerUrl');
+    const results = Array.from({ length: 20 }, (_, i) => ({ title: `r${i}`, url: `https://r${i}.org`, content: 'c' }));
+    const { client, clientMock } = createClientWithMock({ provider: 'searxng', providerUrl: 'http://localhost:8888/search' }, [[undefined, () => [200, { results, number_of_results: 0 }]]]);
+    const items = await client.fetchSearchItems('z', { num: 3, start: 11, safe: 'off' });
+    expect(items.map(item => item.link)).toEqual(['https://r0.org', 'https://r1.org', 'https://r2.org']);
+    expect(clientMock.history.get[0].url).toBe('http://localhost:8888/search?q=z&format=json&pageno=2&safesearch=0');
+  });
+
+  test('provider errors map to typed errors and are logged without the header key', async () => { //classifyError
+    const answers = {
+      invalid: [401, { error: { code: '401', message: 'Access denied due to invalid subscription key' } }],
+      spent: [403, { error: { code: '403', message: 'Out of call volume quota' } }],
+      busy: [429, { errors: [{ code: 'RateLimitExceeded', message: 'Too many requests' }] }]
+    };
+    const { client } = createClientWithMock({ provider: 'bing', apiKey: 'bingSecret' }, [[undefined, config => answers[params(config).q]]]);
+    const invalid = await client.googleSearch('invalid', { throwOnError: true }).catch(e => e);
+    expect(invalid).toBeInstanceOf(AuthError);
+    expect(invalid.message).toMatch(/^Search request failed with status 401 \(401\): Access denied due to invalid subscription/); //provider's own explanation
+    await expect(client.googleSearch('spent', { throwOnError: true })).rejects.toBeInstanceOf(QuotaError);
+    const busy = await client.googleSearch('busy', { throwOnError: true }).catch(e => e);
+    expect(busy).toBeInstanceOf(RateLimitError);
+    expect(busy.reason).toBe('RateLimitExceeded');
+    const logged = JSON.stringify(qerrorsMock.mock.calls.map(([error]) => error.config));
+    expect(logged).toContain('[redacted]');
+    expect(logged).not.toContain('bingSecret');
+    expect(JSON.stringify(errorSpy.mock.calls)).not.toContain('bingSecret');
+  });
+
+  test('pooled keys fail over when the provider rejects a key', async () => { //keyState from classifyError
+    const { client, clientMock } = createClientWithMock({ provider: 'serpapi', apiKeys: ['spentKey', 'goodKey'] }, [[undefined, config => (
+      params(config).api_key === 'spentKey' ? [429, { error: 'Your account has run out of searches.' }] : [200, { organic_results: [{ title: 'ok', link: 'https://ok.com' }] }]
+    )]]);
+    expect(await client.googleSearch('q')).toEqual([{ title: 'ok', snippet: null, link: 'https://ok.com' }]);
+    expect(clientMock.history.get.map(config => params(config).api_key)).toEqual(['spentKey', 'goodKey']);
+    expect(client.getKeyPoolStatus().keys[0].state).toBe('exhausted');
+  });
+
+  test('a custom provider object plugs into caching and batching', async () => { //interface for other backends
+    class InternalSearch { //methods on the prototype must keep their this
+      constructor() { this.name = 'internal'; this.base = 'https://search.internal/api'; }
+      buildRequest(query, request) { return { url: `${this.base}?term=${encodeURIComponent(query)}&limit=${request.num || 10}`, headers: { 'X-Team': 'docs' } }; }
+      parseResponse(data) { return { items: data.hits.map(hit => ({ title: hit.name, link: hit.href })) }; }
+      classifyError() { return null; }
+    }
+    const { client, clientMock } = createClientWithMock({ provider: new InternalSearch() }, [[undefined, () => [200, { hits: [{ name: 'Wiki', href: 'https://wiki.internal/x' }] }]]]);
+    expect(await client.getTopSearchResults(['a', 'b', 'A'])).toEqual(['https://wiki.internal/x', 'https://wiki.internal/x']);
+    await client.getTopSearchResults(['a']);
+    expect(clientMock.history.get.map(config => config.url)).toEqual(['https://search.internal/api?term=a&limit=1', 'https://search.internal/api?term=b&limit=1']); //third call cached
+    expect(clientMock.history.get[0].headers['X-Team']).toBe('docs');
+    clientMock.onGet().reply(500);
+    expect(await client.googleSearch('down')).toEqual([]); //null verdict falls back to the status
+    expect(() => validateProvider({ name: 'x', buildRequest() {} })).toThrow('Search provider is missing parseResponse, classifyError');
+    expect(() => validateProvider({ name: 'bad name' })).toThrow('Search provider needs a name');
+    for (const name of ['google', 'Bing', 'searxng']) { //bundled names would share their cache keys
+      expect(() => qserp.createClient({ provider: { name, buildRequest() {}, parseResponse() {}, classifyError() {} } })).toThrow(`Search provider name ${name} is reserved for a bundled provider`);
+    }
+  });
+
+  test('unsupported options fail before any request', async () => { //fail fast
+    const { client } = createClientWithMock({ provider: 'brave', apiKey: 'k' }, [[undefined, () => [200, {}]]]);
+    await expect(client.googleSearch('x', { dateRestrict: 'd1' })).rejects.toThrow('Search option dateRestrict is not supported by provider brave');
+    await expect(client.imageSearch('x')).rejects.toThrow('Provider brave does not support imageSearch');
+    await expect(client.imageSearch('x')).rejects.toBeInstanceOf(InvalidQueryError);
+    expect(scheduleMock).not.toHaveBeenCalled();
+    expect(() => qserp.createClient({ provider: 'bing' })).toThrow('Provider bing needs apiKey or apiKeys');
+    expect(() => qserp.createClient({ provider: 'bing', apiKey: 'k', engines: { docs: 'cx' } })).toThrow('Provider bing does not support engines');
+    expect(() => qserp.createClient({ provider: 'yahoo' })).toThrow('Unknown search provider yahoo');
+    expect(() => qserp.createClient({ provider: 'brave', apiKey: 'k', providerUrl: 'ftp://x' })).toThrow('providerUrl must be an http(s) URL');
+    expect(() => qserp.createClient({ providerUrl: 'https://proxy' })).toThrow('providerUrl is not supported by provider google');
+    expect(() => qserp.createClient({ provider: { name: 'nokeys', buildRequest() {}, parseResponse() {}, classifyError() {} }, apiKeys: ['a'] })).toThrow('Provider nokeys does not support apiKeys');
+  });
+
+  test('Google env credentials never reach another provider', async () => { //credential isolation
+    process.env.GOOGLE_API_KEYS = 'googleOne,googleTwo';
+    const { client, clientMock } = createClientWithMock({ provider: createProvider('searxng', { baseUrl: 'https://searx.example/search' }) }, [[undefined, () => [200, { results: [] }]]]);
+    delete process.env.GOOGLE_API_KEYS;
+    await client.fetchSearchItems('q');
+    expect(client.getKeyPoolStatus()).toBeNull();
+    expect(JSON.stringify(clientMock.history.get[0])).not.toMatch(/googleOne|key=key/);
+    expect(Object.keys(client.getEngineStats())).toEqual(['default']);
+  });
+});
@@ -179,3 +179,30 @@ describe('sanitizeApiKey', () => { //verify key masking logic
     if (savedDebug !== undefined) { process.env.DEBUG = savedDebug; } else { delete process.env.DEBUG; } //restore flag
   });
 });
+
+describe('shared key registry', () => { //createClient keys reach the loader's sanitizer
+  test('keys passed to createClient are masked in errors sent through safeQerrors', async () => { //one registry for both paths
+    let safeQerrors, sanitizeApiKey, qerr;
+    const saved = { key: process.env.GOOGLE_API_KEY, cx: process.env.GOOGLE_CX }; //restored after the test
+    jest.isolateModules(() => { //fresh registry shared by qserp and the loader
+      qerr = jest.fn(); //mock qerrors
+      jest.doMock('qerrors', () => qerr); //mock module
+      process.env.GOOGLE_API_KEY = 'envKey'; //default client needs credentials
+      process.env.GOOGLE_CX = 'cx'; //default client needs an engine
+      require('../lib/qserp').createClient({ apiKey: 'clientSecret', fallbacks: [{ provider: 'bing', apiKeys: ['bingSecret'] }] }); //registers every key
+      ({ safeQerrors, sanitizeApiKey } = require('../lib/qerrorsLoader')); //load function under test
+    });
+    expect(sanitizeApiKey('a clientSecret b bingSecret')).toBe('a [redacted] b [redacted]');
+    const err = new Error('rejected clientSecret');
+    err.status = 403;
+    await safeQerrors(err, 'ctx bingSecret');
+    const [sent, context] = qerr.mock.calls[0];
+    expect(sent).toBeInstanceOf(Error);
+    expect(sent).toMatchObject({ message: 'rejected [redacted]', status: 403 });
+    expect(sent.stack).not.toContain('clientSecret');
+    expect(context).toBe('ctx [redacted]');
+    expect(err.message).toBe('rejected clientSecret'); //caller's error untouched
+    if (saved.key !== undefined) { process.env.GOOGLE_API_KEY = saved.key; } else { delete process.env.GOOGLE_API_KEY; } //restore key
+    if (saved.cx !== undefined) { process.env.GOOGLE_CX = saved.cx; } else { delete process.env.GOOGLE_CX; } //restore engine
+  });
+});
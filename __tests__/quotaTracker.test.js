@@ -0,0 +1,180 @@
+// Summary: quotaTracker.test.js validates daily quota counting, enforcement, warnings and persistence
+const fs = require('fs'); //inspect counter files
+const os = require('os'); //temp directory for counter files
+const path = require('path'); //build counter file paths
+const { initSearchTest, resetMocks, createAxiosMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //capture threshold warnings
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //client factory under test
+const { createQuotaTracker, pacificDay } = require('../lib/quotaTracker'); //tracker under test
+const { QuotaExceededError, AbortError } = require('../lib/errors'); //typed budget and cancellation errors
+
+const MORNING = Date.UTC(2026, 2, 7, 18, 0); //10:00 PST on 2026-03-07
+
+function createMapStore() { //minimal adapter subset the tracker persists through
+  const map = new Map();
+  return { map, get: key => map.get(key), set: jest.fn((key, value) => { map.set(key, value); }) };
+}
+
+describe('quota tracker', () => { //group tracker tests
+  let warnSpy; //captures threshold warnings
+  let nowSpy; //controls the Pacific-time day
+
+  beforeEach(() => { //reset mocks and clock
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    warnSpy = mockConsole('warn');
+    nowSpy = jest.spyOn(Date, 'now').mockReturnValue(MORNING);
+  });
+
+  afterEach(() => { //restore clock and console
+    nowSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  test('pacificDay follows Pacific time across midnight UTC', () => { //day boundaries
+    expect(pacificDay(Date.UTC(2026, 2, 8, 7, 59))).toEqual({ day: '2026-03-07', nextReset: Date.UTC(2026, 2, 8, 8, 0) }); //23:59 PST
+    expect(pacificDay(Date.UTC(2026, 6, 1, 7, 0)).day).toBe('2026-07-01'); //00:00 PDT
+  });
+
+  test('reject mode warns at thresholds then throws QuotaExceededError', async () => { //hard budget
+    const tracker = createQuotaTracker({ limit: 5 });
+    for (let i = 0; i < 5; i++) { await tracker.acquire(); }
+    const warnings = warnSpy.mock.calls.map(call => call[0]);
+    expect(warnings.filter(msg => msg.includes('Daily quota 80% used: 4 of 5 requests'))).toHaveLength(1);
+    expect(warnings.filter(msg => msg.includes('Daily quota 95% used: 5 of 5 requests'))).toHaveLength(1);
+    const err = await tracker.acquire().catch(e => e);
+    expect(err).toBeInstanceOf(QuotaExceededError);
+    expect(err).toMatchObject({ name: 'QuotaExceededError', limit: 5, used: 5 });
+    expect(err.resetAt.getTime()).toBe(Date.UTC(2026, 2, 8, 8, 0)); //next Pacific midnight
+    await tracker.acquire().catch(() => {});
+    expect(warnSpy.mock.calls.filter(call => call[0].includes('exhausted'))).toHaveLength(1); //exhaustion reported once
+    nowSpy.mockReturnValue(Date.UTC(2026, 2, 8, 9, 0)); //next Pacific day
+    expect(await tracker.acquire()).toBe(1); //budget refilled
+    expect(tracker.status()).toMatchObject({ day: '2026-03-08', used: 1, remaining: 4, mode: 'reject' });
+  });
+
+  test('counter persists through the store across restarts', async () => { //restart survival
+    const store = createMapStore();
+    const first = createQuotaTracker({ limit: 10, store });
+    await first.acquire();
+    await first.acquire();
+    await new Promise(resolve => setImmediate(resolve)); //let background writes finish
+    expect(store.set).toHaveBeenLastCalledWith('quota:2026-03-07', 2, 172800000);
+    const second = createQuotaTracker({ limit: 10, store }); //simulated restart
+    expect(await second.acquire()).toBe(3);
+  });
+
+  test('queue mode waits for the next Pacific day', async () => { //deferred requests
+    nowSpy.mockRestore();
+    jest.useFakeTimers({ now: Date.UTC(2026, 2, 8, 7, 59) }); //one minute before Pacific midnight
+    const tracker = createQuotaTracker({ limit: 1, mode: 'queue' });
+    await tracker.acquire();
+    let settled = false;
+    const waiting = tracker.acquire().then(count => { settled = true; return count; });
+    await jest.advanceTimersByTimeAsync(30000);
+    expect(settled).toBe(false); //still the same day
+    await jest.advanceTimersByTimeAsync(30000);
+    expect(await waiting).toBe(1); //first request of the new day
+    jest.useRealTimers();
+    nowSpy = jest.spyOn(Date, 'now'); //afterEach restores it
+  });
+
+  test('queue mode keeps the process alive while waiting and stops on abort', async () => { //cancellable wait
+    const tracker = createQuotaTracker({ limit: 1, mode: 'queue' });
+    await tracker.acquire();
+    const timeoutSpy = jest.spyOn(global, 'setTimeout');
+    const clearSpy = jest.spyOn(global, 'clearTimeout');
+    const controller = new AbortController();
+    const waiting = tracker.acquire({ signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve)); //reach the day-long wait
+    const timer = timeoutSpy.mock.results[timeoutSpy.mock.results.length - 1].value;
+    expect(timer.hasRef()).toBe(true); //a batch awaiting the wait must not exit early
+    controller.abort();
+    await expect(waiting).rejects.toBeInstanceOf(AbortError);
+    expect(clearSpy).toHaveBeenCalledWith(timer);
+    expect(tracker.status().used).toBe(1); //nothing counted for the aborted wait
+    await expect(tracker.acquire({ signal: controller.signal })).rejects.toBeInstanceOf(AbortError); //already aborted
+    timeoutSpy.mockRestore();
+    clearSpy.mockRestore();
+  });
+
+  test('a search queued for the budget settles after the reset', async () => { //queued call completes
+    const midnight = Date.UTC(2026, 2, 8, 8, 0); //00:00 PST on 2026-03-08
+    nowSpy.mockReturnValue(midnight - 500);
+    const timeoutSpy = jest.spyOn(global, 'setTimeout');
+    const client = qserp.createClient({ dailyQuota: 1, quotaMode: 'queue' });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(200, { items: [{ title: 't', snippet: 's', link: 'l' }] });
+    await client.fetchSearchItems('first');
+    const second = client.fetchSearchItems('second');
+    await new Promise(resolve => setImmediate(resolve)); //reach the wait, re-checked after a second
+    const waitCall = timeoutSpy.mock.calls.findIndex(call => call[1] === 1000);
+    expect(timeoutSpy.mock.results[waitCall].value.hasRef()).toBe(true);
+    nowSpy.mockReturnValue(midnight + 500); //new Pacific day once the timer fires
+    await expect(second).resolves.toEqual([{ title: 't', snippet: 's', link: 'l' }]);
+    expect(clientMock.history.get).toHaveLength(2);
+    expect(client.getQuotaStatus()).toMatchObject({ day: '2026-03-08', used: 1 });
+    timeoutSpy.mockRestore();
+  });
+
+  test('invalid quota mode throws', () => { //fail fast
+    expect(() => createQuotaTracker({ mode: 'wait' })).toThrow("quota mode must be 'reject' or 'queue'");
+    expect(() => qserp.createClient({ quotaMode: 'wait' })).toThrow("quota mode must be 'reject' or 'queue'");
+  });
+
+  test('client counts only requests that reach the API', async () => { //cache hits are free
+    const client = qserp.createClient({ dailyQuota: 2 });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(200, { items: [{ title: 't', snippet: 's', link: 'l' }] });
+    await client.googleSearch('one');
+    await client.googleSearch('one'); //cache hit
+    await client.searchDetailed('two');
+    expect(client.getQuotaStatus()).toMatchObject({ used: 2, limit: 2, remaining: 0 });
+    await expect(client.googleSearch('three')).rejects.toBeInstanceOf(QuotaExceededError);
+    await expect(client.imageSearch('three')).rejects.toThrow('Daily quota of 2 requests exhausted');
+    expect(await client.googleSearch('one')).toHaveLength(1); //cached results still served
+    expect(clientMock.history.get).toHaveLength(2);
+    expect(qerrorsMock).not.toHaveBeenCalled(); //budget is not reported as a request failure
+    expect((await client.inspectCache()).map(entry => entry.key)).toEqual(['one:10', 'detailed:two:10']); //counter kept out of the search cache
+    expect((await client.getCacheStats()).size).toBe(2);
+    client.clearCache();
+    expect(client.getQuotaStatus().used).toBe(2); //clearing results never resets the budget
+  });
+
+  test('counter persists through the backend counter store, apart from search results', async () => { //own namespace
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qserp-quota-'));
+    const file = path.join(dir, 'cache.json');
+    try {
+      const client = qserp.createClient({ dailyQuota: 5, cache: 'file', cacheFile: file });
+      createAxiosMock(client.axiosInstance).onGet(/customsearch/).reply(200, { items: [{ title: 't', snippet: 's', link: 'l' }] });
+      await client.googleSearch('one');
+      expect(client.exportCache().entries.map(entry => entry.key)).toEqual(['one:10']); //no counter in exports
+      expect((await client.getCacheStats()).size).toBe(1);
+      await client.clearCache();
+      await new Promise(resolve => setImmediate(resolve)); //fire-and-forget counter write
+      const restarted = qserp.createClient({ dailyQuota: 5, cache: 'file', cacheFile: file });
+      await createAxiosMock(restarted.axiosInstance).onGet(/customsearch/).reply(200, { items: [] });
+      await restarted.googleSearch('two');
+      expect(restarted.getQuotaStatus().used).toBe(2); //counter survived the clear and the restart
+      expect(Object.keys(JSON.parse(fs.readFileSync(`${file}.counters`, 'utf8')).entries)).toEqual(['quota:2026-03-07']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('quotaStore overrides the adapter counter store and is validated', async () => { //custom persistence
+    const store = createMapStore();
+    const client = qserp.createClient({ dailyQuota: 5, quotaStore: store });
+    createAxiosMock(client.axiosInstance).onGet(/customsearch/).reply(200, { items: [] });
+    await client.googleSearch('one');
+    await new Promise(resolve => setImmediate(resolve)); //fire-and-forget counter write
+    expect(store.map.get('quota:2026-03-07')).toBe(1);
+    expect(() => qserp.createClient({ quotaStore: { get() {} } })).toThrow('quotaStore must provide get and set');
+  });
+
+  test('module exports the error and an unlimited default status', () => { //public surface
+    expect(qserp.QuotaExceededError).toBe(QuotaExceededError);
+    expect(qserp.getQuotaStatus()).toMatchObject({ limit: 0, remaining: null });
+  });
+});
@@ -0,0 +1,71 @@
+// Summary: rateLimitConfig.test.js validates limiter env settings, option clamping and status reporting
+const { initSearchTest, resetMocks, createAxiosMock, saveEnv, restoreEnv, setTestEnv } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const Bottleneck = require('bottleneck'); //mocked constructor for option assertions
+const qserp = require('../lib/qserp'); //module under test
+
+describe('rate limit configuration', () => { //group limiter tests
+  beforeEach(() => { //reset mocks
+    resetMocks(mock, scheduleMock, qerrorsMock);
+  });
+
+  test('normalizeRateLimit clamps limits and passes other options through', () => { //option validation
+    expect(qserp.normalizeRateLimit({ maxConcurrent: 0, minTime: '50', reservoirRefreshInterval: 'soon', highWater: 10 })).toEqual({
+      reservoir: 60, reservoirRefreshAmount: 60, reservoirRefreshInterval: 60000, maxConcurrent: 1, minTime: 50, highWater: 10
+    });
+    expect(qserp.normalizeRateLimit({ reservoir: null, reservoirRefreshAmount: null, reservoirRefreshInterval: null })).toMatchObject({ reservoir: null, reservoirRefreshAmount: null, reservoirRefreshInterval: null }); //Bottleneck's unlimited mode
+    expect(qserp.normalizeRateLimit({ maxConcurrent: null, minTime: -5 })).toMatchObject({ maxConcurrent: 5, minTime: 0 }); //throttling cannot be switched off by accident
+  });
+
+  test('getRateLimitStatus tolerates limiters without counters', async () => { //test double has schedule only
+    const idle = { queued: 0, running: 0 };
+    expect(await qserp.getRateLimitStatus()).toEqual({
+      mode: 'local', reservoir: null, queued: null, running: null, maxConcurrent: 5, minTime: 200, refreshInterval: 60000,
+      lanes: { interactive: { priority: 0, weight: 9, ...idle }, normal: { priority: 5, weight: 3, ...idle }, background: { priority: 9, weight: 1, ...idle } }
+    });
+  });
+
+  test('getRateLimitStatus reports reservoir, queued and running jobs', async () => { //real Bottleneck
+    const RealBottleneck = jest.requireActual('bottleneck');
+    Bottleneck.mockImplementationOnce(opts => new RealBottleneck(opts)); //only this client uses the real limiter
+    const client = qserp.createClient({ rateLimit: { reservoir: 3, maxConcurrent: 1, minTime: 0 } });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    const releases = []; //resolves pending replies in order
+    clientMock.onGet(/customsearch/).reply(() => new Promise(resolve => releases.push(() => resolve([200, { items: [] }]))));
+    expect(await client.getRateLimitStatus()).toMatchObject({ reservoir: 3, queued: 0, running: 0, maxConcurrent: 1 });
+    const searches = [client.fetchSearchItems('one'), client.fetchSearchItems('two')];
+    await new Promise(resolve => setTimeout(resolve, 50)); //let the limiter dispatch the first job
+    expect(await client.getRateLimitStatus()).toMatchObject({ reservoir: 2, queued: 1, running: 1 });
+    releases.shift()();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    releases.shift()();
+    await Promise.all(searches);
+    expect(await client.getRateLimitStatus()).toMatchObject({ reservoir: 1, queued: 0, running: 0 });
+  });
+});
+
+describe('rate limit environment variables', () => { //module load parsing
+  let savedEnv;
+
+  beforeEach(() => { //fresh module per test so env is re-read
+    savedEnv = saveEnv();
+    jest.resetModules();
+  });
+
+  afterEach(() => { //restore env and module registry
+    restoreEnv(savedEnv);
+    jest.resetModules();
+  });
+
+  test('QSERP_RATE_LIMIT_* vars set the limiter defaults', () => { //env configuration
+    setTestEnv();
+    process.env.QSERP_RATE_LIMIT_RESERVOIR = '1000';
+    process.env.QSERP_RATE_LIMIT_INTERVAL_MS = '1000';
+    process.env.QSERP_RATE_LIMIT_MAX_CONCURRENT = '500'; //above the ceiling
+    process.env.QSERP_RATE_LIMIT_MIN_TIME_MS = 'fast'; //invalid keeps default
+    const FreshBottleneck = require('bottleneck');
+    require('../lib/qserp');
+    expect(FreshBottleneck).toHaveBeenCalledWith({ reservoir: 1000, reservoirRefreshAmount: 1000, reservoirRefreshInterval: 1000, maxConcurrent: 100, minTime: 200 });
+  });
+});
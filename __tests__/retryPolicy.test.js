@@ -0,0 +1,110 @@
+// Summary: retryPolicy.test.js validates backoff, Retry-After handling and retried client requests
+const { initSearchTest, resetMocks, createAxiosMock } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //client factory under test
+const { parseRetryAfter, isRetryable, retryDelay } = require('../lib/retryPolicy'); //decisions under test
+
+const policy = qserp.normalizeRetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: false }); //deterministic delays
+
+describe('retry policy', () => { //group decision tests
+  beforeEach(() => { //reset mocks
+    resetMocks(mock, scheduleMock, qerrorsMock);
+  });
+
+  test('parseRetryAfter reads seconds and HTTP dates', () => { //both header forms
+    const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+    expect(parseRetryAfter('2', now)).toBe(2000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 12:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 11:00:00 GMT', now)).toBe(0); //past dates retry at once
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+
+  test('isRetryable accepts transient statuses and network codes only', () => { //classification
+    expect(isRetryable({ response: { status: 429 } }, policy)).toBe(true);
+    expect(isRetryable({ response: { status: 503 } }, policy)).toBe(true);
+    expect(isRetryable({ response: { status: 400 } }, policy)).toBe(false); //bad request will not improve
+    expect(isRetryable({ response: { status: 403 } }, policy)).toBe(false); //quota or key problems need a person
+    expect(isRetryable({ code: 'ECONNRESET' }, policy)).toBe(true);
+    expect(isRetryable({ code: 'ECONNABORTED' }, policy)).toBe(true); //axios timeout
+    expect(isRetryable(new Error('Invalid URL'), policy)).toBe(false);
+  });
+
+  test('retryDelay grows exponentially up to maxDelay with optional jitter', () => { //backoff
+    expect([1, 2, 3, 4, 5].map(attempt => retryDelay({}, attempt, policy))).toEqual([100, 200, 400, 800, 1000]);
+    const randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect(retryDelay({}, 3, { ...policy, jitter: true })).toBe(200); //half of 400
+    randomSpy.mockRestore();
+  });
+
+  test('retryDelay honours Retry-After and refuses waits beyond maxDelay', () => { //server instructions
+    expect(retryDelay({ response: { status: 429, headers: { 'retry-after': '0' } } }, 3, policy)).toBe(0);
+    expect(retryDelay({ response: { status: 503, headers: { 'retry-after': '1' } } }, 1, policy)).toBe(1000);
+    expect(retryDelay({ response: { status: 503, headers: { 'retry-after': '60' } } }, 1, policy)).toBeNull();
+  });
+
+  test('normalizeRetryPolicy clamps options and false disables retries', () => { //option validation
+    expect(qserp.normalizeRetryPolicy({ maxAttempts: 50, baseDelay: 'fast', retryStatuses: [503] })).toMatchObject({
+      maxAttempts: 10, baseDelay: 500, maxDelay: 30000, jitter: true, retryStatuses: [503]
+    });
+    expect(qserp.normalizeRetryPolicy(false).maxAttempts).toBe(1);
+    expect(qserp.normalizeRetryPolicy({ baseDelay: 5000, maxDelay: 10 }).maxDelay).toBe(5000); //cap never below the base
+  });
+});
+
+describe('retried requests', () => { //client integration
+  beforeEach(() => { //reset mocks
+    resetMocks(mock, scheduleMock, qerrorsMock);
+  });
+
+  afterEach(() => { //tests below may switch to fake timers
+    jest.useRealTimers();
+  });
+
+  test('transient failures are retried through the limiter and quota', async () => { //recovery
+    const client = qserp.createClient({ retry: { baseDelay: 0 }, dailyQuota: 10 });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).replyOnce(503).onGet(/customsearch/).timeoutOnce().onGet(/customsearch/).reply(200, { items: [{ link: 'l' }] });
+    expect(await client.fetchSearchItems('flaky')).toEqual([{ link: 'l' }]);
+    expect(clientMock.history.get).toHaveLength(3);
+    expect(scheduleMock).toHaveBeenCalledTimes(3); //each attempt re-enters the limiter
+    expect(client.getQuotaStatus().used).toBe(3); //each attempt reached the API
+    expect(qerrorsMock).not.toHaveBeenCalled();
+  });
+
+  test('Retry-After delays the next attempt', async () => { //server pacing
+    jest.useFakeTimers();
+    const client = qserp.createClient({ retry: { baseDelay: 0 } });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).replyOnce(429, {}, { 'retry-after': '2' }).onGet(/customsearch/).reply(200, { items: [] });
+    const search = client.fetchSearchItems('busy');
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(clientMock.history.get).toHaveLength(1); //still waiting
+    await jest.advanceTimersByTimeAsync(1);
+    expect(await search).toEqual([]);
+    expect(clientMock.history.get).toHaveLength(2);
+  });
+
+  test('attempt counts reach qerrors once retries are exhausted', async () => { //final report
+    const client = qserp.createClient({ retry: { maxAttempts: 2, baseDelay: 0 } });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/Down/).reply(500);
+    clientMock.onGet(/Bad/).reply(400);
+    expect(await client.fetchSearchItems('Down')).toEqual([]);
+    expect(await client.fetchSearchItems('Bad')).toEqual([]);
+    expect(clientMock.history.get).toHaveLength(3); //400 is not retried
+    expect(qerrorsMock).toHaveBeenCalledTimes(2); //one report per search, not per attempt
+    expect(qerrorsMock.mock.calls[0][0].attempts).toBe(2);
+    expect(qerrorsMock.mock.calls[0][2]).toMatchObject({ errorType: 'Error', attempts: 2 });
+    expect(qerrorsMock.mock.calls[1][2]).toMatchObject({ attempts: 1 });
+  });
+
+  test('retry: false keeps a single attempt', async () => { //opt out
+    const client = qserp.createClient({ retry: false });
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(503);
+    expect(await client.googleSearch('once')).toEqual([]);
+    expect(clientMock.history.get).toHaveLength(1);
+  });
+});
@@ -0,0 +1,66 @@
+// Summary: searchDetailed.test.js validates the full metadata envelope and fields selection
+const { initSearchTest, resetMocks } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const { searchDetailed, fetchSearchItems, clearCache, formatSearchEnvelope, getGoogleURL } = require('../lib/qserp'); //functions under test
+
+const fullBody = { //representative Custom Search response
+  searchInformation: { totalResults: '1234', searchTime: 0.25, formattedTotalResults: '1,234', formattedSearchTime: '0.25' },
+  spelling: { correctedQuery: 'node streams', htmlCorrectedQuery: '<b>node</b> streams' },
+  queries: { request: [{ startIndex: 1 }], nextPage: [{ startIndex: 11 }] },
+  items: [{ title: 'T', htmlTitle: '<b>T</b>', link: 'http://t', displayLink: 't', snippet: 'S', htmlSnippet: '<b>S</b>', formattedUrl: 'http://t', mime: 'application/pdf', fileFormat: 'PDF', cacheId: 'c1', pagemap: { metatags: [{}] } }]
+};
+
+describe('searchDetailed', () => { //group detailed search tests
+  beforeEach(() => { //reset mocks and cache
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    clearCache();
+  });
+
+  test('returns items with metadata plus search information', async () => { //full envelope mapping
+    mock.onGet(/customsearch/).reply(200, fullBody);
+    const res = await searchDetailed('node stream'); //perform detailed search
+    expect(res.items[0]).toEqual(expect.objectContaining({ displayLink: 't', htmlSnippet: '<b>S</b>', mime: 'application/pdf', fileFormat: 'PDF', cacheId: 'c1', pagemap: { metatags: [{}] } })); //metadata kept
+    expect(res.items[0].htmlFormattedUrl).toBeNull(); //absent fields normalized to null
+    expect(res.searchInformation).toEqual({ totalResults: 1234, searchTime: 0.25, formattedTotalResults: '1,234', formattedSearchTime: '0.25' }); //numbers parsed
+    expect(res.spelling).toEqual({ correctedQuery: 'node streams', htmlCorrectedQuery: '<b>node</b> streams' }); //spelling suggestion exposed
+    expect(res.pagination).toEqual({ startIndex: 1, count: 1, nextStart: 11, previousStart: null }); //pagination derived from queries
+    expect(scheduleMock).toHaveBeenCalledTimes(1); //rate limiter used
+  });
+
+  test('requests full response by default and custom fields when given', async () => { //fields opt-in
+    mock.onGet(/customsearch/).reply(200, fullBody);
+    await searchDetailed('Full'); //no fields selector
+    await searchDetailed('Full', { fields: 'items(link,pagemap),searchInformation' }); //explicit selector
+    expect(mock.history.get[0].url).toBe('https://customsearch.googleapis.com/customsearch/v1?q=Full&key=key&cx=cx'); //no fields param
+    expect(mock.history.get[1].url).toBe(`https://customsearch.googleapis.com/customsearch/v1?q=Full&key=key&cx=cx&fields=${encodeURIComponent('items(link,pagemap),searchInformation')}`); //encoded selector
+  });
+
+  test('rejects invalid fields selectors', async () => { //validation like query checks
+    await expect(searchDetailed('Bad', { fields: 'items&key=x' })).rejects.toThrow('fields must be a partial-response selector string');
+    await expect(searchDetailed('Bad', { fields: 5 })).rejects.toThrow();
+    expect(scheduleMock).not.toHaveBeenCalled(); //no request for invalid input
+  });
+
+  test('caches envelopes separately from raw items', async () => { //namespace isolation
+    mock.onGet(/Same/).reply(200, fullBody);
+    await fetchSearchItems('Same'); //populate item cache
+    const res = await searchDetailed('Same'); //should not reuse item array
+    expect(res.searchInformation.totalResults).toBe(1234); //envelope fetched fresh
+    scheduleMock.mockClear();
+    await searchDetailed('Same'); //second call cached
+    expect(scheduleMock).not.toHaveBeenCalled();
+  });
+
+  test('returns empty envelope on request failure', async () => { //graceful degradation
+    mock.onGet(/customsearch/).reply(500);
+    const res = await searchDetailed('Fail');
+    expect(res).toEqual(formatSearchEnvelope({})); //stable empty shape
+    expect(res.pagination).toEqual({ startIndex: 1, count: 0, nextStart: null, previousStart: null });
+    expect(qerrorsMock).toHaveBeenCalled(); //error reported
+  });
+
+  test('getGoogleURL omits fields when null', () => { //url builder option
+    expect(getGoogleURL('x', undefined, { fields: null })).toBe('https://customsearch.googleapis.com/customsearch/v1?q=x&key=key&cx=cx');
+  });
+});
@@ -0,0 +1,65 @@
+// Summary: searchParams.test.js validates optional Custom Search parameters in urls and cache keys
+const { initSearchTest, resetMocks } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const { googleSearch, fetchSearchItems, searchDetailed, clearCache, getGoogleURL, createCacheKey, normalizeSearchParams } = require('../lib/qserp'); //functions under test
+
+describe('search parameters', () => { //group parameter tests
+  beforeEach(() => { //reset mocks and cache
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    clearCache();
+  });
+
+  test('normalizeSearchParams keeps known options in sorted order', () => { //filtering and ordering
+    const res = normalizeSearchParams({ safe: 'active', num: 5, dateRestrict: ' d7 ', gl: 'US', filter: false, unknown: 'x' });
+    expect(res).toEqual({ dateRestrict: 'd7', filter: '0', gl: 'US', safe: 'active' }); //trimmed, boolean filter converted
+    expect(Object.keys(res)).toEqual(['dateRestrict', 'filter', 'gl', 'safe']); //stable order
+  });
+
+  test.each([
+    ['dateRestrict', 'yesterday'],
+    ['safe', 'high'],
+    ['siteSearchFilter', 'x'],
+    ['lr', 'english'],
+    ['gl', 'USA'],
+    ['fileType', 'p d f'],
+    ['exactTerms', '   '],
+    ['siteSearch', { host: 'a' }]
+  ])('rejects invalid %s value %p', (name, value) => { //format validation
+    expect(() => normalizeSearchParams({ [name]: value })).toThrow(`Invalid search option ${name}`);
+  });
+
+  test('siteSearchFilter requires siteSearch', () => { //dependent option
+    expect(() => normalizeSearchParams({ siteSearchFilter: 'e' })).toThrow('siteSearchFilter requires siteSearch');
+    expect(normalizeSearchParams({ siteSearch: 'example.com', siteSearchFilter: 'e' })).toEqual({ siteSearch: 'example.com', siteSearchFilter: 'e' });
+  });
+
+  test('getGoogleURL encodes parameters after num and start', () => { //url composition
+    const url = getGoogleURL('q', 5, { start: 11, exactTerms: 'a&b c', siteSearch: 'example.com', siteSearchFilter: 'i' });
+    expect(url).toBe('https://customsearch.googleapis.com/customsearch/v1?q=q&key=key&cx=cx&fields=items(title,snippet,link)&num=5&start=11&exactTerms=a%26b%20c&siteSearch=example.com&siteSearchFilter=i'); //values encoded
+  });
+
+  test('createCacheKey distinguishes filtered queries', () => { //cache isolation
+    expect(createCacheKey('Q', 10)).toBe('q:10'); //unfiltered key unchanged
+    expect(createCacheKey('Q', 10, { dateRestrict: 'd1' })).toBe('q:10:dateRestrict=d1');
+    expect(createCacheKey('Q', 10, { sort: 'date:r:20240101:20241231' })).toBe('q:10:sort=date%3Ar%3A20240101%3A20241231'); //colons encoded
+  });
+
+  test('googleSearch sends options and caches per filter set', async () => { //end to end
+    mock.onGet(/dateRestrict=d1/).reply(200, { items: [{ title: 'n', snippet: 's', link: 'http://news' }] }); //filtered reply
+    mock.onGet(/customsearch/).reply(200, { items: [{ title: 'a', snippet: 's', link: 'http://all' }] }); //unfiltered reply
+    const news = await googleSearch('Topic', { dateRestrict: 'd1', safe: 'active' }); //filtered search
+    const all = await googleSearch('Topic'); //unfiltered search must not hit filtered cache
+    expect(news[0].link).toBe('http://news');
+    expect(all[0].link).toBe('http://all');
+    expect(mock.history.get[0].url).toMatch(/&dateRestrict=d1&safe=active$/); //params appended
+    expect(scheduleMock).toHaveBeenCalledTimes(2); //two distinct requests
+  });
+
+  test('invalid options reject before any request', async () => { //fail fast
+    await expect(fetchSearchItems('Bad', { safe: 'maybe' })).rejects.toThrow('Invalid search option safe');
+    await expect(googleSearch('Bad', { dateRestrict: 'soon' })).rejects.toThrow('Invalid search option dateRestrict');
+    await expect(searchDetailed('Bad', { hl: '123' })).rejects.toThrow('Invalid search option hl');
+    expect(scheduleMock).not.toHaveBeenCalled(); //no quota spent
+  });
+});
@@ -0,0 +1,81 @@
+// Summary: searchSafe.test.js validates outcome objects for success, empty results and failures
+const { initSearchTest, resetMocks, createClientWithMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //silence budget warnings
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //module under test
+const { AuthError, InvalidQueryError, QuotaExceededError } = require('../lib/errors'); //typed failures
+
+describe('searchSafe', () => { //group outcome tests
+  beforeEach(() => { //reset mocks
+    resetMocks(mock, scheduleMock, qerrorsMock);
+  });
+
+  const retry = { baseDelay: 0 }; //retries without waiting, so request counts include them
+
+  test('success carries formatted items and request counts', async () => { //network answer
+    const { client, clientMock } = createClientWithMock({ retry });
+    clientMock.onGet(/Found/).reply(200, { items: [{ title: 't', snippet: 's', link: 'l', pagemap: {} }] });
+    const res = await client.searchSafe('Found', { num: 1 });
+    expect(res).toMatchObject({ ok: true, items: [{ title: 't', snippet: 's', link: 'l' }], error: null, fromCache: false, stale: false, attempts: 1, quotaUsed: 1 });
+    expect(res.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('no results is ok with empty items', async () => { //empty is not a failure
+    const { client, clientMock } = createClientWithMock({ retry });
+    clientMock.onGet(/Nothing/).reply(200, {});
+    expect(await client.searchSafe('Nothing')).toMatchObject({ ok: true, items: [], error: null, attempts: 1 });
+  });
+
+  test('failed requests resolve with a typed error', async () => { //failure is not thrown
+    const { client, clientMock } = createClientWithMock({ retry });
+    clientMock.onGet(/Revoked/).reply(400, { error: { message: 'API key not valid', errors: [{ reason: 'keyInvalid' }] } });
+    const res = await client.searchSafe('Revoked');
+    expect(res).toMatchObject({ ok: false, items: [], fromCache: false, attempts: 1, quotaUsed: 1 });
+    expect(res.error).toBeInstanceOf(AuthError);
+    expect(res.error.reason).toBe('keyInvalid');
+    expect(qerrorsMock).toHaveBeenCalledTimes(1); //still reported once
+  });
+
+  test('retries show up in attempts and quotaUsed', async () => { //cost of flaky requests
+    const { client, clientMock } = createClientWithMock({ retry, dailyQuota: 10 });
+    clientMock.onGet(/Flaky/).replyOnce(503).onGet(/Flaky/).reply(200, { items: [{ link: 'l' }] });
+    expect(await client.searchSafe('Flaky')).toMatchObject({ ok: true, attempts: 2, quotaUsed: 2 });
+    expect(client.getQuotaStatus().used).toBe(2);
+  });
+
+  test('cache hits report fromCache without spending quota', async () => { //second lookup
+    const { client, clientMock } = createClientWithMock({ retry });
+    clientMock.onGet(/Cached/).reply(200, { items: [{ link: 'l' }] });
+    await client.searchSafe('Cached');
+    expect(await client.searchSafe('Cached')).toMatchObject({ ok: true, fromCache: true, attempts: 0, quotaUsed: 0 });
+    expect(clientMock.history.get).toHaveLength(1);
+  });
+
+  test('stale fallback is ok and flagged stale', async () => { //expired entry served after failure
+    let now = 1000000;
+    const nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const { client, clientMock } = createClientWithMock({ cacheTtl: 60000, staleTtl: 300000, staleWhileRevalidate: false });
+    clientMock.onGet(/Old/).replyOnce(200, { items: [{ link: 'kept' }] }).onGet(/Old/).reply(503);
+    await client.searchSafe('Old');
+    now += 61000; //expired, inside the stale window
+    const res = await client.searchSafe('Old');
+    nowSpy.mockRestore();
+    expect(res).toMatchObject({ ok: true, items: [{ link: 'kept' }], fromCache: true, stale: true, attempts: 1 });
+  });
+
+  test('invalid input and spent budgets resolve instead of throwing', async () => { //errors raised before sending
+    const invalid = await qserp.searchSafe('');
+    expect(invalid).toMatchObject({ ok: false, items: [], attempts: 0, quotaUsed: 0 });
+    expect(invalid.error).toBeInstanceOf(InvalidQueryError);
+    expect((await qserp.searchSafe('x', { cache: 'sometimes' })).error).toBeInstanceOf(InvalidQueryError); //option checks are typed too
+    const warnSpy = mockConsole('warn');
+    const { client, clientMock } = createClientWithMock({ retry, dailyQuota: 1 });
+    clientMock.onGet(/customsearch/).reply(200, { items: [] });
+    await client.searchSafe('first');
+    const spent = await client.searchSafe('second');
+    expect(spent.error).toBeInstanceOf(QuotaExceededError);
+    expect(spent).toMatchObject({ ok: false, attempts: 0, quotaUsed: 0 });
+    warnSpy.mockRestore();
+  });
+});
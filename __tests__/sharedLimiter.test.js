@@ -0,0 +1,111 @@
+// Summary: sharedLimiter.test.js validates clustered rate limiting and fallback to the local limiter
+const { initSearchTest, resetMocks, createAxiosMock } = require('./utils/testSetup'); //shared env and mock helpers
+const { mockConsole } = require('./utils/consoleSpies'); //capture fallback warnings
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const Bottleneck = require('bottleneck'); //mocked constructor
+const qserp = require('../lib/qserp'); //client factory under test
+const { createSharedLimiter } = require('../lib/sharedLimiter'); //limiter under test
+
+function createFakeLimiter(ready) { //Bottleneck stand-in running jobs immediately
+  const handlers = {};
+  return {
+    schedule: jest.fn((...args) => Promise.resolve().then(() => (typeof args[0] === 'function' ? args[0] : args[1])())),
+    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    emit: (event, err) => handlers[event](err),
+    ready: jest.fn(() => ready),
+    counts: () => ({ RECEIVED: 0, QUEUED: 0, RUNNING: 0, EXECUTING: 0 }),
+    currentReservoir: async () => 42
+  };
+}
+
+const ioredisClient = { call: jest.fn(), duplicate: jest.fn() }; //shape detected as ioredis
+const limits = { reservoir: 60, maxConcurrent: 5, minTime: 0 };
+
+describe('shared rate limiter', () => { //group clustering tests
+  let warnSpy; //captures fallback warnings
+  let shared; //fake clustered limiter
+  let local; //fake fallback limiter
+  const originalImpl = Bottleneck.getMockImplementation(); //restored after each test
+
+  function useFakes(ready = Promise.resolve()) { //route Bottleneck construction to the fakes
+    shared = createFakeLimiter(ready);
+    local = createFakeLimiter(Promise.resolve());
+    Bottleneck.mockImplementation(opts => (opts.connection ? shared : local));
+  }
+
+  beforeEach(() => { //reset mocks and connection constructors
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    Bottleneck.mockClear();
+    Bottleneck.IORedisConnection = jest.fn(function IORedisConnection(opts) { this.opts = opts; });
+    Bottleneck.RedisConnection = jest.fn(function RedisConnection(opts) { this.opts = opts; });
+    warnSpy = mockConsole('warn');
+  });
+
+  afterEach(() => { //restore default Bottleneck mock
+    Bottleneck.mockImplementation(originalImpl);
+    warnSpy.mockRestore();
+  });
+
+  test('client shares its limiter through Redis under one id', async () => { //clustered mode
+    useFakes();
+    const client = qserp.createClient({ rateLimitRedis: ioredisClient, rateLimitId: 'search-pods', rateLimit: limits });
+    expect(Bottleneck.IORedisConnection).toHaveBeenCalledWith({ client: ioredisClient });
+    expect(Bottleneck).toHaveBeenCalledWith(expect.objectContaining({ id: 'search-pods', clearDatastore: false, connection: expect.any(Bottleneck.IORedisConnection), reservoir: 60 }));
+    const clientMock = createAxiosMock(client.axiosInstance);
+    clientMock.onGet(/customsearch/).reply(200, { items: [] });
+    await client.fetchSearchItems('pods');
+    expect(shared.schedule).toHaveBeenCalledTimes(1);
+    expect(local.schedule).not.toHaveBeenCalled();
+    expect(await client.getRateLimitStatus()).toMatchObject({ mode: 'shared', reservoir: 42 });
+  });
+
+  test('node-redis v3 clients use RedisConnection and v4 clients fall back', () => { //client detection
+    useFakes();
+    const legacy = { send_command: jest.fn() };
+    createSharedLimiter(limits, { client: legacy, id: 'qserp' });
+    expect(Bottleneck.RedisConnection).toHaveBeenCalledWith({ client: legacy });
+    const limiter = createSharedLimiter(limits, { client: { sendCommand: jest.fn() }, id: 'qserp' });
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('requires an ioredis or node-redis v3 client'));
+    expect(limiter.mode()).toBe('local');
+  });
+
+  test('connect timeout falls back to the local limiter', async () => { //unreachable store
+    useFakes(new Promise(() => {})); //never connects
+    const limiter = createSharedLimiter(limits, { client: ioredisClient, id: 'qserp', connectTimeout: 10 });
+    expect(await limiter.schedule(() => 'ran')).toBe('ran');
+    expect(local.schedule).toHaveBeenCalledTimes(1);
+    expect(shared.schedule).not.toHaveBeenCalled();
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('no connection after 10ms'));
+  });
+
+  test('store errors switch to local until the retry window ends', async () => { //outage and recovery
+    useFakes();
+    let now = 1000;
+    const nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const limiter = createSharedLimiter(limits, { client: ioredisClient, id: 'qserp', retryMs: 500 });
+    await limiter.schedule(() => 1);
+    shared.emit('error', new Error('ECONNRESET'));
+    shared.emit('error', new Error('ECONNRESET')); //same outage
+    await limiter.schedule(() => 2);
+    expect(limiter.mode()).toBe('local');
+    now += 500;
+    await limiter.schedule(() => 3);
+    expect(shared.schedule).toHaveBeenCalledTimes(2); //before the outage and after recovery
+    expect(local.schedule).toHaveBeenCalledTimes(1);
+    expect(warnSpy.mock.calls.filter(call => call[0].includes('ECONNRESET'))).toHaveLength(1); //one warning per outage
+    nowSpy.mockRestore();
+  });
+
+  test('limiter failures rerun locally but job failures pass through', async () => { //failure classification
+    useFakes();
+    const limiter = createSharedLimiter(limits, { client: ioredisClient, id: 'qserp' });
+    shared.schedule.mockImplementationOnce(async () => { throw new Error('NOSCRIPT'); }); //job never started
+    expect(await limiter.schedule({ priority: 1 }, () => 'local run')).toBe('local run');
+    expect(local.schedule).toHaveBeenCalledWith({ priority: 1 }, expect.any(Function)); //options kept
+    useFakes();
+    const fresh = createSharedLimiter(limits, { client: ioredisClient, id: 'qserp' });
+    await expect(fresh.schedule(async () => { throw new Error('HTTP 500'); })).rejects.toThrow('HTTP 500');
+    expect(local.schedule).not.toHaveBeenCalled(); //request is not sent twice
+  });
+});
@@ -0,0 +1,105 @@
+// Summary: staleCache.test.js validates stale-while-revalidate and serve-stale-on-error caching
+const { initSearchTest, resetMocks, createClientWithMock } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+
+function mapCache(store = new Map()) { //memory-like adapter that ignores real timers
+  return { get: key => store.get(key), set: (key, value) => { store.set(key, value); }, delete: key => store.delete(key), clear: () => store.clear(), purgeStale: () => false, size: () => store.size };
+}
+
+function flush() { //let background refresh promises settle
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('stale cache modes', () => { //group stale handling tests
+  let now; //controlled clock
+  let nowSpy; //Date.now spy
+
+  beforeEach(() => { //reset mocks and clock
+    resetMocks(mock, scheduleMock, qerrorsMock);
+    now = 1000000;
+    nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => { //restore clock
+    nowSpy.mockRestore();
+  });
+
+  test('stale entry is returned at once and refreshed in the background', async () => { //stale-while-revalidate
+    const { client, clientMock } = createClientWithMock({ cache: mapCache(), cacheTtl: 60000, staleTtl: 300000 });
+    clientMock.onGet(/News/).replyOnce(200, { items: [{ title: 't', snippet: 's', link: 'old' }] });
+    await client.googleSearch('News'); //populate
+    now += 61000; //past ttl, inside grace window
+    clientMock.onGet(/News/).replyOnce(200, { items: [{ title: 't', snippet: 's', link: 'new' }] });
+    const stale = await client.googleSearch('News');
+    expect(stale[0].link).toBe('old'); //answered from cache
+    expect(stale.stale).toBe(true); //flagged
+    expect(Object.keys(stale)).toEqual(['0']); //flag not enumerable
+    await flush();
+    expect(scheduleMock).toHaveBeenCalledTimes(2); //background refresh used the limiter
+    const fresh = await client.googleSearch('News');
+    expect(fresh[0].link).toBe('new'); //refreshed entry served
+    expect(fresh.stale).toBeUndefined();
+  });
+
+  test('concurrent stale hits trigger a single refresh', async () => { //refresh dedupe
+    const { client, clientMock } = createClientWithMock({ cache: mapCache(), cacheTtl: 60000, staleTtl: 300000 });
+    clientMock.onGet(/Busy/).reply(200, { items: [{ link: 'x' }] });
+    await client.fetchSearchItems('Busy');
+    now += 61000;
+    scheduleMock.mockClear();
+    await Promise.all([client.fetchSearchItems('Busy'), client.fetchSearchItems('Busy'), client.fetchSearchItems('Busy')]);
+    await flush();
+    expect(scheduleMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('failed live request falls back to the stale entry', async () => { //serve stale on error
+    const { client, clientMock } = createClientWithMock({ cache: mapCache(), cacheTtl: 60000, staleTtl: 300000, staleWhileRevalidate: false });
+    clientMock.onGet(/Quota/).replyOnce(200, { items: [{ link: 'good' }] });
+    await client.fetchSearchItems('Quota');
+    now += 61000;
+    clientMock.onGet(/Quota/).replyOnce(429);
+    const res = await client.fetchSearchItems('Quota'); //live request attempted first
+    expect(res).toEqual([{ link: 'good' }]);
+    expect(res.stale).toBe(true);
+    expect(qerrorsMock).toHaveBeenCalled(); //failure still reported
+  });
+
+  test('refresh call failing keeps serving the cached entry', async () => { //refresh fallback
+    const { client, clientMock } = createClientWithMock({ cache: mapCache(), cacheTtl: 60000, staleTtl: 300000 });
+    clientMock.onGet(/Keep/).replyOnce(200, { items: [{ link: 'k' }] });
+    await client.fetchSearchItems('Keep');
+    clientMock.onGet(/Keep/).replyOnce(503);
+    expect(await client.fetchSearchItems('Keep', { cache: 'refresh' })).toEqual([{ link: 'k' }]);
+  });
+
+  test('entries past the grace window are treated as misses', async () => { //grace bound
+    const { client, clientMock } = createClientWithMock({ cache: mapCache(), cacheTtl: 60000, staleTtl: 1000, staleWhileRevalidate: false });
+    clientMock.onGet(/Old/).replyOnce(200, { items: [{ link: 'o' }] });
+    await client.fetchSearchItems('Old');
+    now += 62000; //past ttl and grace
+    clientMock.onGet(/Old/).replyOnce(500);
+    expect(await client.fetchSearchItems('Old')).toEqual([]); //no stale fallback
+  });
+
+  test('stale mode is off by default', async () => { //opt-in
+    const store = new Map();
+    const { client, clientMock } = createClientWithMock({ cache: mapCache(store), cacheTtl: 60000 });
+    clientMock.onGet(/Plain/).replyOnce(200, { items: [{ link: 'p' }] });
+    await client.fetchSearchItems('Plain');
+    expect(store.get('plain:10')).toEqual([{ link: 'p' }]); //stored unwrapped
+    clientMock.onGet(/Plain/).replyOnce(500);
+    expect(await client.fetchSearchItems('Plain', { cache: 'refresh' })).toEqual([]); //no fallback without grace window
+  });
+
+  test('searchDetailed envelopes carry the stale flag', async () => { //envelope path
+    const { client, clientMock } = createClientWithMock({ cache: mapCache(), cacheTtl: 60000, staleTtl: 300000, staleWhileRevalidate: false });
+    clientMock.onGet(/Env/).replyOnce(200, { items: [{ link: 'e' }], searchInformation: { totalResults: '1' } });
+    await client.searchDetailed('Env');
+    now += 61000;
+    clientMock.onGet(/Env/).replyOnce(500);
+    const res = await client.searchDetailed('Env');
+    expect(res.stale).toBe(true);
+    expect(res.searchInformation.totalResults).toBe(1);
+  });
+});
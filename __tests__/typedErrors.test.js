@@ -0,0 +1,103 @@
+// Summary: typedErrors.test.js validates error classification and the throwOnError search option
+const { initSearchTest, resetMocks, createClientWithMock } = require('./utils/testSetup'); //shared env and mock helpers
+
+const { mock, scheduleMock, qerrorsMock } = initSearchTest(); //initialize env and mocks
+const qserp = require('../lib/qserp'); //module under test
+const { QserpError, AuthError, QuotaError, RateLimitError, NetworkError, TimeoutError, InvalidQueryError, QuotaExceededError, CircuitOpenError } = require('../lib/errors'); //classes under test
+
+function googleError(status, reason, message = 'failed') { //axios error carrying Google's error body
+  return { response: { status, data: { error: { code: status, message, errors: reason ? [{ reason }] : [] } } }, config: { url: 'https://x?key=key' } };
+}
+
+describe('toQserpError', () => { //classification tests
+  test.each([
+    [googleError(400, 'keyInvalid'), AuthError],
+    [googleError(403, 'forbidden'), AuthError],
+    [googleError(401), AuthError],
+    [googleError(403, 'dailyLimitExceeded'), QuotaError],
+    [googleError(429, 'rateLimitExceeded'), RateLimitError],
+    [googleError(403, 'userRateLimitExceeded'), RateLimitError],
+    [googleError(400, 'invalid'), InvalidQueryError],
+    [{ code: 'ECONNABORTED', request: {}, message: 'timeout of 10000ms exceeded' }, TimeoutError],
+    [{ code: 'ECONNRESET', request: {}, message: 'socket hang up' }, NetworkError]
+  ])('maps %p to the matching class', (error, Expected) => { //reason first, then status and code
+    const typed = qserp.toQserpError(error);
+    expect(typed).toBeInstanceOf(Expected);
+    expect(typed).toBeInstanceOf(QserpError);
+    expect(typed.name).toBe(Expected.name);
+  });
+
+  test('carries sanitized status, reason and message', () => { //safe details
+    const error = googleError(400, 'keyInvalid', 'Credential rejected: key'); //test key is the literal "key"
+    error.attempts = 1;
+    const typed = qserp.toQserpError(error);
+    expect(typed).toMatchObject({ status: 400, reason: 'keyInvalid', code: null, attempts: 1 });
+    expect(typed.message).toBe('Search request failed with status 400 (keyInvalid): Credential rejected: [redacted]');
+    expect(typed.config).toBeUndefined(); //request url with the key is not attached
+  });
+
+  test('server errors stay QserpError and typed errors pass through', () => { //fallback class
+    const typed = qserp.toQserpError(googleError(503));
+    expect(typed.constructor).toBe(QserpError);
+    expect(typed.status).toBe(503);
+    expect(qserp.toQserpError(typed)).toBe(typed);
+    expect(TimeoutError.prototype).toBeInstanceOf(NetworkError); //one check covers both
+  });
+
+  test('budget and circuit errors join the hierarchy', () => { //reparented classes
+    const budget = new QuotaExceededError({ limit: 1, used: 1, resetAt: new Date(0) });
+    expect(budget).toBeInstanceOf(QuotaError);
+    expect(budget).toBeInstanceOf(QserpError);
+    expect(budget.name).toBe('QuotaExceededError');
+    expect(new CircuitOpenError({ state: 'open', failures: 5, retryAt: new Date(0), lastError: null })).toBeInstanceOf(QserpError);
+    expect(qserp.QserpError).toBe(QserpError);
+    expect(qserp.InvalidQueryError).toBe(InvalidQueryError);
+  });
+});
+
+describe('throwOnError', () => { //search option tests
+  beforeEach(() => { //reset mocks
+    resetMocks(mock, scheduleMock, qerrorsMock);
+  });
+
+  const failureRoutes = [ //one failure per query, each sent once
+    [/Revoked/, [400, { error: { message: 'API key not valid', errors: [{ reason: 'keyInvalid' }] } }]],
+    [/Spent/, [403, { error: { message: 'Daily Limit Exceeded', errors: [{ reason: 'dailyLimitExceeded' }] } }]],
+    [/Empty/, [200, {}]]
+  ];
+
+  test('search functions throw typed errors instead of empty results', async () => { //opt-in mode
+    const { client } = createClientWithMock({}, failureRoutes);
+    await expect(client.fetchSearchItems('Revoked', { throwOnError: true })).rejects.toBeInstanceOf(AuthError);
+    await expect(client.googleSearch('Spent', { throwOnError: true })).rejects.toBeInstanceOf(QuotaError);
+    await expect(client.searchDetailed('Revoked', { throwOnError: true })).rejects.toMatchObject({ name: 'AuthError', status: 400, reason: 'keyInvalid' });
+    await expect(client.imageSearch('Revoked', { throwOnError: true })).rejects.toBeInstanceOf(AuthError);
+    await expect(client.getTopSearchResults(['Empty', 'Spent'], { throwOnError: true })).rejects.toBeInstanceOf(QuotaError);
+    const pages = client.searchPages('Revoked', { throwOnError: true });
+    await expect(pages.next()).rejects.toBeInstanceOf(AuthError);
+    expect(await client.fetchSearchItems('Empty', { throwOnError: true })).toEqual([]); //no results is not an error
+  });
+
+  test('default mode still degrades and reports the class to qerrors', async () => { //unchanged contract
+    const { client } = createClientWithMock({}, failureRoutes);
+    expect(await client.fetchSearchItems('Revoked')).toEqual([]);
+    expect(await client.getTopSearchResults(['Spent', 'Empty'])).toEqual([]);
+    expect(qerrorsMock.mock.calls[0][2]).toMatchObject({ errorClass: 'AuthError', status: 400, reason: 'keyInvalid', attempts: 1 });
+    expect(qerrorsMock.mock.calls[1][2]).toMatchObject({ errorClass: 'QuotaError', reason: 'dailyLimitExceeded' });
+  });
+
+  test('failures are reported once whether thrown or not', async () => { //no double logging
+    const { client } = createClientWithMock({}, failureRoutes);
+    await client.fetchSearchItems('Revoked', { throwOnError: true }).catch(() => {});
+    expect(qerrorsMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('invalid input throws InvalidQueryError', async () => { //local validation
+    await expect(qserp.googleSearch('')).rejects.toBeInstanceOf(InvalidQueryError);
+    await expect(qserp.fetchSearchItems('x', { dateRestrict: 'soon' })).rejects.toBeInstanceOf(InvalidQueryError);
+    await expect(qserp.getTopSearchResults('x')).rejects.toBeInstanceOf(InvalidQueryError);
+    await expect(qserp.googleSearch('x', { cache: 'sometimes', throwOnError: true })).rejects.toBeInstanceOf(InvalidQueryError);
+    expect(() => qserp.normalizeCachePolicy({ cache: 0 })).toThrow(InvalidQueryError);
+    expect(scheduleMock).not.toHaveBeenCalled();
+  });
+});
@@ -109,8 +109,9 @@ function restoreEnv(savedEnv) { //(restore saved environment)
  */
 function createScheduleMock() {
   logStart('createScheduleMock', 'none'); //initial log via util
-  // jest spy executes fn immediately to bypass delay
-  scheduleMock = jest.fn(fn => Promise.resolve(fn())); //schedule spy
+  // jest spy executes fn immediately to bypass delay; the job is the last argument
+  // because schedule may receive Bottleneck job options such as priority first
+  scheduleMock = jest.fn((...args) => Promise.resolve(args[args.length - 1]())); //schedule spy
   const Bottleneck = require('bottleneck'); //require mocked Bottleneck
   // return object with schedule spy
   Bottleneck.mockImplementation(() => ({ schedule: scheduleMock })); //inject spy
@@ -158,6 +159,32 @@ function createAxiosMock(instance) {
   return mock; //export axios mock
 }
 
+/**
+ * Creates an isolated qserp client with its own axios mock adapter
+ *
+ * CLIENT DEFAULTS: retries and the circuit breaker are off so each failure is
+ * one request and never blocks later ones; options override them, for example
+ * circuitBreaker: {} for tests that check the breaker.
+ *
+ * @param {Object} [options] - createClient options merged over the defaults
+ * @param {Array} [routes] - [pattern, reply] pairs registered with onGet, where
+ *   pattern is a RegExp or undefined for every GET and reply is a function or a
+ *   [status, data] array
+ * @returns {{client: Object, clientMock: Object}} client and its adapter
+ */
+function createClientWithMock(options = {}, routes = []) {
+  logStart('createClientWithMock', 'client'); //initial log via util
+  const qserp = require('../../lib/qserp'); //same instance initSearchTest loaded
+  const client = qserp.createClient({ retry: false, circuitBreaker: false, ...options }); //isolated client state
+  const clientMock = createAxiosMock(client.axiosInstance); //client-specific adapter
+  for (const [pattern, reply] of routes) { //register fixed replies
+    const handler = clientMock.onGet(pattern);
+    if (typeof reply === 'function') { handler.reply(reply); } else { handler.reply(...reply); }
+  }
+  logReturn('createClientWithMock', 'client'); //final log via util
+  return { client, clientMock }; //expose both for assertions
+}
+
 /**
  * Resets all mock call history for a clean slate
  *
@@ -198,5 +225,5 @@ function initSearchTest() {
   return { mock, scheduleMock, qerrorsMock }; //return configured mocks
 }
 
-module.exports = { setTestEnv, saveEnv, restoreEnv, createScheduleMock, createQerrorsMock, createAxiosMock, resetMocks, initSearchTest }; //export helpers
+module.exports = { setTestEnv, saveEnv, restoreEnv, createScheduleMock, createQerrorsMock, createAxiosMock, createClientWithMock, resetMocks, initSearchTest }; //export helpers
 
@@ -0,0 +1,84 @@
+/**
+ * apiKeySanitizer.js - Masks API keys in anything headed for logs
+ *
+ * Keys reach the process through GOOGLE_API_KEY, the GOOGLE_API_KEYS pool and
+ * the apiKey, apiKeys and fallbacks options of createClient. qserp.js and
+ * qerrorsLoader.js both report errors, so both mask through this module: one
+ * registry of keys passed in code and one set of patterns, so a key handed to
+ * createClient is masked on every path that can log it.
+ *
+ * MASKED FORMS: a key is replaced with [redacted] as a raw or URL-encoded
+ * query value (the parameter name is kept) and as a standalone word, so
+ * words that merely contain the key stay readable.
+ */
+
+const { parseKeyList } = require('./keyPool'); //GOOGLE_API_KEYS parsing shared with qserp.js
+const initialApiKey = process.env.GOOGLE_API_KEY; //captured at load so the key stays masked after env changes
+
+const registeredKeys = new Set(); //keys passed to createClient rather than through the environment
+
+/**
+ * Adds a key passed in code to the keys masked in logs
+ *
+ * @param {any} key - API key; empty and non-string values are ignored
+ */
+function registerApiKey(key) {
+        if (typeof key === 'string' && key !== '') { registeredKeys.add(key); }
+}
+
+/**
+ * Replaces every occurrence of one key in a string
+ *
+ * @param {string} str - Text to mask
+ * @param {string} key - Key to mask, skipped when empty
+ * @returns {string} Masked text, unchanged when even the simple patterns cannot be built
+ */
+function maskKey(str, key) {
+        if (!key) return str; //skip when no key provided
+        try {
+                const escKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); //escape regex metachars
+                const rawParamRegex = new RegExp(`([?&][^=&]*=)${escKey}`, 'g'); //match key after '='
+                const encEscKey = encodeURIComponent(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); //escape encoded key
+                const encValueRegex = new RegExp(`([?&][^=&]*=)${encEscKey}`, 'g'); //match encoded value
+                const encParamRegex = new RegExp(`([?&][^=&]*%3D)${encEscKey}`, 'gi'); //match encoded '=' param
+                const plainRegex = new RegExp(`\\b${escKey}\\b(?!\\s*=)`, 'g'); //match standalone key
+                return str
+                        .replace(rawParamRegex, '$1[redacted]') //mask raw parameter
+                        .replace(encValueRegex, '$1[redacted]') //mask encoded value
+                        .replace(encParamRegex, '$1[redacted]') //mask encoded '=' value
+                        .replace(plainRegex, '[redacted]'); //mask standalone occurrence
+        } catch (e) { //encoding can throw on lone surrogates, fall back to the raw forms
+                try {
+                        const escKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); //escape again for safety
+                        let out = str.replace(new RegExp(`([?&][^=&]*=)${escKey}`, 'g'), '$1[redacted]'); //mask raw param
+                        let encEscKey;
+                        try { encEscKey = encodeURIComponent(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); } catch (_) { encEscKey = null; } //attempt encode
+                        if (encEscKey) {
+                                out = out.replace(new RegExp(`([?&][^=&]*=)${encEscKey}`, 'g'), '$1[redacted]'); //mask encoded value
+                                out = out.replace(new RegExp(`([?&][^=&]*%3D)${encEscKey}`, 'gi'), '$1[redacted]'); //mask encoded '=' value
+                        }
+                        return out.replace(new RegExp(`\\b${escKey}\\b(?!\\s*=)`, 'g'), '[redacted]'); //mask plain
+                } catch (_) { return str; } //on repeated failure, return unchanged
+        }
+}
+
+/**
+ * Masks every known API key in a value
+ *
+ * The env key and GOOGLE_API_KEYS are re-read on each call so rotated keys are
+ * masked too; the key present at load and every registered key are masked as well.
+ *
+ * @param {any} text - Value potentially containing a key, coerced to a string
+ * @returns {string} Text with key values masked
+ */
+function sanitizeApiKey(text) {
+        const keys = new Set([process.env.GOOGLE_API_KEY, initialApiKey, ...parseKeyList(process.env.GOOGLE_API_KEYS), ...registeredKeys]); //deduplicated, env key first
+        let result = String(text); //numbers and objects are safe to pass
+        for (const key of keys) { result = maskKey(result, key); }
+        return result;
+}
+
+module.exports = {
+        sanitizeApiKey,         // Shared masking used by qserp.js and qerrorsLoader.js
+        registerApiKey          // Called by createClient for apiKey, apiKeys and fallback keys
+};
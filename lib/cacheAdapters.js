@@ -0,0 +1,429 @@
+/**
+ * cacheAdapters.js - Pluggable cache backends for qserp clients
+ *
+ * Every qserp client stores results through a small adapter interface so the
+ * in-process LRU cache can be swapped for storage that survives restarts or is
+ * shared between worker processes.
+ *
+ * ADAPTER INTERFACE: an adapter is any object with these methods. Each may
+ * return its result directly or as a Promise; qserp awaits them all.
+ * - get(key)                -> cached value or undefined
+ * - set(key, value, ttlMs)  -> store value, ttlMs overrides the adapter default
+ * - delete(key)             -> true when an entry was removed
+ * - clear()                 -> remove every entry owned by the adapter
+ * - purgeStale()            -> true when expired entries were removed
+ * - size()                  -> number of stored entries
+ *
+ * OPTIONAL EXTENSIONS used by getCacheStats and inspectCache when present:
+ * - stats()                 -> { evictions, memoryBytes, maxSize } for the adapter's lifetime
+ * - entries()               -> [{ key, value, remainingTtl }] for every live entry
+ * - counterStore()          -> { get, set } kept apart from the entries, used by the
+ *                              daily quota tracker so counters never show up in
+ *                              size, entries or export, survive clear and are never
+ *                              evicted. Adapters without it keep counters in memory.
+ *
+ * BUNDLED ADAPTERS:
+ * - memory: LRU cache from lru-cache, the default and fully synchronous
+ * - file: LRU map persisted to one JSON file so a restart keeps warm results;
+ *   counters go to a second file next to it (<file>.counters)
+ * - redis: any Redis-protocol client (ioredis, node-redis v3/v4 or compatible),
+ *   letting several processes share one cache; counters use the sibling
+ *   prefix <prefix>-counters: on the same client
+ */
+
+const fs = require('fs'); //file adapter persistence
+const { LRUCache } = require('lru-cache'); //LRU cache class for automatic eviction
+const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
+const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
+const { logWarn } = require('./minLogger'); //warnings for degraded persistence
+const DEBUG = getDebugFlag(); //flag to toggle verbose logging
+
+const ADAPTER_METHODS = ['get', 'set', 'delete', 'clear', 'purgeStale', 'size']; //methods every adapter must provide
+const DEFAULT_TTL = 300000; //5 minute lifespan matching qserp's default
+const DEFAULT_MAX = 1000; //entry limit matching QSERP_MAX_CACHE_SIZE default
+const COUNTER_MAX = 16; //counter stores hold a few days of quota counters
+
+/**
+ * Checks whether a value is a Promise or Promise-like object
+ *
+ * @param {any} value - Value returned by an adapter method
+ * @returns {boolean} True when the value has a then function
+ */
+function isThenable(value) {
+        return !!value && typeof value.then === 'function'; //duck typing covers native and library promises
+}
+
+/**
+ * Estimates the memory held by one cache entry
+ *
+ * JavaScript strings use two bytes per UTF-16 code unit, so the serialized
+ * length doubled gives a stable approximation without walking object graphs.
+ *
+ * @param {string} key - Cache key
+ * @param {any} value - Stored value
+ * @returns {number} Approximate size in bytes
+ */
+function estimateEntryBytes(key, value) {
+        let serialized; //JSON form of the value
+        try { serialized = JSON.stringify(value) || ''; } catch (err) { serialized = ''; } //circular values count as key only
+        return (String(key).length + serialized.length) * 2; //UTF-16 code units
+}
+
+/**
+ * Verifies that a user supplied object implements the adapter interface
+ *
+ * @param {Object} adapter - Candidate cache adapter
+ * @returns {Object} The same adapter when valid
+ * @throws {Error} If any interface method is missing
+ */
+function validateCacheAdapter(adapter) {
+        if (DEBUG) { logStart('validateCacheAdapter', adapter && typeof adapter); } //log type only
+        const missing = ADAPTER_METHODS.filter(name => !adapter || typeof adapter[name] !== 'function'); //collect absent methods
+        if (missing.length > 0) {
+                throw new Error(`Cache adapter is missing ${missing.join(', ')}`); //fail fast at client creation
+        }
+        if (DEBUG) { logReturn('validateCacheAdapter', true); }
+        return adapter; //valid adapter passed through
+}
+
+/**
+ * Creates an adapter that never stores anything
+ *
+ * Used when the cache size is 0 so callers keep one code path.
+ *
+ * @returns {Object} Cache adapter with no storage
+ */
+function createNoopCache() {
+        return {
+                get: () => undefined, //always a miss
+                set: () => {},
+                delete: () => false,
+                clear: () => {},
+                purgeStale: () => false, //nothing can be stale
+                size: () => 0,
+                entries: () => [] //exports an empty snapshot
+        };
+}
+
+/**
+ * Creates the default in-memory LRU adapter
+ *
+ * @param {Object} [options]
+ * @param {number} [options.max] - Maximum entries before LRU eviction (default 1000)
+ * @param {number} [options.ttl] - Entry lifespan in ms (default 300000)
+ * @returns {Object} Synchronous cache adapter backed by LRUCache
+ */
+function createMemoryCache({ max = DEFAULT_MAX, ttl = DEFAULT_TTL } = {}) {
+        if (DEBUG) { logStart('createMemoryCache', `max: ${max}, ttl: ${ttl}`); }
+        let evictions = 0; //entries dropped to respect max
+        const lru = new LRUCache({
+                max: max || DEFAULT_MAX,      //LRU max entries when enabled
+                ttl,                          // Time-to-live in milliseconds
+                allowStale: false,            // Don't return stale items
+                updateAgeOnGet: false,        // Reads refresh recency only, so a popular entry still expires on time
+                dispose: (value, key, reason) => { if (reason === 'evict') { evictions += 1; } } //count capacity evictions only
+        });
+        const adapter = {
+                get: key => lru.get(key),
+                set: (key, value, ttlMs) => { lru.set(key, value, ttlMs ? { ttl: ttlMs } : undefined); }, //per-entry ttl when given
+                delete: key => lru.delete(key),
+                clear: () => { lru.clear(); },
+                purgeStale: () => lru.purgeStale(),
+                size: () => lru.size,
+                stats() {
+                        let memoryBytes = 0;
+                        for (const [key, value] of lru.entries()) { memoryBytes += estimateEntryBytes(key, value); }
+                        return { evictions, memoryBytes, maxSize: max || DEFAULT_MAX };
+                },
+                entries: () => [...lru.entries()] //most recently used first, reading does not touch recency
+                        .map(([key, value]) => ({ key, value, remainingTtl: lru.getRemainingTTL(key) }))
+                        .filter(entry => entry.remainingTtl > 0) //expired but not yet purged
+        };
+        if (DEBUG) { logReturn('createMemoryCache', 'memory'); }
+        return adapter;
+}
+
+/**
+ * Creates an LRU adapter persisted to a JSON file
+ *
+ * Entries live in memory and the whole map is written to disk after each change,
+ * through a temp file and rename so a crash never leaves half a snapshot. Writes
+ * are serialized and coalesced; set, delete and clear resolve once the change
+ * is on disk. Expired entries are dropped on load. Each process keeps its own
+ * copy, so concurrent workers sharing one file see the last writer's snapshot;
+ * use the Redis adapter when processes must share entries live.
+ *
+ * @param {Object} options
+ * @param {string} options.file - Path of the JSON snapshot file
+ * @param {number} [options.max] - Maximum entries before LRU eviction (default 1000)
+ * @param {number} [options.ttl] - Entry lifespan in ms (default 300000)
+ * @returns {Object} Cache adapter with an extra flush() resolving when writes finish
+ * @throws {Error} If no file path is given
+ */
+function createFileCache({ file, max = DEFAULT_MAX, ttl = DEFAULT_TTL } = {}) {
+        if (DEBUG) { logStart('createFileCache', file); }
+        if (typeof file !== 'string' || file.trim() === '') {
+                throw new Error('File cache requires a file path'); //nothing to persist to
+        }
+        const limit = max || DEFAULT_MAX; //same fallback as memory adapter
+        const entries = new Map(); //insertion order doubles as LRU order
+        let evictions = 0; //entries dropped to respect max
+        try {
+                const snapshot = JSON.parse(fs.readFileSync(file, 'utf8')); //sync so the first search sees loaded entries
+                const now = Date.now();
+                for (const [key, entry] of Object.entries((snapshot && snapshot.entries) || {})) {
+                        if (entry && typeof entry.expires === 'number' && entry.expires > now) { entries.set(key, entry); } //skip expired and malformed
+                }
+        } catch (err) {
+                if (err.code !== 'ENOENT') { logWarn(`File cache ignoring unreadable ${file}: ${err.message}`); } //missing file is a normal first run
+        }
+
+        let writing = Promise.resolve(); //tail of the write chain
+        let queued = null; //write waiting to start, reused by later changes
+        let counters = null; //counter store created on first use
+
+        async function writeSnapshot() { //one atomic write of the current map
+                const data = JSON.stringify({ version: 1, entries: Object.fromEntries(entries) }); //captured before any await
+                const tmp = `${file}.${process.pid}.tmp`; //per-process temp avoids clashes between workers
+                try {
+                        await fs.promises.writeFile(tmp, data);
+                        await fs.promises.rename(tmp, file); //atomic replace on the same filesystem
+                } catch (err) {
+                        logWarn(`File cache write failed for ${file}: ${err.message}`); //keep serving from memory
+                }
+        }
+
+        function persist() { //schedule a write unless one is already waiting
+                if (queued) { return queued; } //pending write will include this change
+                queued = writing.then(() => { queued = null; return writeSnapshot(); });
+                writing = queued;
+                return queued;
+        }
+
+        function isExpired(entry) {
+                return entry.expires <= Date.now();
+        }
+
+        const adapter = {
+                get(key) {
+                        const entry = entries.get(key);
+                        if (!entry) { return undefined; }
+                        if (isExpired(entry)) { entries.delete(key); return undefined; } //lazy expiry like LRUCache
+                        entries.delete(key); //move to most recently used, keeping the expiry set when stored
+                        entries.set(key, entry);
+                        return entry.value;
+                },
+                set(key, value, ttlMs) {
+                        const entryTtl = ttlMs || ttl; //per-entry ttl when given
+                        entries.delete(key); //re-insert at the most recent end
+                        entries.set(key, { value, expires: Date.now() + entryTtl }); //absolute deadline, reads never move it
+                        while (entries.size > limit) { entries.delete(entries.keys().next().value); evictions += 1; } //evict least recently used
+                        return persist();
+                },
+                delete(key) {
+                        const removed = entries.delete(key);
+                        return removed ? persist().then(() => true) : false; //skip disk write when nothing changed
+                },
+                clear() {
+                        entries.clear();
+                        return persist();
+                },
+                purgeStale() {
+                        let removed = false;
+                        for (const [key, entry] of entries) {
+                                if (isExpired(entry)) { entries.delete(key); removed = true; }
+                        }
+                        if (removed) { persist(); } //write in background, result is reported synchronously
+                        return removed;
+                },
+                size: () => entries.size,
+                stats() {
+                        let memoryBytes = 0;
+                        for (const [key, entry] of entries) { memoryBytes += estimateEntryBytes(key, entry.value); }
+                        return { evictions, memoryBytes, maxSize: limit };
+                },
+                entries() {
+                        const now = Date.now();
+                        return [...entries].reverse() //most recently used first like the memory adapter
+                                .map(([key, entry]) => ({ key, value: entry.value, remainingTtl: entry.expires - now }))
+                                .filter(entry => entry.remainingTtl > 0);
+                },
+                flush: () => writing, //lets shutdown code and tests wait for pending writes
+                counterStore() { //separate file so clear and eviction never touch counters
+                        if (!counters) { counters = createFileCache({ file: `${file}.counters`, max: COUNTER_MAX, ttl }); }
+                        return counters;
+                }
+        };
+        if (DEBUG) { logReturn('createFileCache', `${entries.size} entries loaded`); }
+        return adapter;
+}
+
+/**
+ * Builds a command function for a Redis-protocol client
+ *
+ * Supports ioredis (call), node-redis v4+ (sendCommand) and node-redis v3
+ * style callbacks (send_command), so no specific client is a dependency.
+ *
+ * @param {Object} client - Connected Redis client
+ * @returns {Function} (args: string[]) => Promise<any> raw reply
+ * @throws {Error} If the client exposes none of the supported methods
+ */
+function createRedisCommand(client) {
+        if (client && typeof client.call === 'function') { return args => client.call(...args); } //ioredis
+        if (client && typeof client.sendCommand === 'function') { return args => client.sendCommand(args); } //node-redis v4+
+        if (client && typeof client.send_command === 'function') { //node-redis v3 and compatible callback clients
+                return args => new Promise((resolve, reject) => {
+                        client.send_command(args[0], args.slice(1), (err, reply) => (err ? reject(err) : resolve(reply)));
+                });
+        }
+        throw new Error('Redis client must provide call, sendCommand or send_command');
+}
+
+/**
+ * Creates an adapter for any Redis-protocol client
+ *
+ * Values are stored as JSON under a key prefix with PX expiry, so Redis removes
+ * stale entries itself and purgeStale has nothing to do. clear and size scan
+ * only keys under the prefix, leaving other data in the database untouched.
+ * Counters from counterStore() live under <prefix>-counters:, trailing ':'
+ * removed from the prefix first, so processes sharing a prefix share them.
+ *
+ * @param {Object} options
+ * @param {Object} options.client - Redis client (ioredis, node-redis or compatible)
+ * @param {string} [options.prefix] - Key prefix (default 'qserp:')
+ * @param {number} [options.ttl] - Entry lifespan in ms (default 300000)
+ * @returns {Object} Asynchronous cache adapter
+ * @throws {Error} If the client is unsupported
+ */
+function createRedisCache({ client, prefix = 'qserp:', ttl = DEFAULT_TTL } = {}) {
+        if (DEBUG) { logStart('createRedisCache', prefix); }
+        const command = createRedisCommand(client);
+        const send = args => command(args.map(String)); //node-redis rejects non-string arguments
+        const pattern = `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`; //escape glob characters in the prefix
+        const counterPrefix = `${prefix.replace(/:+$/, '')}-counters:`; //sibling of the prefix, outside the entry namespace
+
+        async function scanKeys() { //SCAN instead of KEYS so large databases are not blocked
+                const keys = [];
+                let cursor = '0';
+                do {
+                        const [next, batch] = await send(['SCAN', cursor, 'MATCH', pattern, 'COUNT', 100]);
+                        cursor = String(next);
+                        keys.push(...batch.filter(key => !key.startsWith(counterPrefix))); //a prefix without a trailing ':' also matches the counters
+                } while (cursor !== '0');
+                return keys;
+        }
+
+        const adapter = {
+                async get(key) {
+                        const raw = await send(['GET', `${prefix}${key}`]);
+                        return raw === null || raw === undefined ? undefined : JSON.parse(raw); //null reply is a miss
+                },
+                async set(key, value, ttlMs) {
+                        await send(['SET', `${prefix}${key}`, JSON.stringify(value), 'PX', ttlMs || ttl]); //Redis enforces expiry
+                },
+                async delete(key) {
+                        return Number(await send(['DEL', `${prefix}${key}`])) > 0;
+                },
+                async clear() {
+                        const keys = await scanKeys();
+                        for (let i = 0; i < keys.length; i += 100) { await send(['DEL', ...keys.slice(i, i + 100)]); } //batched deletes
+                },
+                purgeStale: () => false, //Redis expires keys on its own
+                async size() {
+                        return (await scanKeys()).length;
+                },
+                async entries() {
+                        const keys = await scanKeys();
+                        const result = [];
+                        for (const fullKey of keys) {
+                                const remainingTtl = Number(await send(['PTTL', fullKey])); //-2 gone, -1 no expiry
+                                const raw = remainingTtl > 0 ? await send(['GET', fullKey]) : null; //value may expire between commands
+                                if (raw !== null && raw !== undefined) { result.push({ key: fullKey.slice(prefix.length), value: JSON.parse(raw), remainingTtl }); }
+                        }
+                        return result;
+                },
+                counterStore() { //same client and expiry, keys scanKeys never returns
+                        return {
+                                async get(key) {
+                                        const raw = await send(['GET', `${counterPrefix}${key}`]);
+                                        return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+                                },
+                                async set(key, value, ttlMs) {
+                                        await send(['SET', `${counterPrefix}${key}`, JSON.stringify(value), 'PX', ttlMs || ttl]);
+                                }
+                        };
+                }
+        };
+        if (DEBUG) { logReturn('createRedisCache', 'redis'); }
+        return adapter;
+}
+
+/**
+ * Opens a Redis connection from a URL using whichever client package is installed
+ *
+ * Tries ioredis first, then node-redis. Neither is a qserp dependency.
+ *
+ * @param {string} url - Redis connection URL
+ * @returns {Object} Redis client
+ * @throws {Error} If no supported client package is installed
+ */
+function connectRedis(url) {
+        try {
+                const Redis = require('ioredis');
+                return new Redis(url); //connects lazily and queues commands meanwhile
+        } catch (err) {
+                if (err.code !== 'MODULE_NOT_FOUND') { throw err; }
+        }
+        try {
+                const { createClient } = require('redis');
+                const client = createClient({ url });
+                client.connect().catch(err => logWarn(`Redis cache connection failed: ${err.message}`)); //commands queue until connected
+                return client;
+        } catch (err) {
+                if (err.code !== 'MODULE_NOT_FOUND') { throw err; }
+        }
+        throw new Error('Redis cache requires the ioredis or redis package');
+}
+
+/**
+ * Creates a bundled adapter by backend name
+ *
+ * @param {Object} [options]
+ * @param {string} [options.backend] - 'memory' (default), 'file' or 'redis'
+ * @param {number} [options.max] - Maximum entries, 0 returns a no-op adapter
+ * @param {number} [options.ttl] - Entry lifespan in ms
+ * @param {string} [options.file] - Snapshot path for the file backend
+ * @param {Object} [options.redisClient] - Existing Redis client for the redis backend
+ * @param {string} [options.redisUrl] - Connection URL used when no client is given
+ * @param {string} [options.prefix] - Redis key prefix
+ * @returns {Object} Cache adapter
+ * @throws {Error} If the backend is unknown or its settings are incomplete
+ */
+function createCache({ backend = 'memory', max = DEFAULT_MAX, ttl = DEFAULT_TTL, file, redisClient, redisUrl, prefix } = {}) {
+        if (DEBUG) { logStart('createCache', `${backend}, max: ${max}`); }
+        const name = String(backend || 'memory').trim().toLowerCase(); //env values may vary in case
+        let adapter;
+        if (max === 0) { adapter = createNoopCache(); } //size 0 disables caching for every backend
+        else if (name === 'memory') { adapter = createMemoryCache({ max, ttl }); }
+        else if (name === 'file') { adapter = createFileCache({ file, max, ttl }); }
+        else if (name === 'redis') {
+                const client = redisClient || (redisUrl ? connectRedis(redisUrl) : null);
+                if (!client) { throw new Error('Redis cache requires redisClient or redisUrl'); }
+                adapter = createRedisCache({ client, prefix: prefix || undefined, ttl });
+        } else {
+                throw new Error(`Unknown cache backend ${backend}`);
+        }
+        if (DEBUG) { logReturn('createCache', name); }
+        return adapter;
+}
+
+module.exports = {
+        createCache,            // Backend selection by name
+        createMemoryCache,      // Default in-process LRU adapter
+        createFileCache,        // JSON file persisted adapter
+        createRedisCache,       // Redis-protocol adapter
+        createNoopCache,        // Adapter used when caching is disabled
+        validateCacheAdapter,   // Interface check for user supplied adapters
+        estimateEntryBytes,     // Approximate entry size used by adapter stats
+        isThenable              // Promise detection for sync-or-async adapter results
+};
@@ -0,0 +1,152 @@
+/**
+ * cacheSnapshot.js - Disk persistence for exported cache snapshots
+ *
+ * Clients configured with a snapshot path warm their cache from disk on start
+ * and write exportCache() snapshots back periodically and on process exit, so a
+ * deploy does not spend quota re-fetching popular queries.
+ *
+ * SNAPSHOT FORMAT: { version: 1, savedAt, entries: [{ key, value, remainingTtl }] }
+ * where remainingTtl is measured at savedAt; importCache subtracts the time
+ * elapsed since then and skips entries that expired in between.
+ *
+ * Writes go through a temp file and rename so a crash never leaves half a snapshot.
+ * Every write gets its own temp name, so the exit writer never renames a file the
+ * periodic writer is still filling.
+ *
+ * SHUTDOWN: the final snapshot is written on 'exit' and on SIGTERM and SIGINT,
+ * which end the process without 'exit'. When qserp's listener is the only one
+ * for the signal it re-raises it after writing, so the process still terminates
+ * as it would without qserp; applications with their own handlers keep control
+ * of shutdown and get a second write when they call process.exit().
+ */
+
+const fs = require('fs'); //snapshot reads and writes
+const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
+const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
+const { logWarn } = require('./minLogger'); //warnings for unreadable or unwritable snapshots
+const DEBUG = getDebugFlag(); //flag to toggle verbose logging
+
+const SNAPSHOT_VERSION = 1; //bumped when the entry shape changes
+const EXIT_SIGNALS = ['SIGTERM', 'SIGINT']; //signals that terminate without an 'exit' event
+const exitFlushers = new Set(); //sync flush callbacks run when the process exits
+let exitHookInstalled = false; //one set of listeners serves every client
+let tempCount = 0; //makes every temp file name unique within the process
+
+/**
+ * Builds a temp path unique to one write
+ *
+ * @param {string} file - Snapshot path
+ * @returns {string} Sibling path for the write, renamed over file once complete
+ */
+function tempPath(file) {
+        tempCount += 1;
+        return `${file}.${process.pid}.${tempCount}.tmp`; //pid separates workers, the count separates writes
+}
+
+/**
+ * Runs every registered flush, isolating failures
+ */
+function runExitFlushers() {
+        for (const run of exitFlushers) {
+                try { run(); } catch (err) { logWarn(`Cache snapshot exit flush failed: ${err.message}`); } //one client never blocks another
+        }
+}
+
+/**
+ * Flushes on a terminating signal, then restores the default termination
+ *
+ * @param {string} signal - Signal received
+ */
+function handleExitSignal(signal) {
+        runExitFlushers();
+        if (process.listenerCount(signal) === 1) { //only qserp listens, so nobody else will end the process
+                process.removeListener(signal, handleExitSignal);
+                process.kill(process.pid, signal); //default action now applies, with the usual exit code
+        }
+}
+
+/**
+ * Reads a snapshot file written by writeSnapshotFile
+ *
+ * @param {string} file - Snapshot path
+ * @returns {Object|null} Parsed snapshot, or null when missing or unreadable
+ */
+function readSnapshotFile(file) {
+        if (DEBUG) { logStart('readSnapshotFile', file); }
+        let snapshot = null;
+        try {
+                snapshot = JSON.parse(fs.readFileSync(file, 'utf8')); //sync so the first search sees loaded entries
+        } catch (err) {
+                if (err.code !== 'ENOENT') { logWarn(`Cache snapshot ignoring unreadable ${file}: ${err.message}`); } //missing file is a normal first run
+        }
+        if (DEBUG) { logReturn('readSnapshotFile', snapshot ? 'loaded' : 'none'); }
+        return snapshot;
+}
+
+/**
+ * Writes a snapshot atomically without blocking the event loop
+ *
+ * @param {string} file - Snapshot path
+ * @param {Object} snapshot - Result of exportCache
+ * @returns {Promise<boolean>} True when written; failures are logged, never thrown
+ */
+async function writeSnapshotFile(file, snapshot) {
+        const tmp = tempPath(file); //never shared with another write
+        try {
+                await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+                await fs.promises.rename(tmp, file); //atomic replace on the same filesystem
+                return true;
+        } catch (err) {
+                logWarn(`Cache snapshot write failed for ${file}: ${err.message}`); //cache keeps working in memory
+                return false;
+        }
+}
+
+/**
+ * Writes a snapshot atomically and synchronously
+ *
+ * Used from the process exit hook, where asynchronous work never completes.
+ *
+ * @param {string} file - Snapshot path
+ * @param {Object} snapshot - Result of exportCache
+ * @returns {boolean} True when written; failures are logged, never thrown
+ */
+function writeSnapshotFileSync(file, snapshot) {
+        const tmp = tempPath(file); //an interrupted periodic write may still own its temp file
+        try {
+                fs.writeFileSync(tmp, JSON.stringify(snapshot));
+                fs.renameSync(tmp, file);
+                return true;
+        } catch (err) {
+                logWarn(`Cache snapshot write failed for ${file}: ${err.message}`);
+                return false;
+        }
+}
+
+/**
+ * Registers a synchronous flush to run when the process exits or is signalled
+ *
+ * A single 'exit' listener and one listener per signal in EXIT_SIGNALS are
+ * installed lazily so many clients never trip Node's max listener warning.
+ *
+ * @param {Function} flush - Synchronous callback writing the final snapshot
+ * @returns {Function} Unregisters the callback
+ */
+function onProcessExit(flush) {
+        if (!exitHookInstalled) {
+                process.on('exit', runExitFlushers); //exit handlers must stay synchronous
+                for (const signal of EXIT_SIGNALS) { process.on(signal, handleExitSignal); }
+                exitHookInstalled = true;
+        }
+        exitFlushers.add(flush);
+        return () => exitFlushers.delete(flush);
+}
+
+module.exports = {
+        SNAPSHOT_VERSION,       // Snapshot format version written by exportCache
+        readSnapshotFile,       // Warm-start loader
+        writeSnapshotFile,      // Periodic atomic writer
+        writeSnapshotFileSync,  // Exit-time atomic writer
+        onProcessExit,          // Shared exit and signal hook registration
+        EXIT_SIGNALS            // Signals that trigger the final snapshot
+};
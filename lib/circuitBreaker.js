@@ -0,0 +1,118 @@
+/**
+ * circuitBreaker.js - Stops calling the search endpoint while it keeps failing
+ *
+ * When Google is down or the API key has been revoked, every search would still
+ * wait for its timeout and retries before failing. The breaker counts
+ * consecutive endpoint failures and, past a threshold, fails requests at once
+ * with CircuitOpenError until a cool-down has passed.
+ *
+ * STATES:
+ * - closed: requests pass, consecutive failures are counted
+ * - open: requests are rejected until the cool-down ends
+ * - half-open: one probe request passes; success closes the circuit, failure
+ *   reopens it for another cool-down, and other requests are rejected meanwhile
+ *
+ * Which errors count as endpoint failures is decided by the caller, so this
+ * module stays independent of axios error shapes.
+ */
+
+const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
+const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
+const { logWarn } = require('./minLogger'); //state change warnings
+const { CircuitOpenError } = require('./errors'); //typed short-circuit error
+const DEBUG = getDebugFlag(); //flag to toggle verbose logging
+
+/**
+ * Creates a circuit breaker
+ *
+ * @param {Object} [options]
+ * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit, 0 disables (default 5)
+ * @param {number} [options.cooldown] - Ms the circuit stays open before a probe is allowed (default 30000)
+ * @returns {{acquire: Function, success: Function, failure: Function, release: Function, status: Function}}
+ */
+function createCircuitBreaker({ failureThreshold = 5, cooldown = 30000 } = {}) {
+        if (DEBUG) { logStart('createCircuitBreaker', `threshold: ${failureThreshold}, cooldown: ${cooldown}`); }
+        let state = 'closed';
+        let failures = 0; //consecutive failures since the last success
+        let openedAt = null; //epoch ms the circuit last opened
+        let probing = false; //half-open probe in flight
+        let lastError = null; //message of the failure that opened the circuit
+
+        function open(reason) { //start or restart the cool-down
+                state = 'open';
+                openedAt = Date.now();
+                probing = false;
+                lastError = reason;
+                logWarn(`Search circuit opened after ${failures} consecutive failure(s), retrying in ${cooldown}ms: ${reason}`);
+        }
+
+        /**
+         * Admits a request or rejects it while the circuit is open
+         *
+         * @throws {CircuitOpenError} While open, or half-open with a probe in flight
+         */
+        function acquire() {
+                if (failureThreshold === 0) { return; } //breaker disabled
+                if (state === 'open' && Date.now() - openedAt >= cooldown) { state = 'half-open'; } //cool-down over, allow a probe
+                if (state === 'closed') { return; }
+                if (state === 'half-open' && !probing) {
+                        probing = true; //this request is the probe
+                        if (DEBUG) { console.log('circuit half-open, sending probe request'); }
+                        return;
+                }
+                throw new CircuitOpenError({ state, failures, retryAt: new Date(openedAt + cooldown), lastError });
+        }
+
+        /** Records a request the endpoint answered, closing a half-open circuit */
+        function success() {
+                if (state !== 'closed') { logWarn('Search circuit closed, endpoint recovered'); }
+                state = 'closed';
+                failures = 0;
+                probing = false;
+                lastError = null;
+        }
+
+        /**
+         * Records an endpoint failure, opening the circuit at the threshold
+         *
+         * @param {string} [reason] - Sanitized failure description for logs and status
+         */
+        function failure(reason) {
+                failures += 1;
+                if (failureThreshold === 0) { return; }
+                if (state === 'half-open' || (state === 'closed' && failures >= failureThreshold)) { open(reason); } //failed probe reopens at once
+        }
+
+        /** Ends a probe without a verdict, for requests that never reached the endpoint */
+        function release() {
+                probing = false;
+        }
+
+        /**
+         * Reports breaker state for health checks
+         *
+         * @returns {{state: string, failures: number, failureThreshold: number, cooldown: number,
+         *   openedAt: Date|null, retryAt: Date|null, lastError: string|null}}
+         */
+        function status() {
+                if (state === 'open' && Date.now() - openedAt >= cooldown) { state = 'half-open'; } //report what the next request will see
+                const snapshot = {
+                        state,
+                        failures,
+                        failureThreshold,
+                        cooldown,
+                        openedAt: openedAt === null ? null : new Date(openedAt),
+                        retryAt: state === 'closed' || openedAt === null ? null : new Date(openedAt + cooldown),
+                        lastError
+                };
+                if (DEBUG) { logReturn('circuitStatus', state); }
+                return snapshot;
+        }
+
+        if (DEBUG) { logReturn('createCircuitBreaker', 'breaker'); }
+        return { acquire, success, failure, release, status };
+}
+
+module.exports = {
+        createCircuitBreaker    // Endpoint breaker factory used by createClient
+};
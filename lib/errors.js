@@ -0,0 +1,197 @@
+/**
+ * errors.js - Typed errors thrown by qserp
+ *
+ * Most failures are logged and degraded to empty results, but some conditions
+ * must reach the caller so it can react, for example by backing off until the
+ * next quota day. These get their own classes so callers can use instanceof
+ * instead of matching message text.
+ *
+ * HIERARCHY: every class extends QserpError, which carries the HTTP status and
+ * the reason from Google's error body when there is one. Request failures are
+ * converted to these classes by toQserpError in qserp.js and thrown when a
+ * search is called with { throwOnError: true }; QuotaExceededError,
+ * KeyPoolExhaustedError and CircuitOpenError are raised before any request is
+ * sent and always thrown, as is AbortError when the caller's signal fires.
+ *
+ * Messages are built from sanitized text only, and the original axios error is
+ * not attached because its config holds the request URL with the API key.
+ */
+
+/**
+ * Base class for every error qserp raises on purpose
+ *
+ * @property {number|null} status - HTTP status of the failed request, null without a response
+ * @property {string|null} reason - Google error reason such as keyInvalid or dailyLimitExceeded
+ * @property {string|null} code - Network error code such as ECONNRESET
+ * @property {number|null} attempts - Requests made including retries
+ */
+class QserpError extends Error {
+        /**
+         * @param {string} message - Sanitized description
+         * @param {Object} [details]
+         * @param {number|null} [details.status] - HTTP status
+         * @param {string|null} [details.reason] - Google error reason
+         * @param {string|null} [details.code] - Network error code
+         * @param {number|null} [details.attempts] - Attempts made
+         */
+        constructor(message, { status = null, reason = null, code = null, attempts = null } = {}) {
+                super(message);
+                this.name = 'QserpError'; //subclasses overwrite, survives serialization unlike instanceof
+                this.status = status;
+                this.reason = reason;
+                this.code = code;
+                this.attempts = attempts;
+        }
+}
+
+/** Rejected credentials: invalid, expired or restricted API key, or API not enabled */
+class AuthError extends QserpError {
+        constructor(message, details) {
+                super(message, details);
+                this.name = 'AuthError';
+        }
+}
+
+/** Google's own quota for the key or project is spent */
+class QuotaError extends QserpError {
+        constructor(message, details) {
+                super(message, details);
+                this.name = 'QuotaError';
+        }
+}
+
+/** Requests arrive faster than Google allows (HTTP 429 or a rate limit reason) */
+class RateLimitError extends QserpError {
+        constructor(message, details) {
+                super(message, details);
+                this.name = 'RateLimitError';
+        }
+}
+
+/** No response: connection refused or reset, DNS failure */
+class NetworkError extends QserpError {
+        constructor(message, details) {
+                super(message, details);
+                this.name = 'NetworkError';
+        }
+}
+
+/** No response within the request timeout; a NetworkError so one check covers both */
+class TimeoutError extends NetworkError {
+        constructor(message, details) {
+                super(message, details);
+                this.name = 'TimeoutError';
+        }
+}
+
+/**
+ * The caller aborted the search through its AbortSignal
+ *
+ * code is 'ABORT_ERR' and name 'AbortError', as for aborted fetch and stream calls,
+ * so one check can cover qserp and platform aborts.
+ */
+class AbortError extends QserpError {
+        /**
+         * @param {string} [message] - Description, defaults to a generic abort message
+         * @param {Object} [details] - As for QserpError; code defaults to 'ABORT_ERR'
+         */
+        constructor(message = 'Search was aborted', details = {}) {
+                super(message, { code: 'ABORT_ERR', ...details });
+                this.name = 'AbortError';
+        }
+}
+
+/** The query or a search option is invalid, locally or according to Google (HTTP 400) */
+class InvalidQueryError extends QserpError {
+        constructor(message, details) {
+                super(message, details);
+                this.name = 'InvalidQueryError';
+        }
+}
+
+/**
+ * Thrown when the daily request budget is spent and the quota mode is 'reject'
+ *
+ * A QuotaError raised locally by the quota tracker before Google would refuse.
+ *
+ * @property {number} limit - Configured requests per Pacific-time day
+ * @property {number} used - Requests counted for the current day
+ * @property {Date} resetAt - Approximate start of the next Pacific-time day
+ */
+class QuotaExceededError extends QuotaError {
+        /**
+         * @param {Object} details
+         * @param {number} details.limit - Daily budget
+         * @param {number} details.used - Requests counted today
+         * @param {Date} details.resetAt - When the budget refills
+         */
+        constructor({ limit, used, resetAt }) {
+                super(`Daily quota of ${limit} requests exhausted, resets at ${resetAt.toISOString()}`);
+                this.name = 'QuotaExceededError';
+                this.limit = limit;
+                this.used = used;
+                this.resetAt = resetAt;
+        }
+}
+
+/**
+ * Thrown when every key of an API key pool is exhausted or invalid
+ *
+ * Raised by the key pool before any request is sent.
+ *
+ * @property {number} keys - Keys in the pool
+ * @property {Date|null} resetAt - Start of the next Pacific-time day, null when every key is invalid
+ */
+class KeyPoolExhaustedError extends QuotaError {
+        /**
+         * @param {Object} details
+         * @param {number} details.keys - Pool size
+         * @param {Date|null} details.resetAt - When exhausted keys become usable again
+         */
+        constructor({ keys, resetAt }) {
+                super(`All ${keys} API key(s) are exhausted or invalid${resetAt ? `, quota resets at ${resetAt.toISOString()}` : ''}`);
+                this.name = 'KeyPoolExhaustedError';
+                this.keys = keys;
+                this.resetAt = resetAt;
+        }
+}
+
+/**
+ * Thrown when the circuit breaker rejects a request without calling the endpoint
+ *
+ * @property {string} state - 'open', or 'half-open' while a probe request is in flight
+ * @property {number} failures - Consecutive endpoint failures counted
+ * @property {Date} retryAt - When the next probe request is allowed
+ * @property {string|null} lastError - Failure that opened the circuit
+ */
+class CircuitOpenError extends QserpError {
+        /**
+         * @param {Object} details
+         * @param {string} details.state - Breaker state
+         * @param {number} details.failures - Consecutive failures
+         * @param {Date} details.retryAt - End of the cool-down
+         * @param {string|null} details.lastError - Sanitized cause
+         */
+        constructor({ state, failures, retryAt, lastError }) {
+                super(`Search circuit is ${state} after ${failures} consecutive failure(s), retry after ${retryAt.toISOString()}`);
+                this.name = 'CircuitOpenError';
+                this.state = state;
+                this.failures = failures;
+                this.retryAt = retryAt;
+                this.lastError = lastError;
+        }
+}
+
+module.exports = {
+        QserpError,             // Base class for all qserp errors
+        AuthError,              // Key rejected
+        QuotaError,             // Google quota spent
+        RateLimitError,         // Too many requests
+        NetworkError,           // No response
+        TimeoutError,           // No response in time
+        AbortError,             // Cancelled by the caller
+        InvalidQueryError,      // Bad query or option
+        QuotaExceededError,     // Daily budget spent
+        KeyPoolExhaustedError,  // No usable key left in the pool
+        CircuitOpenError        // Endpoint failing, request not sent
+};
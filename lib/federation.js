@@ -0,0 +1,89 @@
+/**
+ * federation.js - Merges ranked result lists from several search engines
+ *
+ * federatedSearch sends one query to several engine profiles and needs a single
+ * list back. Engines rank differently and often return the same page, so this
+ * module fuses the rankings and folds duplicates into one item that records
+ * every engine that returned it.
+ *
+ * STRATEGIES:
+ * - rrf: reciprocal-rank fusion, each engine adds 1 / (k + rank) to an item's
+ *   score, so pages several engines rank highly come first
+ * - round-robin: engines take turns contributing their next unseen item, so
+ *   each engine is represented near the top whatever the overlap
+ *
+ * DUPLICATES: links are compared after normalizeResultUrl, which ignores the
+ * scheme, a leading www., fragments, trailing slashes, utm_* tracking
+ * parameters and query parameter order. The first copy merged keeps its title,
+ * snippet and link.
+ */
+
+const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
+const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
+const DEBUG = getDebugFlag(); //flag to toggle verbose logging
+
+const MERGE_STRATEGIES = ['rrf', 'round-robin'];
+const RRF_K = 60; //constant from the original RRF paper, damps the weight of top ranks
+
+/**
+ * Builds the key two links are considered duplicates by
+ *
+ * @param {string} link - Result URL
+ * @returns {string} Normalized form, or the trimmed lower-cased text when link is not a URL
+ */
+function normalizeResultUrl(link) {
+        const text = String(link).trim();
+        let url;
+        try { url = new URL(text); } catch (_) { return text.toLowerCase(); } //relative or malformed links still dedupe exactly
+        const host = url.hostname.toLowerCase().replace(/^www\./, ''); //www and bare domain serve the same page
+        const params = [...url.searchParams].filter(([name]) => !/^utm_/i.test(name)).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)); //tracking params differ per engine
+        const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+        const path = url.pathname.replace(/\/+$/, ''); //'/docs/' and '/docs' are one page
+        return `${host}${url.port ? `:${url.port}` : ''}${path}${query}`; //scheme and fragment dropped
+}
+
+/**
+ * Fuses per-engine result lists into one de-duplicated list
+ *
+ * @param {Array<{engine: string, items: Object[]}>} lists - Results of each engine in its own rank order
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - 'rrf' or 'round-robin' (default 'rrf')
+ * @param {number} [options.k] - RRF damping constant (default 60)
+ * @returns {Array<Object>} Items with engines (names in the order they returned the item), ranks
+ *   (engine -> 1-based rank) and score (RRF score, null for round-robin) added
+ * @throws {Error} If the strategy is unknown
+ */
+function mergeResults(lists, { strategy = 'rrf', k = RRF_K } = {}) {
+        if (DEBUG) { logStart('mergeResults', `${lists.length} lists, ${strategy}`); }
+        if (!MERGE_STRATEGIES.includes(strategy)) { throw new Error("strategy must be 'rrf' or 'round-robin'"); }
+        const merged = new Map(); //normalized url -> merged item, insertion order is round-robin order
+        const add = (engine, item, rank) => { //folds one ranked item into the merged set
+                if (!item || typeof item.link !== 'string') { return; } //nothing to dedupe or link to
+                const key = normalizeResultUrl(item.link);
+                let entry = merged.get(key);
+                if (!entry) {
+                        entry = { ...item, engines: [], ranks: {}, score: strategy === 'rrf' ? 0 : null, bestRank: rank };
+                        merged.set(key, entry);
+                }
+                if (Object.prototype.hasOwnProperty.call(entry.ranks, engine)) { return; } //engine listed the page twice, its best rank counts
+                entry.engines.push(engine);
+                entry.ranks[engine] = rank;
+                entry.bestRank = Math.min(entry.bestRank, rank);
+                if (strategy === 'rrf') { entry.score += 1 / (k + rank); }
+        };
+        const longest = Math.max(0, ...lists.map(list => list.items.length));
+        for (let i = 0; i < longest; i++) { //rank by rank, engines in the order given
+                for (const { engine, items } of lists) { if (i < items.length) { add(engine, items[i], i + 1); } }
+        }
+        let results = [...merged.values()];
+        if (strategy === 'rrf') { results = results.sort((a, b) => b.score - a.score || a.bestRank - b.bestRank); } //stable sort keeps turn order on ties
+        results = results.map(({ bestRank, ...item }) => item); //internal tie breaker only
+        if (DEBUG) { logReturn('mergeResults', `${results.length} items`); }
+        return results;
+}
+
+module.exports = {
+        mergeResults,           // Rank fusion used by federatedSearch
+        normalizeResultUrl,     // Duplicate detection key exported for testing
+        MERGE_STRATEGIES        // Accepted merge strategies
+};
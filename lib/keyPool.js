@@ -0,0 +1,147 @@
+/**
+ * keyPool.js - Spreads searches over several Google API keys
+ *
+ * One key allows 100 free queries a day and fails with 403 dailyLimitExceeded
+ * after its quota is spent. A pool picks a key for every request, counts
+ * requests per key for the current Pacific-time day, and sets keys aside that
+ * Google rejected so the next request goes out with a key that still works.
+ *
+ * SELECTION STRATEGIES:
+ * - round-robin: keys take turns in configured order
+ * - least-used: the key with the fewest requests today, ties in configured order
+ *
+ * KEY STATES:
+ * - active: selectable
+ * - exhausted: daily quota spent, per Google or the per-key budget, until the Pacific reset
+ * - invalid: rejected as keyInvalid or keyExpired, unused until the process restarts
+ *
+ * Keys never appear in log messages or status reports; they are identified by
+ * their 1-based position in the pool instead.
+ */
+
+const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
+const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
+const { logWarn } = require('./minLogger'); //key state change warnings
+const { pacificDay } = require('./quotaTracker'); //per-key counters reset with Google's quota day
+const { KeyPoolExhaustedError } = require('./errors'); //typed error when no key is usable
+const DEBUG = getDebugFlag(); //flag to toggle verbose logging
+
+const KEY_SELECTIONS = ['round-robin', 'least-used'];
+
+/**
+ * Splits a comma separated key list such as GOOGLE_API_KEYS
+ *
+ * @param {string} [value] - Raw list
+ * @returns {string[]} Trimmed keys without blanks or duplicates, in list order
+ */
+function parseKeyList(value) {
+        if (typeof value !== 'string') { return []; }
+        return [...new Set(value.split(',').map(key => key.trim()).filter(Boolean))];
+}
+
+/**
+ * Creates a key pool
+ *
+ * @param {Object} options
+ * @param {string[]} options.keys - API keys, at least one non-empty string
+ * @param {string} [options.strategy] - 'round-robin' or 'least-used' (default 'round-robin')
+ * @param {number} [options.dailyLimit] - Requests allowed per key and Pacific-time day, 0 only counts (default 0)
+ * @returns {{acquire: Function, reject: Function, status: Function, size: number}} Pool consulted before every request
+ * @throws {Error} If keys is empty or holds a non-string, or the strategy is unknown
+ */
+function createKeyPool({ keys, strategy = 'round-robin', dailyLimit = 0 } = {}) {
+        if (DEBUG) { logStart('createKeyPool', `${Array.isArray(keys) ? keys.length : 0} keys, ${strategy}`); } //count only, keys are secrets
+        if (!Array.isArray(keys) || keys.length === 0 || !keys.every(key => typeof key === 'string' && key !== '')) { throw new Error('apiKeys must be a non-empty array of non-empty strings'); }
+        if (!KEY_SELECTIONS.includes(strategy)) { throw new Error("keySelection must be 'round-robin' or 'least-used'"); } //fail fast like quota mode
+        const entries = [...new Set(keys)].map((key, i) => ({ key, index: i + 1, day: null, used: 0, exhaustedUntil: 0, invalid: false }));
+        let cursor = 0; //next round-robin position
+
+        function rollover(entry, now) { //starts a new counting day when the Pacific date changed
+                const { day } = pacificDay(now);
+                if (entry.day !== day) { entry.day = day; entry.used = 0; }
+        }
+
+        function state(entry, now) { //current state of one key
+                rollover(entry, now);
+                if (entry.invalid) { return 'invalid'; }
+                if (now < entry.exhaustedUntil || (dailyLimit > 0 && entry.used >= dailyLimit)) { return 'exhausted'; }
+                return 'active';
+        }
+
+        /**
+         * Picks the key for the next request and counts the request against it
+         *
+         * @returns {string} API key to send
+         * @throws {KeyPoolExhaustedError} When every key is exhausted or invalid
+         */
+        function acquire() {
+                const now = Date.now();
+                const active = entries.filter(entry => state(entry, now) === 'active');
+                if (active.length === 0) {
+                        const resetAt = entries.some(entry => !entry.invalid) ? new Date(pacificDay(now).nextReset) : null; //only spent keys come back
+                        throw new KeyPoolExhaustedError({ keys: entries.length, resetAt });
+                }
+                let chosen;
+                if (strategy === 'least-used') { chosen = active.reduce((best, entry) => (entry.used < best.used ? entry : best)); } //reduce keeps the first on ties
+                else {
+                        chosen = active.find(entry => entry.index > cursor) || active[0]; //wrap around after the last key
+                        cursor = chosen.index;
+                }
+                chosen.used += 1;
+                if (DEBUG) { logReturn('keyPool.acquire', `key #${chosen.index}, ${chosen.used} today`); }
+                return chosen.key;
+        }
+
+        /**
+         * Sets a key aside after Google rejected it
+         *
+         * @param {string} key - Key the failed request used
+         * @param {string} reason - 'exhausted' until the next Pacific reset, or 'invalid' for good
+         */
+        function reject(key, reason) {
+                const entry = entries.find(candidate => candidate.key === key);
+                if (!entry) { return; } //key from outside the pool
+                if (reason === 'invalid') {
+                        if (!entry.invalid) { logWarn(`API key #${entry.index} was rejected as invalid and is removed from the pool`); }
+                        entry.invalid = true;
+                        return;
+                }
+                const resetAt = pacificDay(Date.now()).nextReset;
+                if (entry.exhaustedUntil < resetAt) { logWarn(`API key #${entry.index} quota exhausted until ${new Date(resetAt).toISOString()}`); } //once per day
+                entry.exhaustedUntil = resetAt;
+        }
+
+        /**
+         * Reports per-key usage for the current Pacific-time day
+         *
+         * @returns {{strategy: string, size: number, active: number, keys: Array<{index: number, state: string,
+         *   used: number, limit: number, remaining: number|null, resetAt: Date|null}>}}
+         */
+        function status() {
+                const now = Date.now();
+                const nextReset = new Date(pacificDay(now).nextReset);
+                const keyStatus = entries.map(entry => {
+                        const keyState = state(entry, now);
+                        return {
+                                index: entry.index,
+                                state: keyState,
+                                used: entry.used,
+                                limit: dailyLimit,
+                                remaining: dailyLimit > 0 ? Math.max(dailyLimit - entry.used, 0) : null, //null means unlimited
+                                resetAt: keyState === 'invalid' ? null : nextReset //invalid keys never come back on their own
+                        };
+                });
+                const snapshot = { strategy, size: entries.length, active: keyStatus.filter(key => key.state === 'active').length, keys: keyStatus };
+                if (DEBUG) { logReturn('keyPoolStatus', `${snapshot.active} of ${snapshot.size} active`); }
+                return snapshot;
+        }
+
+        if (DEBUG) { logReturn('createKeyPool', 'pool'); }
+        return { acquire, reject, status, size: entries.length };
+}
+
+module.exports = {
+        createKeyPool,          // Key pool factory used by createClient
+        parseKeyList,           // GOOGLE_API_KEYS parser shared with the sanitizers
+        KEY_SELECTIONS          // Accepted selection strategies
+};
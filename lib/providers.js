@@ -0,0 +1,338 @@
+/**
+ * providers.js - Search backends behind one request and response interface
+ *
+ * A qserp client sends every search through one provider, so caching, rate
+ * limiting, retries, key pools, sanitization and batching work the same whether
+ * results come from Google Custom Search or another search API. Google CSE is
+ * the default provider and lives in qserp.js next to its URL builder; this
+ * module holds the other bundled providers and checks custom ones.
+ *
+ * PROVIDER INTERFACE: a provider is an object with
+ * - name                                -> identifier used in cache keys and logs, never a bundled name
+ * - buildRequest(query, request)        -> { url, headers } to send; request is
+ *   { type, num, start, params, imageParams, fields, apiKey, cx } with validated values
+ * - parseResponse(data, request)        -> body shaped like a Custom Search response:
+ *   { items: [{ title, link, snippet, displayLink }], searchInformation, queries }
+ * - classifyError(error)                -> { kind, reason, detail, keyState } for an
+ *   axios error; kind is 'quota', 'rate', 'auth' or null to decide by HTTP status,
+ *   keyState is 'exhausted' or 'invalid' when the key itself was rejected
+ *
+ * OPTIONAL FIELDS:
+ * - withKey(request, key)               -> request sent with a pooled key instead (needed for apiKeys)
+ * - params                              -> search parameter names the provider can send (default none)
+ * - types                               -> 'web' and 'image' searches supported (default ['web'])
+ * - engines                             -> true when engine profiles (cx ids) apply (default false)
+ * - needsKey                            -> true when createClient must get apiKey or apiKeys (default false)
+ *
+ * BUNDLED PROVIDERS:
+ * - bing: Bing Web Search v7, key sent in the Ocp-Apim-Subscription-Key header
+ * - brave: Brave Search API, key sent in the X-Subscription-Token header
+ * - serpapi: SerpAPI Google results or a service with the same API, key sent as api_key
+ * - searxng: self-hosted SearxNG JSON endpoint, needs providerUrl and no key
+ */
+
+const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
+const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
+const DEBUG = getDebugFlag(); //flag to toggle verbose logging
+
+const PROVIDER_METHODS = ['buildRequest', 'parseResponse', 'classifyError']; //methods every provider must provide
+const PROVIDER_NAME = /^[A-Za-z0-9_-]{1,64}$/; //names appear in cache keys
+const BUNDLED_PROVIDER = Symbol('qserpBundledProvider'); //module-private, only createProvider sets it
+const PROVIDER_NAMES = ['google', 'bing', 'brave', 'serpapi', 'searxng'];
+const SITE_PARAMS = ['siteSearch', 'siteSearchFilter']; //sent as a site: operator by providers without a site filter
+
+/**
+ * Builds a withKey function for providers that take the key as a query parameter
+ *
+ * A function replacer keeps '$' in a key from being read as a replacement pattern.
+ *
+ * @param {string} param - Query parameter name, e.g. 'key'
+ * @returns {Function} (request, key) => request whose URL carries key as its only param value
+ */
+function keyInQuery(param) {
+        const existing = new RegExp(`([?&])${param}=[^&]*`);
+        return (request, key) => {
+                const value = `${param}=${encodeURIComponent(key)}`;
+                const url = existing.test(request.url) ? request.url.replace(existing, (match, sep) => `${sep}${value}`) : `${request.url}${request.url.includes('?') ? '&' : '?'}${value}`;
+                return { ...request, url };
+        };
+}
+
+/**
+ * Builds a withKey function for providers that take the key as a header
+ *
+ * @param {string} header - Header name
+ * @returns {Function} (request, key) => request carrying the key in that header
+ */
+function keyInHeader(header) {
+        return (request, key) => ({ ...request, headers: { ...request.headers, [header]: key } });
+}
+
+/**
+ * Prepends the site: operator for siteSearch on providers without a site filter
+ *
+ * @param {string} query - Search term
+ * @param {Object} params - Validated search parameters
+ * @returns {string} Query restricted to or excluding the site
+ */
+function siteQuery(query, params) {
+        if (!params.siteSearch) { return query; }
+        return `${params.siteSearchFilter === 'e' ? '-' : ''}site:${params.siteSearch} ${query}`;
+}
+
+/**
+ * Shapes provider results like a Custom Search response body
+ *
+ * @param {Array<{title: any, link: any, snippet: any}>} results - Results in rank order
+ * @param {Object} request - Request the results answer, for the page offset
+ * @param {{total: any, more: boolean}} page - Reported total and whether a further page exists
+ * @returns {Object} { items, searchInformation, queries } as formatSearchEnvelope reads it
+ */
+function searchBody(results, request, { total, more }) {
+        const startIndex = request.start || 1;
+        const items = results.filter(result => result && typeof result.link === 'string').map(result => {
+                let displayLink = null;
+                try { displayLink = new URL(result.link).hostname; } catch (_) { displayLink = null; } //relative links have no host
+                return { title: result.title ?? null, link: result.link, snippet: result.snippet ?? null, displayLink };
+        });
+        const queries = { request: [{ startIndex }] };
+        if (more && items.length > 0) { queries.nextPage = [{ startIndex: startIndex + items.length }]; } //same paging contract as Google
+        return { items, searchInformation: { totalResults: String(Number(total) || 0) }, queries };
+}
+
+/**
+ * Reads status and body of a failed request
+ *
+ * @param {Error} error - Axios error
+ * @returns {{status: number|null, body: any}} Status and response data, null and undefined without a response
+ */
+function errorResponse(error) {
+        const response = error && error.response;
+        return { status: response && Number.isInteger(response.status) ? response.status : null, body: response ? response.data : undefined };
+}
+
+/**
+ * Creates the Bing Web Search provider
+ *
+ * @param {{baseUrl: string}} options - Endpoint
+ * @returns {Object} Provider
+ */
+function createBingProvider({ baseUrl }) {
+        const withKey = keyInHeader('Ocp-Apim-Subscription-Key');
+        return {
+                name: 'bing',
+                params: ['gl', 'hl', 'safe', ...SITE_PARAMS],
+                types: ['web'],
+                engines: false,
+                needsKey: true,
+                buildRequest(query, request) {
+                        const { params } = request;
+                        const search = new URLSearchParams({ q: siteQuery(query, params), count: String(request.num || 10), responseFilter: 'Webpages' });
+                        if (request.start > 1) { search.set('offset', String(request.start - 1)); } //Bing offsets are 0-based
+                        if (params.safe) { search.set('safeSearch', params.safe === 'active' ? 'Strict' : 'Off'); }
+                        if (params.gl) { search.set('cc', params.gl.toUpperCase()); }
+                        if (params.hl) { search.set('setLang', params.hl); }
+                        const built = { url: `${baseUrl}?${search}`, headers: {} };
+                        return request.apiKey ? withKey(built, request.apiKey) : built;
+                },
+                parseResponse(data, request) {
+                        const pages = (data && data.webPages) || {};
+                        const results = (Array.isArray(pages.value) ? pages.value : []).map(page => ({ title: page.name, link: page.url, snippet: page.snippet }));
+                        const total = Number(pages.totalEstimatedMatches) || 0;
+                        return searchBody(results, request, { total, more: (request.start || 1) - 1 + results.length < total });
+                },
+                classifyError(error) {
+                        const { status, body } = errorResponse(error);
+                        const first = (body && Array.isArray(body.errors) && body.errors[0]) || (body && body.error) || {}; //Bing v7 and Azure gateway envelopes
+                        const reason = typeof first.subCode === 'string' ? first.subCode : (typeof first.code === 'string' ? first.code : null);
+                        const detail = typeof first.message === 'string' ? first.message : null;
+                        if (status === 401) { return { kind: 'auth', reason, detail, keyState: 'invalid' }; }
+                        if (status === 403) { return { kind: 'quota', reason, detail, keyState: 'exhausted' }; } //Azure answers a spent call volume with 403
+                        return { kind: status === 429 ? 'rate' : null, reason, detail, keyState: null };
+                },
+                withKey
+        };
+}
+
+/**
+ * Creates the Brave Search provider
+ *
+ * Brave pages by page index rather than result offset, so start is mapped to
+ * the page of num results it falls on.
+ *
+ * @param {{baseUrl: string}} options - Endpoint
+ * @returns {Object} Provider
+ */
+function createBraveProvider({ baseUrl }) {
+        const withKey = keyInHeader('X-Subscription-Token');
+        return {
+                name: 'brave',
+                params: ['gl', 'hl', 'safe', ...SITE_PARAMS],
+                types: ['web'],
+                engines: false,
+                needsKey: true,
+                buildRequest(query, request) {
+                        const { params } = request;
+                        const count = request.num || 10;
+                        const search = new URLSearchParams({ q: siteQuery(query, params), count: String(count) });
+                        if (request.start > 1) { search.set('offset', String(Math.floor((request.start - 1) / count))); }
+                        if (params.safe) { search.set('safesearch', params.safe === 'active' ? 'strict' : 'off'); }
+                        if (params.gl) { search.set('country', params.gl.toUpperCase()); }
+                        if (params.hl) { search.set('search_lang', params.hl.toLowerCase()); }
+                        const built = { url: `${baseUrl}?${search}`, headers: { Accept: 'application/json' } };
+                        return request.apiKey ? withKey(built, request.apiKey) : built;
+                },
+                parseResponse(data, request) {
+                        const web = (data && data.web) || {};
+                        const results = (Array.isArray(web.results) ? web.results : []).map(result => ({ title: result.title, link: result.url, snippet: result.description }));
+                        return searchBody(results, request, { total: null, more: Boolean(data && data.query && data.query.more_results_available) });
+                },
+                classifyError(error) {
+                        const { status, body } = errorResponse(error);
+                        const info = (body && body.error) || {};
+                        const reason = typeof info.code === 'string' ? info.code : null;
+                        const detail = typeof info.detail === 'string' ? info.detail : null;
+                        if (reason === 'SUBSCRIPTION_TOKEN_INVALID' || status === 401) { return { kind: 'auth', reason, detail, keyState: 'invalid' }; }
+                        if (reason === 'RATE_LIMITED' || status === 429) { return { kind: 'rate', reason, detail, keyState: null }; }
+                        return { kind: null, reason, detail, keyState: null };
+                },
+                withKey
+        };
+}
+
+/**
+ * Creates the SerpAPI provider
+ *
+ * SerpAPI takes Google's own parameter names, so most filters pass through.
+ *
+ * @param {{baseUrl: string}} options - Endpoint
+ * @returns {Object} Provider
+ */
+function createSerpApiProvider({ baseUrl }) {
+        const withKey = keyInQuery('api_key');
+        const passThrough = ['cr', 'filter', 'gl', 'hl', 'lr', 'safe'];
+        return {
+                name: 'serpapi',
+                params: [...passThrough, ...SITE_PARAMS],
+                types: ['web'],
+                engines: false,
+                needsKey: true,
+                buildRequest(query, request) {
+                        const { params } = request;
+                        const search = new URLSearchParams({ engine: 'google', q: siteQuery(query, params), num: String(request.num || 10) });
+                        if (request.start > 1) { search.set('start', String(request.start - 1)); } //0-based like Google's web UI
+                        for (const name of passThrough) { if (params[name]) { search.set(name, params[name]); } }
+                        const built = { url: `${baseUrl}?${search}`, headers: {} };
+                        return request.apiKey ? withKey(built, request.apiKey) : built;
+                },
+                parseResponse(data, request) {
+                        const body = data || {};
+                        const results = (Array.isArray(body.organic_results) ? body.organic_results : []).map(result => ({ title: result.title, link: result.link, snippet: result.snippet }));
+                        const total = body.search_information ? body.search_information.total_results : null;
+                        return searchBody(results, request, { total, more: Boolean(body.serpapi_pagination && body.serpapi_pagination.next) }); //a 200 with an error field means no results
+                },
+                classifyError(error) {
+                        const { status, body } = errorResponse(error);
+                        const detail = body && typeof body.error === 'string' ? body.error : null;
+                        if (status === 401) { return { kind: 'auth', reason: null, detail, keyState: 'invalid' }; }
+                        if (status === 429 && /run out of searches/i.test(detail || '')) { return { kind: 'quota', reason: null, detail, keyState: 'exhausted' }; } //plan used up, not throttled
+                        return { kind: status === 429 ? 'rate' : null, reason: null, detail, keyState: null };
+                },
+                withKey
+        };
+}
+
+/**
+ * Creates the SearxNG provider
+ *
+ * SearxNG has no result count and pages by its own page size; start picks the
+ * page as if pages held ten results and num caps the items kept from it.
+ *
+ * @param {{baseUrl: string}} options - Search endpoint of the instance, e.g. https://searx.example.org/search
+ * @returns {Object} Provider
+ */
+function createSearxngProvider({ baseUrl }) {
+        return {
+                name: 'searxng',
+                params: ['hl', 'safe'],
+                types: ['web'],
+                engines: false,
+                needsKey: false,
+                buildRequest(query, request) {
+                        const { params } = request;
+                        const search = new URLSearchParams({ q: query, format: 'json', pageno: String(Math.floor(((request.start || 1) - 1) / 10) + 1) });
+                        if (params.hl) { search.set('language', params.hl); }
+                        if (params.safe) { search.set('safesearch', params.safe === 'active' ? '2' : '0'); }
+                        return { url: `${baseUrl}?${search}`, headers: { Accept: 'application/json' } };
+                },
+                parseResponse(data, request) {
+                        const body = data || {};
+                        const results = (Array.isArray(body.results) ? body.results : []).slice(0, request.num || 10).map(result => ({ title: result.title, link: result.url, snippet: result.content }));
+                        return searchBody(results, request, { total: body.number_of_results, more: results.length > 0 });
+                },
+                classifyError(error) {
+                        const { status } = errorResponse(error);
+                        return { kind: status === 429 ? 'rate' : null, reason: null, detail: null, keyState: null }; //instance limiter
+                }
+        };
+}
+
+const BUNDLED = { //name -> factory and default endpoint
+        bing: { create: createBingProvider, baseUrl: 'https://api.bing.microsoft.com/v7.0/search' },
+        brave: { create: createBraveProvider, baseUrl: 'https://api.search.brave.com/res/v1/web/search' },
+        serpapi: { create: createSerpApiProvider, baseUrl: 'https://serpapi.com/search.json' },
+        searxng: { create: createSearxngProvider, baseUrl: null } //self-hosted, no public default
+};
+
+/**
+ * Creates a bundled provider by name
+ *
+ * @param {string} name - 'bing', 'brave', 'serpapi' or 'searxng'
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Search endpoint replacing the provider default, required for searxng
+ * @returns {Object} Provider
+ * @throws {Error} If the name is unknown, or the endpoint is missing or not an http(s) URL
+ */
+function createProvider(name, { baseUrl } = {}) {
+        if (DEBUG) { logStart('createProvider', name); }
+        const bundled = Object.prototype.hasOwnProperty.call(BUNDLED, name) ? BUNDLED[name] : null;
+        if (!bundled) { throw new Error(`Unknown search provider ${name}`); } //same wording as unknown cache backends
+        const endpoint = baseUrl === undefined || baseUrl === null ? bundled.baseUrl : baseUrl;
+        if (!endpoint) { throw new Error(`Provider ${name} needs providerUrl`); }
+        let parsed;
+        try { parsed = new URL(endpoint); } catch (_) { parsed = null; }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) { throw new Error('providerUrl must be an http(s) URL'); }
+        const provider = bundled.create({ baseUrl: endpoint });
+        Object.defineProperty(provider, BUNDLED_PROVIDER, { value: true }); //lets validateProvider accept its reserved name
+        if (DEBUG) { logReturn('createProvider', provider.name); }
+        return provider;
+}
+
+/**
+ * Verifies that a user supplied object implements the provider interface
+ *
+ * @param {Object} provider - Candidate provider
+ * @returns {Object} Copy of the provider with optional fields defaulted
+ * @throws {Error} If the name is invalid or taken by a bundled provider the object does not come from
+ *   createProvider, or a required method is missing
+ */
+function validateProvider(provider) {
+        if (DEBUG) { logStart('validateProvider', provider && provider.name); }
+        if (!provider || typeof provider.name !== 'string' || !PROVIDER_NAME.test(provider.name)) { throw new Error('Search provider needs a name of letters, digits, _ or -'); }
+        if (!provider[BUNDLED_PROVIDER] && PROVIDER_NAMES.includes(provider.name.toLowerCase())) { throw new Error(`Search provider name ${provider.name} is reserved for a bundled provider`); } //would share its cache keys
+        const missing = PROVIDER_METHODS.filter(name => typeof provider[name] !== 'function');
+        if (missing.length > 0) { throw new Error(`Search provider is missing ${missing.join(', ')}`); } //fail fast at client creation
+        const checked = { name: provider.name, params: [], types: ['web'], engines: false, needsKey: false };
+        for (const field of ['params', 'types', 'engines', 'needsKey']) { if (provider[field] !== undefined) { checked[field] = provider[field]; } }
+        for (const method of [...PROVIDER_METHODS, 'withKey']) { if (typeof provider[method] === 'function') { checked[method] = provider[method].bind(provider); } } //class instances keep their this
+        if (DEBUG) { logReturn('validateProvider', checked.name); }
+        return checked;
+}
+
+module.exports = {
+        createProvider,         // Bundled provider factory used by createClient
+        validateProvider,       // Custom provider check used by createClient
+        keyInQuery,             // withKey builder for query parameter keys
+        keyInHeader,            // withKey builder for header keys
+        PROVIDER_NAMES          // Accepted provider names, google included
+};
@@ -14,56 +14,12 @@
 const { logStart, logReturn } = require('./logUtils'); //standardized logging aids structured error tracing
 const { DEBUG } = require('./debugUtils'); //debug flag gates verbose output to keep logs lean
 const { logError } = require('./minLogger'); //fallback logger for when qerrors fails
-const defaultApiKey = process.env.GOOGLE_API_KEY; //cache key so sanitization is consistent across reloads
+const { sanitizeApiKey: maskApiKeys } = require('./apiKeySanitizer'); //key registry shared with qserp.js
 
-// Sanitizes strings by masking the API key wherever it appears
+// Sanitizes strings by masking the env key, every GOOGLE_API_KEYS entry and every key passed to createClient
 function sanitizeApiKey(text) { //central sanitization avoids leaking credentials in logs
-        let result; //value after sanitization for return logging
-        let sanitizedInput; //intermediate mutated string
-        const applyPatterns = (str, key) => { //helper masks one key
-                if (!key) return str; //skip when key missing
-                try {
-                        const escKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); //escape metachars
-                        const rawParam = new RegExp(`([?&][^=&]*=)${escKey}`, 'g'); //raw param regex
-                        const encEscKey = encodeURIComponent(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); //escape encoded key
-                        const encValue = new RegExp(`([?&][^=&]*=)${encEscKey}`, 'g'); //encoded value regex
-                        const encParam = new RegExp(`([?&][^=&]*%3D)${encEscKey}`, 'gi'); //encoded '=' regex
-                        const plain = new RegExp(`\\b${escKey}\\b(?!\\s*=)`, 'g'); //plain key regex
-                        return str
-                                .replace(rawParam, '$1[redacted]') //mask raw value
-                                .replace(encValue, '$1[redacted]') //mask encoded value
-                                .replace(encParam, '$1[redacted]') //mask encoded '=' value
-                                .replace(plain, '[redacted]'); //mask standalone key
-                } catch (e) { //fallback to simpler replacement on failure
-                        try {
-                                const escKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); //escape again safely
-                                let out = str.replace(new RegExp(`([?&][^=&]*=)${escKey}`, 'g'), '$1[redacted]'); //mask raw
-                                let encEscKey;
-                                try { encEscKey = encodeURIComponent(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); } catch (_) { encEscKey = null; }
-                                if (encEscKey) {
-                                        out = out.replace(new RegExp(`([?&][^=&]*=)${encEscKey}`, 'g'), '$1[redacted]'); //encoded value
-                                        out = out.replace(new RegExp(`([?&][^=&]*%3D)${encEscKey}`, 'gi'), '$1[redacted]'); //encoded '='
-                                }
-                                out = out.replace(new RegExp(`\\b${escKey}\\b(?!\\s*=)`, 'g'), '[redacted]'); //plain key
-                                return out; //return sanitized fallback
-                        } catch (_) { return str; } //give up on error
-                }
-        };
-        try {
-                const envKey = process.env.GOOGLE_API_KEY; //current key
-                sanitizedInput = String(text); //normalize input type
-                sanitizedInput = applyPatterns(sanitizedInput, envKey); //mask runtime key
-                if (defaultApiKey && defaultApiKey !== envKey) sanitizedInput = applyPatterns(sanitizedInput, defaultApiKey); //mask initial key when changed
-                if (DEBUG) { logStart('sanitizeApiKey', sanitizedInput); } //log sanitized input only when debug enabled
-                result = sanitizedInput; //capture sanitized result
-        } catch (err) { //fallback when regex building fails
-                const envKey = process.env.GOOGLE_API_KEY; //re-read on failure
-                sanitizedInput = String(text); //ensure string to avoid errors
-                sanitizedInput = applyPatterns(sanitizedInput, envKey); //mask runtime key
-                if (defaultApiKey && defaultApiKey !== envKey) sanitizedInput = applyPatterns(sanitizedInput, defaultApiKey); //mask initial key again
-                if (DEBUG) { logStart('sanitizeApiKey', sanitizedInput); } //log sanitized fallback when debug enabled
-                result = sanitizedInput; //use fallback sanitized string
-        }
+        const result = maskApiKeys(text); //same registry and patterns as qserp.js
+        if (DEBUG) { logStart('sanitizeApiKey', result); } //log sanitized input only when debug enabled
         if (DEBUG) { logReturn('sanitizeApiKey', result); } //log return value when debug enabled
         return result; //provide sanitized string back to caller
 }
@@ -109,6 +65,22 @@ function loadQerrors() {
         }
 }
 
+/**
+ * Copies an error with its message and stack masked
+ *
+ * The copy keeps the prototype and own properties so qerrors still sees the
+ * error class; the original is left untouched for the caller.
+ *
+ * @param {Error} error - Error about to be reported
+ * @returns {Error} Masked copy
+ */
+function sanitizeError(error) {
+        const copy = Object.assign(Object.create(Object.getPrototypeOf(error)), error); //own enumerable props such as status
+        copy.message = sanitizeApiKey(error.message); //message and stack are not enumerable
+        if (error.stack) { copy.stack = sanitizeApiKey(error.stack); }
+        return copy;
+}
+
 /**
  * Safe wrapper for qerrors calls that handles failures gracefully
  * 
@@ -138,10 +110,10 @@ async function safeQerrors(error, context, additionalData = {}) { //async to ret
         try {
                 const qerrors = loadQerrors(); //ensure latest module with compatibility support
                 
-                // Ensure error is an Error object for qerrors v1.2.3+ compatibility
-                const errorObj = error instanceof Error ? error : new Error(safeMsg); //use sanitized message when wrapping
+                // Ensure error is an Error object for qerrors v1.2.3+ compatibility, masked like every other log path
+                const errorObj = error instanceof Error ? sanitizeError(error) : new Error(sanitizeApiKey(safeMsg)); //use sanitized message when wrapping
                 
-                const result = await qerrors(errorObj, context, additionalData); //await qerrors call for async modules
+                const result = await qerrors(errorObj, cleanCtx, additionalData); //await qerrors call for async modules
                 logReturn('safeQerrors', result); //log returned value
                 return result; //propagate qerrors result
         } catch (qerrorsError) {
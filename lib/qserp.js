@@ -11,6 +11,12 @@
  * - Migrated to LRU-cache for automatic eviction and TTL, improving memory management; manual Map caching removed
  * - Conservative rate limiting to prevent quota exhaustion in production
  * - Three-tier error handling: structured logging, minimal output, graceful degradation
+ * - createClient factory owns the axios instance, limiter and cache so several
+ *   clients with different credentials can coexist; module exports delegate to
+ *   a default client built from environment variables
+ * - Google CSE is the default search provider; Bing, Brave, SerpAPI, SearxNG or a
+ *   custom backend can be chosen per client behind the same interface (lib/providers.js),
+ *   with an ordered list of fallback providers tried when it fails or runs out of quota
  * 
  * PERFORMANCE OPTIMIZATIONS:
  * - HTTP connection reuse via keepAlive agents reduces connection overhead
@@ -22,36 +28,25 @@
 const axios = require('axios'); //HTTP client for performing Google API requests
 const http = require('http'); //node http module for custom agent
 const https = require('https'); //node https module for custom agent
-
-// Custom axios instance optimized for sustained API usage patterns
-// RATIONALE: Default axios creates new connections for each request, leading to
-// connection overhead. Custom agents with keepAlive reuse connections, improving
-// performance for applications making multiple API calls over time.
-const axiosInstance = axios.create({ //axios instance with keepAlive agents and socket limits
-       // Request compressed responses to reduce bandwidth usage
-       // Google API supports gzip/deflate/br compression which can significantly reduce payload size
-       headers: { 'Accept-Encoding': 'gzip, deflate, br' }, //request compressed responses for smaller payloads
-       
-       // HTTP agent with connection pooling for non-SSL requests
-       // maxSockets: 20 allows concurrent requests while preventing resource exhaustion
-       // maxFreeSockets: 10 keeps connections alive for reuse without hoarding resources
-       httpAgent: new http.Agent({ keepAlive: true, maxSockets: 20, maxFreeSockets: 10 }), //reuse http sockets with connection limits
-       
-       // HTTPS agent with same pooling configuration for SSL requests
-       // Google API uses HTTPS so this agent handles the actual API connections
-       httpsAgent: new https.Agent({ keepAlive: true, maxSockets: 20, maxFreeSockets: 10 }) //reuse https sockets with connection limits
-});
 const Bottleneck = require('bottleneck'); // Rate limiting library to prevent API quota exhaustion
 const defaultApiKey = process.env.GOOGLE_API_KEY; //capture initial key so later changes can be masked
 const defaultCx = process.env.GOOGLE_CX; //capture initial cx for reuse if env changes at runtime
 const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
 const DEBUG = getDebugFlag(); //flag to toggle verbose logging
 
-// LRU Cache implementation with optimized configuration
-// DEPENDENCY UTILIZATION: Using existing lru-cache dependency instead of custom Map implementation
-// This eliminates ~50 lines of manual cache management while providing superior memory efficiency
-const { LRUCache } = require('lru-cache'); //LRU cache class for automatic eviction
-const CACHE_TTL = 300000; //5 minute cache lifespan in ms
+// Cache backends behind one adapter interface
+// DEPENDENCY UTILIZATION: the default memory adapter wraps the existing lru-cache dependency;
+// file and Redis adapters let results survive restarts or be shared between workers
+const { createCache, createMemoryCache, createFileCache, createRedisCache, validateCacheAdapter, isThenable } = require('./cacheAdapters'); //pluggable cache adapters
+const { SNAPSHOT_VERSION, readSnapshotFile, writeSnapshotFile, writeSnapshotFileSync, onProcessExit } = require('./cacheSnapshot'); //warm start across deploys
+const { createQuotaTracker, QUOTA_MODES } = require('./quotaTracker'); //daily request budget
+const { createKeyPool, parseKeyList, KEY_SELECTIONS } = require('./keyPool'); //several API keys with failover
+const { mergeResults, MERGE_STRATEGIES } = require('./federation'); //rank fusion for federatedSearch
+const { createProvider, validateProvider, keyInQuery } = require('./providers'); //search backends other than Google CSE
+const { QserpError, AuthError, QuotaError, RateLimitError, NetworkError, TimeoutError, AbortError, InvalidQueryError, QuotaExceededError, KeyPoolExhaustedError, CircuitOpenError } = require('./errors'); //typed errors that reach callers
+const { createSharedLimiter } = require('./sharedLimiter'); //Redis-backed limiter shared across processes
+const { RETRY_STATUSES, RETRY_CODES, isRetryable, retryDelay } = require('./retryPolicy'); //backoff for transient failures
+const { createCircuitBreaker } = require('./circuitBreaker'); //fail fast while the endpoint is down
 
 // Cache size monitoring constants for memory management
 // PERFORMANCE OPTIMIZATION: While cache grows predictably at ~0.5-10KB per entry,
@@ -59,84 +54,43 @@ const CACHE_TTL = 300000; //5 minute cache lifespan in ms
 // These constants provide configurable limits to prevent unbounded growth.
 // SECURITY ENHANCEMENT: Validate environment values to prevent malicious configuration
 // STRICT PARSING: use centralized utility to reject non-numeric values like '10abc'
-const { parseIntWithBounds } = require('./envValidator'); //import validator utility for env integers
+const { parseIntWithBounds, parseBooleanVar, parseStringVar } = require('./envValidator'); //import validator utilities for env values
 const MAX_CACHE_SIZE = parseIntWithBounds('QSERP_MAX_CACHE_SIZE', 1000, 0, 50000); //parse with clamping 0-50000
+const MIN_CACHE_TTL = 1000; //one second floor keeps entries useful
+const MAX_CACHE_TTL = 86400000; //one day ceiling bounds staleness
+const CACHE_TTL = parseIntWithBounds('QSERP_CACHE_TTL_MS', 300000, MIN_CACHE_TTL, MAX_CACHE_TTL); //5 minute default lifespan in ms
+const MAX_STALE_TTL = 604800000; //one week ceiling for the stale grace window
+const STALE_TTL = parseIntWithBounds('QSERP_CACHE_STALE_TTL_MS', 0, 0, MAX_STALE_TTL); //grace window after expiry, 0 keeps stale mode off
+const STALE_WHILE_REVALIDATE = parseBooleanVar('QSERP_STALE_WHILE_REVALIDATE', true); //serve stale immediately instead of only on errors
+const MAX_SNAPSHOT_INTERVAL = 86400000; //flush at least daily when periodic snapshots are on
+const SNAPSHOT_INTERVAL = parseIntWithBounds('QSERP_CACHE_SNAPSHOT_INTERVAL_MS', 60000, 0, MAX_SNAPSHOT_INTERVAL); //periodic flush, 0 flushes on exit only
 
-// Initialize LRU cache with automatic memory management
-// OPTIMIZATION: LRU-cache handles eviction automatically, preventing memory leaks
-// and providing better performance than manual Map-based cleanup
-const cache = MAX_CACHE_SIZE === 0 ? //create noop cache when disabled
-        { get: () => undefined, set: () => {}, clear: () => {}, purgeStale: () => false, size: 0 } : //keep interface stable for tests when caching is off
-        new LRUCache({
-                max: MAX_CACHE_SIZE || 1000,  //LRU max entries when enabled
-                ttl: CACHE_TTL,               // Time-to-live in milliseconds
-                allowStale: false,            // Don't return stale items
-                updateAgeOnGet: true          // Refresh age when item is accessed (true LRU behavior)
-        });
+// Daily quota budget, counted per Pacific-time day like Google's own quota
+const MAX_DAILY_QUOTA = 10000000; //far above any Custom Search allowance
+const DAILY_QUOTA = parseIntWithBounds('QSERP_DAILY_QUOTA', 0, 0, MAX_DAILY_QUOTA); //0 counts without enforcing
+const QUOTA_MODE_ENV = parseStringVar('QSERP_QUOTA_MODE', 'reject', 10).toLowerCase(); //raw env value
+const QUOTA_MODE = QUOTA_MODES.includes(QUOTA_MODE_ENV) ? QUOTA_MODE_ENV : 'reject'; //typos must not break module load
+
+// API key pool from GOOGLE_API_KEYS, a comma separated list used instead of GOOGLE_API_KEY
+const KEY_SELECTION_ENV = parseStringVar('QSERP_KEY_SELECTION', 'round-robin', 20).toLowerCase(); //raw env value
+const KEY_SELECTION = KEY_SELECTIONS.includes(KEY_SELECTION_ENV) ? KEY_SELECTION_ENV : 'round-robin'; //typos must not break module load
+const KEY_DAILY_QUOTA = parseIntWithBounds('QSERP_KEY_DAILY_QUOTA', 0, 0, MAX_DAILY_QUOTA); //per-key budget, 0 counts without enforcing
 
 // qerrors is used to handle error reporting and logging with structured context
 const qerrors = require('./qerrorsLoader')(); //load qerrors via shared loader
 const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
 const { logWarn, logError } = require('./minLogger'); //minimal log utility for warn/error
+const { sanitizeApiKey: maskApiKeys, registerApiKey } = require('./apiKeySanitizer'); //one key registry for every log path
 
-// Replaces occurrences of the API key with a redacted token.
-// The input value is coerced to a string before any replacement so callers can
+// Masks API keys through lib/apiKeySanitizer.js, the sanitizer qerrorsLoader.js uses too.
+// The env and initial keys, every GOOGLE_API_KEYS entry and keys registered by createClient
+// are masked. The input value is coerced to a string before any replacement so callers can
 // pass numbers or objects without risking TypeError from String.replace.
 // @param {any} text - Value potentially containing the API key
 // @returns {string} sanitized string with key values masked
 function sanitizeApiKey(text) { //mask api key values so logs never leak secrets
-        let result; //final sanitized value holder
-        let sanitizedInput; //input sanitized only for logging
-        const applyPatterns = (str, key) => { //helper applies regex set for one key
-                if (!key) return str; //skip when no key provided
-                try {
-                        const escKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); //escape regex metachars
-                        const rawParamRegex = new RegExp(`([?&][^=&]*=)${escKey}`, 'g'); //match key after '='
-                        const encEscKey = encodeURIComponent(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); //escape encoded key
-                        const encValueRegex = new RegExp(`([?&][^=&]*=)${encEscKey}`, 'g'); //match encoded value
-                        const encParamRegex = new RegExp(`([?&][^=&]*%3D)${encEscKey}`, 'gi'); //match encoded '=' param
-                        const plainRegex = new RegExp(`\\b${escKey}\\b(?!\\s*=)`, 'g'); //match standalone key
-                        let out = str; //mutable result string
-                        out = out.replace(rawParamRegex, '$1[redacted]'); //mask raw parameter
-                        out = out.replace(encValueRegex, '$1[redacted]'); //mask encoded value
-                        out = out.replace(encParamRegex, '$1[redacted]'); //mask encoded '=' value
-                        out = out.replace(plainRegex, '[redacted]'); //mask standalone occurrence
-                        return out; //return masked string
-                } catch (e) { //fallback when regex creation fails
-                        try {
-                                const escKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); //escape again for safety
-                                const rawParamRegex = new RegExp(`([?&][^=&]*=)${escKey}`, 'g'); //raw param
-                                let out = str.replace(rawParamRegex, '$1[redacted]'); //mask raw param
-                                let encEscKey;
-                                try { encEscKey = encodeURIComponent(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); } catch (_) { encEscKey = null; } //attempt encode
-                                if (encEscKey) {
-                                        out = out.replace(new RegExp(`([?&][^=&]*=)${encEscKey}`, 'g'), '$1[redacted]'); //mask encoded value
-                                        out = out.replace(new RegExp(`([?&][^=&]*%3D)${encEscKey}`, 'gi'), '$1[redacted]'); //mask encoded '=' value
-                                }
-                                out = out.replace(new RegExp(`\\b${escKey}\\b(?!\\s*=)`, 'g'), '[redacted]'); //mask plain
-                                return out; //return sanitized fallback
-                        } catch (_) { return str; } //on repeated failure, return unchanged
-                }
-        };
-        try {
-                const envKey = process.env.GOOGLE_API_KEY; //read runtime key each call
-                sanitizedInput = String(text); //normalize input to string
-                sanitizedInput = applyPatterns(sanitizedInput, envKey); //mask env key
-                if (defaultApiKey && defaultApiKey !== envKey) { //mask initial key when different
-                        sanitizedInput = applyPatterns(sanitizedInput, defaultApiKey); //apply second key patterns
-                }
-                if (DEBUG) { console.log(`sanitizeApiKey is running with ${sanitizedInput}`); } //trace sanitized input
-                result = sanitizedInput; //capture result after masking
-        } catch (err) { //retry with catch logic when failure occurs
-                const envKey = process.env.GOOGLE_API_KEY; //re-read runtime key
-                sanitizedInput = String(text); //stringify fallback
-                sanitizedInput = applyPatterns(sanitizedInput, envKey); //mask env key
-                if (defaultApiKey && defaultApiKey !== envKey) {
-                        sanitizedInput = applyPatterns(sanitizedInput, defaultApiKey); //mask initial key again
-                }
-                if (DEBUG) { console.log(`sanitizeApiKey is running with ${sanitizedInput}`); } //trace sanitized fallback
-                result = sanitizedInput; //use fallback sanitized result
-        }
+        const result = maskApiKeys(text); //shared registry and patterns
+        if (DEBUG) { console.log(`sanitizeApiKey is running with ${result}`); } //trace sanitized input
         if (DEBUG) { console.log(`sanitizeApiKey is returning ${result}`); } //final sanitized result log
         return result; //return sanitized string
 }
@@ -157,57 +111,58 @@ const { REQUIRED_VARS, OPTIONAL_VARS, OPENAI_WARN_MSG } = require('./constants')
 // - maxConcurrent: 5 parallel requests balances throughput vs stability
 // - minTime: 200ms between requests prevents burst patterns
 // TUNING CONSIDERATIONS: these values were production-tested; raising them requires monitoring quota usage and error rates.
-const limiter = new Bottleneck({
-        reservoir: 60,
-        reservoirRefreshAmount: 60,
-        reservoirRefreshInterval: 60000,
-        maxConcurrent: 5,  // Allow multiple concurrent requests for better throughput
-        minTime: 200       // Minimum spacing to prevent rapid-fire requests
-});
-
-// Makes a rate-limited HTTP request using Bottleneck scheduler.
-// This wraps axios.get with rate limiting to prevent API quota exhaustion.
-// The User-Agent header mimics a browser so services don't block obvious bots.
-// @param {string} url - The URL to request
-// @returns {Promise<Object>} - The axios response object
-// @throws {Error} - Network errors, timeouts, or HTTP error status codes
-// @private - Internal function not exposed in module exports
-async function rateLimitedRequest(url) { //wraps axios.get with limiter to avoid quota exhaustion
-        const safeUrl = sanitizeApiKey(url); //(sanitize api key from url)
-        if (DEBUG) { logStart('rateLimitedRequest', safeUrl); } //(avoid key leak with toggle)
-
-
-        if (String(process.env.CODEX).trim().toLowerCase() === 'true') { //offline mode allows running without hitting Google
-
-                const mockRes = { data: { items: [] } }; //(return only items array to match offline mode)
-                if (DEBUG) { console.log('rateLimitedRequest using codex mock response'); } //(notify mock path taken when debug)
-                if (DEBUG) { logReturn('rateLimitedRequest', JSON.stringify(mockRes)); } //(mock return log when debug)
-                return mockRes; //(return mocked response)
-        }
-
-        // Use limiter.schedule to automatically handle rate limiting
-        // This returns a promise that resolves when the request is allowed to proceed
-        const res = await limiter.schedule(() => //await ensures rate limiter controls concurrency
-                axiosInstance.get(url, {
-                        timeout: 10000, // 10 second timeout to prevent hanging requests
-                        headers: {
-                                // User-Agent header mimics Chrome browser to avoid bot detection
-                                // Some APIs may block requests with missing or obvious bot user agents
-                                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.93 Safari/537.36',
-                                ...(process.env.GOOGLE_REFERER ? { Referer: process.env.GOOGLE_REFERER } : {}) //include referer header when provided
-                        }
-                })
-        );
-        if (DEBUG) { logReturn('rateLimitedRequest', `${res.status} ${Array.isArray(res.data.items) ? res.data.items.length : 0}`); } //(log status and item count when debug)
-        return res; //(return axios response)
-}
+// Paid quotas and sandboxes override them through QSERP_RATE_LIMIT_* env vars, parsed with the
+// bounds in LIMITER_BOUNDS. Each client builds its own Bottleneck from these defaults merged with
+// its rateLimit option (see normalizeRateLimit).
+const LIMITER_BOUNDS = { //[min, max] shared by env parsing and the rateLimit option
+        reservoir: [1, 1000000],
+        reservoirRefreshAmount: [1, 1000000],
+        reservoirRefreshInterval: [1000, 86400000], //one second to one day
+        maxConcurrent: [1, 100],
+        minTime: [0, 60000]
+};
+const RATE_RESERVOIR = parseIntWithBounds('QSERP_RATE_LIMIT_RESERVOIR', 60, ...LIMITER_BOUNDS.reservoir); //requests per refresh interval
+const LIMITER_DEFAULTS = {
+        reservoir: RATE_RESERVOIR,
+        reservoirRefreshAmount: RATE_RESERVOIR, //refill to the full reservoir each interval
+        reservoirRefreshInterval: parseIntWithBounds('QSERP_RATE_LIMIT_INTERVAL_MS', 60000, ...LIMITER_BOUNDS.reservoirRefreshInterval),
+        maxConcurrent: parseIntWithBounds('QSERP_RATE_LIMIT_MAX_CONCURRENT', 5, ...LIMITER_BOUNDS.maxConcurrent),  // Allow multiple concurrent requests for better throughput
+        minTime: parseIntWithBounds('QSERP_RATE_LIMIT_MIN_TIME_MS', 200, ...LIMITER_BOUNDS.minTime)               // Minimum spacing to prevent rapid-fire requests
+};
+// Retry policy for transient failures (429, 5xx, socket resets, timeouts).
+// Three attempts with full-jitter exponential backoff from 500ms recover from short
+// Google hiccups without holding a search for long; QSERP_RETRY_* env vars and the
+// retry option of createClient override these (see normalizeRetryPolicy).
+const RETRY_BOUNDS = { //[min, max] shared by env parsing and the retry option
+        maxAttempts: [1, 10], //1 disables retries
+        baseDelay: [0, 60000],
+        maxDelay: [0, 300000] //five minutes, longer Retry-After values are not waited for
+};
+const RETRY_DEFAULTS = {
+        maxAttempts: parseIntWithBounds('QSERP_RETRY_MAX_ATTEMPTS', 3, ...RETRY_BOUNDS.maxAttempts),
+        baseDelay: parseIntWithBounds('QSERP_RETRY_BASE_DELAY_MS', 500, ...RETRY_BOUNDS.baseDelay),
+        maxDelay: parseIntWithBounds('QSERP_RETRY_MAX_DELAY_MS', 30000, ...RETRY_BOUNDS.maxDelay),
+        jitter: true,
+        retryStatuses: RETRY_STATUSES,
+        retryCodes: RETRY_CODES
+};
+// Circuit breaker: after this many consecutive failed requests (retries included) the
+// endpoint is left alone for the cool-down instead of timing out on every search
+const MAX_CIRCUIT_THRESHOLD = 1000; //upper bound keeps the option meaningful
+const MAX_CIRCUIT_COOLDOWN = 3600000; //an hour at most between probes
+const CIRCUIT_THRESHOLD = parseIntWithBounds('QSERP_CIRCUIT_FAILURE_THRESHOLD', 5, 0, MAX_CIRCUIT_THRESHOLD); //0 disables the breaker
+const CIRCUIT_COOLDOWN = parseIntWithBounds('QSERP_CIRCUIT_COOLDOWN_MS', 30000, 1000, MAX_CIRCUIT_COOLDOWN); //open time before a probe
+const REQUEST_TIMEOUT = 10000; // 10 second timeout to prevent hanging requests
+const MAX_REQUEST_TIMEOUT = 120000; //two minutes at most so requests cannot hang forever
+const MAX_RESULTS = 100; //Custom Search rejects start + num above this ceiling
 
 // Validate required environment variables at module load time
 // Skip when CODEX is "true" so the module can run in offline mode
 
 if (String(process.env.CODEX).trim().toLowerCase() !== 'true') { //case-insensitive codex check trimming spaces for robust offline toggle
 
-        throwIfMissingEnvVars(REQUIRED_VARS); //only enforce creds when not in codex
+        const envPool = parseKeyList(process.env.GOOGLE_API_KEYS).length > 0; //a key list stands in for the single key
+        throwIfMissingEnvVars(envPool ? REQUIRED_VARS.filter(name => name !== 'GOOGLE_API_KEY') : REQUIRED_VARS); //only enforce creds when not in codex
 }
 
 // Warn about optional environment variables that enhance functionality
@@ -237,7 +192,97 @@ function normalizeNum(num) { //clamps count to Google allowed range ensuring pre
        }
 }
 
-function getGoogleURL(query, num) { //accept optional num argument to limit results
+// Normalizes the "start" parameter used for result pagination.
+// Google rejects requests where start + num exceeds 100, so the 1-based offset
+// tops out at 99. Mirrors normalizeNum: digits only, clamped, null when invalid.
+// @param {any} start - Desired 1-based index of the first result
+// @returns {number|null} Integer between 1 and 99 or null when invalid
+// @private - Shared utility for validation
+function normalizeStart(start) { //clamps offset to Google's 100 result window
+       if (DEBUG) { console.log(`normalizeStart is running with ${start}`); } //debug trace start when enabled
+       try {
+               const str = String(start).trim(); //convert to trimmed string for validation
+               if (!/^\d+$/.test(str)) { if (DEBUG) { console.log('normalizeStart is returning null'); } return null; } //reject non-integer strings
+               const safe = Math.min(Math.max(parseInt(str, 10), 1), MAX_RESULTS - 1); //clamp so at least one result fits the window
+               if (DEBUG) { console.log(`normalizeStart is returning ${safe}`); } //debug trace return when enabled
+               return safe; //propagate normalized offset
+       } catch (err) {
+               if (DEBUG) { console.log('normalizeStart is returning null'); } //debug trace for errors when enabled
+               return null; //return null if normalization fails
+       }
+}
+
+// Validation rules for optional Custom Search parameters.
+// Each value is checked against the formats documented for the cse.list endpoint so
+// malformed filters fail fast instead of burning quota on a 400 response. Free-text
+// term filters share the query length limit and reject control characters.
+const SEARCH_PARAM_RULES = {
+        cr: /^[\w|().~-]{1,256}$/,                          //country restrict expressions like countryFR|countryDE
+        dateRestrict: /^[dwmy]\d{1,5}$/,                    //d[number], w[number], m[number] or y[number]
+        exactTerms: /^[^\u0000-\u001f]{1,2048}$/,           //phrase every result must contain
+        excludeTerms: /^[^\u0000-\u001f]{1,2048}$/,         //words no result may contain
+        fileType: /^[a-z0-9]{1,10}$/i,                      //extension such as pdf or docx
+        filter: /^[01]$/,                                   //duplicate content filter off or on
+        gl: /^[a-z]{2}$/i,                                  //two-letter geolocation country code
+        hl: /^[a-z]{2,3}(-[a-z]{2,4})?$/i,                  //interface language like en or zh-TW
+        linkSite: /^[^\s]{1,2048}$/,                        //results must link to this url
+        lr: /^lang_[a-z]{2,3}(-[a-z]{2,4})?$/i,             //document language like lang_en
+        orTerms: /^[^\u0000-\u001f]{1,2048}$/,              //additional terms any of which may match
+        rights: /^cc_[a-z]+([|,]cc_[a-z]+)*$/,              //creative commons licensing filters
+        safe: /^(active|off)$/,                             //SafeSearch level
+        siteSearch: /^[^\s]{1,2048}$/,                      //site to include or exclude
+        siteSearchFilter: /^[ei]$/,                         //exclude or include siteSearch
+        sort: /^[\w:.-]{1,100}$/                            //sort expression such as date or date:r:20240101:20241231
+};
+
+// Validation rules for image-only parameters, sent alongside searchType=image.
+// Kept apart from SEARCH_PARAM_RULES because Google rejects them on web searches.
+const IMAGE_PARAM_RULES = {
+        imgColorType: /^(color|gray|mono|trans)$/i,                                                         //color, grayscale, black and white or transparent
+        imgDominantColor: /^(black|blue|brown|gray|green|orange|pink|purple|red|teal|white|yellow)$/i,     //dominant color filter
+        imgSize: /^(huge|icon|large|medium|small|xlarge|xxlarge)$/i,                                       //image size bucket
+        imgType: /^(clipart|face|lineart|stock|photo|animated)$/i                                          //image content type
+};
+
+// Validates and normalizes the optional search parameters in an options object.
+// Keys not listed in the rule table are ignored so the same object can carry
+// num, start and other client options. Values are trimmed strings; booleans are
+// accepted for filter. Result keys are sorted so URLs and cache keys are stable.
+// @param {Object} [opts] - Options possibly containing search parameters
+// @param {Object} [rules] - Rule table to apply, SEARCH_PARAM_RULES or IMAGE_PARAM_RULES
+// @returns {Object} Map of parameter name to validated string value
+// @throws {Error} If a parameter has the wrong type or format
+function normalizeSearchParams(opts = {}, rules = SEARCH_PARAM_RULES) { //shared by url builder, cache key and search functions
+        if (DEBUG) { logStart('normalizeSearchParams', Object.keys(opts || {}).join(',')); } //log option names only
+        const params = {}; //validated parameters
+        for (const name of Object.keys(rules).sort()) { //fixed order for stable keys
+                const raw = opts ? opts[name] : undefined; //absent options skipped
+                if (raw === undefined || raw === null) { continue; } //treat null like omitted
+                const value = typeof raw === 'boolean' && name === 'filter' ? (raw ? '1' : '0') : raw; //filter reads naturally as boolean
+                if (!['string', 'number'].includes(typeof value) || !rules[name].test(String(value).trim())) { //type then format
+                        if (DEBUG) { console.log(`normalizeSearchParams throwing Invalid search option ${name}`); } //(log failure when debug)
+                        throw new InvalidQueryError(`Invalid search option ${name}`); //fail fast like validateSearchQuery
+                }
+                params[name] = String(value).trim(); //normalized string for url and key
+        }
+        if (params.siteSearchFilter && !params.siteSearch) { //filter has no meaning without a site
+                if (DEBUG) { console.log('normalizeSearchParams throwing siteSearchFilter requires siteSearch'); } //(log failure when debug)
+                throw new InvalidQueryError('siteSearchFilter requires siteSearch'); //surface misuse early
+        }
+        if (DEBUG) { logReturn('normalizeSearchParams', Object.keys(params).join(',')); } //log accepted names
+        return params; //validated subset
+}
+
+// Builds the Custom Search request URL.
+// Credentials default to the environment so the default client picks up key rotation;
+// clients created with explicit credentials pass them through opts instead.
+// @param {string} query - Search term
+// @param {number} [num] - Optional result count, clamped via normalizeNum
+// @param {Object} [opts] - Optional { apiKey, cx, fields, start } plus any SEARCH_PARAM_RULES
+//   parameter; fields undefined keeps the minimal default selector, null requests the full
+//   response, a string is sent as given; start is the 1-based result offset for later pages
+// @returns {string} Fully encoded request URL
+function getGoogleURL(query, num, opts = {}) { //accept optional num argument to limit results
         if (DEBUG) { logStart('getGoogleURL', `${query}, num: ${num}`); } //log start with raw params
         // Apply proper URL encoding for query parameter safety and correctness
         // ENCODING RATIONALE: encodeURIComponent handles critical character transformations:
@@ -246,34 +291,60 @@ function getGoogleURL(query, num) { //accept optional num argument to limit resu
         // - Unicode characters are properly encoded for international search queries
         // - Prevents injection attacks through malformed URL construction
         const encodedQuery = encodeURIComponent(query);
-        
+
         // Construct base URL with required parameters and optimized field selection
         // FIELDS OPTIMIZATION: Only request title, snippet, link to reduce response payload
         // by ~50-70% compared to full response, improving network performance
-        const key = process.env.GOOGLE_API_KEY || defaultApiKey; //re-read every call so key rotation takes effect
-        const searchCx = process.env.GOOGLE_CX || defaultCx; //re-read every call so config changes apply
+        const key = opts.apiKey || process.env.GOOGLE_API_KEY || defaultApiKey; //explicit client key wins, else re-read env so key rotation takes effect
+        const searchCx = opts.cx || process.env.GOOGLE_CX || defaultCx; //explicit client cx wins, else re-read env so config changes apply
 
         const params = [`q=${encodedQuery}`]; //start with encoded query in param list
         if (key) { params.push(`key=${encodeURIComponent(key)}`); } //add key param only when defined to avoid undefined value
         if (searchCx) { params.push(`cx=${encodeURIComponent(searchCx)}`); } //add cx param when provided for same reason
-        params.push('fields=items(title,snippet,link)'); //always request minimal fields for smaller response
+        if (opts.fields === undefined) { params.push('fields=items(title,snippet,link)'); } //request minimal fields by default for smaller response
+        else if (opts.fields) { params.push(`fields=${encodeURIComponent(opts.fields)}`); } //caller-chosen selector encoded for safety; null omits it for full metadata
         const base = `https://customsearch.googleapis.com/customsearch/v1?${params.join('&')}`; //assemble base URL from params
 
         // Normalize num parameter to Google's allowed range 1-10
         // REUSE LOGIC: Delegates clamping to normalizeNum for consistency
         const safeNum = normalizeNum(num); //clamp or null via helper
-        if (safeNum !== null) { //append num parameter when valid
-                const urlWithNum = `${base}&num=${safeNum}`; //construct final URL with num
-                if (DEBUG) { logReturn('getGoogleURL', urlWithNum); } //log computed URL
-                return urlWithNum; //return encoded URL with num
-        }
-        if (DEBUG) { logReturn('getGoogleURL', base); } //log base URL when no num
-        return base; //omit num when not provided
+        const safeStart = normalizeStart(opts.start); //clamp page offset or null via helper
+        let url = base; //num and start appended only when meaningful
+        if (safeNum !== null) { url = `${url}&num=${safeNum}`; } //append num parameter when valid
+        if (safeStart !== null && safeStart > 1) { url = `${url}&start=${safeStart}`; } //first page omits start so URLs match unpaged searches
+        const searchParams = normalizeSearchParams(opts); //validated optional filters in stable order
+        for (const [name, value] of Object.entries(searchParams)) { url = `${url}&${name}=${encodeURIComponent(value)}`; } //encode user supplied values
+        if (DEBUG) { logReturn('getGoogleURL', url); } //log computed URL
+        return url; //return encoded URL
+}
+
+// Copies an axios request config with the URL and every header value sanitized.
+// Providers such as Bing and Brave send the key in a header, which axios keeps in config.headers.
+// @param {Object} config - Axios request config
+// @returns {Object} Shallow copy safe to log
+function sanitizeRequestConfig(config) { //header keys would otherwise reach qerrors
+        const headers = config.headers && typeof config.headers.toJSON === 'function' ? config.headers.toJSON() : config.headers; //AxiosHeaders to plain object
+        const copy = { ...config, url: sanitizeApiKey(config.url) };
+        if (headers && typeof headers === 'object') { copy.headers = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, sanitizeApiKey(value)])); }
+        return copy;
+}
+
+// Copies an axios response for logging without the request it answered.
+// axios keeps the sent request there (responseURL in browsers and adapters, path and raw
+// headers in Node), which still carries the key; only a sanitized responseURL is kept.
+// @param {Object} response - Axios response of a failed request
+// @returns {Object} Shallow copy safe to log
+function sanitizeResponse(response) { //the request object would otherwise reach logs and qerrors
+        const { request, ...copy } = response;
+        if (copy.config && copy.config.url) { copy.config = sanitizeRequestConfig(copy.config); } //sanitize url and headers in response config
+        if (request && typeof request.responseURL === 'string') { copy.responseURL = sanitizeApiKey(request.responseURL); } //final URL after redirects
+        return copy;
 }
 
 // Centralized error handling for axios HTTP requests.
 // This helper standardizes error handling across all requests in the module and logs via qerrors.
-// It differentiates between network errors and HTTP status errors for clearer reporting.
+// It differentiates between network errors and HTTP status errors for clearer reporting,
+// and passes the toQserpError class, status and Google reason to qerrors as context.
 // @param {Error|any} error - The axios error object or arbitrary value thrown (converted to Error when needed)
 // @param {string} contextMsg - Descriptive message about where/why the error occurred
 // @returns {Promise<boolean>} - true if error was handled successfully, false if handler itself failed
@@ -289,8 +360,10 @@ async function handleAxiosError(error, contextMsg) { //logs with qerrors to keep
                 sanitized.name = errObj.name || 'Error'; //preserves error context for qerrors
                 if (errObj.stack) { sanitized.stack = errObj.stack; } //retain original stack when provided
                 if (errObj && errObj.config && errObj.config.url) { //check for config before copy
-                        sanitized.config = { ...errObj.config, url: sanitizeApiKey(errObj.config.url) }; //sanitize url field
+                        sanitized.config = sanitizeRequestConfig(errObj.config); //sanitize url and headers
                 }
+                if (sanitized.response && typeof sanitized.response === 'object') { sanitized.response = sanitizeResponse(sanitized.response); } //axios errors carry the response as an own property
+                delete sanitized.request; //sent request holds the unsanitized path and headers
 
                 // Differentiate between HTTP errors and network errors for appropriate handling
                 // ERROR CLASSIFICATION STRATEGY: Axios provides different error structures based on failure type
@@ -298,10 +371,7 @@ async function handleAxiosError(error, contextMsg) { //logs with qerrors to keep
                         // HTTP error: Server responded but with error status (4xx, 5xx)
                         // RESPONSE AVAILABLE: Server was reachable, but rejected the request
                         // Log full response object after sanitizing URL to protect API key
-                        const respCopy = { ...errObj.response, message: sanitized.message }; //copy response with sanitized msg
-                        if (respCopy.config && respCopy.config.url) {
-                                respCopy.config = { ...respCopy.config, url: sanitizeApiKey(respCopy.config.url) }; //sanitize url in response config
-                        }
+                        const respCopy = { ...sanitizeResponse(errObj.response), message: sanitized.message }; //copy response with sanitized msg
                         logError(respCopy); //log sanitized response object
                 } else if (errObj && errObj.request) { //check for request before usage
                         // Network error: Request was made but no response received
@@ -315,8 +385,11 @@ async function handleAxiosError(error, contextMsg) { //logs with qerrors to keep
 
                 // Use qerrors for structured error logging with sanitized copy
                 // STRUCTURED REPORTING: Enables error aggregation, monitoring, and analysis without leaking secrets
-                await qerrors(sanitized, contextMsg, { operation: contextMsg, errorType: sanitized.name }); //await async qerrors call
-                
+                const attemptInfo = Number.isInteger(sanitized.attempts) ? { attempts: sanitized.attempts } : {}; //set by rateLimitedRequest
+                const typed = toQserpError(errObj); //class, status and Google reason for aggregation
+                const classInfo = { errorClass: typed.name, status: typed.status, reason: typed.reason };
+                await qerrors(sanitized, contextMsg, { operation: contextMsg, errorType: sanitized.name, ...classInfo, ...attemptInfo }); //await async qerrors call
+
                 if (DEBUG) { logReturn('handleAxiosError', true); } //log return when debug
                 return true; // Indicate error was handled successfully
         } catch (err) {
@@ -329,19 +402,166 @@ async function handleAxiosError(error, contextMsg) { //logs with qerrors to keep
         }
 }
 
+// Reads the reason Google gives for a rejected request, e.g. keyInvalid or dailyLimitExceeded.
+// @param {Error} error - Axios error
+// @returns {string|null} First reason from the error body, null when absent
+function googleErrorReason(error) { //Google wraps reasons in error.errors[]
+        const errors = error && error.response && error.response.data && error.response.data.error && error.response.data.error.errors;
+        return Array.isArray(errors) && errors[0] && typeof errors[0].reason === 'string' ? errors[0].reason : null;
+}
+
+// Google error reasons grouped by the error class they map to
+const QUOTA_REASONS = ['dailyLimitExceeded', 'dailyLimitExceededUnreg', 'quotaExceeded']; //spent until the quota resets
+const RATE_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded']; //per-minute limits, retry later
+const AUTH_REASONS = ['keyInvalid', 'keyExpired', 'accessNotConfigured', 'forbidden', 'ipRefererBlocked']; //credentials or project setup
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT']; //axios timeout and socket timeout
+const KEY_FAILOVER_REASONS = { dailyLimitExceeded: 'exhausted', keyInvalid: 'invalid', keyExpired: 'invalid' }; //pooled key set aside, next key tried at once
+
+// Classifies a failed Custom Search request the way lib/providers.js expects of every provider.
+// @param {Error} error - Axios error
+// @returns {{kind: string|null, reason: string|null, detail: string|null, keyState: string|null}}
+//   kind 'quota', 'rate' or 'auth' from Google's reason, null to decide by HTTP status
+function classifyGoogleError(error) { //Google reasons outrank statuses since a 403 can mean either
+        const reason = googleErrorReason(error);
+        const body = error && error.response && error.response.data && error.response.data.error; //Google's error envelope
+        let kind = null;
+        if (QUOTA_REASONS.includes(reason)) { kind = 'quota'; }
+        else if (RATE_REASONS.includes(reason)) { kind = 'rate'; }
+        else if (AUTH_REASONS.includes(reason)) { kind = 'auth'; }
+        return { kind, reason, detail: body && typeof body.message === 'string' ? body.message : null, keyState: KEY_FAILOVER_REASONS[reason] || null };
+}
+
+// Default search provider: Google Custom Search through getGoogleURL.
+// Responses already have the Custom Search shape the other providers convert to.
+// Keys default to the environment inside getGoogleURL, so needsKey stays false.
+const googleProvider = Object.freeze({
+        name: 'google',
+        params: Object.keys(SEARCH_PARAM_RULES),
+        types: ['web', 'image'],
+        engines: true, //engine profiles select the cx
+        needsKey: false,
+        buildRequest(query, request) { //request fields as documented in lib/providers.js
+                let url = getGoogleURL(query, request.num, { ...request.params, apiKey: request.apiKey, cx: request.cx, fields: request.fields, start: request.start });
+                if (request.type === 'image') {
+                        url = `${url}&searchType=image`; //switch endpoint to image results
+                        for (const [name, value] of Object.entries(request.imageParams || {})) { url = `${url}&${name}=${encodeURIComponent(value)}`; } //append validated image filters
+                }
+                return { url, headers: {} };
+        },
+        parseResponse(data) { return data && typeof data === 'object' ? data : {}; }, //tolerate missing response body
+        classifyError: classifyGoogleError,
+        withKey: keyInQuery('key') //per-attempt key so failover needs no URL rebuild
+});
+
+// Symbol under which rateLimitedRequest attaches its provider's classifyError verdict to a
+// failed request, non-enumerable so the verdict never reaches logs.
+const VERDICT = Symbol('qserpVerdict');
+
+// Reads the provider verdict of a failed request.
+// Errors that did not pass rateLimitedRequest are classified as Google errors.
+// @param {Error|any} error - Failed request
+// @returns {{kind: string|null, reason: string|null, detail: string|null, keyState: string|null}}
+function errorVerdict(error) {
+        if (error && typeof error === 'object' && error[VERDICT]) { return error[VERDICT]; }
+        return classifyGoogleError(error);
+}
+
+// Resolves the provider option of createClient.
+// @param {string|Object} [provider] - 'google', a bundled provider name or a custom provider object
+// @param {string} [providerUrl] - Endpoint replacing the bundled provider's default
+// @returns {Object} Provider implementing the lib/providers.js interface
+// @throws {Error} If the name is unknown, the custom provider incomplete or providerUrl invalid
+function resolveProvider(provider, providerUrl) { //checked once when the client is created
+        if (provider === undefined || provider === null || provider === 'google') {
+                if (providerUrl !== undefined) { throw new Error('providerUrl is not supported by provider google'); } //getGoogleURL has one endpoint
+                return googleProvider;
+        }
+        if (typeof provider === 'object') { return validateProvider(provider); }
+        return createProvider(String(provider).trim().toLowerCase(), { baseUrl: providerUrl });
+}
+
+// Checks that a provider can work with the keys it was given, for clients and fallbacks alike.
+// @param {Object} provider - Result of resolveProvider
+// @param {string} [apiKey] - Single key
+// @param {Object|null} keyPool - Pool built from apiKeys, null without one
+// @throws {Error} If pooled keys cannot be swapped into the provider's requests or it needs a key it lacks
+function checkProviderKeys(provider, apiKey, keyPool) { //checked once when the client is created
+        if (keyPool && typeof provider.withKey !== 'function') { throw new Error(`Provider ${provider.name} does not support apiKeys`); } //pooled keys cannot be swapped in
+        if (provider.needsKey && !keyPool && !(typeof apiKey === 'string' && apiKey !== '')) { throw new Error(`Provider ${provider.name} needs apiKey or apiKeys`); } //no env fallback outside Google
+}
+
+// Converts a failed request into a typed QserpError.
+// The provider's verdict decides first (Google's error reason, since a 403 can mean a bad
+// key or a spent quota); the HTTP status and network error code decide otherwise. Message,
+// status and reason come from the sanitized error, and the axios error itself is not
+// attached because its config holds the request URL.
+// @param {Error|any} error - Axios error, or a QserpError returned unchanged
+// @returns {QserpError} AuthError, QuotaError, RateLimitError, TimeoutError, NetworkError,
+//   InvalidQueryError, or QserpError for other server errors
+function toQserpError(error) { //shared by handleAxiosError and throwOnError searches
+        if (error instanceof QserpError) { return error; } //already typed
+        const source = error && typeof error === 'object' ? error : {}; //strings and plain values carry no detail
+        const verdict = errorVerdict(source); //provider classification
+        const details = {
+                status: source.response && Number.isInteger(source.response.status) ? source.response.status : null,
+                reason: verdict.reason,
+                code: typeof source.code === 'string' ? source.code : null,
+                attempts: Number.isInteger(source.attempts) ? source.attempts : null
+        };
+        const detail = sanitizeApiKey(verdict.detail || source.message || String(error)); //provider's explanation when given
+        if (details.status === null) { //no response received
+                if (details.code === 'ERR_CANCELED') { return new AbortError(`Search was aborted: ${detail}`, details); } //axios request cancelled through its signal
+                if (TIMEOUT_CODES.includes(details.code)) { return new TimeoutError(`Search request timed out: ${detail}`, details); }
+                if (source.request || details.code) { return new NetworkError(`Search request failed without a response: ${detail}`, details); }
+                return new QserpError(detail, details); //configuration problem before sending
+        }
+        const message = `Search request failed with status ${details.status}${details.reason ? ` (${details.reason})` : ''}: ${detail}`;
+        if (verdict.kind === 'quota') { return new QuotaError(message, details); }
+        if (details.status === 429 || verdict.kind === 'rate') { return new RateLimitError(message, details); }
+        if (details.status === 401 || details.status === 403 || verdict.kind === 'auth') { return new AuthError(message, details); } //Google answers a bad key with 400 keyInvalid
+        if (details.status === 400) { return new InvalidQueryError(message, details); }
+        return new QserpError(message, details); //5xx and unexpected statuses
+}
+
+// Decides whether a failed request says the endpoint itself is unusable.
+// Network failures, 5xx, 429 and credential rejections (401, 403 and keys the provider
+// reports as invalid, such as Google's 400 keyInvalid) count towards opening the circuit
+// breaker; other 4xx answers prove the endpoint works. A spent quota is not an outage:
+// it surfaces as a QuotaError, and counting it would let the breaker block requests
+// that another pooled key or a fallback provider could serve.
+// @param {Error} error - Final error of rateLimitedRequest
+// @returns {boolean} true when the failure should count against the circuit
+function tripsCircuit(error) { //classification kept here so circuitBreaker.js stays axios-agnostic
+        if (!error || typeof error !== 'object') { return false; }
+        if (!error.response) { return Boolean(error.request || error.code); } //no answer at all, config errors excluded
+        if (errorVerdict(error).kind === 'quota') { return false; } //Google's dailyLimitExceeded 403, Bing's call volume 403
+        const status = error.response.status;
+        return status >= 500 || [401, 403, 429].includes(status) || errorVerdict(error).keyState === 'invalid';
+}
+
+// Identifies errors raised on purpose for the caller rather than by a failed request.
+// Inside the request path only QuotaExceededError, CircuitOpenError and AbortError are typed, so these
+// are not reported as request failures and are rethrown unless cached data can answer;
+// throwOnError searches also rethrow the typed error their fallback raised.
+// @param {Error} error - Error from a search
+// @returns {boolean} true for QserpError instances
+function reachesCaller(error) { //typed errors from lib/errors.js
+        return error instanceof QserpError;
+}
+
 // Validate that a search query is a non-empty string.
 // This centralizes input checks so fetchSearchItems and googleSearch follow the same rules.
 // @param {any} query - Value to validate as search term
-// @throws {Error} If query is not a non-empty string
+// @throws {InvalidQueryError} If query is not a non-empty string
 function validateSearchQuery(query) { //ensures queries meet API expectations
         if (DEBUG) { logStart('validateSearchQuery', query); } //(start log when debug)
         if (typeof query !== 'string' || query.trim() === '') { //(check for non-empty string)
                 if (DEBUG) { console.log('validateSearchQuery throwing Query must be a non-empty string'); } //(log failure when debug)
-                throw new Error('Query must be a non-empty string'); //(throw on invalid input)
+                throw new InvalidQueryError('Query must be a non-empty string'); //(throw on invalid input)
         }
         if (query.length > 2048) { //(enforce max character length)
                 if (DEBUG) { console.log('validateSearchQuery throwing Query exceeds 2048 characters'); } //(log failure when debug)
-                throw new Error('Query exceeds 2048 character limit'); //(throw on overly long input)
+                throw new InvalidQueryError('Query exceeds 2048 character limit'); //(throw on overly long input)
         }
         if (DEBUG) { logReturn('validateSearchQuery', true); } //(log success when debug)
         return true; //(confirm valid query)
@@ -352,206 +572,1892 @@ function validateSearchQuery(query) { //ensures queries meet API expectations
 // NORMALIZATION STRATEGY: lowercase and trim the query so variants share the same cache entry.
 // @param {string} query - The search query to normalize
 // @param {number} [num] - Optional result count parameter
+// @param {Object} [opts] - Optional { start } and search parameters so each page and filter set gets its own entry
 // @returns {string} - Normalized cache key
-function createCacheKey(query, num) { //standardizes keys to maximise cache hits
+function createCacheKey(query, num, opts = {}) { //standardizes keys to maximise cache hits
         if (DEBUG) { logStart('createCacheKey', `${query}, num: ${num}`); }
 
         // Normalize query for better cache hit ratios
         // Case-insensitive and whitespace-trimmed keys improve efficiency
         const normalizedQuery = query.trim().toLowerCase(); //standardize spaces and case for caching
         const safeNum = normalizeNum(num); //clamp requested results to Google's allowed range
-        const cacheKey = safeNum ? `${normalizedQuery}:${safeNum}` : normalizedQuery; //use clamped value in key
-        
+        const safeStart = normalizeStart(opts.start); //page offset shares clamping with getGoogleURL
+        let cacheKey = safeNum ? `${normalizedQuery}:${safeNum}` : normalizedQuery; //use clamped value in key
+        if (safeStart !== null && safeStart > 1) { cacheKey = `${cacheKey}:start=${safeStart}`; } //first page keeps legacy key
+        const searchParams = normalizeSearchParams(opts); //same validated filters the url uses
+        for (const [name, value] of Object.entries(searchParams)) { cacheKey = `${cacheKey}:${name}=${encodeURIComponent(value)}`; } //encoding keeps ':' inside values from blurring segments
+
         if (DEBUG) { logReturn('createCacheKey', cacheKey); }
         return cacheKey;
 }
 
-// Fetch raw Google search items for a query.
-// This abstracts repetitive request/response handling when only the raw items array is needed.
-// @param {string} query - Search term to look up
-// @param {number} [num] - Optional number of results to request; part of cache key
-// @returns {Promise<Array>} Raw items array from Google or empty array on error
-async function fetchSearchItems(query, num) { //core helper for cached API requests
-        if (DEBUG) { logStart('fetchSearchItems', query); } //(start log when debug)
-        validateSearchQuery(query); //(reuse validation helper)
-        try {
-               if (String(process.env.CODEX).trim().toLowerCase() === 'true') { //(mock path when codex true using trimmed case-insensitive check)
-
-                       const items = []; //use static empty array without network call
-                       if (DEBUG) { logReturn('fetchSearchItems', JSON.stringify(items)); } //(log mock return)
-                       return items; //return mock array directly without cache or network
-               }
-
-               // Normalize num once to share between cache key and URL
-               const safeNum = normalizeNum(num); //clamp value or null when invalid
-
-               // Default to 10 when normalizeNum returns null so cache keys match default search
-               const keyNum = safeNum === null ? 10 : safeNum; //use default 10 when num invalid for stable cache keys
-
-               // Generate normalized cache key using centralized helper
-               // CONSOLIDATION: Uses createCacheKey helper to ensure consistent normalization
-               const cacheKey = createCacheKey(query, keyNum); //use helper with key-specific num
-               let cachedItems;
-               if (MAX_CACHE_SIZE !== 0) { //skip cache when disabled
-                       cachedItems = cache.get(cacheKey); //lookup existing cache entry with automatic TTL handling
-                       if (cachedItems !== undefined) { //treat empty arrays as valid cache results
-                               if (DEBUG) { console.log('fetchSearchItems returning cached'); } //(log cache hit)
-                               logReturn('fetchSearchItems', JSON.stringify(cachedItems)); //(log cached return)
-                               return cachedItems; //use cached array
-                       }
-               }
-
-               const url = getGoogleURL(query, safeNum); //(build search url with clamped num)
-
-               const response = await rateLimitedRequest(url); //(perform rate limited axios request)
-               const items = Array.isArray(response?.data?.items) ? response.data.items : []; //optional chaining prevents crash when response or data missing
-               
-               // Store in LRU cache - TTL and size limits handled automatically
-               // OPTIMIZATION: LRU-cache manages expiry and eviction without manual intervention
-               if (MAX_CACHE_SIZE !== 0) { cache.set(cacheKey, items); } //store results when cache enabled
-                if (DEBUG) { logReturn('fetchSearchItems', JSON.stringify(items)); } //(log return value when debug)
-                return items; //(return extracted items array)
-        } catch (error) {
-                await handleAxiosError(error, `Error in fetchSearchItems for query: ${query}`); //await async error handler
-                if (DEBUG) { logReturn('fetchSearchItems', '[]'); } //(log empty array when debug)
-                return []; //(gracefully return empty array)
-        }
-}
-
-
-
-// Clears all cached search results.
-// Exposed mainly for tests so cache state can be reset between runs.
-// @returns {boolean} true when cache cleared
-function clearCache() { //removes all entries from the LRU cache
-        if (DEBUG) { logStart('clearCache', cache.size); } //only log when debugging
-        cache.clear(); //(remove all cached entries)
-        if (DEBUG) { logReturn('clearCache', true); } //log success when debugging
-        return true; //(confirm cleared)
-}
-
-// performCacheCleanup - manually purge stale cache entries.
-// RATIONALE: primarily for tests; LRU-cache normally evicts stale items automatically.
-// @returns {boolean} true if any stale entries were removed, false otherwise
-function performCacheCleanup() { //forces stale entry purge when test needs immediate cleanup
-        if (DEBUG) { logStart('performCacheCleanup', cache.size); } //trace start when debugging
-        const removed = cache.purgeStale(); //(evict expired entries if present)
-        if (DEBUG) { logReturn('performCacheCleanup', removed); } //trace result when debugging
-        return removed; //(propagate purge result)
-}
-
-// Get the top search result URL for each provided search term.
-// Performs parallel searches and returns only the top URL from each response to save bandwidth.
-// Promise.all minimizes total execution time while rateLimitedRequest enforces API quotas.
-// @param {string[]} searchTerms - Array of search terms to process
-// @returns {Promise<string[]>} Array of top result URLs (excludes null results from failed searches)
-// @throws {Error} If searchTerms is not an array
-async function getTopSearchResults(searchTerms) { //parallel search helper returning first link only
-        if (DEBUG) { logStart('getTopSearchResults', searchTerms); } //log initial array
-        // Input validation: ensure we received an array
-        // This prevents runtime errors and provides clear feedback about expected input type
-        if (!Array.isArray(searchTerms)) {
-                throw new Error('searchTerms must be an array of strings');
-        }
-        
-        // Remove duplicates after trimming and lower-casing
-        // UPDATED STRATEGY: Normalizes terms to avoid redundant requests for "A" vs " a " vs "a"
-        // while preserving the original order of the first normalized occurrence.
-        const seen = new Set(); //track normalized terms for deduping
-        const validSearchTerms = []; //store final sanitized terms
-        for (const term of searchTerms) {
-                if (typeof term !== 'string') { continue; } //skip non-strings early
-                const trimmed = term.trim(); //remove leading/trailing whitespace
-                if (trimmed === '') { continue; } //ignore empty after trim
-                const norm = trimmed.toLowerCase(); //case-insensitive key for dedup
-                if (!seen.has(norm)) { //only first occurrence allowed
-                        seen.add(norm); //mark normalized term as seen
-                        validSearchTerms.push(trimmed); //store trimmed term for search
-                }
-        }
-        
-        if (validSearchTerms.length === 0) {
-                logWarn('No valid search terms provided'); //warn about empty input
-                if (DEBUG) { logReturn('getTopSearchResults', '[]'); } //log empty return
-                return []; //graceful degradation for invalid input
-        }
-
-        if (DEBUG) { logStart('getTopSearchResults', validSearchTerms); } //log sanitized term list
-        
-        // Use Promise.all() to execute all searches in parallel for optimal performance
-        // PARALLELIZATION STRATEGY: Each search query is independent, allowing concurrent execution
-        // without dependencies or shared state concerns. This provides significant performance gains:
-        // - Sequential: 5 queries × 1 second each = 5 seconds total
-        // - Parallel: 5 queries concurrently = 1 second total (limited by slowest query)
-        // Rate limiting is still enforced per-request by Bottleneck in rateLimitedRequest()
-        const searchResults = await Promise.all(validSearchTerms.map(async (query) => { //aggregate promises to run searches concurrently
-                // Fetch only the first result since this function returns top URLs only
-                // OPTIMIZATION: Requesting fewer results reduces API response time and bandwidth
-                const items = await fetchSearchItems(query, 1);
-                
-                if (items.length > 0) {
-                        // Extract link from first result item
-                        // STRUCTURE: Google API returns objects with title, snippet, link properties
-                        return items[0].link;
-                }
-                
-                // Log queries that yield no results for debugging visibility
-                // DEBUG ONLY: Prevents log noise in production while helping development troubleshooting
-                if (DEBUG) { console.log(`No results for "${query}"`); }
-                
-                // Return null for failed searches to maintain array position correlation
-                // NULL STRATEGY: Preserves 1:1 mapping between input queries and result positions
-                // for easier debugging and maintains consistent Promise.all behavior
-                return null;
-        }));
-        
-        // Filter out null values (failed searches or no results) for clean output
-        // FILTERING RATIONALE: Consumers expect only valid URLs, not null placeholders.
-        // This final filter step removes failed searches while preserving successful ones.
-        // Alternative considered: throwing on any failure, but graceful degradation is preferred.
-        const validUrls = searchResults.filter(url => url !== null);
-        if (DEBUG) { logReturn('getTopSearchResults', validUrls); } //(log return array when debug)
-        return validUrls; // Return array of strings (URLs only)
-}
-
-// Perform a Google search and return formatted results.
-// Returns structured objects (title, snippet, link) so consumers are insulated from raw API details.
-// @param {string} query - The search query
-// @returns {Promise<Array<{title: string, snippet: string, link: string}>>} Array of formatted search results
-// @throws {Error} If query is not a string or is empty
-async function googleSearch(query) { //wrapper returning full result objects
-        if (DEBUG) { logStart('googleSearch', query); } //(start log; validation occurs in fetchSearchItems)
-        const items = await fetchSearchItems(query); //reuse helper to honor caching and rate limits
-        const results = items.map(item => ({ //create stable interface for consumers
-                title: item.title,
-                snippet: item.snippet,
-                link: item.link
+// Builds the cache key one search function stores its result under.
+// fetchSearchItems and googleSearch share the plain key; searchDetailed and
+// imageSearch prefix their own namespace because the stored shape differs.
+// Results of a named engine are prefixed with engine:<name>: so each engine
+// profile caches separately, while the default engine keeps the plain keys.
+// Providers other than Google add provider:<name>: in front, so clients sharing a
+// cache backend never answer a Bing search with Google results.
+// deleteCacheEntry uses the same builder so invalidation always hits the stored key.
+// @param {string} kind - 'items', 'detailed' or 'image'
+// @param {string} query - Search query
+// @param {Object} [opts] - { num, start, fields, engine } plus search and image parameters as passed to the search function
+// @param {string} [provider] - Name of the client's provider (default 'google')
+// @returns {string} Namespaced cache key
+// @throws {Error} If a search or image parameter is invalid
+function searchCacheKey(kind, query, opts = {}, provider = 'google') { //single source of truth for namespaced keys
+        const safeNum = normalizeNum(opts.num); //clamp value or null when invalid
+        const keyNum = safeNum === null ? 10 : safeNum; //default 10 keeps keys aligned across functions
+        const baseKey = createCacheKey(query, keyNum, opts); //page and filters normalized inside
+        const engine = `${provider === 'google' ? '' : `provider:${provider}:`}${opts.engine === undefined || opts.engine === null || opts.engine === DEFAULT_ENGINE ? '' : `engine:${opts.engine}:`}`; //Google's default engine keeps legacy keys
+        if (kind === 'detailed') { return `${engine}detailed:${baseKey}${opts.fields ? `:${opts.fields}` : ''}`; } //field selector changes the stored envelope
+        if (kind === 'image') {
+                let cacheKey = `${engine}image:${baseKey}`; //namespace prevents collisions with web results
+                for (const [name, value] of Object.entries(normalizeSearchParams(opts, IMAGE_PARAM_RULES))) { cacheKey = `${cacheKey}:${name}=${encodeURIComponent(value)}`; } //image filters get their own entries
+                return cacheKey;
+        }
+        return `${engine}${baseKey}`; //items shared by fetchSearchItems and googleSearch
+}
+
+// Shapes one image search item into the flat structure imageSearch returns.
+// Google nests dimensions and links under item.image; missing values become null
+// so consumers can rely on every key being present.
+// @param {Object} [item] - Raw Custom Search image item
+// @returns {{link: string|null, thumbnailLink: string|null, width: number|null, height: number|null, contextLink: string|null, mime: string|null}}
+function formatImageItem(item) { //flattens nested image metadata
+        const image = (item && item.image) || {}; //absent when fields selector excludes it
+        const toPixels = value => (value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value)); //numeric pixels or null
+        return {
+                link: item?.link ?? null,
+                thumbnailLink: image.thumbnailLink ?? null,
+                width: toPixels(image.width),
+                height: toPixels(image.height),
+                contextLink: image.contextLink ?? null, //page hosting the image
+                mime: item?.mime ?? null
+        };
+}
+
+// Builds the typed envelope returned by searchDetailed.
+// Google omits empty sections and reports counts as strings, so this helper fills
+// every field with a stable default and converts numbers, letting callers read
+// envelope.searchInformation.totalResults without existence checks.
+// @param {Object} [data] - Raw Custom Search response body
+// @returns {{
+//   items: Array<{title: string|null, htmlTitle: string|null, link: string|null, displayLink: string|null,
+//     snippet: string|null, htmlSnippet: string|null, formattedUrl: string|null, htmlFormattedUrl: string|null,
+//     cacheId: string|null, mime: string|null, fileFormat: string|null, pagemap: Object|null}>,
+//   searchInformation: {totalResults: number, searchTime: number, formattedTotalResults: string|null, formattedSearchTime: string|null},
+//   spelling: {correctedQuery: string, htmlCorrectedQuery: string|null}|null,
+//   pagination: {startIndex: number, count: number, nextStart: number|null, previousStart: number|null}
+// }} Normalized search envelope
+function formatSearchEnvelope(data) { //shapes raw response into stable detailed result
+        if (DEBUG) { logStart('formatSearchEnvelope', data ? Object.keys(data).join(',') : 'none'); } //log section names only
+        const body = data && typeof data === 'object' ? data : {}; //tolerate missing response body
+        const info = body.searchInformation || {}; //absent when fields selector excludes it
+        const request = (body.queries && body.queries.request && body.queries.request[0]) || {}; //current page descriptor
+        const nextPage = body.queries && body.queries.nextPage && body.queries.nextPage[0]; //absent on last page
+        const prevPage = body.queries && body.queries.previousPage && body.queries.previousPage[0]; //absent on first page
+        const items = (Array.isArray(body.items) ? body.items : []).map(item => ({ //explicit keys keep the shape predictable
+                title: item.title ?? null,
+                htmlTitle: item.htmlTitle ?? null,
+                link: item.link ?? null,
+                displayLink: item.displayLink ?? null,
+                snippet: item.snippet ?? null,
+                htmlSnippet: item.htmlSnippet ?? null,
+                formattedUrl: item.formattedUrl ?? null,
+                htmlFormattedUrl: item.htmlFormattedUrl ?? null,
+                cacheId: item.cacheId ?? null,
+                mime: item.mime ?? null,
+                fileFormat: item.fileFormat ?? null,
+                pagemap: item.pagemap ?? null
         }));
-        if (DEBUG) { logReturn('googleSearch', results.length); } //(log number when debug)
-        return results;
+        const envelope = {
+                items,
+                searchInformation: {
+                        totalResults: Number(info.totalResults) || 0, //Google sends a numeric string
+                        searchTime: Number(info.searchTime) || 0, //seconds as float
+                        formattedTotalResults: info.formattedTotalResults ?? null,
+                        formattedSearchTime: info.formattedSearchTime ?? null
+                },
+                spelling: body.spelling && body.spelling.correctedQuery ? { //only present when Google suggests a correction
+                        correctedQuery: body.spelling.correctedQuery,
+                        htmlCorrectedQuery: body.spelling.htmlCorrectedQuery ?? null
+                } : null,
+                pagination: {
+                        startIndex: Number(request.startIndex) || 1, //first page when request info excluded
+                        count: items.length, //items actually returned on this page
+                        nextStart: nextPage ? Number(nextPage.startIndex) || null : null, //null means no further page
+                        previousStart: prevPage ? Number(prevPage.startIndex) || null : null //null on the first page
+                }
+        };
+        if (DEBUG) { logReturn('formatSearchEnvelope', `${items.length} items`); } //log count instead of full payload
+        return envelope; //normalized detailed result
+}
+
+// Parses an integer client option with the same semantics as parseIntWithBounds.
+// Options come from code rather than env, but share the rules: whole numbers only,
+// invalid values fall back to the default and valid values are clamped to the range.
+// @param {any} value - Raw option value (number or numeric string)
+// @param {number} defaultValue - Value used when option missing or invalid
+// @param {number} minValue - Minimum allowed value (inclusive)
+// @param {number} maxValue - Maximum allowed value (inclusive)
+// @returns {number} Validated integer within bounds
+function parseIntOption(value, defaultValue, minValue, maxValue) { //validates numeric createClient options
+        if (DEBUG) { logStart('parseIntOption', `${value}, default: ${defaultValue}, range: ${minValue}-${maxValue}`); } //trace raw option
+        const str = String(value).trim(); //normalize numbers and strings alike
+        const parsed = value !== null && value !== undefined && /^-?\d+$/.test(str) ? parseInt(str, 10) : defaultValue; //reject decimals and junk like env parsing
+        const safeValue = Math.max(minValue, Math.min(parsed, maxValue)); //clamp for memory and timing safety
+        if (DEBUG) { logReturn('parseIntOption', safeValue); } //trace clamped value
+        return safeValue; //validated integer
+}
+
+// Returns a copy of a cached result flagged as stale.
+// The flag is non-enumerable so result shapes and equality checks stay unchanged,
+// and the copy keeps the cached object itself unflagged for later fresh hits.
+// @param {any} value - Cached array or envelope
+// @returns {any} Shallow copy with result.stale === true
+function markStale(value) { //flags results served past their ttl
+        if (!value || typeof value !== 'object') { return value; } //primitives cannot carry the flag
+        const copy = Array.isArray(value) ? value.slice() : { ...value }; //shallow copy keeps the cache entry untouched
+        Object.defineProperty(copy, 'stale', { value: true, enumerable: false }); //hidden from JSON and toEqual
+        return copy;
+}
+
+// Options key through which searchSafe collects per-call outcome details.
+// A symbol keeps the trace out of cache keys, parameter validation and user-visible options.
+// The trace object records { source, attempts, quotaUsed } where source is 'cache', 'stale',
+// 'network' or 'coalesced' (answered by another caller's in-flight request).
+const TRACE = Symbol('qserpTrace'); //module-private, only searchSafe sets it
+
+// Options key through which federatedSearch passes an ad-hoc engine built from a raw cx id.
+// The profile is { name, cx } with the cx itself as the name, so its cache namespace and stats
+// follow the id and never those of a configured profile.
+const ENGINE_PROFILE = Symbol('qserpEngineProfile'); //module-private, only federatedSearch sets it
+
+// Request lanes selectable through the priority search option.
+// Values are Bottleneck priorities, where lower numbers leave the queue first; they order
+// this client's requests against other clients sharing the limiter, while LANE_WEIGHTS
+// splits the client's own slots between lanes. Bottleneck's own default of 5 stays the normal lane.
+const PRIORITY_LANES = Object.freeze({ interactive: 0, normal: 5, background: 9 }); //lane name -> Bottleneck priority
+
+// Validates the priority option of a search call.
+// @param {any} priority - opts.priority as passed by the caller
+// @returns {string} Lane name, 'normal' when none was given
+// @throws {InvalidQueryError} If priority is not a lane name
+function normalizePriority(priority) { //checked before any cache or network work
+        if (priority === undefined || priority === null) { return 'normal'; }
+        if (typeof priority !== 'string' || !Object.prototype.hasOwnProperty.call(PRIORITY_LANES, priority)) {
+                throw new InvalidQueryError('Invalid search option priority'); //same message shape as normalizeSearchParams
+        }
+        return priority;
+}
+
+// Share of freed limiter slots per lane while several lanes have requests queued.
+// Slots go to the lanes in weighted turns, so a burst of interactive searches takes nine
+// of every thirteen slots but background work still moves instead of starving.
+const LANE_WEIGHTS = Object.freeze({ interactive: 9, normal: 3, background: 1 }); //lane name -> default weight
+const MAX_LANE_WEIGHT = 100; //a 100:1 split is already strict priority in practice
+
+// Validates the laneWeights option of createClient.
+// Given lanes are clamped to 1..MAX_LANE_WEIGHT with parseIntOption, so every lane keeps
+// some share; omitted lanes keep LANE_WEIGHTS.
+// @param {Object} [laneWeights] - Lane name -> weight
+// @returns {Object<string, number>} Weight of every lane
+// @throws {Error} If laneWeights is not an object or names an unknown lane
+function normalizeLaneWeights(laneWeights = {}) { //shared by createClient and tests
+        if (laneWeights === null || typeof laneWeights !== 'object' || Array.isArray(laneWeights)) { throw new Error('laneWeights must be an object'); }
+        const weights = { ...LANE_WEIGHTS };
+        for (const [lane, weight] of Object.entries(laneWeights)) {
+                if (!Object.prototype.hasOwnProperty.call(PRIORITY_LANES, lane)) { throw new Error(`laneWeights has unknown lane ${lane}`); } //a typo would silently keep the default
+                weights[lane] = parseIntOption(weight, LANE_WEIGHTS[lane], 1, MAX_LANE_WEIGHT);
+        }
+        return weights;
+}
+
+// Engine profiles: named Programmable Search Engines chosen per call with opts.engine
+const DEFAULT_ENGINE = 'default'; //calls without opts.engine use the client cx or GOOGLE_CX
+const ENGINE_NAME = /^[A-Za-z0-9_-]{1,64}$/; //names appear in cache keys and stats
+
+// Validates the engines client option.
+// @param {Object} [engines] - Engine name -> search engine id (cx)
+// @returns {Object<string, string>} Copy of the profiles, empty when none were given
+// @throws {Error} If engines is not an object mapping names of letters, digits, '_' or '-' to
+//   non-empty cx strings, or uses the reserved name 'default'
+function normalizeEngines(engines) { //checked once when the client is created
+        if (engines === undefined || engines === null) { return {}; }
+        if (typeof engines !== 'object' || Array.isArray(engines)) { throw new Error('engines must map engine names to search engine ids'); }
+        const profiles = {};
+        for (const [name, engineCx] of Object.entries(engines)) {
+                if (!ENGINE_NAME.test(name) || name === DEFAULT_ENGINE) { throw new Error(`Invalid engine name ${JSON.stringify(name)}`); } //default stands for the client cx
+                if (typeof engineCx !== 'string' || engineCx.trim() === '') { throw new Error(`Engine ${name} needs a search engine id`); }
+                profiles[name] = engineCx.trim();
+        }
+        return profiles;
+}
+
+// Reads engine profiles from a comma separated list of name=cx pairs such as QSERP_ENGINES.
+// Malformed pairs are skipped with a warning since typos must not break module load.
+// @param {string} value - Raw list
+// @returns {Object<string, string>} Engine name -> cx
+function parseEngineList(value) { //env counterpart of the engines option
+        const profiles = {};
+        for (const pair of value.split(',').map(entry => entry.trim()).filter(Boolean)) {
+                const [name, engineCx] = pair.split('=').map(part => part.trim());
+                if (ENGINE_NAME.test(name) && name !== DEFAULT_ENGINE && engineCx) { profiles[name] = engineCx; }
+                else { logWarn(`Ignoring malformed QSERP_ENGINES entry ${JSON.stringify(pair)}`); }
+        }
+        return profiles;
+}
+const ENGINES = parseEngineList(parseStringVar('QSERP_ENGINES', '', 4096)); //engine profiles of the default client
+
+// Validates the signal option of a search call.
+// Any object with the AbortSignal shape is accepted so polyfilled controllers work too.
+// @param {any} signal - opts.signal as passed by the caller
+// @returns {AbortSignal|null} The signal, or null when none was given
+// @throws {InvalidQueryError} If signal is not an AbortSignal
+function normalizeSignal(signal) { //checked before any cache or network work
+        if (signal === undefined || signal === null) { return null; }
+        if (typeof signal !== 'object' || typeof signal.aborted !== 'boolean' || typeof signal.addEventListener !== 'function') {
+                throw new InvalidQueryError('Invalid search option signal'); //same message shape as normalizeSearchParams
+        }
+        return signal;
+}
+
+// Throws AbortError when the caller's signal has already fired.
+// @param {AbortSignal|null} signal - Result of normalizeSignal
+// @throws {AbortError} If the signal is aborted
+function throwIfAborted(signal) {
+        if (signal && signal.aborted) { throw new AbortError(); }
+}
+
+// Waits for a promise unless the signal fires first.
+// The promise itself keeps running; work that owns a signal is cancelled through it,
+// this only stops the caller from waiting, for example in the limiter queue.
+// @param {Promise} promise - Work to wait for
+// @param {AbortSignal|null} signal - Caller's signal
+// @returns {Promise} Settles like promise, or rejects with AbortError on abort
+function raceAbort(promise, signal) { //listener removed on settle so long-lived signals do not pile up handlers
+        if (!signal) { return promise; }
+        return new Promise((resolve, reject) => {
+                const onAbort = () => reject(new AbortError());
+                if (signal.aborted) { onAbort(); }
+                else { signal.addEventListener('abort', onAbort, { once: true }); }
+                promise.then( //also marks a late rejection as handled
+                        value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+                        error => { signal.removeEventListener('abort', onAbort); reject(error); }
+                );
+        });
+}
+
+// Sleeps for a retry backoff, ending early with AbortError when the signal fires.
+// @param {number} ms - Delay in ms
+// @param {AbortSignal|null} signal - Caller's signal
+// @returns {Promise<void>}
+function abortableDelay(ms, signal) { //clears the timer on abort so nothing keeps the process alive
+        return new Promise((resolve, reject) => {
+                const onAbort = () => { clearTimeout(timer); reject(new AbortError()); };
+                const timer = setTimeout(() => { if (signal) { signal.removeEventListener('abort', onAbort); } resolve(); }, ms);
+                if (!signal) { return; }
+                if (signal.aborted) { onAbort(); }
+                else { signal.addEventListener('abort', onAbort, { once: true }); }
+        });
+}
+
+// Ties a coalesced request to the signals of the callers waiting on it.
+// The shared request is cancelled only once every waiting caller has aborted; a caller
+// without a signal keeps it alive, so plain calls and background refreshes are never
+// cancelled by someone else's signal.
+// @param {Function} onAbandon - Runs when the shared request is cancelled
+// @returns {{signal: AbortSignal, hold: Function, done: Function}} Signal for the request,
+//   registration of one caller's signal, and cleanup once the request settles
+function createFlightSignal(onAbandon) { //one per in-flight request
+        const controller = new AbortController();
+        const listeners = []; //[signal, handler] pairs removed by done
+        let pinned = false; //a caller without a signal waits for the result
+        let waiting = 0; //callers whose signal has not fired
+
+        function abandonIfIdle() {
+                if (waiting > 0 || pinned || controller.signal.aborted) { return; }
+                if (DEBUG) { console.log('createFlightSignal cancelling request, every caller aborted'); } //trace cancellation
+                onAbandon();
+                controller.abort();
+        }
+
+        function hold(signal) {
+                if (!signal) { pinned = true; return; }
+                if (signal.aborted) { abandonIfIdle(); return; } //aborted while the cache was read
+                waiting += 1;
+                const handler = () => { waiting -= 1; abandonIfIdle(); };
+                signal.addEventListener('abort', handler, { once: true });
+                listeners.push([signal, handler]);
+        }
+
+        function done() {
+                for (const [signal, handler] of listeners) { signal.removeEventListener('abort', handler); }
+                listeners.length = 0;
+        }
+
+        return { signal: controller.signal, hold, done };
+}
+
+// Resolves per-call cache options into read, write and ttl decisions.
+// cache: false bypasses the cache entirely for one lookup, cache: 'refresh' skips
+// the read but stores the fresh result, and cacheTtl overrides the client lifespan
+// for the stored entry using the same bounds as QSERP_CACHE_TTL_MS.
+// @param {Object} [opts] - Search options possibly holding { cache, cacheTtl }
+// @param {number} defaultTtl - Client lifespan used when cacheTtl is omitted
+// @returns {{read: boolean, write: boolean, ttl: number}} Cache policy for the call
+// @throws {InvalidQueryError} If cache is not true, false, 'refresh' or omitted
+function normalizeCachePolicy(opts = {}, defaultTtl = CACHE_TTL) { //shared by every cached search function
+        if (DEBUG) { logStart('normalizeCachePolicy', `${opts && opts.cache}, ttl: ${opts && opts.cacheTtl}`); } //trace raw options
+        const mode = opts && opts.cache !== undefined ? opts.cache : true; //caching on unless asked otherwise
+        if (mode !== true && mode !== false && mode !== 'refresh') { //reject typos like 'refersh' instead of silently caching
+                if (DEBUG) { console.log('normalizeCachePolicy throwing Invalid cache option'); } //(log failure when debug)
+                throw new InvalidQueryError("cache option must be true, false or 'refresh'"); //fail fast like normalizeSearchParams
+        }
+        const ttl = opts && opts.cacheTtl !== undefined ? parseIntOption(opts.cacheTtl, defaultTtl, MIN_CACHE_TTL, MAX_CACHE_TTL) : defaultTtl; //per-call lifespan
+        const policy = { read: mode === true, write: mode !== false, ttl }; //refresh writes without reading
+        if (DEBUG) { logReturn('normalizeCachePolicy', JSON.stringify(policy)); } //trace decision
+        return policy;
+}
+
+// Builds Bottleneck options for one client.
+// The rateLimit option is merged over LIMITER_DEFAULTS; the numeric limits are
+// validated with parseIntOption and clamped to LIMITER_BOUNDS so a typo cannot
+// remove throttling. Other Bottleneck options pass through untouched, and a null
+// reservoir keeps Bottleneck's meaning of no reservoir at all.
+// @param {Object} [rateLimit] - Bottleneck options from createClient
+// @returns {Object} Options for new Bottleneck()
+function normalizeRateLimit(rateLimit = {}) { //shared by createClient and tests
+        if (DEBUG) { logStart('normalizeRateLimit', JSON.stringify(rateLimit)); } //trace raw option
+        const merged = { ...LIMITER_DEFAULTS, ...(rateLimit || {}) }; //omitted fields keep env or built-in defaults
+        for (const [name, [min, max]] of Object.entries(LIMITER_BOUNDS)) {
+                if (merged[name] === null && name.startsWith('reservoir')) { continue; } //null disables reservoir handling in Bottleneck
+                merged[name] = parseIntOption(merged[name], LIMITER_DEFAULTS[name], min, max);
+        }
+        if (DEBUG) { logReturn('normalizeRateLimit', JSON.stringify(merged)); } //trace effective limits
+        return merged;
+}
+
+// Normalizes the retry option of createClient.
+// The option is merged over RETRY_DEFAULTS with numeric fields clamped to
+// RETRY_BOUNDS; false disables retries. retryStatuses and retryCodes replace the
+// default lists when given as arrays.
+// @param {Object|boolean} [retry] - Retry settings from createClient
+// @returns {{maxAttempts: number, baseDelay: number, maxDelay: number, jitter: boolean,
+//   retryStatuses: number[], retryCodes: string[]}} Policy used by rateLimitedRequest
+function normalizeRetryPolicy(retry = {}) { //shared by createClient and tests
+        if (DEBUG) { logStart('normalizeRetryPolicy', JSON.stringify(retry)); } //trace raw option
+        const given = retry === false ? { maxAttempts: 1 } : (retry || {}); //false keeps the single attempt of older versions
+        const policy = { ...RETRY_DEFAULTS };
+        for (const [name, [min, max]] of Object.entries(RETRY_BOUNDS)) {
+                policy[name] = parseIntOption(given[name], RETRY_DEFAULTS[name], min, max);
+        }
+        if (typeof given.jitter === 'boolean') { policy.jitter = given.jitter; }
+        if (Array.isArray(given.retryStatuses)) { policy.retryStatuses = given.retryStatuses; }
+        if (Array.isArray(given.retryCodes)) { policy.retryCodes = given.retryCodes; }
+        policy.maxDelay = Math.max(policy.maxDelay, policy.baseDelay); //a cap below the first delay would hide the base setting
+        if (DEBUG) { logReturn('normalizeRetryPolicy', JSON.stringify(policy)); } //trace effective policy
+        return policy;
+}
+
+// Creates an isolated search client.
+// Every client owns its axios instance, Bottleneck limiter and LRU cache so one
+// process can query several search engines with different keys without sharing
+// quota buckets or cached results. Omitted options fall back to the same env
+// variables and defaults the module-level API uses; apiKey, cx and referer are
+// re-read from env on every call when not supplied so runtime rotation still works.
+// With a key pool every request picks its key from the pool, and a key Google rejects
+// as dailyLimitExceeded, keyInvalid or keyExpired is set aside while the request is
+// sent again with the next key, without using up a retry.
+// Another search provider (see lib/providers.js) can replace Google CSE; every Google
+// env setting (GOOGLE_API_KEY, GOOGLE_API_KEYS, GOOGLE_CX, GOOGLE_REFERER, QSERP_ENGINES)
+// is then ignored so Google credentials never reach another service.
+// @param {Object} [options] - Client configuration
+// @param {string|Object} [options.provider] - 'google' (default), 'bing', 'brave', 'serpapi', 'searxng'
+//   or a custom provider object implementing the lib/providers.js interface
+// @param {string} [options.providerUrl] - Search endpoint replacing a bundled provider's default, required for searxng
+// @param {string} [options.apiKey] - API key of the provider (default GOOGLE_API_KEY for Google)
+// @param {string[]} [options.apiKeys] - Key pool used instead of apiKey (default the GOOGLE_API_KEYS comma
+//   list, read once when the client is created and ignored when apiKey is given)
+// @param {string} [options.keySelection] - 'round-robin' or 'least-used' key choice (default QSERP_KEY_SELECTION,
+//   else 'round-robin')
+// @param {number} [options.keyDailyQuota] - Requests allowed per pooled key and Pacific-time day, 0 only counts
+//   (default QSERP_KEY_DAILY_QUOTA, else 0)
+// @param {string} [options.cx] - Search engine id (default GOOGLE_CX)
+// @param {Object<string, string>} [options.engines] - Named engine profiles, engine name -> cx, chosen per call
+//   with opts.engine; each caches under its own namespace and has its own getEngineStats entry (default QSERP_ENGINES)
+// @param {number} [options.cacheSize] - Max cache entries, 0 disables caching (default QSERP_MAX_CACHE_SIZE)
+// @param {number} [options.cacheTtl] - Cache lifespan in ms (default QSERP_CACHE_TTL_MS, else 300000)
+// @param {string|Object} [options.cache] - Backend name 'memory', 'file' or 'redis', or a custom
+//   adapter object (default QSERP_CACHE_BACKEND, else memory); see lib/cacheAdapters.js
+// @param {string} [options.cacheFile] - Snapshot path for the file backend (default QSERP_CACHE_FILE)
+// @param {Object} [options.redisClient] - Redis-protocol client for the redis backend
+// @param {string} [options.redisUrl] - Connection URL when no client is given (default QSERP_REDIS_URL)
+// @param {string} [options.cachePrefix] - Redis key prefix (default QSERP_CACHE_PREFIX, else 'qserp:')
+// @param {number} [options.staleTtl] - Grace window in ms during which expired entries are kept
+//   and served as stale, 0 disables (default QSERP_CACHE_STALE_TTL_MS, else 0)
+// @param {boolean} [options.staleWhileRevalidate] - Serve stale entries at once while refreshing in
+//   the background; false uses them only when the live request fails (default QSERP_STALE_WHILE_REVALIDATE, else true)
+// @param {string} [options.snapshotPath] - File the cache is loaded from on start and saved to periodically
+//   and on exit (default QSERP_CACHE_SNAPSHOT_PATH, else no snapshots)
+// @param {number} [options.snapshotInterval] - Periodic snapshot interval in ms, 0 saves on exit only
+//   (default QSERP_CACHE_SNAPSHOT_INTERVAL_MS, else 60000)
+// @param {number} [options.dailyQuota] - Requests allowed per Pacific-time day, 0 only counts (default QSERP_DAILY_QUOTA, else 0)
+// @param {string} [options.quotaMode] - 'reject' throws QuotaExceededError once spent, 'queue' waits for the next day
+//   (default QSERP_QUOTA_MODE, else 'reject')
+// @param {number[]} [options.quotaWarnAt] - Budget fractions that log a warning once per day (default [0.8, 0.95])
+// @param {Object|null} [options.quotaStore] - { get, set } the daily counter persists through, null keeps it in memory
+//   (default the cache adapter's counterStore(), so file and redis backends persist it apart from results)
+// @param {Object} [options.rateLimit] - Bottleneck options merged over LIMITER_DEFAULTS; reservoir,
+//   reservoirRefreshAmount, reservoirRefreshInterval, maxConcurrent and minTime are clamped to LIMITER_BOUNDS
+// @param {Object} [options.laneWeights] - Priority lane -> share of freed limiter slots while lanes compete,
+//   merged over LANE_WEIGHTS and clamped to 1..MAX_LANE_WEIGHT; unknown lanes throw
+// @param {Object} [options.rateLimitRedis] - ioredis or node-redis v3 client; shares the limiter across processes
+// @param {string} [options.rateLimitRedisUrl] - Redis URL for the shared limiter, needs ioredis (default QSERP_RATE_LIMIT_REDIS_URL)
+// @param {string} [options.rateLimitId] - Limiter id shared by cooperating processes (default QSERP_RATE_LIMIT_ID, else 'qserp')
+// @param {Object|boolean} [options.retry] - Retry settings { maxAttempts, baseDelay, maxDelay, jitter,
+//   retryStatuses, retryCodes } merged over the QSERP_RETRY_* defaults; false disables retries
+// @param {Object|boolean} [options.circuitBreaker] - { failureThreshold, cooldown } (default QSERP_CIRCUIT_FAILURE_THRESHOLD,
+//   else 5, and QSERP_CIRCUIT_COOLDOWN_MS, else 30000); false disables the breaker
+// @param {number} [options.timeout] - Request timeout in ms (default 10000)
+// @param {string} [options.referer] - Referer header (default GOOGLE_REFERER)
+// @param {Array<string|Object>} [options.fallbacks] - Providers tried in order when a search with the client's
+//   provider fails, quota and circuit errors included: provider names, or { provider, providerUrl, apiKey, apiKeys,
+//   cx, referer, dailyQuota } with keys and settings of their own; results then carry the provider that served them
+// @returns {Object} Client exposing googleSearch, searchSafe, federatedSearch, searchDetailed, searchPages, imageSearch,
+//   getTopSearchResults, fetchSearchItems, clearCache, performCacheCleanup, getCoalescingStats, getCacheStats, inspectCache, deleteCacheEntry,
+//   exportCache, importCache, flushCacheSnapshot, stopCacheSnapshots, getRateLimitStatus, getQuotaStatus, getKeyPoolStatus,
+//   getCircuitStatus, getProviderStatus and getEngineStats
+// @throws {Error} If the provider is unknown, incomplete or lacks a key it needs, the cache adapter is
+//   incomplete, quotaMode or keySelection is invalid, apiKeys is not a non-empty array of strings, or
+//   engines is malformed or not supported by the provider, or a fallback is malformed or invalid in the same ways
+function createClient(options = {}) { //factory replacing module-level singletons
+        if (DEBUG) { logStart('createClient', sanitizeApiKey(Object.keys(options).join(','))); } //log option names only to keep secrets out
+        const { apiKey, cx, referer } = options; //credentials and header overrides
+        registerApiKey(apiKey); //register key so logs mask it
+        const provider = resolveProvider(options.provider, options.providerUrl); //Google CSE unless another backend is chosen
+        const google = provider === googleProvider; //Google env settings apply to Google only
+        const creds = { apiKey, cx }; //passed to the provider on each request
+        if (options.engines !== undefined && !provider.engines) { throw new Error(`Provider ${provider.name} does not support engines`); } //cx profiles mean nothing elsewhere
+        const engines = options.engines !== undefined ? normalizeEngines(options.engines) : (google ? ENGINES : {}); //named cx profiles
+        const engineCounts = {}; //engine name -> lookups and requests for getEngineStats
+        for (const name of [DEFAULT_ENGINE, ...Object.keys(engines)]) { engineCounts[name] = { hits: 0, staleHits: 0, misses: 0, requests: 0, failures: 0 }; }
+        const adHocEngines = {}; //raw cx ids federatedSearch has searched, counted like profiles once used
+        const envPoolKeys = apiKey || !google ? [] : parseKeyList(process.env.GOOGLE_API_KEYS); //an explicit key or another provider opts out of the env pool
+        const poolKeys = options.apiKeys !== undefined ? options.apiKeys : envPoolKeys;
+        if (Array.isArray(poolKeys)) { poolKeys.forEach(registerApiKey); } //mask pooled keys too
+        const keySelection = options.keySelection !== undefined ? options.keySelection : KEY_SELECTION; //shared with fallback key pools
+        const keyDailyQuota = parseIntOption(options.keyDailyQuota, KEY_DAILY_QUOTA, 0, MAX_DAILY_QUOTA);
+        const keyPool = options.apiKeys !== undefined || envPoolKeys.length > 0 ? createKeyPool({ //null keeps the single key path
+                keys: poolKeys, //invalid option throws
+                strategy: keySelection,
+                dailyLimit: keyDailyQuota
+        }) : null;
+        checkProviderKeys(provider, apiKey, keyPool);
+        const cacheSize = parseIntOption(options.cacheSize, MAX_CACHE_SIZE, 0, 50000); //same bounds as QSERP_MAX_CACHE_SIZE
+        const cacheTtl = parseIntOption(options.cacheTtl, CACHE_TTL, MIN_CACHE_TTL, MAX_CACHE_TTL); //one second to one day
+        const timeout = parseIntOption(options.timeout, REQUEST_TIMEOUT, 1, MAX_REQUEST_TIMEOUT); //cap at two minutes so requests cannot hang forever
+
+        // Custom axios instance optimized for sustained API usage patterns
+        // RATIONALE: Default axios creates new connections for each request, leading to
+        // connection overhead. Custom agents with keepAlive reuse connections, improving
+        // performance for applications making multiple API calls over time.
+        const axiosInstance = axios.create({ //axios instance with keepAlive agents and socket limits
+               // Request compressed responses to reduce bandwidth usage
+               // Google API supports gzip/deflate/br compression which can significantly reduce payload size
+               headers: { 'Accept-Encoding': 'gzip, deflate, br' }, //request compressed responses for smaller payloads
+
+               // HTTP agent with connection pooling for non-SSL requests
+               // maxSockets: 20 allows concurrent requests while preventing resource exhaustion
+               // maxFreeSockets: 10 keeps connections alive for reuse without hoarding resources
+               httpAgent: new http.Agent({ keepAlive: true, maxSockets: 20, maxFreeSockets: 10 }), //reuse http sockets with connection limits
+
+               // HTTPS agent with same pooling configuration for SSL requests
+               // Google API uses HTTPS so this agent handles the actual API connections
+               httpsAgent: new https.Agent({ keepAlive: true, maxSockets: 20, maxFreeSockets: 10 }) //reuse https sockets with connection limits
+        });
+
+        const retryPolicy = normalizeRetryPolicy(options.retry); //backoff for transient failures
+        const circuitOptions = options.circuitBreaker || {}; //false handled below
+        const circuitSettings = { //shared by the breaker of every provider in the chain
+                failureThreshold: options.circuitBreaker === false ? 0 : parseIntOption(circuitOptions.failureThreshold, CIRCUIT_THRESHOLD, 0, MAX_CIRCUIT_THRESHOLD),
+                cooldown: parseIntOption(circuitOptions.cooldown, CIRCUIT_COOLDOWN, 1000, MAX_CIRCUIT_COOLDOWN)
+        };
+        const breaker = createCircuitBreaker(circuitSettings); //per-client so one revoked key does not block other clients
+        const limiterOptions = normalizeRateLimit(options.rateLimit); //env defaults plus validated client limits
+        const laneWeights = normalizeLaneWeights(options.laneWeights); //share of freed slots per lane, invalid option throws
+        const laneCounts = {}; //lane name -> { queued, running } of this client's requests
+        const laneQueues = {}; //lane name -> requests waiting for a limiter slot, oldest first
+        const laneCredit = {}; //lane name -> weighted round-robin credit, see takeLaneJob
+        const laneSlots = {}; //lane name -> true while a slot requested for the lane has not started
+        for (const lane of Object.keys(PRIORITY_LANES)) { laneCounts[lane] = { queued: 0, running: 0 }; laneQueues[lane] = []; laneCredit[lane] = 0; laneSlots[lane] = false; }
+        // Pods sharing one API key share one limiter through Redis when configured
+        // RESILIENCE: createSharedLimiter falls back to a local Bottleneck while Redis is unreachable
+        const sharedRedisUrl = options.rateLimitRedisUrl || process.env.QSERP_RATE_LIMIT_REDIS_URL; //env enables clustering for the default client
+        const limiter = options.rateLimitRedis || sharedRedisUrl
+                ? createSharedLimiter(limiterOptions, {
+                        client: options.rateLimitRedis,
+                        url: sharedRedisUrl,
+                        id: options.rateLimitId || parseStringVar('QSERP_RATE_LIMIT_ID', 'qserp', 100) //same id means same budget
+                })
+                : new Bottleneck(limiterOptions); //per-client quota bucket
+
+        // Takes a queued job out of its lane without running it.
+        // @param {string} lane - Lane name
+        // @param {Object} entry - Job entry from scheduleInLane
+        // @returns {boolean} False when the job had already left the queue
+        function removeLaneJob(lane, entry) {
+                const index = laneQueues[lane].indexOf(entry);
+                if (index === -1) { return false; }
+                laneQueues[lane].splice(index, 1);
+                laneCounts[lane].queued -= 1;
+                if (entry.signal) { entry.signal.removeEventListener('abort', entry.onAbort); }
+                return true;
+        }
+
+        // Picks the queued job the next started limiter slot runs.
+        // Smooth weighted round-robin over the lanes with jobs waiting: each pick adds
+        // every waiting lane's weight to its credit and takes the lane with the most credit
+        // (the earlier lane on a tie), which then gives back the sum of those weights. An
+        // idle lane's credit is reset so it cannot save up a burst.
+        // @returns {{job: Function, resolve: Function, reject: Function}|null} Oldest job of
+        //   the chosen lane, null when nothing is queued
+        function takeLaneJob() {
+                let chosen = null;
+                let total = 0; //weights of the lanes taking part in this pick
+                for (const lane of Object.keys(PRIORITY_LANES)) {
+                        if (laneQueues[lane].length === 0) { laneCredit[lane] = 0; continue; }
+                        laneCredit[lane] += laneWeights[lane];
+                        total += laneWeights[lane];
+                        if (chosen === null || laneCredit[lane] > laneCredit[chosen]) { chosen = lane; }
+                }
+                if (chosen === null) { return null; }
+                laneCredit[chosen] -= total;
+                const entry = laneQueues[chosen][0];
+                removeLaneJob(chosen, entry); //the limiter released a job of this lane
+                return entry;
+        }
+
+        // Requests one limiter slot for every lane with jobs queued and no slot pending.
+        // A slot carries its lane's Bottleneck priority, which orders it among jobs of other
+        // clients sharing the limiter. Once started it runs whichever job takeLaneJob picks,
+        // so lanes share slots by laneWeights. Keeping at most one pending slot per lane
+        // keeps queued jobs out of the limiter, so an aborted job simply leaves its lane
+        // queue; a slot that starts with nothing left to run hands its reservoir unit back.
+        // A slot the limiter drops, as a highWater strategy does, fails the oldest job of
+        // its lane.
+        function requestLaneSlots() {
+                for (const [lane, priority] of Object.entries(PRIORITY_LANES)) {
+                        if (laneSlots[lane] || laneQueues[lane].length === 0) { continue; }
+                        laneSlots[lane] = true;
+                        Promise.resolve(limiter.schedule({ priority }, async () => { //rate limiter controls concurrency
+                                laneSlots[lane] = false;
+                                const next = takeLaneJob();
+                                requestLaneSlots(); //lanes still waiting get their next slot
+                                if (!next) { returnReservoirUnit(); return; }
+                                try { next.resolve(await next.job()); } catch (error) { next.reject(error); }
+                        })).catch(error => { //dropped without running
+                                laneSlots[lane] = false;
+                                const dropped = laneQueues[lane][0];
+                                if (dropped && removeLaneJob(lane, dropped)) { dropped.reject(error); }
+                                requestLaneSlots();
+                        });
+                }
+        }
+
+        // Gives back the reservoir unit of a slot that started with no job to run.
+        function returnReservoirUnit() {
+                if (limiterOptions.reservoir === null || typeof limiter.incrementReservoir !== 'function') { return; } //no reservoir to refill
+                Promise.resolve(limiter.incrementReservoir(1)).catch(error => { if (DEBUG) { console.log(`returnReservoirUnit failed: ${error.message}`); } });
+        }
+
+        // Runs a job through the limiter in a priority lane.
+        // The job waits in the client's lane queue until a slot of the shared limiter
+        // starts (see requestLaneSlots). When the signal fires first the job leaves the
+        // queue at once and rejects with AbortError without using a slot.
+        // @param {string} laneName - Lane name from normalizePriority
+        // @param {Function} job - Async work holding the limiter slot until it settles
+        // @param {AbortSignal|null} [signal] - Caller's signal
+        // @returns {Promise<any>} Settles as the job does
+        function scheduleInLane(laneName, job, signal = null) {
+                return new Promise((resolve, reject) => {
+                        if (signal && signal.aborted) { reject(new AbortError()); return; }
+                        const entry = { job, resolve, reject, signal, onAbort: null };
+                        if (signal) {
+                                entry.onAbort = () => { if (removeLaneJob(laneName, entry)) { reject(new AbortError()); } };
+                                signal.addEventListener('abort', entry.onAbort, { once: true });
+                        }
+                        laneQueues[laneName].push(entry);
+                        laneCounts[laneName].queued += 1;
+                        requestLaneSlots();
+                });
+        }
+
+        // Select the cache adapter: a custom object wins, otherwise a bundled backend by name
+        // OPTIMIZATION: the memory backend keeps LRU-cache's automatic eviction; a backend that
+        // cannot start (missing path, package or client) degrades to memory instead of failing
+        const cacheBackend = options.cache !== undefined ? options.cache : parseStringVar('QSERP_CACHE_BACKEND', 'memory', 20); //env selects backend for the default client
+        const customCache = cacheBackend !== null && typeof cacheBackend === 'object'; //user supplied adapter
+        let cache; //adapter shared by every search function of this client
+        if (customCache) { cache = validateCacheAdapter(cacheBackend); } //throws when interface incomplete
+        else {
+                const cacheSpec = { //bundled backend settings from options then env
+                        backend: cacheBackend,
+                        max: cacheSize,
+                        ttl: cacheTtl,
+                        file: options.cacheFile || process.env.QSERP_CACHE_FILE,
+                        redisClient: options.redisClient,
+                        redisUrl: options.redisUrl || process.env.QSERP_REDIS_URL,
+                        prefix: options.cachePrefix || process.env.QSERP_CACHE_PREFIX
+                };
+                try { cache = createCache(cacheSpec); }
+                catch (err) {
+                        logWarn(`Cache backend ${cacheBackend} unavailable, using memory: ${sanitizeApiKey(err.message)}`); //keep searching with a local cache
+                        cache = createCache({ ...cacheSpec, backend: 'memory' });
+                }
+        }
+        const cacheEnabled = customCache || cacheSize !== 0; //size 0 disables bundled backends only
+        const staleTtl = parseIntOption(options.staleTtl, STALE_TTL, 0, MAX_STALE_TTL); //grace window, 0 keeps plain entries
+        const staleWhileRevalidate = options.staleWhileRevalidate !== undefined ? options.staleWhileRevalidate === true : STALE_WHILE_REVALIDATE; //only literal true enables
+        // The quota counter never lives among the search results: an explicit quotaStore wins,
+        // otherwise the adapter's counterStore() keeps it beside them (file and redis backends)
+        const quotaStore = options.quotaStore !== undefined ? options.quotaStore : (typeof cache.counterStore === 'function' ? cache.counterStore() : null);
+        if (quotaStore !== null && (typeof quotaStore !== 'object' || typeof quotaStore.get !== 'function' || typeof quotaStore.set !== 'function')) {
+                throw new Error('quotaStore must provide get and set'); //fail fast like validateCacheAdapter
+        }
+        const quota = createQuotaTracker({ //counts requests that reach the API, cache hits excluded
+                limit: parseIntOption(options.dailyQuota, DAILY_QUOTA, 0, MAX_DAILY_QUOTA),
+                mode: options.quotaMode !== undefined ? options.quotaMode : QUOTA_MODE, //invalid option throws
+                warnAt: Array.isArray(options.quotaWarnAt) ? options.quotaWarnAt : undefined, //undefined keeps 80% and 95%
+                store: quotaStore //counter survives restarts with the file or redis backend, or a custom quotaStore
+        });
+        if (options.fallbacks !== undefined && !Array.isArray(options.fallbacks)) { throw new Error('fallbacks must be an array of provider settings'); }
+        const tiers = [ //provider chain tried in order by searchChain, the client's own provider first
+                { provider, google, creds, keyPool, breaker, quota, referer, counts: { served: 0, failures: 0, skipped: 0 } },
+                ...(options.fallbacks || []).map(createFallbackTier)
+        ];
+        const inFlight = new Map(); //cache key -> { promise, waiters } of the pending request
+        let coalescedCount = 0; //calls answered by joining a pending request
+        const lookupCounts = { hits: 0, staleHits: 0, misses: 0 }; //cache reads by outcome for getCacheStats
+
+        // Builds one entry of the fallbacks option into a provider tier.
+        // A fallback has its own credentials, key pool, circuit breaker and daily quota, counted
+        // in memory, so a spent or failing primary never blocks it; it shares the client's
+        // limiter, retry policy and cache. Google env credentials reach it only when it is Google
+        // itself, through getGoogleURL; GOOGLE_API_KEYS stays with the client's own provider.
+        // @param {string|Object} spec - Provider name, or { provider, providerUrl, apiKey, apiKeys, cx, referer, dailyQuota }
+        // @returns {Object} Tier with provider, google, creds, keyPool, breaker, quota, referer and counts
+        // @throws {Error} If the entry is malformed or its provider is unknown, incomplete or lacks a key it needs
+        function createFallbackTier(spec) { //checked once when the client is created
+                const settings = typeof spec === 'string' ? { provider: spec } : spec; //name shorthand for keyless or env-keyed providers
+                if (!settings || typeof settings !== 'object' || Array.isArray(settings)) { throw new Error('fallbacks must be an array of provider settings'); }
+                const tierProvider = resolveProvider(settings.provider, settings.providerUrl);
+                const { apiKey: tierKey, apiKeys: tierKeys } = settings;
+                registerApiKey(tierKey); //register key so logs mask it
+                if (Array.isArray(tierKeys)) { tierKeys.forEach(registerApiKey); } //mask pooled keys too
+                const tierPool = tierKeys !== undefined ? createKeyPool({ keys: tierKeys, strategy: keySelection, dailyLimit: keyDailyQuota }) : null; //invalid option throws
+                checkProviderKeys(tierProvider, tierKey, tierPool);
+                return {
+                        provider: tierProvider,
+                        google: tierProvider === googleProvider,
+                        creds: { apiKey: tierKey, cx: settings.cx },
+                        keyPool: tierPool,
+                        breaker: createCircuitBreaker(circuitSettings), //a failing fallback must not open the client's circuit
+                        quota: createQuotaTracker({ limit: parseIntOption(settings.dailyQuota, 0, 0, MAX_DAILY_QUOTA) }), //0 only counts
+                        referer: settings.referer,
+                        counts: { served: 0, failures: 0, skipped: 0 }
+                };
+        }
+
+        // Reads a cache entry, treating adapter failures as a miss.
+        // A remote cache outage must not turn into failed searches. With staleTtl set,
+        // entries are stored with their fresh deadline so expired ones can still be
+        // returned, marked stale, until the grace window ends. A 'refresh' call still
+        // reads so a stale entry can back up the live request.
+        // @param {string} key - Cache key from createCacheKey
+        // @param {Object} policy - Result of normalizeCachePolicy for this call
+        // @returns {Promise<{value: any, stale: boolean}|undefined>} Cached entry or undefined
+        async function cacheGet(key, policy) { //tolerant read for sync or async adapters
+                const wanted = policy.read || (staleTtl > 0 && policy.write); //refresh calls read only for the error fallback
+                if (!cacheEnabled || !wanted) { return undefined; } //skip adapter when caching is off or bypassed
+                let raw; //value exactly as the adapter stored it
+                try { raw = await cache.get(key); }
+                catch (err) {
+                        logWarn(`Cache read failed: ${sanitizeApiKey(err.message)}`); //surface outage without failing search
+                        return undefined;
+                }
+                if (raw === undefined) { return undefined; } //plain miss
+                if (!raw || raw.qserpEntry !== 1) { return { value: raw, stale: false }; } //plain entry written without stale mode
+                const now = Date.now();
+                if (now < raw.freshUntil) { return { value: raw.value, stale: false }; } //still within ttl
+                if (now < raw.staleUntil) { return { value: raw.value, stale: true }; } //expired but inside grace window
+                return undefined; //grace window over even if the adapter kept it
+        }
+
+        // Writes a cache entry, logging adapter failures instead of throwing.
+        // With staleTtl set the value is wrapped with its deadlines and the adapter
+        // keeps it for ttl plus the grace window.
+        // @param {string} key - Cache key from createCacheKey
+        // @param {any} value - Result to store
+        // @param {Object} policy - Result of normalizeCachePolicy for this call
+        // @returns {Promise<void>}
+        async function cacheSet(key, value, policy) { //tolerant write for sync or async adapters
+                if (!cacheEnabled || !policy.write) { return; } //skip adapter when caching is off or bypassed
+                const now = Date.now();
+                const entry = staleTtl > 0 ? { qserpEntry: 1, value, freshUntil: now + policy.ttl, staleUntil: now + policy.ttl + staleTtl } : value; //plain values when stale mode is off
+                try { await cache.set(key, entry, policy.ttl + staleTtl); }
+                catch (err) { logWarn(`Cache write failed: ${sanitizeApiKey(err.message)}`); } //result still returned to caller
+        }
+
+        // Starts a request for a key or joins the one already in flight.
+        // Single-flight deduplication: concurrent misses for the same cache key share
+        // one pending promise, so ten simultaneous identical searches spend one quota
+        // unit. The leader's cache policy decides how the result is stored.
+        // @param {string} cacheKey - Key from createCacheKey, used as the flight id
+        // @param {Object} policy - Cache policy of the leading call
+        // The request is cancelled only when every caller waiting on it has aborted
+        // (see createFlightSignal); a call aborted earlier simply stops waiting.
+        // @param {Function} load - Receives the request's AbortSignal, performs the request and
+        //   returns the value to cache
+        // @param {AbortSignal|null} [signal] - Caller's signal, none keeps the request alive
+        // @returns {{promise: Promise<any>, leader: boolean}} Shared promise and whether this call started it
+        function joinFlight(cacheKey, policy, load, signal = null) { //coalesces identical concurrent requests
+                const pending = inFlight.get(cacheKey);
+                if (pending) { //identical request already running
+                        coalescedCount += 1; //count quota units saved
+                        if (DEBUG) { console.log(`joinFlight coalescing ${cacheKey}`); } //trace shared request
+                        pending.waiters.hold(signal);
+                        return { promise: pending.promise, leader: false };
+                }
+                const flight = { waiters: null, promise: null }; //inFlight entry
+                flight.waiters = createFlightSignal(() => { //abandoned requests take no new joiners
+                        if (inFlight.get(cacheKey) === flight) { inFlight.delete(cacheKey); }
+                });
+                flight.waiters.hold(signal);
+                flight.promise = (async () => { //request plus cache write shared by all joiners
+                        const value = await load(flight.waiters.signal); //live request through the limiter
+                        await cacheSet(cacheKey, value, policy); //store when cache enabled
+                        return value;
+                })();
+                inFlight.set(cacheKey, flight);
+                flight.promise.finally(() => { //later calls start a new request; callers handle the rejection
+                        flight.waiters.done();
+                        if (inFlight.get(cacheKey) === flight) { inFlight.delete(cacheKey); }
+                }).catch(() => {});
+                return { promise: flight.promise, leader: true };
+        }
+
+        // Refreshes a stale entry in the background.
+        // Goes through the same load function, and therefore the limiter, as a live
+        // lookup. A refresh is skipped while any request for the key is in flight;
+        // failures are reported through handleAxiosError and leave the stale entry in place.
+        // @param {string} name - Calling function for error context
+        // @param {string} query - Search query for error context
+        // @param {string} cacheKey - Entry to refresh
+        // @param {Object} policy - Cache policy of the triggering call
+        // @param {Function} load - Performs the request and returns the value to cache
+        function revalidate(name, query, cacheKey, policy, load, engineStats) { //fire-and-forget refresh
+                if (inFlight.has(cacheKey)) { return; } //refresh or live request already running for this key
+                if (DEBUG) { console.log(`${name} revalidating ${cacheKey}`); } //trace background work
+                joinFlight(cacheKey, policy, load).promise
+                        .catch(error => {
+                                if (reachesCaller(error)) { return; } //quota tracker or breaker already warned, stale entry stays
+                                engineStats.failures += 1;
+                                return handleAxiosError(error, `Error revalidating ${name} for query: ${query}`); //never rejects
+                        });
+        }
+
+        // Builds the cachedLookup fallback for a search call.
+        // By default a failed request degrades to the empty value; with throwOnError the
+        // failure is converted by toQserpError and thrown, so callers can tell "no results"
+        // from "invalid key". The outer catch of each search rethrows it via reachesCaller.
+        // @param {Object} opts - Search options possibly holding { throwOnError: true }
+        // @param {Function} empty - Builds the empty result of the search function
+        // @returns {Function} Fallback receiving the request error
+        function searchFallback(opts, empty) { //one place decides between empty results and typed errors
+                return error => {
+                        if (opts && opts.throwOnError === true) { throw toQserpError(error); } //already reported by cachedLookup
+                        return empty();
+                };
+        }
+
+        // Serves one lookup through the cache.
+        // Fresh hits return directly. A stale hit is returned at once and refreshed in the
+        // background when staleWhileRevalidate is on; otherwise it is kept as the fallback
+        // for a live request. Live requests are coalesced per key via joinFlight. Request
+        // failures are logged once via handleAxiosError and return the stale entry when
+        // one exists, else the caller's fallback value.
+        // @param {string} name - Calling function for logs and error context
+        // @param {string} query - Search query for error context
+        // @param {string} cacheKey - Key from createCacheKey
+        // @param {Object} policy - Result of normalizeCachePolicy
+        // @param {Function} load - Performs the request and returns the value to cache
+        // @param {Function} fallback - Receives the request error and builds the value returned
+        //   when it fails, or throws (see searchFallback)
+        // @param {Object} [call] - Per-call { trace, signal, engine }: trace receives the source of the answer
+        //   for searchSafe (see TRACE), an aborted signal rejects with AbortError even when a
+        //   stale entry exists, since the caller no longer wants an answer, and engine names the
+        //   profile whose getEngineStats counters the lookup updates
+        // @returns {Promise<any>} Fresh, cached, stale or fallback value
+        async function cachedLookup(name, query, cacheKey, policy, load, fallback, call = {}) { //shared cache flow for search functions
+                const { trace = {}, signal = null, engine = DEFAULT_ENGINE } = call;
+                const engineStats = engineCounts[engine]; //per-engine view of the same counters
+                const entry = await cacheGet(cacheKey, policy); //fresh, stale or undefined
+                if (entry && policy.read && !entry.stale) { //fresh hit
+                        lookupCounts.hits += 1;
+                        engineStats.hits += 1;
+                        trace.source = 'cache';
+                        if (DEBUG) { console.log(`${name} returning cached`); } //(log cache hit)
+                        return entry.value;
+                }
+                if (entry && policy.read && staleWhileRevalidate) { //stale hit answered immediately
+                        lookupCounts.staleHits += 1;
+                        engineStats.staleHits += 1;
+                        trace.source = 'stale';
+                        revalidate(name, query, cacheKey, policy, load, engineStats);
+                        if (DEBUG) { console.log(`${name} returning stale`); } //(log stale hit)
+                        return markStale(entry.value);
+                }
+                if (cacheEnabled && policy.read) { lookupCounts.misses += 1; engineStats.misses += 1; } //bypass and refresh calls are not lookups
+                const flight = joinFlight(cacheKey, policy, load, signal); //share identical pending requests
+                trace.source = flight.leader ? 'network' : 'coalesced';
+                try {
+                        return await raceAbort(flight.promise, signal); //an aborted caller stops waiting even if others keep the request
+                } catch (error) {
+                        if (error instanceof AbortError) { throw error; } //caller gave up, neither stale data nor a report wanted
+                        const notSent = reachesCaller(error); //budget and open circuit errors are not request failures
+                        if (flight.leader && !notSent) { //report each failed request once
+                                engineStats.failures += 1;
+                                await handleAxiosError(error, `Error in ${name} for query: ${query}`);
+                        }
+                        if (entry && entry.stale) { //serve stale on error
+                                if (DEBUG) { console.log(`${name} returning stale after error`); } //(log fallback source)
+                                trace.source = 'stale';
+                                return markStale(entry.value);
+                        }
+                        if (entry && staleTtl > 0) { trace.source = 'cache'; return entry.value; } //refresh call failed while entry still fresh
+                        if (notSent) { throw error; } //caller decides how to wait for the quota day or cool-down
+                        return fallback(error); //graceful degradation, or a typed error with throwOnError
+                }
+        }
+
+        // Reports how many calls were served by joining an in-flight request.
+        // @returns {{coalesced: number, inFlight: number}} Total coalesced calls and requests pending now
+        function getCoalescingStats() { //single-flight counters for monitoring
+                const stats = { coalesced: coalescedCount, inFlight: inFlight.size };
+                if (DEBUG) { logReturn('getCoalescingStats', JSON.stringify(stats)); } //trace counters
+                return stats;
+        }
+
+        // Reports cache effectiveness and footprint for monitoring.
+        // Hit counts cover cached lookups only; calls with cache: false or 'refresh'
+        // are not counted. evictions, maxSize and memoryBytes come from the adapter's
+        // optional stats() method and are null when it has none (Redis, custom adapters).
+        // memoryBytes is an estimate from serialized entry length.
+        // @returns {Promise<{hits: number, staleHits: number, misses: number, hitRatio: number, evictions: number|null,
+        //   size: number, maxSize: number|null, ttl: number, staleTtl: number, memoryBytes: number|null}>}
+        async function getCacheStats() { //counters plus adapter figures
+                if (DEBUG) { logStart('getCacheStats', sizeForLog()); } //trace current size
+                let size = 0; //entries held by the adapter
+                let adapterStats = null; //optional adapter extension
+                try {
+                        size = await cache.size();
+                        if (typeof cache.stats === 'function') { adapterStats = await cache.stats(); }
+                } catch (err) {
+                        logWarn(`Cache stats failed: ${sanitizeApiKey(err.message)}`); //counters still reported
+                }
+                const hits = lookupCounts.hits + lookupCounts.staleHits; //stale answers also saved a request
+                const lookups = hits + lookupCounts.misses;
+                const stats = {
+                        ...lookupCounts,
+                        hitRatio: lookups === 0 ? 0 : hits / lookups, //0 before any lookup rather than NaN
+                        evictions: adapterStats ? adapterStats.evictions : null,
+                        size,
+                        maxSize: adapterStats ? adapterStats.maxSize : null,
+                        ttl: cacheTtl,
+                        staleTtl,
+                        memoryBytes: adapterStats ? adapterStats.memoryBytes : null
+                };
+                if (DEBUG) { logReturn('getCacheStats', JSON.stringify(stats)); } //trace counters
+                return stats;
+        }
+
+        // Reports lookups and requests per engine profile.
+        // hits, staleHits and misses count cached lookups as getCacheStats does; requests counts
+        // attempts sent to Google, retries included; failures counts failed requests reported to
+        // qerrors. The default entry covers calls without opts.engine, and its cx is null when
+        // the client relies on GOOGLE_CX.
+        // @returns {Object<string, {cx: string|null, hits: number, staleHits: number, misses: number,
+        //   hitRatio: number, requests: number, failures: number}>} Counters by engine name
+        function getEngineStats() { //per-profile traffic for dashboards
+                const stats = {};
+                for (const [name, counts] of Object.entries(engineCounts)) {
+                        const hits = counts.hits + counts.staleHits; //stale answers also saved a request
+                        const lookups = hits + counts.misses;
+                        stats[name] = { cx: name === DEFAULT_ENGINE ? creds.cx || null : engines[name] || adHocEngines[name], ...counts, hitRatio: lookups === 0 ? 0 : hits / lookups };
+                }
+                if (DEBUG) { logReturn('getEngineStats', JSON.stringify(stats)); }
+                return stats;
+        }
+
+        // Resolves the engine option of a search call to its profile.
+        // @param {any} engine - opts.engine as passed by the caller
+        // @param {Object} [adHoc] - opts[ENGINE_PROFILE], an ad-hoc profile from federatedSearch that wins
+        //   over engine; its counters are created on first use
+        // @returns {{name: string, cx: string|undefined}} Engine name and the cx to send; undefined
+        //   lets getGoogleURL fall back to GOOGLE_CX
+        // @throws {InvalidQueryError} If engine names no profile of this client
+        function resolveEngine(engine, adHoc) { //checked before any cache or network work
+                if (adHoc) {
+                        if (!engineCounts[adHoc.name]) { engineCounts[adHoc.name] = { hits: 0, staleHits: 0, misses: 0, requests: 0, failures: 0 }; }
+                        adHocEngines[adHoc.name] = adHoc.cx;
+                        return adHoc;
+                }
+                if (engine === undefined || engine === null || engine === DEFAULT_ENGINE) { return { name: DEFAULT_ENGINE, cx: creds.cx }; }
+                if (typeof engine !== 'string' || !Object.prototype.hasOwnProperty.call(engines, engine)) {
+                        throw new InvalidQueryError('Invalid search option engine'); //same message shape as normalizeSearchParams
+                }
+                return { name: engine, cx: engines[engine] };
+        }
+
+        // Validates the search parameters of a call against those the provider can send.
+        // Dropping an unsupported filter would silently widen the results, so it fails fast instead.
+        // @param {Object} opts - Search options as passed by the caller
+        // @returns {Object} Validated parameters from normalizeSearchParams
+        // @throws {InvalidQueryError} If a parameter is invalid or not supported by the provider
+        function providerSearchParams(opts) { //checked before any cache or network work
+                const params = normalizeSearchParams(opts);
+                const unsupported = Object.keys(params).find(name => !provider.params.includes(name));
+                if (unsupported) { throw new InvalidQueryError(`Search option ${unsupported} is not supported by provider ${provider.name}`); }
+                return params;
+        }
+
+        // Builds the provider request for one search with the tier's single key.
+        // @param {string} query - Search query
+        // @param {Object} request - { type, num, start, params, imageParams, fields, cx } (see lib/providers.js)
+        // @param {Object} [tier] - Provider tier to build for (default the client's own provider)
+        // @returns {{url: string, headers: Object}} Request for rateLimitedRequest
+        function buildRequest(query, request, tier = tiers[0]) {
+                return tier.provider.buildRequest(query, { ...request, apiKey: tier.creds.apiKey });
+        }
+
+        // Tells whether a fallback can send a search the client's provider accepted.
+        // Dropping a filter the fallback lacks would silently widen the results, so it is skipped instead.
+        // @param {Object} tier - Fallback tier from createFallbackTier
+        // @param {Object} request - Provider request fields of the search
+        // @returns {boolean} true when the search type and every parameter are supported
+        function tierSupports(tier, request) {
+                return tier.provider.types.includes(request.type) && Object.keys(request.params || {}).every(name => tier.provider.params.includes(name));
+        }
+
+        // Sends one search down the provider chain: the client's provider, then each fallback in order.
+        // Any failure but an abort falls through to the next fallback that supports the search,
+        // quota errors and an open circuit included; the decision is logged through
+        // handleAxiosError first, so the failed request reaches qerrors sanitized. When every
+        // provider fails, the last error is thrown for cachedLookup to report and degrade as usual.
+        // Fallbacks get the cx of their own settings, since engine profiles belong to the client's provider.
+        // @param {string} name - Calling function for logs
+        // @param {string} query - Search query
+        // @param {Object} request - Provider request fields (see lib/providers.js), already validated for the client's provider
+        // @param {Object} call - rateLimitedRequest options { trace, signal, timeoutMs, priority, engine }
+        // @returns {Promise<{body: Object, provider: string}>} Custom Search shaped body and the name of the provider that served it
+        async function searchChain(name, query, request, call) { //single provider clients take one pass
+                let failed = null; //last provider that fell through, logged once a next one is found
+                for (const [index, tier] of tiers.entries()) {
+                        if (index > 0 && !tierSupports(tier, request)) { //only reached once earlier providers failed
+                                tier.counts.skipped += 1;
+                                if (DEBUG) { console.log(`${name} skipping provider ${tier.provider.name}, search not supported`); }
+                                continue;
+                        }
+                        if (failed) { await handleAxiosError(failed.error, `Provider ${failed.provider} failed in ${name} for query: ${query}, falling back to ${tier.provider.name}`); } //never rejects
+                        const tierRequest = index === 0 ? request : { ...request, cx: tier.creds.cx };
+                        try {
+                                const response = await rateLimitedRequest(buildRequest(query, tierRequest, tier), { ...call, tier });
+                                tier.counts.served += 1;
+                                return { body: tier.provider.parseResponse(response?.data, tierRequest), provider: tier.provider.name };
+                        } catch (error) {
+                                if (error instanceof AbortError) { throw error; } //caller gave up, no other provider is wanted either
+                                tier.counts.failures += 1;
+                                failed = { error, provider: tier.provider.name };
+                        }
+                }
+                throw failed.error; //every provider failed or was skipped
+        }
+
+        // Records the provider that served each result once the client has fallbacks, so callers
+        // can tell a fallback answer from their primary's; clients without fallbacks keep their shape.
+        // @param {Array<Object>} items - Results of one search
+        // @param {string} served - Name of the provider that answered
+        // @returns {Array<Object>} Items with provider added, or items unchanged
+        function tagProvider(items, served) {
+                return tiers.length > 1 ? items.map(item => ({ ...item, provider: served })) : items;
+        }
+
+        // Lists cached keys with the time left before each turns stale.
+        // Keys use the createCacheKey format with detailed: and image: namespaces, prefixed
+        // with engine:<name>: for named engine profiles.
+        // With a stale grace window, remainingTtl counts down to the fresh deadline and
+        // entries past it are listed with stale: true until the window closes.
+        // Returns an empty array when the adapter has no entries() method.
+        // @returns {Promise<Array<{key: string, remainingTtl: number, stale: boolean}>>} Most recently used first
+        async function inspectCache() { //read-only view for debugging and dashboards
+                if (DEBUG) { logStart('inspectCache', sizeForLog()); } //trace current size
+                if (typeof cache.entries !== 'function') { return []; } //adapter cannot enumerate
+                const now = Date.now();
+                const listed = [];
+                for (const { key, value, remainingTtl } of await cache.entries()) {
+                        if (!value || value.qserpEntry !== 1) { listed.push({ key, remainingTtl, stale: false }); continue; } //plain entry expires with the adapter ttl
+                        if (now >= value.staleUntil) { continue; } //grace window over, cacheGet treats it as a miss
+                        listed.push({ key, remainingTtl: Math.max(value.freshUntil - now, 0), stale: now >= value.freshUntil });
+                }
+                if (DEBUG) { logReturn('inspectCache', listed.length); } //log count only, keys contain queries
+                return listed;
+        }
+
+        // Removes the cached results of one query.
+        // Deletes the entries fetchSearchItems/googleSearch, searchDetailed and imageSearch
+        // would store for the same query and options, so the next call goes to the API.
+        // @param {string} query - Search query as passed to the search function
+        // @param {Object} [opts] - Same { num, start, fields, engine } and search or image parameters used for the search
+        // @returns {Promise<boolean>} True when at least one entry was removed
+        // @throws {Error} If the query, a search parameter or the engine is invalid
+        async function deleteCacheEntry(query, opts = {}) { //targeted invalidation
+                if (DEBUG) { logStart('deleteCacheEntry', query); }
+                validateSearchQuery(query); //same query rules as the search functions
+                resolveEngine(opts.engine); //unknown engines would silently miss
+                const keys = ['items', 'detailed', 'image'].map(kind => searchCacheKey(kind, query, opts, provider.name)); //validates options before touching the adapter
+                let removed = false;
+                for (const key of keys) { if (await cache.delete(key)) { removed = true; } } //sequential keeps file writes ordered
+                if (DEBUG) { logReturn('deleteCacheEntry', removed); }
+                return removed;
+        }
+
+        // Serializes cached entries with their remaining ttl.
+        // Values are stored exactly as the adapter holds them, including stale-mode
+        // deadlines, so importCache restores the same fresh and stale behavior.
+        // Synchronous for the memory and file backends; async adapters return a promise.
+        // @returns {Object|Promise<Object>} { version, savedAt, entries: [{ key, value, remainingTtl }] }
+        // @throws {Error} If the adapter has no entries() method
+        function exportCache() { //snapshot for persistence or transfer between processes
+                if (DEBUG) { logStart('exportCache', sizeForLog()); } //trace current size
+                if (typeof cache.entries !== 'function') { throw new Error('Cache adapter cannot list entries for export'); } //custom adapter without the extension
+                const build = listed => { //shared by sync and async adapters
+                        const snapshot = { version: SNAPSHOT_VERSION, savedAt: Date.now(), entries: listed.map(({ key, value, remainingTtl }) => ({ key, value, remainingTtl })) };
+                        if (DEBUG) { logReturn('exportCache', `${snapshot.entries.length} entries`); } //log count only, keys contain queries
+                        return snapshot;
+                };
+                const listed = cache.entries();
+                return isThenable(listed) ? listed.then(build) : build(listed);
+        }
+
+        // Loads entries from an exportCache snapshot.
+        // Each entry's ttl is reduced by the time elapsed since the snapshot was saved
+        // and entries that expired in between are skipped. Entries are written oldest
+        // first so LRU order survives the round trip. Existing entries with the same key
+        // are overwritten. Synchronous for sync adapters; async adapters return a promise.
+        // @param {Object|string} snapshot - Result of exportCache, or its JSON text
+        // @returns {number|Promise<number>} Count of entries imported, 0 when caching is disabled
+        // @throws {Error} If the snapshot has no entries array or a version other than SNAPSHOT_VERSION
+        function importCache(snapshot) { //warm start from a previous process
+                if (DEBUG) { logStart('importCache', sizeForLog()); } //trace current size
+                const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot; //accept file contents directly
+                if (!data || !Array.isArray(data.entries)) { throw new Error('Cache snapshot must contain an entries array'); }
+                if (data.version !== SNAPSHOT_VERSION) { throw new Error(`Unsupported cache snapshot version ${data.version}, expected ${SNAPSHOT_VERSION}`); } //entry shape unknown, refuse rather than guess
+                if (!cacheEnabled) { return 0; } //nothing can be stored
+                const now = Date.now();
+                const elapsed = Number.isFinite(data.savedAt) ? Math.max(now - data.savedAt, 0) : 0; //clock skew never extends ttl
+                const writes = []; //pending writes of async adapters
+                let imported = 0;
+                for (const entry of [...data.entries].reverse()) { //export lists most recent first
+                        if (!entry || typeof entry.key !== 'string') { continue; } //skip malformed entries
+                        const ttl = Math.ceil(Number(entry.remainingTtl) - elapsed); //NaN for missing ttl fails the check below
+                        if (!(ttl > 0)) { continue; } //expired while the snapshot sat on disk
+                        if (entry.value && entry.value.qserpEntry === 1 && now >= entry.value.staleUntil) { continue; } //grace window over
+                        const written = cache.set(entry.key, entry.value, ttl);
+                        if (isThenable(written)) { writes.push(written); }
+                        imported += 1;
+                }
+                if (DEBUG) { logReturn('importCache', imported); }
+                return writes.length > 0 ? Promise.all(writes).then(() => imported) : imported;
+        }
+
+        // Writes the current cache to the configured snapshot path.
+        // Runs on the periodic timer and may be called before a planned shutdown.
+        // Writes are serialized so a slow disk never interleaves two snapshots.
+        // @returns {Promise<boolean>} True when a snapshot was written, false without a path or on failure
+        function flushCacheSnapshot() { //persist now instead of waiting for the timer
+                if (!snapshotsEnabled) { return Promise.resolve(false); } //snapshots not configured
+                snapshotWriting = snapshotWriting.then(async () => {
+                        try {
+                                return await writeSnapshotFile(snapshotPath, await exportCache());
+                        } catch (err) {
+                                logWarn(`Cache snapshot export failed: ${sanitizeApiKey(err.message)}`); //search keeps working without persistence
+                                return false;
+                        }
+                });
+                return snapshotWriting;
+        }
+
+        // Stops periodic and exit snapshots, for shutdown code and tests.
+        // @returns {boolean} True when snapshots were running
+        function stopCacheSnapshots() { //releases the timer and exit hook
+                const running = snapshotTimer !== null || stopExitFlush !== null;
+                if (snapshotTimer) { clearInterval(snapshotTimer); snapshotTimer = null; }
+                if (stopExitFlush) { stopExitFlush(); stopExitFlush = null; }
+                return running;
+        }
+
+        // Reports the limiter's current capacity and backlog.
+        // queued counts jobs waiting for a slot or reservoir refill; running counts
+        // requests the limiter has released and not yet seen finish. Fields the
+        // limiter cannot report, for example under a test double, are null.
+        // mode is 'shared' while a clustered limiter is in use and 'local' otherwise,
+        // including while a shared limiter has fallen back. lanes splits this client's
+        // requests by priority lane, with queued counting jobs waiting for a slot; an
+        // aborted job leaves the count at once.
+        // @returns {Promise<{mode: string, reservoir: number|null, queued: number|null, running: number|null,
+        //   maxConcurrent: number, minTime: number, refreshInterval: number|null,
+        //   lanes: Object<string, {priority: number, weight: number, queued: number, running: number}>}>}
+        async function getRateLimitStatus() { //capacity for dashboards and health checks
+                if (DEBUG) { logStart('getRateLimitStatus', 'limiter'); }
+                const counts = typeof limiter.counts === 'function' ? limiter.counts() : null; //RECEIVED, QUEUED, RUNNING, EXECUTING
+                const status = {
+                        mode: typeof limiter.mode === 'function' ? limiter.mode() : 'local', //plain Bottleneck is always local
+                        reservoir: typeof limiter.currentReservoir === 'function' ? await limiter.currentReservoir() : null, //null also when reservoir disabled
+                        queued: counts ? counts.RECEIVED + counts.QUEUED : null,
+                        running: counts ? counts.RUNNING + counts.EXECUTING : null,
+                        maxConcurrent: limiterOptions.maxConcurrent,
+                        minTime: limiterOptions.minTime,
+                        refreshInterval: limiterOptions.reservoirRefreshInterval,
+                        lanes: {}
+                };
+                for (const [name, priority] of Object.entries(PRIORITY_LANES)) { status.lanes[name] = { priority, weight: laneWeights[name], ...laneCounts[name] }; } //copies so callers cannot skew the counters
+                if (DEBUG) { logReturn('getRateLimitStatus', JSON.stringify(status)); }
+                return status;
+        }
+
+        // Reports requests counted against the daily budget.
+        // @returns {{day: string, used: number, limit: number, remaining: number|null, mode: string, resetAt: Date}}
+        //   remaining is null when no budget is enforced
+        function getQuotaStatus() { //daily usage for dashboards and health checks
+                return quota.status();
+        }
+
+        // Reports per-key usage of the API key pool.
+        // Keys are identified by their 1-based position in the pool, never by value.
+        // @returns {{strategy: string, size: number, active: number, keys: Array<{index: number, state: string,
+        //   used: number, limit: number, remaining: number|null, resetAt: Date|null}>}|null} null without a pool
+        function getKeyPoolStatus() { //per-key quota for dashboards and health checks
+                return keyPool ? keyPool.status() : null;
+        }
+
+        // Reports circuit breaker state for health checks.
+        // state is 'closed' while requests flow, 'open' while they are rejected with
+        // CircuitOpenError, and 'half-open' once the cool-down allows a probe.
+        // @returns {{state: string, failures: number, failureThreshold: number, cooldown: number,
+        //   openedAt: Date|null, retryAt: Date|null, lastError: string|null}}
+        function getCircuitStatus() { //endpoint health for dashboards and readiness probes
+                return breaker.status();
+        }
+
+        // Reports each provider of the chain in the order it is tried, the client's own first.
+        // served counts requests a provider answered, failures those that fell through or failed
+        // the call, and skipped the times a fallback was passed over for an unsupported search.
+        // @returns {Array<{provider: string, served: number, failures: number, skipped: number,
+        //   circuit: Object, quota: Object, keyPool: Object|null}>} circuit, quota and keyPool as
+        //   reported by getCircuitStatus, getQuotaStatus and getKeyPoolStatus
+        function getProviderStatus() { //fallback health for dashboards
+                const status = tiers.map(tier => ({
+                        provider: tier.provider.name,
+                        ...tier.counts,
+                        circuit: tier.breaker.status(),
+                        quota: tier.quota.status(),
+                        keyPool: tier.keyPool ? tier.keyPool.status() : null
+                }));
+                if (DEBUG) { logReturn('getProviderStatus', `${status.length} provider(s)`); }
+                return status;
+        }
+
+        // Returns the adapter size for debug logs without awaiting remote stores.
+        // @returns {number|string} Entry count, or 'async' when the adapter answers with a promise
+        function sizeForLog() { //debug helper only
+                const size = cache.size();
+                if (isThenable(size)) { size.catch(() => {}); return 'async'; } //never leave a rejected promise unhandled
+                return size;
+        }
+
+        // Makes a rate-limited HTTP request using Bottleneck scheduler.
+        // This wraps axios.get with rate limiting to prevent API quota exhaustion.
+        // The User-Agent header mimics a browser so services don't block obvious bots.
+        // Transient failures are retried per retryPolicy. Each attempt counts against
+        // the daily quota and re-enters the limiter, and the backoff wait happens
+        // outside it so a sleeping retry never holds a concurrency slot.
+        // The circuit breaker is consulted first and sees the outcome after retries.
+        // An abort stops waiting for the quota, the limiter queue or a backoff at once; a job
+        // still queued leaves the queue without using a limiter slot, and a request already
+        // sent is cancelled. Aborts are never retried and leave the breaker state unchanged.
+        // Keys and quota are taken inside the limiter job after the abort check, so a search
+        // aborted while queued is never billed; a queue-mode quota wait holds its limiter slot
+        // and ends early on abort.
+        // With a key pool each attempt picks its key once the quota is counted; an attempt
+        // the provider rejects for its key (keyState in its classifyError verdict,
+        // KEY_FAILOVER_REASONS for Google) is sent again at once with the next usable key and
+        // does not count towards retryPolicy.maxAttempts.
+        // @param {string|{url: string, headers: Object}} request - URL, or a provider request with extra headers
+        // @param {Object} [call] - Per-call settings
+        // @param {Object} [call.trace] - Counts attempts sent and quota used for searchSafe (see TRACE)
+        // @param {AbortSignal|null} [call.signal] - Cancels the request and any retries
+        // @param {number} [call.timeoutMs] - Per-attempt timeout in ms (default the client timeout)
+        // @param {string} [call.priority] - Queue lane from PRIORITY_LANES (default 'normal'), used for
+        //   every attempt and counted per lane for getRateLimitStatus
+        // @param {string} [call.engine] - Engine profile whose getEngineStats requests count grows per attempt
+        // @param {Object} [call.tier] - Provider tier whose key pool, quota and breaker the request uses
+        //   (default the client's own provider; searchChain passes fallbacks)
+        // @returns {Promise<Object>} - The axios response object
+        // @throws {CircuitOpenError} - While the circuit is open, without any request being sent
+        // @throws {KeyPoolExhaustedError} - When no pooled key is usable, without the attempt being sent
+        // @throws {AbortError} - When the signal fires before a response arrives
+        // @throws {Error} - Network errors, timeouts, or HTTP error status codes from the
+        //   last attempt, with an attempts property giving the number of attempts made
+        async function rateLimitedRequest(request, { trace = { attempts: 0, quotaUsed: 0 }, signal = null, timeoutMs = timeout, priority = 'normal', engine = DEFAULT_ENGINE, tier = tiers[0] } = {}) { //wraps axios.get with limiter to avoid quota exhaustion
+                const { url, headers: providerHeaders = {} } = typeof request === 'string' ? { url: request } : request; //plain URLs kept for callers and tests
+                const safeUrl = sanitizeApiKey(url); //(sanitize api key from url)
+                if (DEBUG) { logStart('rateLimitedRequest', safeUrl); } //(avoid key leak with toggle)
+
+
+                if (String(process.env.CODEX).trim().toLowerCase() === 'true') { //offline mode allows running without hitting Google
+
+                        const mockRes = { data: { items: [] } }; //(return only items array to match offline mode)
+                        if (DEBUG) { console.log('rateLimitedRequest using codex mock response'); } //(notify mock path taken when debug)
+                        if (DEBUG) { logReturn('rateLimitedRequest', JSON.stringify(mockRes)); } //(mock return log when debug)
+                        return mockRes; //(return mocked response)
+                }
+
+                const laneName = normalizePriority(priority); //unknown lanes throw before the breaker is consulted
+                const lane = laneCounts[laneName]; //per-lane running count
+                throwIfAborted(signal); //before the breaker so an abandoned call never takes the probe slot
+                tier.breaker.acquire(); //throws CircuitOpenError while the endpoint keeps failing
+                const refererHeader = tier.referer || (tier.google ? process.env.GOOGLE_REFERER : undefined); //client option wins over env
+                const requestConfig = {
+                        timeout: timeoutMs, // per-call or per-client timeout to prevent hanging requests
+                        ...(signal ? { signal } : {}), //cancels the socket on abort
+                        headers: {
+                                // User-Agent header mimics Chrome browser to avoid bot detection
+                                // Some APIs may block requests with missing or obvious bot user agents
+                                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.93 Safari/537.36',
+                                ...(refererHeader ? { Referer: refererHeader } : {}) //include referer header when provided
+                        }
+                };
+                const baseRequest = { url, headers: providerHeaders };
+                let failovers = 0; //attempts repeated with another pooled key
+                for (let attempt = 1; ; attempt++) { //exits by returning a response or throwing
+                        let key = null; //pooled key of this attempt
+                        let blocked = null; //key pool or quota error raised before sending
+                        try {
+                                // Use the limiter to automatically handle rate limiting
+                                // This returns a promise that resolves when the request is allowed to proceed;
+                                // the lane decides its share of freed slots
+                                const scheduled = scheduleInLane(laneName, async () => { //rate limiter controls concurrency
+                                        throwIfAborted(signal); //aborted as the slot started, free it without sending or billing
+                                        try {
+                                                await tier.quota.acquire({ signal }); //count billable request; throws or waits once the daily budget is spent
+                                        } catch (error) { blocked = error; throw error; }
+                                        if (tier.keyPool) { //picked once the budget allows the request, so blocked calls never count against a key
+                                                try { key = tier.keyPool.acquire(); } //throws once every key is exhausted or invalid
+                                                catch (error) { tier.quota.release(); blocked = error; throw error; } //not sent, not billed
+                                        }
+                                        trace.quotaUsed += 1; //billed even if the attempt then fails
+                                        trace.attempts += 1; //counted once the request is about to leave
+                                        engineCounts[engine].requests += 1;
+                                        const sent = key ? tier.provider.withKey(baseRequest, key) : baseRequest; //single key stays as the provider built it
+                                        const attemptConfig = { ...requestConfig, headers: { ...requestConfig.headers, ...sent.headers } };
+                                        lane.running += 1;
+                                        try {
+                                                return await axiosInstance.get(sent.url, attemptConfig);
+                                        } finally {
+                                                lane.running -= 1;
+                                        }
+                                }, signal);
+                                const res = await raceAbort(scheduled, signal); //stop waiting for a running job as soon as the caller aborts
+                                tier.breaker.success();
+                                if (DEBUG) { logReturn('rateLimitedRequest', `${res.status} from ${tier.provider.name} after ${attempt} attempt(s)`); } //(log status and provider when debug)
+                                return res; //(return axios response)
+                        } catch (error) {
+                                if (signal && signal.aborted) { //caller cancelled, says nothing about the endpoint
+                                        tier.breaker.release();
+                                        if (DEBUG) { console.log(`rateLimitedRequest aborted during attempt ${attempt}`); }
+                                        throw new AbortError(undefined, { attempts: attempt });
+                                }
+                                if (error === blocked) { tier.breaker.release(); throw error; } //request never sent, no verdict on the endpoint
+                                const reason = error && error.response ? `status ${error.response.status}` : (error && (error.code || error.message)); //short cause for logs
+                                const verdict = { kind: null, reason: null, detail: null, keyState: null, ...tier.provider.classifyError(error) }; //custom providers may leave fields out
+                                if (error && typeof error === 'object') { Object.defineProperty(error, VERDICT, { value: verdict, configurable: true }); } //read by toQserpError and tripsCircuit
+                                const keyState = key ? verdict.keyState : null; //rejected for the key, not the request
+                                if (keyState) {
+                                        tier.keyPool.reject(key, keyState);
+                                        if (tier.keyPool.status().active > 0) { //another key may succeed
+                                                failovers += 1;
+                                                if (DEBUG) { console.log(`rateLimitedRequest attempt ${attempt} rejected the pooled key as ${keyState}, failing over`); }
+                                                continue;
+                                        }
+                                }
+                                const retryAttempt = attempt - failovers; //failovers do not use up retries
+                                const delay = retryAttempt < retryPolicy.maxAttempts && isRetryable(error, retryPolicy) ? retryDelay(error, retryAttempt, retryPolicy) : null;
+                                if (delay === null) { //permanent failure, attempts used up or Retry-After too long
+                                        if (error && typeof error === 'object') { error.attempts = attempt; } //reported to qerrors by handleAxiosError
+                                        if (!keyState && tripsCircuit(error)) { tier.breaker.failure(sanitizeApiKey(reason)); } //a rejected pooled key is the pool's to handle
+                                        else { tier.breaker.success(); } //endpoint answered, the request itself was wrong
+                                        if (DEBUG) { console.log(`rateLimitedRequest giving up after ${attempt} attempt(s): ${sanitizeApiKey(reason)}`); }
+                                        throw error;
+                                }
+                                if (DEBUG) { console.log(`rateLimitedRequest attempt ${retryAttempt} of ${retryPolicy.maxAttempts} failed with ${sanitizeApiKey(reason)}, retrying in ${delay}ms`); }
+                                try { await abortableDelay(delay, signal); } //wait outside the limiter
+                                catch (abort) { tier.breaker.release(); throw abort; } //no further attempts once aborted
+                        }
+                }
+        }
+
+        // Fetch raw Google search items for a query.
+        // This abstracts repetitive request/response handling when only the raw items array is needed.
+        // @param {string} query - Search term to look up
+        // @param {number|Object} [num] - Optional number of results to request; part of cache key.
+        //   An options object may be passed here instead, with num read from it
+        // @param {Object} [opts] - Optional { start } for later result pages plus search parameters
+        //   such as siteSearch, dateRestrict or safe (see SEARCH_PARAM_RULES), and cache controls
+        //   { cache: false | 'refresh', cacheTtl } (see normalizeCachePolicy); throwOnError: true
+        //   throws failed requests as typed errors instead of returning an empty array; signal
+        //   (AbortSignal) cancels the call and timeoutMs overrides the client timeout for each
+        //   attempt. priority ('interactive', 'normal' or 'background') picks the limiter lane and
+        //   engine names an engine profile of the client to search instead of the default cx.
+        //   A call that joins an identical in-flight request shares its timeout and lane
+        // @returns {Promise<Array>} Raw items array from the provider, each with a provider field naming the one
+        //   that served it when the client has fallbacks, or empty array on error; with a stale
+        //   grace window, expired results come back as a copy with a non-enumerable stale: true
+        // @throws {InvalidQueryError} If the query, a search parameter, the signal, the priority or the engine is invalid
+        // @throws {AbortError} When the signal fires before the call completes
+        // @throws {QserpError} With throwOnError, the toQserpError class of a failed request
+        // @throws {Error} If the cache option is invalid
+        async function fetchSearchItems(query, num, opts = {}) { //core helper for cached API requests
+                if (DEBUG) { logStart('fetchSearchItems', query); } //(start log when debug)
+                if (num !== null && typeof num === 'object') { opts = num; num = opts.num; } //accept options object as second argument
+                validateSearchQuery(query); //(reuse validation helper)
+                const searchParams = providerSearchParams(opts); //validate filters before the try so misuse throws
+                const cachePolicy = normalizeCachePolicy(opts, cacheTtl); //per-call bypass, refresh and ttl
+                const signal = normalizeSignal(opts.signal); //caller cancellation
+                const timeoutMs = parseIntOption(opts.timeoutMs, timeout, 1, MAX_REQUEST_TIMEOUT); //same bounds as the timeout client option
+                const priority = normalizePriority(opts.priority); //limiter lane
+                const engine = resolveEngine(opts.engine, opts[ENGINE_PROFILE]); //cx and stats of the chosen profile
+                throwIfAborted(signal); //already aborted calls reject without touching the cache
+                try {
+                       if (String(process.env.CODEX).trim().toLowerCase() === 'true') { //(mock path when codex true using trimmed case-insensitive check)
+
+                               const items = []; //use static empty array without network call
+                               if (DEBUG) { logReturn('fetchSearchItems', JSON.stringify(items)); } //(log mock return)
+                               return items; //return mock array directly without cache or network
+                       }
+
+                       // Normalize num once to share between cache key and URL
+                       const safeNum = normalizeNum(num); //clamp value or null when invalid
+
+                       // Generate normalized cache key using centralized helper
+                       // CONSOLIDATION: searchCacheKey wraps createCacheKey so deleteCacheEntry builds identical keys
+                       const safeStart = normalizeStart(opts.start); //clamp page offset once for key and URL
+                       const cacheKey = searchCacheKey('items', query, { ...opts, num }, provider.name); //num may arrive as its own argument
+                       const items = await cachedLookup('fetchSearchItems', query, cacheKey, cachePolicy, async flightSignal => { //cache, stale and error handling shared with other searches
+                               const request = { type: 'web', num: safeNum, start: safeStart, params: searchParams, cx: engine.cx }; //(clamped num, page, filters and engine)
+                               const { body, provider: served } = await searchChain('fetchSearchItems', query, request, { trace: opts[TRACE], signal: flightSignal, timeoutMs, priority, engine: engine.name }); //(perform rate limited request down the provider chain, cancelled once every waiting caller aborted)
+                               return tagProvider(Array.isArray(body?.items) ? body.items : [], served); //optional chaining prevents crash when body missing
+                       }, searchFallback(opts, () => []), { trace: opts[TRACE], signal, engine: engine.name }); //empty array when the request fails without a stale entry
+                       if (DEBUG) { logReturn('fetchSearchItems', JSON.stringify(items)); } //(log return value when debug)
+                       return items; //(return extracted items array)
+                } catch (error) {
+                        if (reachesCaller(error)) { throw error; } //budget, open circuit, abort and throwOnError errors reach the caller
+                        await handleAxiosError(error, `Error in fetchSearchItems for query: ${query}`); //await async error handler
+                        if (opts.throwOnError === true) { throw toQserpError(error); } //caller asked for failures instead of empty results
+                        if (DEBUG) { logReturn('fetchSearchItems', '[]'); } //(log empty array when debug)
+                        return []; //(gracefully return empty array)
+                }
+        }
+
+        // Clears all cached search results.
+        // Exposed mainly for tests so cache state can be reset between runs.
+        // Synchronous for the memory backend; async adapters return a promise instead.
+        // @returns {boolean|Promise<boolean>} true when cache cleared
+        function clearCache() { //removes all entries from the cache adapter
+                if (DEBUG) { logStart('clearCache', sizeForLog()); } //only log when debugging
+                const cleared = cache.clear(); //(remove all cached entries)
+                if (isThenable(cleared)) { //remote or file store finishes later
+                        return cleared.then(() => {
+                                if (DEBUG) { logReturn('clearCache', true); } //log success when debugging
+                                return true;
+                        });
+                }
+                if (DEBUG) { logReturn('clearCache', true); } //log success when debugging
+                return true; //(confirm cleared)
+        }
+
+        // performCacheCleanup - manually purge stale cache entries.
+        // RATIONALE: primarily for tests; adapters normally evict stale items automatically.
+        // @returns {boolean|Promise<boolean>} true if any stale entries were removed, false otherwise
+        function performCacheCleanup() { //forces stale entry purge when test needs immediate cleanup
+                if (DEBUG) { logStart('performCacheCleanup', sizeForLog()); } //trace start when debugging
+                const removed = cache.purgeStale(); //(evict expired entries if present)
+                if (DEBUG) { logReturn('performCacheCleanup', removed); } //trace result when debugging
+                return removed; //(propagate purge result)
+        }
+
+        // Get the top search result URL for each provided search term.
+        // Performs parallel searches and returns only the top URL from each response to save bandwidth.
+        // Promise.all minimizes total execution time while rateLimitedRequest enforces API quotas.
+        // @param {string[]} searchTerms - Array of search terms to process
+        // @param {Object} [opts] - { throwOnError: true } rejects on the first failed search instead of skipping it;
+        //   signal, timeoutMs, priority and engine apply to every search as in fetchSearchItems
+        // @returns {Promise<string[]>} Array of top result URLs (excludes null results from failed searches)
+        // @throws {InvalidQueryError} If searchTerms is not an array or the signal, priority or engine is invalid
+        // @throws {AbortError} When the signal fires before every search completes
+        async function getTopSearchResults(searchTerms, opts = {}) { //parallel search helper returning first link only
+                if (DEBUG) { logStart('getTopSearchResults', searchTerms); } //log initial array
+                // Input validation: ensure we received an array
+                // This prevents runtime errors and provides clear feedback about expected input type
+                if (!Array.isArray(searchTerms)) {
+                        throw new InvalidQueryError('searchTerms must be an array of strings');
+                }
+
+                // Remove duplicates after trimming and lower-casing
+                // UPDATED STRATEGY: Normalizes terms to avoid redundant requests for "A" vs " a " vs "a"
+                // while preserving the original order of the first normalized occurrence.
+                const seen = new Set(); //track normalized terms for deduping
+                const validSearchTerms = []; //store final sanitized terms
+                for (const term of searchTerms) {
+                        if (typeof term !== 'string') { continue; } //skip non-strings early
+                        const trimmed = term.trim(); //remove leading/trailing whitespace
+                        if (trimmed === '') { continue; } //ignore empty after trim
+                        const norm = trimmed.toLowerCase(); //case-insensitive key for dedup
+                        if (!seen.has(norm)) { //only first occurrence allowed
+                                seen.add(norm); //mark normalized term as seen
+                                validSearchTerms.push(trimmed); //store trimmed term for search
+                        }
+                }
+
+                if (validSearchTerms.length === 0) {
+                        logWarn('No valid search terms provided'); //warn about empty input
+                        if (DEBUG) { logReturn('getTopSearchResults', '[]'); } //log empty return
+                        return []; //graceful degradation for invalid input
+                }
+
+                if (DEBUG) { logStart('getTopSearchResults', validSearchTerms); } //log sanitized term list
+
+                // Use Promise.all() to execute all searches in parallel for optimal performance
+                // PARALLELIZATION STRATEGY: Each search query is independent, allowing concurrent execution
+                // without dependencies or shared state concerns. This provides significant performance gains:
+                // - Sequential: 5 queries × 1 second each = 5 seconds total
+                // - Parallel: 5 queries concurrently = 1 second total (limited by slowest query)
+                // Rate limiting is still enforced per-request by Bottleneck in rateLimitedRequest()
+                const searchOpts = { signal: opts.signal, timeoutMs: opts.timeoutMs, priority: opts.priority, engine: opts.engine, ...(opts.throwOnError === true ? { throwOnError: true } : {}) }; //only error mode, cancellation, timeout, lane and engine are passed through
+                const searchResults = await Promise.all(validSearchTerms.map(async (query) => { //aggregate promises to run searches concurrently
+                        // Fetch only the first result since this function returns top URLs only
+                        // OPTIMIZATION: Requesting fewer results reduces API response time and bandwidth
+                        const items = await fetchSearchItems(query, 1, searchOpts); //one abort rejects the whole batch
+
+                        if (items.length > 0) {
+                                // Extract link from first result item
+                                // STRUCTURE: Google API returns objects with title, snippet, link properties
+                                return items[0].link;
+                        }
+
+                        // Log queries that yield no results for debugging visibility
+                        // DEBUG ONLY: Prevents log noise in production while helping development troubleshooting
+                        if (DEBUG) { console.log(`No results for "${query}"`); }
+
+                        // Return null for failed searches to maintain array position correlation
+                        // NULL STRATEGY: Preserves 1:1 mapping between input queries and result positions
+                        // for easier debugging and maintains consistent Promise.all behavior
+                        return null;
+                }));
+
+                // Filter out null values (failed searches or no results) for clean output
+                // FILTERING RATIONALE: Consumers expect only valid URLs, not null placeholders.
+                // This final filter step removes failed searches while preserving successful ones.
+                // Alternative considered: throwing on any failure, but graceful degradation is preferred.
+                const validUrls = searchResults.filter(url => url !== null);
+                if (DEBUG) { logReturn('getTopSearchResults', validUrls); } //(log return array when debug)
+                return validUrls; // Return array of strings (URLs only)
+        }
+
+        // Perform a Google search and return formatted results.
+        // Returns structured objects (title, snippet, link) so consumers are insulated from raw API details.
+        // @param {string} query - The search query
+        // @param {Object} [opts] - Optional { num, start } where start is the 1-based offset of the page,
+        //   plus search parameters such as siteSearch, dateRestrict or safe (see SEARCH_PARAM_RULES)
+        //   and cache controls { cache, cacheTtl }, throwOnError, signal, timeoutMs, priority and engine as accepted by fetchSearchItems
+        // @returns {Promise<Array<{title: string, snippet: string, link: string}>>} Array of formatted search results,
+        //   each with the provider that served it when the client has fallbacks
+        // @throws {Error} If query is not a string or is empty, or a search parameter or cache option is invalid;
+        //   with throwOnError, a QserpError subclass when the request fails
+        // @throws {AbortError} When opts.signal fires before the search completes
+        async function googleSearch(query, opts = {}) { //wrapper returning full result objects
+                if (DEBUG) { logStart('googleSearch', query); } //(start log; validation occurs in fetchSearchItems)
+                const items = await fetchSearchItems(query, opts.num, opts); //reuse helper to honor caching and rate limits
+                const mapped = items.map(item => ({ //create stable interface for consumers
+                        title: item.title,
+                        snippet: item.snippet,
+                        link: item.link,
+                        ...(item.provider ? { provider: item.provider } : {}) //set by tagProvider once the client has fallbacks
+                }));
+                const results = items.stale ? markStale(mapped) : mapped; //carry stale flag through the mapping
+                if (DEBUG) { logReturn('googleSearch', results.length); } //(log number when debug)
+                return results;
+        }
+
+        // Perform a Google search that reports its outcome instead of throwing.
+        // Batch jobs can tell a term with no results from one whose request failed, and
+        // see whether the answer came from the cache and what it cost in quota.
+        // @param {string} query - The search query
+        // @param {Object} [opts] - Same options as googleSearch; throwOnError is implied
+        // @returns {Promise<{ok: boolean, items: Array<{title: string, snippet: string, link: string}>,
+        //   error: QserpError|null, fromCache: boolean, stale: boolean, attempts: number,
+        //   durationMs: number, quotaUsed: number}>} ok is false with empty items and a typed
+        //   error when validation or the request failed; attempts and quotaUsed count only
+        //   requests this call made, so cache hits and coalesced calls report 0
+        async function searchSafe(query, opts = {}) { //never rejects, for batch jobs that record outcomes
+                if (DEBUG) { logStart('searchSafe', query); } //(start log when debug)
+                const started = Date.now(); //wall time includes queueing and retries
+                const trace = { source: null, attempts: 0, quotaUsed: 0 }; //filled in by cachedLookup and rateLimitedRequest
+                let items = []; //stays empty on failure
+                let error = null;
+                try {
+                        items = await googleSearch(query, { ...opts, throwOnError: true, [TRACE]: trace }); //typed errors instead of silent empty results
+                } catch (err) {
+                        error = toQserpError(err); //validation, budget and circuit errors are already typed
+                }
+                const result = {
+                        ok: error === null,
+                        items,
+                        error,
+                        fromCache: trace.source === 'cache' || trace.source === 'stale',
+                        stale: items.stale === true,
+                        attempts: trace.attempts,
+                        durationMs: Date.now() - started,
+                        quotaUsed: trace.quotaUsed
+                };
+                if (DEBUG) { logReturn('searchSafe', `${result.ok ? 'ok' : error.name} ${items.length} item(s)`); } //(log outcome when debug)
+                return result;
+        }
+
+        // Builds the ad-hoc profile of a { cx } entry in federatedSearch's engines option.
+        // The cx doubles as the engine name, so a configured profile name is refused rather than
+        // letting two different ids share one cache namespace.
+        // @param {Object} entry - { cx } as passed by the caller
+        // @returns {{name: string, cx: string}} Profile for opts[ENGINE_PROFILE]
+        // @throws {InvalidQueryError} If the provider has no engines or the cx is not a usable id
+        function adHocProfile(entry) {
+                if (!provider.engines) { throw new InvalidQueryError(`Provider ${provider.name} does not support engines`); }
+                const engineCx = typeof entry.cx === 'string' ? entry.cx.trim() : '';
+                if (!/^[\w:.-]{1,128}$/.test(engineCx) || engineCx === DEFAULT_ENGINE || Object.prototype.hasOwnProperty.call(engines, engineCx)) {
+                        throw new InvalidQueryError('Invalid search option engines'); //same message as a malformed list
+                }
+                return { name: engineCx, cx: engineCx };
+        }
+
+        // Search several engine profiles at once and merge their rankings.
+        // Each engine is searched through googleSearch, so it uses its own cache namespace and
+        // stats while sharing the client's limiter, quota and circuit breaker. Rankings are fused
+        // with reciprocal-rank fusion or round-robin interleaving and links that normalize to the
+        // same URL are folded into one item (see lib/federation.js).
+        // @param {string} query - The search query
+        // @param {Object} [opts] - { engines, strategy } plus googleSearch options applied to every engine.
+        //   engines lists profile names, 'default' included, and { cx } objects for engines without a
+        //   profile, which are named by their cx in results and getEngineStats (default every profile of
+        //   the client, or only the default engine when it has none); strategy is 'rrf' (default) or 'round-robin'
+        // @returns {Promise<Array<{title: string, snippet: string, link: string, engines: string[],
+        //   ranks: Object<string, number>, score: number|null}>>} Merged results, marked stale when any
+        //   engine answered from a stale entry; an engine whose request fails contributes nothing
+        // @throws {InvalidQueryError} If the query, engines, strategy or another search option is invalid
+        // @throws {AbortError} When opts.signal fires before every engine answered
+        // @throws {QserpError} With throwOnError, the typed error of the first engine that failed
+        async function federatedSearch(query, opts = {}) { //fan-out over engine profiles
+                if (DEBUG) { logStart('federatedSearch', query); } //(start log when debug)
+                validateSearchQuery(query); //fail once instead of once per engine
+                const { engines: requested, strategy = 'rrf', ...searchOpts } = opts;
+                if (!MERGE_STRATEGIES.includes(strategy)) { throw new InvalidQueryError('Invalid search option strategy'); }
+                const profiles = Object.keys(engines);
+                const names = requested === undefined ? (profiles.length > 0 ? profiles : [DEFAULT_ENGINE]) : requested;
+                if (!Array.isArray(names) || names.length === 0) { throw new InvalidQueryError('Invalid search option engines'); }
+                const chosen = new Map(); //engine name -> ad-hoc profile or null, duplicates searched once
+                for (const entry of names) { //unknown names and malformed ids throw before any request
+                        if (entry !== null && typeof entry === 'object') { const adHoc = adHocProfile(entry); chosen.set(adHoc.name, adHoc); }
+                        else { chosen.set(resolveEngine(entry).name, null); }
+                }
+                const lists = await Promise.all([...chosen].map(async ([engine, adHoc]) => ({ //limiter interleaves the engines
+                        engine,
+                        items: await googleSearch(query, { ...searchOpts, engine: adHoc ? undefined : engine, ...(adHoc ? { [ENGINE_PROFILE]: adHoc } : {}) })
+                })));
+                const merged = mergeResults(lists, { strategy });
+                const results = lists.some(list => list.items.stale) ? markStale(merged) : merged; //stale flag survives the merge
+                if (DEBUG) { logReturn('federatedSearch', `${results.length} items from ${chosen.size} engine(s)`); } //(log count when debug)
+                return results;
+        }
+
+        // Perform a search and return the full result metadata.
+        // Unlike googleSearch this keeps displayLink, pagemap, mime and friends plus the
+        // top-level searchInformation, spelling and pagination sections. The full response
+        // is requested by default; pass opts.fields to trade detail for bandwidth.
+        // Cached separately from fetchSearchItems because the stored shape differs.
+        // @param {string} query - The search query
+        // @param {Object} [opts] - { num, start, fields } where fields is a Google partial-response selector,
+        //   plus search parameters, cache controls, throwOnError, priority and engine as accepted by fetchSearchItems
+        // @returns {Promise<Object>} Envelope from formatSearchEnvelope, with the provider that served it when
+        //   the client has fallbacks; empty envelope on error
+        // @throws {Error} If query is invalid or fields is not a valid selector string; with
+        //   throwOnError, a QserpError subclass when the request fails
+        async function searchDetailed(query, opts = {}) { //rich search returning envelope
+                if (DEBUG) { logStart('searchDetailed', query); } //(start log when debug)
+                validateSearchQuery(query); //same query rules as other search functions
+                const fields = opts.fields === undefined || opts.fields === null ? null : opts.fields; //null requests full response
+                if (fields !== null && (typeof fields !== 'string' || !/^[\w,/()*]{1,1024}$/.test(fields))) { //allow only selector syntax characters
+                        throw new InvalidQueryError('fields must be a partial-response selector string'); //fail fast like validateSearchQuery
+                }
+                const searchParams = providerSearchParams(opts); //validate filters before the try so misuse throws
+                const cachePolicy = normalizeCachePolicy(opts, cacheTtl); //per-call bypass, refresh and ttl
+                const priority = normalizePriority(opts.priority); //limiter lane
+                const engine = resolveEngine(opts.engine, opts[ENGINE_PROFILE]); //cx and stats of the chosen profile
+                try {
+                        if (String(process.env.CODEX).trim().toLowerCase() === 'true') { //offline mode skips network and cache
+                                const mockEnvelope = formatSearchEnvelope({}); //empty but fully shaped envelope
+                                if (DEBUG) { logReturn('searchDetailed', 'codex mock'); } //(log mock return)
+                                return mockEnvelope; //return mock envelope without cache or network
+                        }
+
+                        const safeNum = normalizeNum(opts.num); //clamp value or null when invalid
+                        const safeStart = normalizeStart(opts.start); //page offset for key and URL
+                        const cacheKey = searchCacheKey('detailed', query, opts, provider.name); //namespace prevents collisions with item arrays
+                        const envelope = await cachedLookup('searchDetailed', query, cacheKey, cachePolicy, async () => { //shared cache, stale and error flow
+                                const request = { type: 'web', num: safeNum, start: safeStart, params: searchParams, fields, cx: engine.cx }; //full or selected fields
+                                const { body, provider: served } = await searchChain('searchDetailed', query, request, { priority, engine: engine.name }); //(perform rate limited request down the provider chain)
+                                const detailed = formatSearchEnvelope(body); //normalize raw body
+                                return tiers.length > 1 ? { ...detailed, provider: served } : detailed; //answering provider once fallbacks exist
+                        }, searchFallback(opts, () => formatSearchEnvelope({})), { engine: engine.name }); //graceful degradation mirrors fetchSearchItems
+                        if (DEBUG) { logReturn('searchDetailed', `${envelope.items.length} items`); } //(log count when debug)
+                        return envelope; //typed detailed result
+                } catch (error) {
+                        if (reachesCaller(error)) { throw error; } //budget, open circuit and throwOnError errors reach the caller
+                        await handleAxiosError(error, `Error in searchDetailed for query: ${query}`); //await async error handler
+                        if (opts.throwOnError === true) { throw toQserpError(error); } //caller asked for failures instead of empty results
+                        if (DEBUG) { logReturn('searchDetailed', 'empty envelope'); } //(log fallback when debug)
+                        return formatSearchEnvelope({}); //graceful degradation mirrors fetchSearchItems
+                }
+        }
+
+        // Perform an image search and return image-specific results.
+        // Sends searchType=image with any image filters and requests only the fields
+        // needed for the flat result shape. Cached under its own namespace because
+        // the same query returns different items than a web search.
+        // @param {string} query - The search query
+        // @param {Object} [opts] - { num, start, imgSize, imgType, imgColorType, imgDominantColor }
+        //   plus search parameters, cache controls, throwOnError, priority and engine as accepted by fetchSearchItems
+        // @returns {Promise<Array<{link: string|null, thumbnailLink: string|null, width: number|null, height: number|null, contextLink: string|null, mime: string|null}>>}
+        //   Formatted image results, tagged with their provider when the client has fallbacks, or empty array on error
+        // @throws {Error} If the query, a search parameter or an image option is invalid; with
+        //   throwOnError, a QserpError subclass when the request fails
+        async function imageSearch(query, opts = {}) { //image mode mirroring googleSearch
+                if (DEBUG) { logStart('imageSearch', query); } //(start log when debug)
+                validateSearchQuery(query); //same query rules as other search functions
+                if (!provider.types.includes('image')) { throw new InvalidQueryError(`Provider ${provider.name} does not support imageSearch`); }
+                const searchParams = providerSearchParams(opts); //validate filters before the try so misuse throws
+                const imageParams = normalizeSearchParams(opts, IMAGE_PARAM_RULES); //image filters checked the same way
+                const cachePolicy = normalizeCachePolicy(opts, cacheTtl); //per-call bypass, refresh and ttl
+                const priority = normalizePriority(opts.priority); //limiter lane
+                const engine = resolveEngine(opts.engine, opts[ENGINE_PROFILE]); //cx and stats of the chosen profile
+                try {
+                        if (String(process.env.CODEX).trim().toLowerCase() === 'true') { //offline mode skips network and cache
+                                if (DEBUG) { logReturn('imageSearch', '[]'); } //(log mock return)
+                                return []; //return mock array without cache or network
+                        }
+
+                        const safeNum = normalizeNum(opts.num); //clamp value or null when invalid
+                        const safeStart = normalizeStart(opts.start); //page offset for key and URL
+                        const cacheKey = searchCacheKey('image', query, opts, provider.name); //namespace and image filters prevent collisions with web results
+                        const results = await cachedLookup('imageSearch', query, cacheKey, cachePolicy, async () => { //shared cache, stale and error flow
+                                const request = { type: 'image', num: safeNum, start: safeStart, params: searchParams, imageParams, fields: 'items(link,mime,image(contextLink,thumbnailLink,width,height))', cx: engine.cx }; //only fields the result shape uses
+                                const { body, provider: served } = await searchChain('imageSearch', query, request, { priority, engine: engine.name }); //(perform rate limited request down the provider chain)
+                                const items = Array.isArray(body?.items) ? body.items : []; //optional chaining prevents crash when body missing
+                                return tagProvider(items.map(formatImageItem), served); //flatten nested image metadata
+                        }, searchFallback(opts, () => []), { engine: engine.name }); //graceful degradation mirrors googleSearch
+                        if (DEBUG) { logReturn('imageSearch', results.length); } //(log number when debug)
+                        return results; //formatted image results
+                } catch (error) {
+                        if (reachesCaller(error)) { throw error; } //budget, open circuit and throwOnError errors reach the caller
+                        await handleAxiosError(error, `Error in imageSearch for query: ${query}`); //await async error handler
+                        if (opts.throwOnError === true) { throw toQserpError(error); } //caller asked for failures instead of empty results
+                        if (DEBUG) { logReturn('imageSearch', '[]'); } //(log empty array when debug)
+                        return []; //graceful degradation mirrors googleSearch
+                }
+        }
+
+        // Walk result pages for a query as an async iterator.
+        // Requests start=1,11,21... through searchDetailed so every page passes the
+        // limiter and lands in the cache, and stops at maxResults, at Google's 100
+        // result ceiling or as soon as the response carries no queries.nextPage.
+        // A custom fields selector gets queries(nextPage) appended so paging still works.
+        // @param {string} query - The search query
+        // @param {Object} [opts] - { maxResults, fields } plus search parameters; maxResults defaults to and is clamped at 100.
+        //   With throwOnError a failed page throws instead of ending the iteration with an empty page
+        // @yields {Object} One formatSearchEnvelope result per page
+        // @throws {Error} If query or fields are invalid (raised on first iteration)
+        async function* searchPages(query, opts = {}) { //lazy pager so callers stop fetching when satisfied
+                if (DEBUG) { logStart('searchPages', query); } //(start log when debug)
+                const maxResults = parseIntOption(opts.maxResults, MAX_RESULTS, 1, MAX_RESULTS); //bounded total across pages
+                const fields = typeof opts.fields === 'string' && !opts.fields.includes('queries') ? `${opts.fields},queries(nextPage)` : opts.fields; //keep nextPage visible for the stop check
+                let start = 1; //Google offsets are 1-based
+                let fetched = 0; //items yielded so far
+                while (fetched < maxResults && start < MAX_RESULTS) { //respect caller budget and API ceiling
+                        const num = Math.min(10, maxResults - fetched, MAX_RESULTS - start); //shrink last page so start + num stays within the ceiling
+                        const page = await searchDetailed(query, { ...opts, num, start, fields }); //limiter, cache and error handling per page
+                        fetched += page.items.length; //count real items, pages can be short
+                        yield page; //hand page to consumer before requesting the next
+                        if (!page.pagination.nextStart || page.items.length === 0) { break; } //no further page or failed request
+                        start = page.pagination.nextStart; //follow Google's own offset
+                }
+                if (DEBUG) { logReturn('searchPages', `${fetched} items`); } //(log total when debug)
+        }
+
+        // Snapshot persistence: warm start now, then save periodically and on exit, SIGTERM or SIGINT
+        // RATIONALE: restarts otherwise spend quota re-fetching popular queries
+        const snapshotPath = options.snapshotPath !== undefined ? options.snapshotPath : parseStringVar('QSERP_CACHE_SNAPSHOT_PATH', '', 4096); //empty disables
+        const snapshotInterval = parseIntOption(options.snapshotInterval, SNAPSHOT_INTERVAL, 0, MAX_SNAPSHOT_INTERVAL); //0 saves on exit only
+        let snapshotWriting = Promise.resolve(false); //tail of the snapshot write chain
+        let snapshotTimer = null; //periodic flush handle
+        let stopExitFlush = null; //unregisters the exit flush
+        const snapshotsEnabled = typeof snapshotPath === 'string' && snapshotPath !== ''; //non-string options disable like an empty path
+        if (snapshotsEnabled) {
+                const snapshot = readSnapshotFile(snapshotPath); //null on first run
+                try {
+                        const loaded = snapshot ? importCache(snapshot) : 0;
+                        if (isThenable(loaded)) { loaded.catch(err => logWarn(`Cache snapshot import failed: ${sanitizeApiKey(err.message)}`)); } //async adapters warm in the background
+                } catch (err) {
+                        logWarn(`Cache snapshot import failed: ${sanitizeApiKey(err.message)}`); //start cold instead of failing
+                }
+                if (snapshotInterval > 0) {
+                        snapshotTimer = setInterval(flushCacheSnapshot, snapshotInterval);
+                        snapshotTimer.unref(); //never keeps the process alive on its own
+                }
+                stopExitFlush = onProcessExit(() => { //exit handlers cannot await
+                        try {
+                                const finalSnapshot = exportCache();
+                                if (isThenable(finalSnapshot)) { finalSnapshot.catch(() => {}); return; } //async adapters rely on the periodic flush
+                                writeSnapshotFileSync(snapshotPath, finalSnapshot);
+                        } catch (err) {
+                                logWarn(`Cache snapshot export failed: ${sanitizeApiKey(err.message)}`);
+                        }
+                });
+        }
+
+        const client = { //public surface of one isolated client
+                googleSearch,           // Single search with detailed results
+                searchSafe,             // Single search returning an outcome object, never throws
+                federatedSearch,        // One query over several engine profiles, merged
+                searchDetailed,         // Full metadata envelope with pagination and spelling
+                searchPages,            // Async iterator over result pages
+                imageSearch,            // Image results with thumbnails and dimensions
+                getTopSearchResults,    // Multiple searches returning top URLs only
+                fetchSearchItems,       // Raw search helper returning Google items
+                clearCache,             // Empties this client's cache only
+                performCacheCleanup,    // Purges this client's stale entries
+                getCoalescingStats,     // Counts requests shared by concurrent identical calls
+                getCacheStats,          // Hit ratio, size, evictions and memory estimate
+                inspectCache,           // Cached keys with remaining ttl
+                deleteCacheEntry,       // Invalidates one query across result namespaces
+                exportCache,            // Snapshot of entries with remaining ttl
+                importCache,            // Warm start from a snapshot
+                flushCacheSnapshot,     // Writes the snapshot file now
+                stopCacheSnapshots,     // Stops periodic and exit snapshots
+                getRateLimitStatus,     // Remaining reservoir, queued and running requests
+                getQuotaStatus,         // Requests counted against the daily budget
+                getKeyPoolStatus,       // Per-key usage of the API key pool
+                getEngineStats,         // Lookups and requests per engine profile
+                getCircuitStatus,       // Circuit breaker state for health checks
+                getProviderStatus,      // Traffic and health of each provider in the fallback chain
+
+                rateLimitedRequest,     // Request wrapper bound to this client's limiter
+                axiosInstance           // Exposed so tests can attach mock adapters
+        };
+        if (DEBUG) { logReturn('createClient', Object.keys(client).join(',')); } //trace exposed methods
+        return client; //caller owns the isolated state
 }
 
+// Default client built from environment variables.
+// Module-level exports delegate here so existing require('qserp') consumers keep
+// their behavior, including per-call env re-reads for key, cx and referer.
+const defaultClient = createClient(); //shared by module exports
+
 // Module exports - public API and selected internals for testing.
-// Public functions: googleSearch and getTopSearchResults.
+// Public functions: googleSearch, getTopSearchResults and createClient.
 // Internal helpers are exported to facilitate unit tests.
 module.exports = { //exporting ordered list of functions
         // Primary public API functions
-        googleSearch,           // Single search with detailed results
-        getTopSearchResults,    // Multiple searches returning top URLs only
-        fetchSearchItems,       // Raw search helper returning Google items
+        googleSearch: defaultClient.googleSearch,               // Single search with detailed results
+        searchSafe: defaultClient.searchSafe,                   // Single search returning an outcome object, never throws
+        federatedSearch: defaultClient.federatedSearch,         // Merged search over QSERP_ENGINES profiles
+        searchDetailed: defaultClient.searchDetailed,           // Full metadata envelope with pagination and spelling
+        searchPages: defaultClient.searchPages,                 // Async iterator over result pages
+        imageSearch: defaultClient.imageSearch,                 // Image results with thumbnails and dimensions
+        getTopSearchResults: defaultClient.getTopSearchResults, // Multiple searches returning top URLs only
+        fetchSearchItems: defaultClient.fetchSearchItems,       // Raw search helper returning Google items
+        createClient,           // Factory for isolated clients with their own keys, cache and limiter
+        createMemoryCache,      // Bundled in-memory LRU cache adapter
+        createFileCache,        // Bundled JSON file cache adapter
+        createRedisCache,       // Bundled adapter for Redis-protocol clients
 
         // Internal functions exported for testing
-        rateLimitedRequest,     // HTTP request wrapper with rate limiting
+        rateLimitedRequest: defaultClient.rateLimitedRequest,   // HTTP request wrapper with rate limiting
         getGoogleURL,           // URL builder for Google API
        handleAxiosError        // Centralized error handler
        , validateSearchQuery    // Validation helper for query strings //(export validation function)
        , createCacheKey         // Cache key generation helper for consistent normalization
        , sanitizeApiKey         // Sanitization helper exported for testing
        , normalizeNum           // Number normalization helper exported for reuse
+       , normalizeStart         // Page offset normalization helper exported for testing
+       , normalizeSearchParams  // Search parameter validation helper exported for testing
+       , formatSearchEnvelope   // Envelope builder exported for testing
+       , formatImageItem        // Image result shaper exported for testing
+       , normalizeCachePolicy   // Per-call cache option resolver exported for testing
 
-       , axiosInstance          // Expose configured axios instance for tests
+       , axiosInstance: defaultClient.axiosInstance  // Expose configured axios instance for tests
 
-       , clearCache             // Helper to clear cache between tests
-       , performCacheCleanup    // Manual cache purge helper primarily for tests
+       , clearCache: defaultClient.clearCache                   // Helper to clear cache between tests
+       , performCacheCleanup: defaultClient.performCacheCleanup // Manual cache purge helper primarily for tests
+       , getCoalescingStats: defaultClient.getCoalescingStats   // Single-flight counters for monitoring
+       , getCacheStats: defaultClient.getCacheStats             // Cache hit ratio and footprint for monitoring
+       , inspectCache: defaultClient.inspectCache               // Cached keys with remaining ttl
+       , deleteCacheEntry: defaultClient.deleteCacheEntry       // Single query invalidation
+       , exportCache: defaultClient.exportCache                 // Cache snapshot for persistence
+       , importCache: defaultClient.importCache                 // Warm start from a snapshot
+       , flushCacheSnapshot: defaultClient.flushCacheSnapshot   // Writes QSERP_CACHE_SNAPSHOT_PATH now
+       , stopCacheSnapshots: defaultClient.stopCacheSnapshots   // Stops snapshot timer and exit hook
+       , getRateLimitStatus: defaultClient.getRateLimitStatus   // Limiter capacity for monitoring
+       , getQuotaStatus: defaultClient.getQuotaStatus           // Daily budget usage for monitoring
+       , getKeyPoolStatus: defaultClient.getKeyPoolStatus       // Per-key usage of GOOGLE_API_KEYS
+       , getEngineStats: defaultClient.getEngineStats           // Per-engine counters for QSERP_ENGINES profiles
+       , getCircuitStatus: defaultClient.getCircuitStatus       // Circuit breaker state for health checks
+       , getProviderStatus: defaultClient.getProviderStatus     // Provider chain traffic, the default client has only Google
+       , QuotaExceededError     // Thrown once the daily budget is spent in reject mode
+       , KeyPoolExhaustedError  // Thrown once every pooled key is exhausted or invalid
+       , CircuitOpenError       // Thrown while the circuit breaker rejects requests
+       , QserpError             // Base class of all typed errors
+       , AuthError              // Rejected or restricted API key
+       , QuotaError             // Google quota spent, base of QuotaExceededError
+       , RateLimitError         // HTTP 429 or a rate limit reason
+       , NetworkError           // No response received
+       , TimeoutError           // No response within the timeout
+       , AbortError             // Search cancelled through opts.signal
+       , InvalidQueryError      // Invalid query or option, or HTTP 400
+       , toQserpError           // Error classifier exported for testing
+       , normalizeRateLimit     // Limiter option resolver exported for testing
+       , normalizePriority      // Priority lane validation exported for testing
+       , normalizeEngines       // Engine profile validation exported for testing
+       , PRIORITY_LANES         // Lane names and their Bottleneck priorities
+       , normalizeLaneWeights   // Lane weight option resolver exported for testing
+       , normalizeRetryPolicy   // Retry option resolver exported for testing
 
 };
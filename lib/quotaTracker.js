@@ -0,0 +1,197 @@
+/**
+ * quotaTracker.js - Daily request budget for the Custom Search API
+ *
+ * Google counts Custom Search queries per day in Pacific time (100 free, then
+ * billed per 1000). The Bottleneck reservoir only smooths traffic per minute, so
+ * this tracker counts every request that actually leaves the process and
+ * enforces a daily budget on top of it. Cache hits never reach the tracker.
+ *
+ * BUDGET MODES:
+ * - reject: acquire() throws QuotaExceededError once the budget is spent
+ * - queue: acquire() waits until the next Pacific-time day, then proceeds; the
+ *   wait ends early with AbortError when the caller's signal fires, and its timer
+ *   keeps the process alive so a batch awaiting it is not cut short
+ *
+ * PERSISTENCE: given a store with get and set (a cache adapter's counterStore()
+ * or a caller's own store, never the search cache itself), the counter is saved
+ * under quota:<YYYY-MM-DD> after each request and read back at the start of each
+ * day, so restarts keep counting. Processes sharing one Redis prefix
+ * share the counter; concurrent writers can lose increments, so treat the
+ * shared count as approximate and keep the budget below the hard Google limit.
+ */
+
+const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
+const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
+const { logWarn } = require('./minLogger'); //threshold and persistence warnings
+const { QuotaExceededError, AbortError } = require('./errors'); //typed budget and cancellation errors
+const DEBUG = getDebugFlag(); //flag to toggle verbose logging
+
+const DAY_MS = 86400000; //nominal day length, DST days are corrected by re-checking the date
+const COUNTER_TTL = 2 * DAY_MS; //stored counters outlive their day by a safe margin
+const DEFAULT_WARN_AT = [0.8, 0.95]; //fractions of the budget that log a warning
+const QUOTA_MODES = ['reject', 'queue'];
+const PACIFIC_CLOCK = new Intl.DateTimeFormat('en-US', { //Google resets quotas at midnight Pacific time
+        timeZone: 'America/Los_Angeles',
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+/**
+ * Reads the Pacific-time date and time of day for a timestamp
+ *
+ * @param {number} ms - Epoch milliseconds
+ * @returns {{day: string, nextReset: number}} Date as YYYY-MM-DD and the epoch ms of the next midnight
+ */
+function pacificDay(ms) {
+        const parts = {}; //formatToParts keeps this independent of locale punctuation
+        for (const { type, value } of PACIFIC_CLOCK.formatToParts(new Date(ms))) { parts[type] = value; }
+        const intoDay = ((Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second)) * 1000 + (ms % 1000);
+        return { day: `${parts.year}-${parts.month}-${parts.day}`, nextReset: ms - intoDay + DAY_MS }; //off by an hour on DST days, callers re-check
+}
+
+/**
+ * Sleeps until the budget may be free again, ending early when the signal fires
+ *
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal|null} signal - Caller's signal
+ * @returns {Promise<void>}
+ * @throws {AbortError} When the signal fires before the delay ends
+ */
+function waitForReset(ms, signal) {
+        return new Promise((resolve, reject) => {
+                const onAbort = () => { clearTimeout(timer); reject(new AbortError()); }; //cleared so an abandoned wait leaves no timer behind
+                const timer = setTimeout(() => { if (signal) { signal.removeEventListener('abort', onAbort); } resolve(); }, ms);
+                if (!signal) { return; }
+                if (signal.aborted) { onAbort(); }
+                else { signal.addEventListener('abort', onAbort, { once: true }); }
+        });
+}
+
+/**
+ * Creates a daily quota tracker
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Requests allowed per Pacific-time day, 0 counts without enforcing (default 0)
+ * @param {string} [options.mode] - 'reject' or 'queue' once the budget is spent (default 'reject')
+ * @param {number[]} [options.warnAt] - Budget fractions that log a warning once per day (default [0.8, 0.95])
+ * @param {Object} [options.store] - Counter store with get and set used to persist the counter
+ * @returns {{acquire: Function, release: Function, status: Function}} Tracker consulted before every billable request
+ * @throws {Error} If mode is not 'reject' or 'queue'
+ */
+function createQuotaTracker({ limit = 0, mode = 'reject', warnAt = DEFAULT_WARN_AT, store = null } = {}) {
+        if (DEBUG) { logStart('createQuotaTracker', `limit: ${limit}, mode: ${mode}`); }
+        if (!QUOTA_MODES.includes(mode)) { throw new Error("quota mode must be 'reject' or 'queue'"); } //fail fast like normalizeCachePolicy
+        const thresholds = warnAt.filter(fraction => fraction > 0 && fraction < 1).sort((a, b) => a - b); //ignore nonsensical fractions
+        let day = null; //Pacific date the counter belongs to
+        let used = 0; //requests counted for day
+        let loading = Promise.resolve(); //stored counter read for day
+        const warned = new Set(); //thresholds already reported for day
+        let exhaustedWarned = false; //budget exhaustion reported for day
+
+        async function load(today) { //merge a persisted counter from before a restart
+                try {
+                        const stored = Number(await store.get(`quota:${today}`));
+                        if (day === today && Number.isFinite(stored)) { used = Math.max(used, stored); } //never lower a count already made
+                } catch (err) {
+                        logWarn(`Quota counter read failed: ${err.message}`); //count from zero rather than block searches
+                }
+        }
+
+        function persist(today, count) { //fire-and-forget write, order does not matter since counts only grow
+                Promise.resolve()
+                        .then(() => store.set(`quota:${today}`, count, COUNTER_TTL)) //sync adapters may throw synchronously
+                        .catch(err => logWarn(`Quota counter write failed: ${err.message}`));
+        }
+
+        function rollover(now) { //starts a new counting day when the Pacific date changed
+                const { day: today } = pacificDay(now);
+                if (today === day) { return; }
+                day = today;
+                used = 0;
+                warned.clear();
+                exhaustedWarned = false;
+                loading = store && limit > 0 ? load(today) : Promise.resolve(); //persistence only matters when enforcing
+        }
+
+        function reportThresholds() { //one warning per threshold per day
+                for (const fraction of thresholds) {
+                        if (used >= Math.ceil(limit * fraction) && !warned.has(fraction)) {
+                                warned.add(fraction);
+                                logWarn(`Daily quota ${Math.round(fraction * 100)}% used: ${used} of ${limit} requests`);
+                        }
+                }
+        }
+
+        /**
+         * Counts one billable request, waiting or throwing when the budget is spent
+         *
+         * @param {Object} [options]
+         * @param {AbortSignal|null} [options.signal] - Ends a queue-mode wait without counting
+         * @returns {Promise<number>} Requests counted today including this one
+         * @throws {QuotaExceededError} In reject mode once the budget is spent
+         * @throws {AbortError} When the signal has fired, before anything is counted
+         */
+        async function acquire({ signal = null } = {}) {
+                for (;;) { //queue mode loops until a new day frees budget
+                        rollover(Date.now());
+                        const today = day;
+                        await loading; //persisted count must be known before deciding
+                        if (signal && signal.aborted) { throw new AbortError(); } //an abandoned request is never billed
+                        if (today !== day) { continue; } //day changed while loading
+                        if (limit === 0 || used < limit) {
+                                used += 1;
+                                if (limit > 0) {
+                                        reportThresholds();
+                                        if (store) { persist(today, used); }
+                                }
+                                return used;
+                        }
+                        const { nextReset } = pacificDay(Date.now());
+                        if (!exhaustedWarned) { //one warning per day, not per rejected call
+                                exhaustedWarned = true;
+                                logWarn(`Daily quota of ${limit} requests exhausted until ${new Date(nextReset).toISOString()}`);
+                        }
+                        if (mode === 'reject') { throw new QuotaExceededError({ limit, used, resetAt: new Date(nextReset) }); }
+                        await waitForReset(Math.max(nextReset - Date.now(), 1000), signal); //re-check at least every second near midnight
+                }
+        }
+
+        /**
+         * Takes back the count of a request acquire() allowed but that was never sent
+         *
+         * The persisted counter keeps the higher value until the next request writes it.
+         */
+        function release() {
+                rollover(Date.now());
+                if (used > 0) { used -= 1; } //a new day already started from zero
+        }
+
+        /**
+         * Reports usage for the current Pacific-time day
+         *
+         * @returns {{day: string, used: number, limit: number, remaining: number|null, mode: string, resetAt: Date}}
+         */
+        function status() {
+                rollover(Date.now());
+                const snapshot = {
+                        day,
+                        used,
+                        limit,
+                        remaining: limit > 0 ? Math.max(limit - used, 0) : null, //null means unlimited
+                        mode,
+                        resetAt: new Date(pacificDay(Date.now()).nextReset)
+                };
+                if (DEBUG) { logReturn('quotaStatus', JSON.stringify(snapshot)); }
+                return snapshot;
+        }
+
+        if (DEBUG) { logReturn('createQuotaTracker', 'tracker'); }
+        return { acquire, release, status };
+}
+
+module.exports = {
+        createQuotaTracker,     // Daily budget factory used by createClient
+        pacificDay,             // Pacific-time day helper exported for testing
+        QUOTA_MODES             // Accepted quota modes
+};
@@ -0,0 +1,83 @@
+/**
+ * retryPolicy.js - Decides whether and when a failed request is retried
+ *
+ * Google answers bursts with 429 and has occasional 500/503 backend errors, and
+ * keepAlive sockets are sometimes reset by proxies. These failures usually clear
+ * within seconds, so rateLimitedRequest retries them instead of degrading
+ * straight to an empty result. This module holds the decisions only; the retry
+ * loop stays in rateLimitedRequest so every attempt re-enters the limiter.
+ *
+ * BACKOFF: attempt n waits baseDelay * 2^(n-1), capped at maxDelay. With jitter
+ * the wait is drawn uniformly from zero to that value ("full jitter"), which
+ * spreads retries from many processes sharing one API key.
+ *
+ * RETRY-AFTER: when the response carries a Retry-After header its value is used
+ * instead of the backoff. If the server asks for longer than maxDelay the
+ * request is not retried, since an earlier attempt would only fail again.
+ */
+
+const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
+const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
+const DEBUG = getDebugFlag(); //flag to toggle verbose logging
+
+const RETRY_STATUSES = [429, 500, 502, 503, 504]; //rate limited or transient server errors
+const RETRY_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK']; //socket drops and axios timeouts
+
+/**
+ * Converts a Retry-After header to a delay in milliseconds
+ *
+ * @param {string|number} [value] - Seconds or an HTTP date
+ * @param {number} [now] - Epoch ms the delay is measured from (default Date.now())
+ * @returns {number|null} Delay of at least 0, or null when absent or unparseable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+        if (value === undefined || value === null || String(value).trim() === '') { return null; }
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) { return Number(text) * 1000; } //delta-seconds form
+        const date = Date.parse(text); //HTTP-date form
+        return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+/**
+ * Reports whether a failed request may succeed when repeated
+ *
+ * @param {Error} error - Axios error from the attempt
+ * @param {{retryStatuses: number[], retryCodes: string[]}} policy - Normalized retry policy
+ * @returns {boolean} true for listed HTTP statuses and network error codes
+ */
+function isRetryable(error, policy) {
+        if (!error) { return false; }
+        if (error.response) { return policy.retryStatuses.includes(error.response.status); } //server answered
+        return policy.retryCodes.includes(error.code); //no response, classify by socket or axios code
+}
+
+/**
+ * Computes the wait before the next attempt
+ *
+ * @param {Error} error - Axios error from the failed attempt
+ * @param {number} attempt - Attempt that failed, starting at 1
+ * @param {{baseDelay: number, maxDelay: number, jitter: boolean}} policy - Normalized retry policy
+ * @returns {number|null} Delay in ms, or null when Retry-After exceeds maxDelay
+ */
+function retryDelay(error, attempt, policy) {
+        if (DEBUG) { logStart('retryDelay', `attempt ${attempt}`); }
+        const headers = (error && error.response && error.response.headers) || {};
+        const retryAfter = parseRetryAfter(headers['retry-after']); //axios lowercases header names
+        let delay;
+        if (retryAfter !== null) {
+                delay = retryAfter > policy.maxDelay ? null : retryAfter; //server knows best, jitter would only shorten it
+        } else {
+                const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1)); //exponential growth with cap
+                delay = policy.jitter ? Math.floor(Math.random() * ceiling) : ceiling;
+        }
+        if (DEBUG) { logReturn('retryDelay', delay); }
+        return delay;
+}
+
+module.exports = {
+        RETRY_STATUSES,         // Default retryable HTTP statuses
+        RETRY_CODES,            // Default retryable network error codes
+        parseRetryAfter,        // Retry-After header parser
+        isRetryable,            // Failure classification
+        retryDelay              // Backoff with jitter and Retry-After
+};
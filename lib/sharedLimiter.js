@@ -0,0 +1,142 @@
+/**
+ * sharedLimiter.js - Rate limiting shared by every process using one API key
+ *
+ * Each qserp process normally owns a local Bottleneck, so ten pods allowing
+ * 60 requests per minute each spend 600 together. In clustered mode Bottleneck
+ * keeps its reservoir and concurrency counters in Redis under a shared limiter
+ * id, so all processes draw from one budget.
+ *
+ * FALLBACK: a local limiter with the same settings is always created. Requests
+ * use it while the shared store has not connected within the connect timeout,
+ * and for a retry window after the store reports an error or a scheduling call
+ * fails before the job starts. Searches keep working during a Redis outage, at
+ * the cost of per-process limits until the store recovers.
+ *
+ * CLIENTS: Bottleneck clustering supports ioredis and node-redis v3 clients.
+ * A URL is connected with ioredis, which must then be installed.
+ */
+
+const Bottleneck = require('bottleneck'); //limiter with optional Redis datastore
+const { getDebugFlag } = require('./getDebugFlag'); //import debug flag utility for consistent behavior
+const { logStart, logReturn } = require('./logUtils'); //standardized logging utilities
+const { logWarn } = require('./minLogger'); //outage warnings
+const DEBUG = getDebugFlag(); //flag to toggle verbose logging
+
+const DEFAULT_CONNECT_TIMEOUT = 5000; //wait this long for Redis before using the local limiter
+const DEFAULT_RETRY_MS = 30000; //time on the local limiter after a shared store failure
+
+/**
+ * Builds a Bottleneck connection for a Redis client or URL
+ *
+ * @param {Object} [client] - Connected ioredis or node-redis v3 client
+ * @param {string} [url] - Redis URL opened with ioredis when no client is given
+ * @returns {Object} Bottleneck IORedisConnection or RedisConnection
+ * @throws {Error} If the client type is unsupported or ioredis is missing for a URL
+ */
+function createConnection(client, url) {
+        if (client && typeof client.call === 'function') { return new Bottleneck.IORedisConnection({ client }); } //ioredis
+        if (client && typeof client.send_command === 'function') { return new Bottleneck.RedisConnection({ client }); } //node-redis v3
+        if (client) { throw new Error('Shared rate limiter requires an ioredis or node-redis v3 client'); } //v4 API is not supported by Bottleneck
+        let Redis;
+        try { Redis = require('ioredis'); }
+        catch (err) {
+                if (err.code !== 'MODULE_NOT_FOUND') { throw err; }
+                throw new Error('Shared rate limiter requires the ioredis package');
+        }
+        return new Bottleneck.IORedisConnection({ client: new Redis(url) });
+}
+
+/**
+ * Creates a limiter shared through Redis with a local fallback
+ *
+ * The result exposes the Bottleneck methods qserp uses, so createClient can
+ * treat it like a plain limiter.
+ *
+ * @param {Object} limiterOptions - Bottleneck options from normalizeRateLimit
+ * @param {Object} shared
+ * @param {Object} [shared.client] - ioredis or node-redis v3 client
+ * @param {string} [shared.url] - Redis URL when no client is given
+ * @param {string} shared.id - Limiter id shared by every cooperating process
+ * @param {number} [shared.connectTimeout] - Ms to wait for Redis before falling back (default 5000)
+ * @param {number} [shared.retryMs] - Ms to stay on the local limiter after a failure (default 30000)
+ * @returns {{schedule: Function, counts: Function, currentReservoir: Function, incrementReservoir: Function, mode: Function}}
+ */
+function createSharedLimiter(limiterOptions, { client, url, id, connectTimeout = DEFAULT_CONNECT_TIMEOUT, retryMs = DEFAULT_RETRY_MS }) {
+        if (DEBUG) { logStart('createSharedLimiter', id); } //id only, urls may hold passwords
+        const local = new Bottleneck(limiterOptions); //fallback with identical limits
+        let shared = null; //clustered limiter, null when it could not be created
+        let connected = false; //set once the shared store is ready
+        let downUntil = 0; //epoch ms before which the local limiter is used
+
+        function markDown(err) { //switch to the local limiter for the retry window
+                if (Date.now() >= downUntil) { logWarn(`Shared rate limiter unavailable, using local limiter: ${err && err.message}`); } //once per outage
+                downUntil = Date.now() + retryMs;
+        }
+
+        let ready = Promise.resolve(false); //resolves true when the shared store connected in time
+        try {
+                shared = new Bottleneck({ ...limiterOptions, id, connection: createConnection(client, url), clearDatastore: false }); //keep counters other processes already wrote
+                shared.on('error', markDown); //connection errors surface as events, not rejections
+                const connecting = shared.ready().then(() => { connected = true; return true; });
+                let timer;
+                const timedOut = new Promise(resolve => {
+                        timer = setTimeout(() => resolve(false), connectTimeout);
+                        timer.unref(); //never keeps the process alive on its own
+                });
+                ready = Promise.race([connecting, timedOut])
+                        .catch(err => { markDown(err); return false; })
+                        .then(ok => {
+                                clearTimeout(timer);
+                                if (!ok && Date.now() >= downUntil) { markDown(new Error(`no connection after ${connectTimeout}ms`)); } //late connect is picked up by connected
+                                return ok;
+                        });
+                connecting.catch(() => {}); //rejection already handled through ready
+        } catch (err) {
+                markDown(err); //missing package or unsupported client
+                downUntil = Infinity; //nothing to retry
+        }
+
+        function useShared() { //shared limiter only when connected and not in a retry window
+                return shared !== null && connected && Date.now() >= downUntil;
+        }
+
+        /**
+         * Schedules a job on the shared limiter, or the local one while it is unavailable
+         *
+         * Accepts Bottleneck's schedule([options], fn, ...args) signature. A shared
+         * scheduling failure before the job starts reruns it on the local limiter;
+         * failures of the job itself are passed through unchanged.
+         *
+         * @returns {Promise<any>} Job result
+         */
+        async function schedule(...args) {
+                await ready; //first requests wait for the connection, bounded by connectTimeout
+                if (!useShared()) { return local.schedule(...args); }
+                const jobIndex = typeof args[0] === 'function' ? 0 : 1; //options object may come first
+                const job = args[jobIndex];
+                let started = false; //distinguishes limiter failures from job failures
+                const tracked = [...args];
+                tracked[jobIndex] = (...jobArgs) => { started = true; return job(...jobArgs); };
+                try {
+                        return await shared.schedule(...tracked);
+                } catch (err) {
+                        if (started) { throw err; } //request itself failed
+                        markDown(err);
+                        return local.schedule(...args); //request never ran, run it locally
+                }
+        }
+
+        const limiter = {
+                schedule,
+                counts: () => (useShared() ? shared : local).counts(), //counts of this process
+                currentReservoir: () => (useShared() ? shared : local).currentReservoir(), //shared reservoir when connected
+                incrementReservoir: incr => (useShared() ? shared : local).incrementReservoir(incr), //returns units of slots that ran nothing
+                mode: () => (useShared() ? 'shared' : 'local') //for status reporting
+        };
+        if (DEBUG) { logReturn('createSharedLimiter', shared ? 'shared' : 'local'); }
+        return limiter;
+}
+
+module.exports = {
+        createSharedLimiter     // Redis-backed limiter with local fallback
+};